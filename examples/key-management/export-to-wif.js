@@ -28,7 +28,7 @@ async function exportToWif () {
     console.log('📋 Current Wallet Information:')
     console.log('═'.repeat(50))
     console.log(`XEC Address: ${wallet.walletInfo.xecAddress}`)
-    console.log(`Wallet Type: ${wallet.walletInfo.mnemonic ? 'HD Wallet' : 'Single Key'}`)
+    console.log(`Wallet Type: ${wallet.walletInfo.hdPath ? 'HD Wallet' : 'Single Key'}`)
     console.log('═'.repeat(50))
 
     console.log('\n🔑 Exporting Private Key in WIF Formats:')
@@ -0,0 +1,127 @@
+/*
+  Pay a CSV or JSON file of recipients in as many transactions as needed.
+  The batch state is saved next to the file, so running the same command
+  again after a crash resumes the batch without paying anyone twice.
+*/
+
+const fs = require('fs')
+const path = require('path')
+const MinimalXECWallet = require('../../index')
+const WalletHelper = require('../utils/wallet-helper')
+
+// Get command line arguments
+const args = process.argv.slice(2)
+
+function showUsage () {
+  console.log('Usage: node batch-payout.js <rows.csv|rows.json> [satsPerByte]')
+  console.log('')
+  console.log('CSV columns: address,amount,memo,tokenId (header optional)')
+  console.log('  ecash:qp1234...abc,50')
+  console.log('  ecash:qr5678...def,25.5,"March payroll"')
+  console.log('  ecash:qa1111...111,100,,<64 hex token ID>')
+  console.log('')
+  console.log('Amounts are in XEC, or in satoshis when they end in "sats".')
+  console.log('eToken rows pay the amount in token units.')
+}
+
+// Storage adapter keeping the batch state in a JSON file
+function fileStorage (file) {
+  const read = () => fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {}
+  const write = items => fs.writeFileSync(file, JSON.stringify(items, null, 2))
+
+  return {
+    getItem: key => read()[key] || null,
+    setItem: (key, value) => write({ ...read(), [key]: String(value) }),
+    removeItem: key => {
+      const items = read()
+      delete items[key]
+      write(items)
+    }
+  }
+}
+
+async function batchPayout () {
+  try {
+    console.log('📤 Batch payout...\n')
+
+    if (args.length < 1) {
+      console.log('❌ No payout file given')
+      showUsage()
+      return
+    }
+
+    const file = path.resolve(args[0])
+    const rows = fs.readFileSync(file, 'utf8')
+    const satsPerByte = args[1] ? parseFloat(args[1]) : undefined
+
+    // Load wallet from file
+    const walletData = WalletHelper.loadWallet()
+    if (!walletData) {
+      console.log('   Run: node examples/wallet-creation/create-new-wallet.js')
+      return
+    }
+
+    const wallet = new MinimalXECWallet(walletData.mnemonic || walletData.privateKey, {
+      storage: fileStorage(`${file}.state.json`)
+    })
+    await wallet.walletInfoPromise
+    await wallet.initialize()
+
+    // Validate every row and show the transactions before sending anything
+    const plan = await wallet.payBatch(rows, { dryRun: true })
+    const previous = await wallet.getBatchPayout(plan.id)
+
+    console.log('📋 Batch Details:')
+    console.log('═'.repeat(70))
+    console.log(`Batch ID: ${plan.id}`)
+    console.log(`Rows: ${plan.summary.rows}`)
+    console.log(`Transactions: ${plan.chunks.length}`)
+    if (previous) {
+      console.log(`Already paid: ${previous.summary.sentRows} rows (resuming)`)
+    }
+    console.log('═'.repeat(70))
+
+    const readline = require('readline')
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    })
+
+    const confirmed = await new Promise((resolve) => {
+      rl.question('\nDo you want to proceed? (yes/no): ', (answer) => {
+        rl.close()
+        resolve(answer.toLowerCase() === 'yes' || answer.toLowerCase() === 'y')
+      })
+    })
+
+    if (!confirmed) {
+      console.log('❌ Batch cancelled by user')
+      return
+    }
+
+    const report = await wallet.payBatch(rows, { satsPerByte })
+
+    console.log('\n📊 Reconciliation Report:')
+    console.log('═'.repeat(70))
+    report.rows.forEach(row => {
+      const mark = row.status === 'sent' ? '✅' : '⏳'
+      console.log(`${mark} Row ${row.row}: ${row.address} ${row.amount} ${row.tokenId ? 'tokens' : 'XEC'} ${row.txid || ''}`)
+    })
+    console.log('═'.repeat(70))
+    console.log(`Paid: ${report.summary.sentRows}/${report.summary.rows} rows in ${report.summary.transactions} transactions`)
+
+    const failed = report.chunks.find(chunk => chunk.error)
+    if (!report.complete) {
+      console.log(`\n⚠️  Stopped at transaction ${failed ? failed.index + 1 : '?'}: ${failed ? failed.error : 'unknown error'}`)
+      console.log('   Fix the cause and run the same command again to resume.')
+    } else {
+      console.log('\n✅ Batch complete!')
+    }
+  } catch (err) {
+    console.error('❌ Batch payout failed:', err.message)
+    process.exit(1)
+  }
+}
+
+// Run the example
+batchPayout()
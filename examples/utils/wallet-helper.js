@@ -11,17 +11,15 @@ const WALLET_FILE_PATH = path.join(__dirname, '..', 'wallet.json')
 
 class WalletHelper {
   /**
-   * Save wallet information to wallet.json file
-   * @param {Object} walletInfo - Wallet data from wallet creation
-   * @param {String} walletInfo.mnemonic - 12-word mnemonic phrase
-   * @param {String} walletInfo.xecAddress - XEC address
-   * @param {String} walletInfo.privateKey - Private key
-   * @param {String} walletInfo.publicKey - Public key
-   * @param {String} walletInfo.hdPath - HD derivation path
+   * Save wallet information to wallet.json file. The keys are not part of
+   * walletInfo, so they are exported from the wallet.
+   * @param {MinimalXECWallet} wallet - Created wallet
    * @param {String} description - Optional description for this wallet
    */
-  static saveWallet (walletInfo, description = 'XEC Wallet') {
+  static saveWallet (wallet, description = 'XEC Wallet') {
     try {
+      const { walletInfo } = wallet
+
       // Backup existing wallet before overwriting
       if (fs.existsSync(WALLET_FILE_PATH)) {
         console.log('📂 Existing wallet found - creating backup...')
@@ -33,9 +31,9 @@ class WalletHelper {
       const walletData = {
         description,
         created: new Date().toISOString(),
-        mnemonic: walletInfo.mnemonic,
+        mnemonic: walletInfo.hdPath ? wallet.exportMnemonic() : null,
         xecAddress: walletInfo.xecAddress,
-        privateKey: walletInfo.privateKey,
+        privateKey: wallet.exportPrivateKeyAsWIF(walletInfo.isCompressed !== false),
         publicKey: walletInfo.publicKey,
         hdPath: walletInfo.hdPath || "m/44'/899'/0'/0/0",
         // Don't save encrypted mnemonic for simplicity in examples
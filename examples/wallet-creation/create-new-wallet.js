@@ -35,13 +35,13 @@ async function createNewWallet () {
     // Display the wallet information
     console.log('📋 New Wallet Details:')
     console.log('═'.repeat(50))
-    console.log(`Mnemonic: ${wallet.walletInfo.mnemonic}`)
+    console.log(`Mnemonic: ${wallet.exportMnemonic()}`)
     console.log(`XEC Address: ${wallet.walletInfo.xecAddress}`)
     console.log(`HD Path: ${wallet.walletInfo.hdPath}`)
     console.log('═'.repeat(50))
 
     // Save to wallet.json file
-    const saved = WalletHelper.saveWallet(wallet.walletInfo, 'New XEC Wallet')
+    const saved = WalletHelper.saveWallet(wallet, 'New XEC Wallet')
 
     if (saved) {
       console.log('\n🎉 Wallet ready for use!')
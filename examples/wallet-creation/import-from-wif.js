@@ -95,12 +95,12 @@ async function importFromWif () {
     console.log(`HD Path: ${wallet.walletInfo.hdPath || 'N/A (single key import)'}`)
     if (isValidWIF) {
       console.log(`Compression: ${wallet.walletInfo.isCompressed ? 'Compressed' : 'Uncompressed'}`)
-      console.log(`Original WIF: ${wallet.walletInfo.wif}`)
+      console.log(`Original WIF: ${wif}`)
     }
     console.log('═'.repeat(50))
 
     // Save to wallet.json file
-    const saved = WalletHelper.saveWallet(wallet.walletInfo, 'Imported XEC Wallet')
+    const saved = WalletHelper.saveWallet(wallet, 'Imported XEC Wallet')
 
     if (saved) {
       console.log('\n🎉 Wallet imported and ready for use!')
@@ -113,7 +113,7 @@ async function importFromWif () {
 
     // Important note for imported keys
     console.log('\n📝 IMPORTANT NOTE:')
-    if (!wallet.walletInfo.mnemonic) {
+    if (!wallet.walletInfo.hdPath) {
       console.log('   • This wallet was imported from a single private key')
       console.log('   • No mnemonic phrase available for recovery')
       console.log('   • Make sure to backup your private key safely')
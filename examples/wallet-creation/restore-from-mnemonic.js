@@ -74,7 +74,7 @@ async function restoreFromMnemonic () {
     console.log('═'.repeat(50))
 
     // Save to wallet.json file
-    const saved = WalletHelper.saveWallet(wallet.walletInfo, 'Restored XEC Wallet')
+    const saved = WalletHelper.saveWallet(wallet, 'Restored XEC Wallet')
 
     if (saved) {
       console.log('\n🎉 Wallet restored and ready for use!')
@@ -16,8 +16,28 @@ const Utxos = require('./lib/utxos')
 const AdapterRouter = require('./lib/adapters/router')
 const OpReturn = require('./lib/op-return')
 const ConsolidateUtxos = require('./lib/consolidate-utxos.js')
+const BatchPayout = require('./lib/batch-payout')
 const KeyDerivation = require('./lib/key-derivation')
 const HybridTokenManager = require('./lib/hybrid-token-manager')
+const HdAccount = require('./lib/hd-account')
+const Keystore = require('./lib/keystore')
+const SeedShares = require('./lib/seed-shares')
+const Multisig = require('./lib/multisig')
+const Timelock = require('./lib/timelock')
+const OfflineSigning = require('./lib/offline-signing')
+const TxPreview = require('./lib/tx-preview')
+const { Signer, KeySigner } = require('./lib/signer')
+const { XecAmount } = require('./lib/amount')
+const feeEngine = require('./lib/fee-engine')
+const CoinSelection = require('./lib/coin-selection')
+const { WalletError, WatchOnlyError, WalletLockedError, FinalityTimeoutError, TxConflictedError, LegacyFundsError } = require('./lib/errors')
+const { getNetwork, getAddressPrefixes } = require('./lib/networks')
+
+// Addresses of any network, hidden from error messages
+const ADDRESS_PATTERN = new RegExp(`(${getAddressPrefixes().join('|')}):[a-z0-9]{42}`, 'g')
+
+// Previews waiting for broadcast() to mark their change address as used
+const MAX_PENDING_PREVIEWS = 20
 
 // let this
 
@@ -26,21 +46,27 @@ class MinimalXECWallet {
     this.advancedOptions = advancedOptions
 
     // BEGIN Handle advanced options.
-    // HD Derivation path for XEC (coin type 899)
-    this.hdPath = this.advancedOptions.hdPath || "m/44'/899'/0'/0/0"
+    // 'mainnet' (default), 'testnet' or 'regtest'
+    this.network = getNetwork(this.advancedOptions.network)
 
-    // Default Chronik endpoints (working as of 2025)
-    const chronikOptions = {
-      chronikUrls: advancedOptions.chronikUrls || [
-        'https://chronik.e.cash',
-        'https://chronik.be.cash',
-        'https://xec.paybutton.org',
-        'https://chronik.pay2stay.com/xec',
-        'https://chronik.pay2stay.com/xec2',
-        'https://chronik1.alitayin.com',
-        'https://chronik2.alitayin.com'
-      ]
-    }
+    // HD Derivation path for XEC (coin type 899, or 1 on test networks)
+    this.hdPath = this.advancedOptions.hdPath || `m/44'/${this.network.coinType}'/0'/0/0`
+
+    // Strength and BIP39 language of newly generated mnemonics. 256 bits
+    // gives 24 words. Imported mnemonics have their language detected.
+    this.mnemonicStrength = this.advancedOptions.mnemonicStrength || 128
+    this.mnemonicLanguage = this.advancedOptions.mnemonicLanguage || 'english'
+
+    // Number of consecutive unused addresses that ends account discovery
+    this.gapLimit = this.advancedOptions.gapLimit || 20
+
+    // Derive child keys the way releases before standard BIP32 did. Only
+    // needed to recover funds sent to addresses created by those releases.
+    this.legacyDerivation = !!this.advancedOptions.legacyDerivation
+
+    // Optional BIP39 passphrase (the "25th word"). It is kept on the instance
+    // and handed to the signing libraries per call, never stored in walletInfo.
+    this.passphrase = this.advancedOptions.passphrase || ''
 
     // Set the fee rate (XEC uses same structure as BCH, but lower amounts)
     this.fee = 1.2
@@ -48,6 +74,22 @@ class MinimalXECWallet {
       this.fee = this.advancedOptions.fee
     }
 
+    // Default Chronik endpoints of the network
+    const chronikOptions = {
+      chronikUrls: advancedOptions.chronikUrls || this.network.chronikUrls,
+      legacyDerivation: this.legacyDerivation,
+      network: this.network.name,
+      security: { network: this.network.name },
+      // Default coin selection strategy, see lib/coin-selection.js
+      coinSelection: this.advancedOptions.coinSelection,
+      // Fee rate of the transaction builders, see lib/fee-engine.js
+      defaultSatsPerByte: this.fee,
+      // Storage adapter for frozen UTXOs, see lib/storage.js
+      storage: this.advancedOptions.storage,
+      // How long broadcast spends wait for Chronik, see lib/pending-spends.js
+      pendingTimeout: this.advancedOptions.pendingTimeout
+    }
+
     // Donation setting (defaults to false for security and user consent)
     this.enableDonations = this.advancedOptions.enableDonations || false
     // END Handle advanced options.
@@ -56,8 +98,24 @@ class MinimalXECWallet {
     this.crypto = crypto
     this.ChronikClient = ChronikClient
 
+    // Encrypted keystores. advancedOptions.scrypt tunes the KDF cost.
+    this.keystore = new Keystore({ scrypt: this.advancedOptions.scrypt })
+
+    // Locking. A locked wallet keeps its secret only as an encrypted keystore.
+    // advancedOptions.autoLockTimeout locks it after that many idle
+    // milliseconds; 0 disables auto-lock.
+    this.isLocked = false
+    // Holds the secret of an unlocked wallet. walletInfo only has public data.
+    this.keySigner = null
+    this.lockKeystore = null
+    this.autoLockTimeout = this.advancedOptions.autoLockTimeout || 0
+    this.autoLockTimer = null
+
     // Initialize key derivation
-    this.keyDerivation = new KeyDerivation()
+    this.keyDerivation = new KeyDerivation({
+      legacyDerivation: this.legacyDerivation,
+      network: this.network.name
+    })
 
     // Initialize chronik client with fallback strategy - use first endpoint immediately
     // The adapter router will handle connection strategy internally
@@ -74,6 +132,61 @@ class MinimalXECWallet {
     this.opReturn = new OpReturn(chronikOptions)
     this.consolidateUtxos = new ConsolidateUtxos(this)
     this.hybridTokens = new HybridTokenManager(chronikOptions)
+    this.seedShares = new SeedShares({ keyDerivation: this.keyDerivation })
+    this.hdAccount = new HdAccount({
+      ar: this.ar,
+      keyDerivation: this.keyDerivation,
+      gapLimit: this.gapLimit,
+      passphrase: this.passphrase,
+      // Account level of the wallet path, e.g. m/44'/899'/0'
+      accountPath: this.hdPath.split('/').slice(0, 4).join('/')
+    })
+
+    // Take each broadcast out of the UTXO store right away, so back-to-back
+    // sends do not pick the same inputs before Chronik reports the first
+    this.ar.onBroadcast((hex, txid) =>
+      this.utxos.recordBroadcast(hex, txid, address => this._isWalletAddress(address))
+    )
+
+    // Optional external signer (HSM, browser extension, hardware wallet
+    // bridge) implementing getPublicKey() and signSighash(). See lib/signer.js.
+    this.signer = this.advancedOptions.signer || null
+
+    // Unsigned transaction packages for signing on an offline machine
+    this.offlineSigning = new OfflineSigning({
+      keyDerivation: this.keyDerivation,
+      network: this.network.name
+    })
+
+    // Previews of signed spends, and the change address each one pays until
+    // broadcast() sends it
+    this.txPreview = new TxPreview({ network: this.network.name })
+    this.previewChange = new Map()
+
+    // Optional M-of-N multisig P2SH address shared with other cosigners,
+    // configured with { threshold, publicKeys } or { threshold, xpubs, path }
+    this.multisig = null
+    if (this.advancedOptions.multisig) {
+      this.multisig = new Multisig({
+        ...this.advancedOptions.multisig,
+        ar: this.ar,
+        keyDerivation: this.keyDerivation,
+        network: this.network.name,
+        coinSelection: this.advancedOptions.coinSelection,
+        defaultSatsPerByte: this.fee
+      })
+    }
+
+    // CLTV and CSV time-locked P2SH outputs
+    this.timelocks = new Timelock({
+      ar: this.ar,
+      keyDerivation: this.keyDerivation,
+      network: this.network.name,
+      defaultSatsPerByte: this.fee
+    })
+
+    // Resumable batch payouts, with their state in advancedOptions.storage
+    this.batchPayouts = new BatchPayout(this)
 
     this.temp = []
     this.isInitialized = false
@@ -90,9 +203,15 @@ class MinimalXECWallet {
     // Bind the 'this' object to all functions
     this.create = this.create.bind(this)
     this.initialize = this.initialize.bind(this)
+    this.discoverAccount = this.discoverAccount.bind(this)
+    this.getAccountXpub = this.getAccountXpub.bind(this)
+    this.createSeedShares = this.createSeedShares.bind(this)
+    this.recoverMnemonic = this.recoverMnemonic.bind(this)
     this.getUtxos = this.getUtxos.bind(this)
     this.getXecBalance = this.getXecBalance.bind(this)
     this.getDetailedBalance = this.getDetailedBalance.bind(this)
+    this.getTxStatus = this.getTxStatus.bind(this)
+    this.waitForFinality = this.waitForFinality.bind(this)
     this.getTransactions = this.getTransactions.bind(this)
     this.getTxData = this.getTxData.bind(this)
     this.sendXec = this.sendXec.bind(this)
@@ -107,14 +226,52 @@ class MinimalXECWallet {
     this.getETokenData = this.getETokenData.bind(this) // Phase 2
     this.getKeyPair = this.getKeyPair.bind(this)
     this.optimize = this.optimize.bind(this)
+    this.payBatch = this.payBatch.bind(this)
+    this.getBatchPayout = this.getBatchPayout.bind(this)
+    this.freezeUtxo = this.freezeUtxo.bind(this)
+    this.unfreezeUtxo = this.unfreezeUtxo.bind(this)
+    this.listFrozenUtxos = this.listFrozenUtxos.bind(this)
     this.getETokenBalance = this.getETokenBalance.bind(this) // Phase 2
     this.getPubKey = this.getPubKey.bind(this)
+    this.signMessage = this.signMessage.bind(this)
+    this.verifyMessage = this.verifyMessage.bind(this)
+    this.createXecTxPackage = this.createXecTxPackage.bind(this)
+    this.createETokenTxPackage = this.createETokenTxPackage.bind(this)
+    this.createOpReturnTxPackage = this.createOpReturnTxPackage.bind(this)
+    this.verifyTxPackage = this.verifyTxPackage.bind(this)
+    this.signTxPackage = this.signTxPackage.bind(this)
+    this.previewSendXec = this.previewSendXec.bind(this)
+    this.previewSendAllXec = this.previewSendAllXec.bind(this)
+    this.previewSendETokens = this.previewSendETokens.bind(this)
+    this.previewBurnETokens = this.previewBurnETokens.bind(this)
+    this.previewSendOpReturn = this.previewSendOpReturn.bind(this)
+    this.getMultisigAddress = this.getMultisigAddress.bind(this)
+    this.createMultisigTx = this.createMultisigTx.bind(this)
+    this.signMultisigTx = this.signMultisigTx.bind(this)
+    this.finalizeMultisigTx = this.finalizeMultisigTx.bind(this)
+    this.createTimelock = this.createTimelock.bind(this)
+    this.lockXec = this.lockXec.bind(this)
+    this.unlockXec = this.unlockXec.bind(this)
     this.broadcast = this.broadcast.bind(this)
     this.cid2json = this.cid2json.bind(this)
     this._validateAddress = this._validateAddress.bind(this)
     this._sanitizeError = this._sanitizeError.bind(this)
     this._secureWalletInfo = this._secureWalletInfo.bind(this)
+    this._getSigningWalletInfo = this._getSigningWalletInfo.bind(this)
+    this._getAccountAddresses = this._getAccountAddresses.bind(this)
+    this._getAccountBalance = this._getAccountBalance.bind(this)
+    this._spendWithChange = this._spendWithChange.bind(this)
+    this._assertCanSign = this._assertCanSign.bind(this)
+    this._assertUnlocked = this._assertUnlocked.bind(this)
+    this._resetAutoLock = this._resetAutoLock.bind(this)
+    this._getAccountTransactions = this._getAccountTransactions.bind(this)
     this.exportPrivateKeyAsWIF = this.exportPrivateKeyAsWIF.bind(this)
+    this.exportKeystore = this.exportKeystore.bind(this)
+    this.exportMnemonic = this.exportMnemonic.bind(this)
+    this.changePassword = this.changePassword.bind(this)
+    this.migrateKeystore = this.migrateKeystore.bind(this)
+    this.lock = this.lock.bind(this)
+    this.unlock = this.unlock.bind(this)
     this.validateWIF = this.validateWIF.bind(this)
   }
 
@@ -130,9 +287,10 @@ class MinimalXECWallet {
         return true
       }
 
-      // Only allow eCash addresses (ecash: prefix)
-      if (!address.startsWith('ecash:')) {
-        throw new Error('Invalid address format - must be eCash address (ecash: prefix)')
+      // Only allow eCash addresses of the wallet network (ecash: on mainnet)
+      const prefix = this.network.addressPrefix
+      if (!address.startsWith(`${prefix}:`)) {
+        throw new Error(`Invalid address format - must be eCash address (${prefix}: prefix)`)
       }
 
       // Use ecashaddrjs to validate the eCash address
@@ -146,36 +304,361 @@ class MinimalXECWallet {
 
   // Private method to sanitize error messages
   _sanitizeError (error, context = '') {
+    // Typed wallet errors carry no sensitive data and keep their class
+    if (error instanceof WalletError) {
+      return error
+    }
+
     const safeMessage = error.message || 'An error occurred'
     // Remove potentially sensitive information from error messages
     const sanitized = safeMessage
       .replace(/[A-Za-z0-9+/=]{64,}/g, '[SENSITIVE_DATA_REMOVED]')
       .replace(/[LK][1-9A-HJ-NP-Za-km-z]{51}/g, '[PRIVATE_KEY_REMOVED]')
-      .replace(/ecash:[a-z0-9]{42}/g, '[ADDRESS_REMOVED]')
+      .replace(ADDRESS_PATTERN, '[ADDRESS_REMOVED]')
 
     return new Error(`${context ? context + ': ' : ''}${sanitized}`)
   }
 
   // Private method to create secure wallet info object
   _secureWalletInfo (walletInfo) {
-    // Create a copy without exposing sensitive data directly
+    // Public data only. The keys stay in this.keySigner.
     return {
-      mnemonic: walletInfo.mnemonic,
       xecAddress: walletInfo.xecAddress,
       hdPath: walletInfo.hdPath,
       fee: this.fee,
-      // Store private key securely - consider implementing memory protection
-      privateKey: walletInfo.privateKey,
       // Include donation setting (defaults to false for security)
       enableDonations: this.advancedOptions.enableDonations || false
     }
   }
 
+  // Private method to build the wallet info handed to the signing libraries.
+  // Keys are reached through the signer only.
+  _getSigningWalletInfo () {
+    return {
+      xecAddress: this.walletInfo.xecAddress,
+      hdPath: this.walletInfo.hdPath,
+      fee: this.fee,
+      publicKey: this.walletInfo.publicKey,
+      addresses: this.walletInfo.addresses,
+      signer: this.signer || this.keySigner || undefined
+    }
+  }
+
+  // Private method to create the signer holding the secret of the wallet
+  _createKeySigner (secrets, walletInfo = this.walletInfo) {
+    return new KeySigner({
+      walletInfo: {
+        ...secrets,
+        passphrase: this.passphrase,
+        xecAddress: walletInfo.xecAddress,
+        hdPath: walletInfo.hdPath
+      },
+      keyDerivation: this.keyDerivation
+    })
+  }
+
+  // Private method to get the mnemonic of an unlocked HD wallet, or null
+  _getMnemonic () {
+    return this.keySigner ? this.keySigner.getMnemonic() : null
+  }
+
+  // Private method to get the hex private key of the primary address, or
+  // of another path of the account
+  _getPrivateKey (hdPath = this.walletInfo.hdPath) {
+    if (!this.keySigner) {
+      throw new Error('No private key available')
+    }
+
+    // Single key wallets have no path and sign for their one address
+    return this.keySigner.getPrivateKey(hdPath ? { hdPath } : { address: this.walletInfo.xecAddress })
+  }
+
+  // Private method to apply the per-spend options to a wallet info:
+  // options.coinSelection picks the coin selection strategy and
+  // options.satsPerByte the fee rate of this spend.
+  _applySpendOptions (walletInfo, options = {}) {
+    if (options.coinSelection) {
+      walletInfo.coinSelection = options.coinSelection
+    }
+
+    // The builders spend every UTXO the user chose
+    if (options.utxos) {
+      walletInfo.coinSelection = CoinSelection.MANUAL
+    }
+
+    if (options.satsPerByte !== undefined) {
+      feeEngine.validateFeeRate(options.satsPerByte)
+      walletInfo.fee = options.satsPerByte
+    }
+
+    // Outputs of an XEC send that pay the fee, see lib/send-xec.js
+    if (options.subtractFeeFrom !== undefined) {
+      walletInfo.subtractFeeFrom = options.subtractFeeFrom
+    }
+
+    // nLockTime and input sequence of an XEC send
+    if (options.locktime !== undefined) {
+      walletInfo.locktime = options.locktime
+    }
+    if (options.sequence !== undefined) {
+      walletInfo.sequence = options.sequence
+    }
+
+    return walletInfo
+  }
+
+  // Private method to get the next unused address of the change chain, or
+  // null when the account is not discovered and change goes to the wallet
+  // address
+  _getChangeEntry () {
+    const keySource = this._getMnemonic() || this.walletInfo.xpub
+    return keySource && this.hdAccount.isDiscovered
+      ? this.hdAccount.getChangeAddress(keySource)
+      : null
+  }
+
+  // Private method to tell whether an address belongs to the wallet account,
+  // including the change address a spend in progress pays
+  _isWalletAddress (address) {
+    if (!this.walletInfo) {
+      return false
+    }
+
+    if (address === this.walletInfo.xecAddress || this.hdAccount.findAddress(address)) {
+      return true
+    }
+
+    const addresses = this.walletInfo.addresses || []
+    if (addresses.some(entry => entry.address === address)) {
+      return true
+    }
+
+    const changeEntry = this._getChangeEntry()
+    return !!changeEntry && changeEntry.address === address
+  }
+
+  // Private method to record that a change address received funds
+  _markChangeUsed (changeEntry) {
+    this.hdAccount.markUsed(changeEntry)
+    if (!this.walletInfo.addresses.some(entry => entry.address === changeEntry.address)) {
+      this.walletInfo.addresses.push({ ...changeEntry, used: true })
+    }
+  }
+
+  // Private method to run a spend whose change goes to the next unused address
+  // of the change chain. The index is only handed out once the spend succeeds.
+  async _spendWithChange (spend, options = {}) {
+    const walletInfo = this._applySpendOptions(this._getSigningWalletInfo(), options)
+
+    const changeEntry = this._getChangeEntry()
+    if (changeEntry) {
+      walletInfo.changeAddress = changeEntry.address
+    }
+
+    const result = await spend(walletInfo)
+
+    if (changeEntry) {
+      this._markChangeUsed(changeEntry)
+    }
+
+    return result
+  }
+
+  // Private method to build and sign a spend without broadcasting it. build()
+  // returns the hex, or { hex, token } for eToken spends. A change address the
+  // preview pays is marked as used once broadcast() sends the hex.
+  async _previewSpend (build, utxos, describeOptions, options = {}) {
+    const walletInfo = this._applySpendOptions(this._getSigningWalletInfo(), options)
+
+    const changeEntry = this._getChangeEntry()
+    if (changeEntry) {
+      walletInfo.changeAddress = changeEntry.address
+    }
+
+    const result = await build(walletInfo)
+    const hex = typeof result === 'string' ? result : result.hex
+
+    const preview = this.txPreview.describe(hex, utxos, {
+      ...describeOptions,
+      token: result.token,
+      changeAddress: walletInfo.changeAddress || walletInfo.xecAddress
+    })
+
+    if (changeEntry && (preview.change || (preview.token && preview.token.change))) {
+      // Keep the most recent previews only
+      if (this.previewChange.size >= MAX_PENDING_PREVIEWS) {
+        this.previewChange.delete(this.previewChange.keys().next().value)
+      }
+      this.previewChange.set(hex, changeEntry)
+    }
+
+    return options.asAmount ? this.txPreview.withAmounts(preview) : preview
+  }
+
+  // Private method to build the wallet info for transactions that are signed
+  // offline. It carries no keys. Change goes to the next change address of a
+  // discovered account, which stays unused until a spend is broadcast.
+  _getUnsignedWalletInfo (options = {}) {
+    const walletInfo = {
+      xecAddress: this.walletInfo.xecAddress,
+      hdPath: this.walletInfo.hdPath,
+      addresses: this.walletInfo.addresses,
+      fee: this.fee,
+      unsigned: true
+    }
+    this._applySpendOptions(walletInfo, options)
+
+    const changeEntry = this._getChangeEntry()
+    if (changeEntry) {
+      walletInfo.changeAddress = changeEntry.address
+    }
+
+    return walletInfo
+  }
+
+  // Private method to get the UTXOs an XEC-only spend may use, so tokens are
+  // never burned by accident
+  _getXecOnlyUtxos (options = {}) {
+    if (options.utxos) {
+      return this._getChosenXecUtxos(options.utxos)
+    }
+
+    const xecOnlyUtxos = this.utxos.getUnfrozenUtxos().filter(utxo => !utxo.token)
+
+    if (xecOnlyUtxos.length === 0) {
+      const tokenUtxoCount = this.utxos.getUnfrozenUtxos().length
+      throw new Error(`No pure XEC UTXOs available for transaction. All ${tokenUtxoCount} UTXOs contain tokens. Run wallet.optimize() first.`)
+    }
+
+    return xecOnlyUtxos
+  }
+
+  // Private method to look up the UTXOs an XEC spend was told to use. Token
+  // UTXOs are refused so their tokens are not burned.
+  _getChosenXecUtxos (outpoints) {
+    const utxos = this.utxos.getChosenUtxos(outpoints)
+
+    const tokenUtxo = utxos.find(utxo => utxo.token)
+    if (tokenUtxo) {
+      throw new Error(`UTXO ${tokenUtxo.outpoint.txid}:${tokenUtxo.outpoint.outIdx} holds tokens and would burn them`)
+    }
+
+    return utxos
+  }
+
+  // Private method to get the UTXOs of an eToken spend: the ones
+  // options.utxos names, or every UTXO that is not frozen. Chosen UTXOs may
+  // hold this token or no token at all.
+  _getTokenSpendUtxos (tokenId, options = {}) {
+    if (!options.utxos) {
+      return this.utxos.getUnfrozenUtxos()
+    }
+
+    const utxos = this.utxos.getChosenUtxos(options.utxos)
+
+    const otherToken = utxos.find(utxo => utxo.token && utxo.token.tokenId !== tokenId)
+    if (otherToken) {
+      throw new Error(`UTXO ${otherToken.outpoint.txid}:${otherToken.outpoint.outIdx} holds another token and would burn it`)
+    }
+
+    return utxos
+  }
+
+  // Private method to reject signing operations on watch-only and locked
+  // wallets. An external signer can sign transactions, but not actions that
+  // need the keys themselves.
+  _assertCanSign (action, needsKeys = false) {
+    const usesKeys = needsKeys || !this.signer
+
+    if (this.walletInfo && this.walletInfo.watchOnly && usesKeys) {
+      throw new WatchOnlyError(action)
+    }
+    if (usesKeys) {
+      this._assertUnlocked(action)
+    }
+  }
+
+  // Private method to reject use of the keys while the wallet is locked. Each
+  // use counts as activity and restarts the auto-lock timer.
+  _assertUnlocked (action) {
+    if (this.isLocked) {
+      throw new WalletLockedError(action)
+    }
+
+    this._resetAutoLock()
+  }
+
+  // Private method to restart the auto-lock idle timer
+  _resetAutoLock () {
+    clearTimeout(this.autoLockTimer)
+    this.autoLockTimer = null
+
+    if (!this.autoLockTimeout || this.isLocked || !this.walletInfo || this.walletInfo.watchOnly) {
+      return
+    }
+
+    this.autoLockTimer = setTimeout(() => {
+      this.lock().catch(err => console.warn(`Auto-lock failed: ${err.message}`))
+    }, this.autoLockTimeout)
+
+    // The timer must not keep a Node.js process alive
+    if (this.autoLockTimer.unref) {
+      this.autoLockTimer.unref()
+    }
+  }
+
+  // Private method to list every address of the wallet account
+  _getAccountAddresses () {
+    if (Array.isArray(this.walletInfo.addresses) && this.walletInfo.addresses.length > 0) {
+      return this.walletInfo.addresses.map(entry => entry.address)
+    }
+
+    return [this.walletInfo.xecAddress]
+  }
+
+  // Private method to sum the balances of every address in the account
+  async _getAccountBalance () {
+    const addresses = this._getAccountAddresses()
+
+    if (addresses.length === 1) {
+      return this.ar.getBalance(addresses[0])
+    }
+
+    const balances = await this.ar.getBalance(addresses)
+    return balances.reduce((total, item) => {
+      total.balance.confirmed += item.balance.confirmed
+      total.balance.unconfirmed += item.balance.unconfirmed
+      return total
+    }, { balance: { confirmed: 0, unconfirmed: 0 } })
+  }
+
+  // Private method to sum the Avalanche finalized UTXOs of addresses
+  async _getFinalizedSats (addresses) {
+    const results = addresses.length === 1
+      ? [await this.ar.getUtxos(addresses[0])]
+      : await this.ar.getUtxos(addresses)
+
+    return results
+      .flatMap(result => (result && result.utxos) || [])
+      .filter(utxo => utxo.isFinal)
+      .reduce((sum, utxo) => sum + parseInt(utxo.sats), 0)
+  }
+
   // Create a new wallet. Returns a promise that resolves into a wallet object.
+  // Passing an account xpub or an array of addresses creates a watch-only
+  // wallet that can read balances and history but cannot sign. An array of
+  // SLIP-39 shares restores the mnemonic they were split from.
   async create (mnemonicOrWif) {
     try {
+      if (Array.isArray(mnemonicOrWif) && mnemonicOrWif.length > 0 &&
+        mnemonicOrWif.every(item => this.seedShares.isShare(item))) {
+        mnemonicOrWif = this.seedShares.combine(mnemonicOrWif, this.mnemonicLanguage)
+      }
+
+      const isWatchOnly = Array.isArray(mnemonicOrWif) || this.keyDerivation.isXpub(mnemonicOrWif)
+
       // Attempt to decrypt mnemonic if password is provided.
-      if (mnemonicOrWif && this.advancedOptions.password) {
+      if (mnemonicOrWif && this.advancedOptions.password && !isWatchOnly) {
         mnemonicOrWif = this.decrypt(
           mnemonicOrWif,
           this.advancedOptions.password
@@ -183,16 +666,52 @@ class MinimalXECWallet {
       }
 
       const walletInfo = {}
+      // Kept by this.keySigner, never in walletInfo
+      const secrets = {}
 
-      // No input. Generate a new mnemonic.
-      if (!mnemonicOrWif) {
+      // Any valid BIP39 mnemonic, whatever its language
+      const mnemonicLanguage = isWatchOnly ? null : this.keyDerivation.detectMnemonicLanguage(mnemonicOrWif)
+
+      if (Array.isArray(mnemonicOrWif)) {
+        // Watch-only list of addresses
+        if (mnemonicOrWif.length === 0) {
+          throw new Error('Address list cannot be empty')
+        }
+        mnemonicOrWif.forEach(address => this._validateAddress(address))
+
+        walletInfo.watchOnly = true
+        walletInfo.publicKey = null
+        walletInfo.xecAddress = mnemonicOrWif[0]
+        walletInfo.hdPath = null
+        walletInfo.addresses = [...new Set(mnemonicOrWif)].map(address => ({ address }))
+      } else if (isWatchOnly) {
+        // Watch-only account xpub. Addresses are found by account discovery.
+        const { publicKey, address } = this.keyDerivation.deriveFromXpub(mnemonicOrWif, '0/0')
+
+        walletInfo.watchOnly = true
+        walletInfo.xpub = mnemonicOrWif
+        walletInfo.publicKey = publicKey
+        walletInfo.xecAddress = address
+        walletInfo.hdPath = `${this.hdAccount.accountPath}/0/0`
+      } else if (!mnemonicOrWif) {
+        // No input. Generate a new mnemonic.
         // Generate new mnemonic using key derivation library
         const mnemonic = this._generateMnemonic()
-        const { privateKey, publicKey, address } = this._deriveFromMnemonic(mnemonic)
+        const { publicKey, address } = this._deriveFromMnemonic(mnemonic)
+
+        secrets.mnemonic = mnemonic
+        walletInfo.publicKey = publicKey
+        walletInfo.mnemonicLanguage = this.mnemonicLanguage
+        walletInfo.xecAddress = address
+        walletInfo.hdPath = this.hdPath
+      } else if (mnemonicLanguage) {
+        // Checked before the WIF heuristics, which a mnemonic can also match
+        const mnemonic = this.keyDerivation.normalizeMnemonic(mnemonicOrWif)
+        const { publicKey, address } = this._deriveFromMnemonic(mnemonic)
 
-        walletInfo.privateKey = privateKey
+        secrets.mnemonic = mnemonic
         walletInfo.publicKey = publicKey
-        walletInfo.mnemonic = mnemonic
+        walletInfo.mnemonicLanguage = mnemonicLanguage
         walletInfo.xecAddress = address
         walletInfo.hdPath = this.hdPath
       } else {
@@ -210,44 +729,44 @@ class MinimalXECWallet {
           }
 
           const { privateKey, publicKey, address, isCompressed, wif } = this._deriveFromWif(mnemonicOrWif)
-          walletInfo.privateKey = privateKey
+          secrets.privateKey = privateKey
+          secrets.wif = wif
           walletInfo.publicKey = publicKey
-          walletInfo.mnemonic = null
           walletInfo.xecAddress = address
           walletInfo.hdPath = null
           walletInfo.isCompressed = isCompressed
-          walletInfo.wif = wif
         } else if (mnemonicOrWif.length === 64 && /^[a-fA-F0-9]+$/.test(mnemonicOrWif)) {
           // Hex Private Key (64 characters, all hex)
           const { publicKey, address } = this._deriveFromWif(mnemonicOrWif)
-          walletInfo.privateKey = mnemonicOrWif
+          secrets.privateKey = mnemonicOrWif
           walletInfo.publicKey = publicKey
-          walletInfo.mnemonic = null
           walletInfo.xecAddress = address
           walletInfo.hdPath = null
         } else {
-          // 12-word Mnemonic
+          // Mnemonic with an unknown word or bad checksum. Derived as before so
+          // existing wallets keep working.
           const mnemonic = mnemonicOrWif
-          const { privateKey, publicKey, address } = this._deriveFromMnemonic(mnemonic)
+          const { publicKey, address } = this._deriveFromMnemonic(mnemonic)
 
-          walletInfo.privateKey = privateKey
+          secrets.mnemonic = mnemonic
           walletInfo.publicKey = publicKey
-          walletInfo.mnemonic = mnemonic
           walletInfo.xecAddress = address
           walletInfo.hdPath = this.hdPath
         }
       }
 
       // Encrypt the mnemonic if a password is provided.
-      if (this.advancedOptions.password && walletInfo.mnemonic) {
+      if (this.advancedOptions.password && secrets.mnemonic) {
         walletInfo.mnemonicEncrypted = this.encrypt(
-          walletInfo.mnemonic,
+          secrets.mnemonic,
           this.advancedOptions.password
         )
       }
 
       this.walletInfoCreated = true
       this.walletInfo = walletInfo
+      this.keySigner = walletInfo.watchOnly ? null : this._createKeySigner(secrets, walletInfo)
+      this._resetAutoLock()
 
       return walletInfo
     } catch (err) {
@@ -256,9 +775,9 @@ class MinimalXECWallet {
   }
 
   // Helper method to generate mnemonic
-  _generateMnemonic (strength = 128) {
+  _generateMnemonic (strength = this.mnemonicStrength, language = this.mnemonicLanguage) {
     try {
-      return this.keyDerivation.generateMnemonic(strength)
+      return this.keyDerivation.generateMnemonic(strength, language)
     } catch (err) {
       throw this._sanitizeError(err, 'Mnemonic generation failed')
     }
@@ -267,7 +786,7 @@ class MinimalXECWallet {
   // Helper method to derive keys from mnemonic
   _deriveFromMnemonic (mnemonic) {
     try {
-      return this.keyDerivation.deriveFromMnemonic(mnemonic, this.hdPath)
+      return this.keyDerivation.deriveFromMnemonic(mnemonic, this.hdPath, this.passphrase)
     } catch (err) {
       throw this._sanitizeError(err, 'HD derivation failed')
     }
@@ -317,216 +836,374 @@ class MinimalXECWallet {
       console.warn('WASM initialization incomplete, continuing with fallbacks')
     }
 
-    await this.utxos.initUtxoStore(this.walletInfo.xecAddress)
+    // HD wallets scan their account for every used address
+    if (this._getMnemonic() || this.walletInfo.xpub) {
+      await this.discoverAccount()
+    }
+
+    await this.utxos.initUtxoStore(this._getAccountAddresses())
 
     this.isInitialized = true
 
     return true
   }
 
-  // Encrypt the mnemonic of the wallet using secure key derivation.
-  encrypt (mnemonic, password) {
+  // Scan the receive and change chains of the wallet account for used
+  // addresses. The result is stored in walletInfo.addresses.
+  async discoverAccount () {
     try {
-      // Validate inputs
-      if (!mnemonic || typeof mnemonic !== 'string') {
-        throw new Error('Invalid mnemonic provided for encryption')
+      await this.walletInfoPromise
+      if (!this.walletInfo.xpub) {
+        this._assertUnlocked('discoverAccount()')
       }
-      if (!password || typeof password !== 'string' || password.length < 8) {
-        throw new Error('Password must be at least 8 characters long')
+
+      const keySource = this._getMnemonic() || this.walletInfo.xpub
+      if (!keySource) {
+        throw new Error('Account discovery requires a mnemonic or xpub wallet')
       }
 
-      // Generate a random salt
-      const salt = this.crypto.lib.WordArray.random(256 / 8)
+      const discovered = await this.hdAccount.discover(keySource)
 
-      // Use PBKDF2 for key derivation with 10000 iterations
-      const key = this.crypto.PBKDF2(password, salt, {
-        keySize: 256 / 32,
-        iterations: 10000
+      // The wallet address is always part of the account, even when unused or
+      // when hdPath points past index 0.
+      const addresses = discovered.filter(entry => entry.address !== this.walletInfo.xecAddress)
+      addresses.unshift({
+        address: this.walletInfo.xecAddress,
+        publicKey: this.walletInfo.publicKey,
+        hdPath: this.walletInfo.hdPath
       })
 
-      // Generate random IV
-      const iv = this.crypto.lib.WordArray.random(128 / 8)
-
-      // Encrypt with AES-256-CBC
-      const encrypted = this.crypto.AES.encrypt(mnemonic, key, {
-        iv: iv,
-        mode: this.crypto.mode.CBC,
-        padding: this.crypto.pad.Pkcs7
-      })
+      this.walletInfo.addresses = addresses
 
-      // Combine salt, IV, and encrypted data
-      const combined = {
-        salt: salt.toString(),
-        iv: iv.toString(),
-        encrypted: encrypted.toString()
+      if (this._getMnemonic() && !this.legacyDerivation) {
+        await this._checkLegacyFunds()
       }
 
-      return JSON.stringify(combined)
+      return addresses
     } catch (err) {
-      throw new Error(`Encryption failed: ${err.message}`)
+      throw this._sanitizeError(err, 'Account discovery failed')
     }
   }
 
-  // Decrypt the mnemonic of the wallet using secure key derivation.
-  decrypt (mnemonicEncrypted, password) {
-    try {
-      // Validate inputs
-      if (!mnemonicEncrypted || typeof mnemonicEncrypted !== 'string') {
-        throw new Error('Invalid encrypted data provided')
-      }
-      if (!password || typeof password !== 'string') {
-        throw new Error('Password is required for decryption')
-      }
-
-      // Check if it's the old CryptoJS format (starts with base64 "U2FsdGVkX1")
-      if (mnemonicEncrypted.startsWith('U2FsdGVkX1')) {
-        return this._decryptLegacyFormat(mnemonicEncrypted, password)
-      }
-
-      // Parse the new encrypted data format
-      let combined
-      try {
-        combined = JSON.parse(mnemonicEncrypted)
-      } catch (parseErr) {
-        throw new Error('Invalid encrypted data format')
-      }
+  // Releases before standard BIP32 derived the wallet address differently, so
+  // funds they received are not part of this account. Look up that address
+  // and refuse to go on while it holds funds, unless
+  // advancedOptions.ignoreLegacyFunds is set. History alone only warns. The
+  // address is stored in walletInfo.legacyAddress.
+  async _checkLegacyFunds () {
+    const legacy = new KeyDerivation({ legacyDerivation: true, network: this.network.name })
+    const { address } = legacy.deriveFromMnemonic(this._getMnemonic(), this.walletInfo.hdPath, this.passphrase)
+
+    this.walletInfo.legacyAddress = null
+    if (address === this.walletInfo.xecAddress) {
+      return null
+    }
 
-      if (!combined.salt || !combined.iv || !combined.encrypted) {
-        throw new Error('Encrypted data is missing required components')
-      }
+    const utxoData = await this.ar.getUtxos(address)
+    const hasFunds = !!(utxoData && Array.isArray(utxoData.utxos) && utxoData.utxos.length > 0)
+    if (!hasFunds && !(await this.hdAccount._isAddressUsed(address))) {
+      return null
+    }
 
-      // Recreate the key using the stored salt
-      const salt = this.crypto.enc.Hex.parse(combined.salt)
-      const key = this.crypto.PBKDF2(password, salt, {
-        keySize: 256 / 32,
-        iterations: 10000
-      })
+    this.walletInfo.legacyAddress = address
+    if (hasFunds && !this.advancedOptions.ignoreLegacyFunds) {
+      throw new LegacyFundsError(address)
+    }
 
-      // Parse IV
-      const iv = this.crypto.enc.Hex.parse(combined.iv)
+    console.warn(`Found ${hasFunds ? 'funds' : 'history'} on ${address}, derived the way releases before standard BIP32 did. ` +
+      'Create the wallet with { legacyDerivation: true } to spend them.')
 
-      // Decrypt
-      const decrypted = this.crypto.AES.decrypt(combined.encrypted, key, {
-        iv: iv,
-        mode: this.crypto.mode.CBC,
-        padding: this.crypto.pad.Pkcs7
-      })
+    return address
+  }
 
-      const mnemonic = decrypted.toString(this.crypto.enc.Utf8)
+  // Split the wallet mnemonic into SLIP-39 shares. Pass { threshold, shares }
+  // for a single N-of-M group, or { groupThreshold, groups } for groups.
+  async createSeedShares (options = {}) {
+    try {
+      await this.walletInfoPromise
+      this._assertCanSign('createSeedShares()', true)
 
+      const mnemonic = this._getMnemonic()
       if (!mnemonic) {
-        throw new Error('Decryption failed - wrong password or corrupted data')
+        throw new Error('Wallet does not have a mnemonic. Cannot create seed shares.')
       }
 
-      return mnemonic
+      return this.seedShares.split(mnemonic, options)
     } catch (err) {
-      throw new Error(`Decryption failed: ${err.message}`)
+      throw this._sanitizeError(err, 'Seed share creation failed')
     }
   }
 
-  // Decrypt legacy CryptoJS format for backward compatibility
-  _decryptLegacyFormat (mnemonicEncrypted, password) {
+  // Suggest valid mnemonics for a backup with misspelled, missing ('?') or
+  // swapped words. With checkHistory, candidates whose first address has
+  // been used on chain are listed first.
+  async recoverMnemonic (input, options = {}) {
     try {
-      // Use the old CryptoJS format decryption
-      const decrypted = this.crypto.AES.decrypt(mnemonicEncrypted, password)
-      const mnemonic = decrypted.toString(this.crypto.enc.Utf8)
+      const candidates = this.keyDerivation.recoverMnemonic(input, {
+        // Guess the language unless the wallet was configured with one
+        language: this.advancedOptions.mnemonicLanguage,
+        ...options
+      })
 
-      if (!mnemonic) {
-        throw new Error('Wrong password')
+      if (!options.checkHistory) {
+        return candidates
       }
 
-      return mnemonic
+      return await this.keyDerivation.rankRecoveryCandidates(candidates, this.ar, {
+        hdPath: this.hdPath,
+        passphrase: this.passphrase
+      })
     } catch (err) {
-      // Return specific error message for wrong password
-      if (err.message === 'Wrong password') {
-        throw err
-      }
-      throw new Error('Wrong password')
+      throw this._sanitizeError(err, 'Mnemonic recovery failed')
     }
   }
 
-  // Get the UTXO information for this wallet.
-  async getUtxos (xecAddress) {
+  // Export the account xpub, e.g. to set up a watch-only copy of this wallet.
+  async getAccountXpub () {
     try {
-      let addr = xecAddress
+      await this.walletInfoPromise
 
-      // Validate address if provided
-      if (xecAddress) {
-        this._validateAddress(xecAddress)
+      if (this.walletInfo.xpub) {
+        return this.walletInfo.xpub
       }
+      this._assertUnlocked('getAccountXpub()')
 
-      // If no address is passed in, but the wallet has been initialized, use the
-      // wallet's address.
-      if (!xecAddress && this.walletInfo && this.walletInfo.xecAddress) {
-        addr = this.walletInfo.xecAddress
-        await this.utxos.initUtxoStore(addr)
-        return this.ar.getUtxos(addr)
+      const mnemonic = this._getMnemonic()
+      if (!mnemonic) {
+        throw new Error('Wallet does not have a mnemonic. Cannot derive an xpub.')
       }
 
-      if (!addr) {
-        throw new Error('No address provided and wallet not initialized')
+      return this.keyDerivation.deriveXpub(mnemonic, this.hdAccount.accountPath, this.passphrase)
+    } catch (err) {
+      throw this._sanitizeError(err, 'Xpub export failed')
+    }
+  }
+
+  // Encrypt a mnemonic (or WIF/hex key) into a versioned scrypt + AES-256-GCM
+  // keystore. Returns the keystore as a JSON string.
+  encrypt (mnemonic, password) {
+    try {
+      // Validate inputs
+      if (!mnemonic || typeof mnemonic !== 'string') {
+        throw new Error('Invalid mnemonic provided for encryption')
       }
 
-      const utxos = await this.ar.getUtxos(addr)
-      return utxos
+      return this.keystore.encrypt(mnemonic, password)
     } catch (err) {
-      throw this._sanitizeError(err, 'Failed to get UTXOs')
+      throw new Error(`Encryption failed: ${err.message}`)
     }
   }
 
-  // Get the balance of the wallet in XEC.
-  async getXecBalance (inObj = {}) {
+  // Decrypt a keystore, or data encrypted by earlier releases in the
+  // `{salt, iv, encrypted}` or CryptoJS `U2FsdGVkX1` formats.
+  decrypt (mnemonicEncrypted, password) {
     try {
-      // Handle backward compatibility: if inObj is a string, treat it as xecAddress
-      let xecAddress
-      if (typeof inObj === 'string') {
-        xecAddress = inObj
-      } else {
-        xecAddress = inObj.xecAddress
+      // Validate inputs
+      if (!mnemonicEncrypted || typeof mnemonicEncrypted !== 'string') {
+        throw new Error('Invalid encrypted data provided')
       }
-      let addr = xecAddress
-
-      // Validate address if provided
-      if (xecAddress) {
-        this._validateAddress(xecAddress)
+      if (!password || typeof password !== 'string') {
+        throw new Error('Password is required for decryption')
       }
 
-      // If no address is passed in, but the wallet has been initialized, use the
-      // wallet's address.
-      if (!xecAddress && this.walletInfo && this.walletInfo.xecAddress) {
-        addr = this.walletInfo.xecAddress
-      }
+      return this.keystore.decrypt(mnemonicEncrypted, password).secret
+    } catch (err) {
+      throw new Error(`Decryption failed: ${err.message}`)
+    }
+  }
 
-      if (!addr) {
-        throw new Error('No address provided and wallet not initialized')
+  // Export the secret of this wallet (mnemonic, WIF or hex key) as a keystore.
+  exportKeystore (password) {
+    try {
+      if (!this.walletInfo || this.walletInfo.watchOnly) {
+        throw new WatchOnlyError('exportKeystore()')
       }
+      this._assertUnlocked('exportKeystore()')
 
-      const balances = await this.ar.getBalance(addr)
-      // Convert from satoshis to XEC (divide by 100, not 100,000,000 like BCH)
-      return (balances.balance.confirmed + balances.balance.unconfirmed) / 100
+      const { secret, type } = this.keySigner.exportSecret()
+      return this.keystore.encrypt(secret, password, type)
     } catch (err) {
-      throw this._sanitizeError(err, 'Failed to get XEC balance')
+      throw this._sanitizeError(err, 'Keystore export failed')
     }
   }
 
-  // Get detailed balance information including confirmed and unconfirmed amounts
-  async getDetailedBalance (inObj = {}) {
+  // Export the mnemonic of an HD wallet, e.g. to write down a backup
+  exportMnemonic () {
     try {
-      // Handle backward compatibility: if inObj is a string, treat it as xecAddress
-      let xecAddress
-      if (typeof inObj === 'string') {
-        xecAddress = inObj
-      } else {
-        xecAddress = inObj.xecAddress
+      if (!this.walletInfo || this.walletInfo.watchOnly) {
+        throw new WatchOnlyError('exportMnemonic()')
       }
-      let addr = xecAddress
+      this._assertUnlocked('exportMnemonic()')
 
-      // Validate address if provided
-      if (xecAddress) {
-        this._validateAddress(xecAddress)
+      const mnemonic = this._getMnemonic()
+      if (!mnemonic) {
+        throw new Error('Wallet does not have a mnemonic')
       }
 
-      // If no address is passed in, but the wallet has been initialized, use the
+      return mnemonic
+    } catch (err) {
+      throw this._sanitizeError(err, 'Mnemonic export failed')
+    }
+  }
+
+  // Re-encrypt a keystore or legacy encrypted data under a new password. Without
+  // `encrypted`, the wallet's own mnemonicEncrypted is changed in place.
+  changePassword (oldPassword, newPassword, encrypted) {
+    try {
+      const data = encrypted || (this.walletInfo && this.walletInfo.mnemonicEncrypted)
+      if (!data) {
+        throw new Error('No encrypted data to change the password of')
+      }
+
+      const keystore = this.keystore.changePassword(data, oldPassword, newPassword)
+
+      if (!encrypted) {
+        this.walletInfo.mnemonicEncrypted = keystore
+      }
+
+      return keystore
+    } catch (err) {
+      throw this._sanitizeError(err, 'Password change failed')
+    }
+  }
+
+  // Upgrade data encrypted by earlier releases to the current keystore format
+  migrateKeystore (encrypted, password) {
+    try {
+      return this.keystore.migrate(encrypted, password)
+    } catch (err) {
+      throw this._sanitizeError(err, 'Keystore migration failed')
+    }
+  }
+
+  // Lock the wallet. The secret is kept as a keystore under `password` and
+  // the key signer is destroyed, so signing throws a WalletLockedError until
+  // unlock(). The password may be left out once the wallet has been locked
+  // before, or when the wallet was created with the `password` option.
+  async lock (password) {
+    try {
+      await this.walletInfoPromise
+
+      if (this.walletInfo.watchOnly) {
+        throw new WatchOnlyError('lock()')
+      }
+      if (this.isLocked) {
+        return true
+      }
+
+      if (password) {
+        this.lockKeystore = this.exportKeystore(password)
+      } else if (!this.lockKeystore) {
+        if (this.walletInfo.mnemonicEncrypted) {
+          this.lockKeystore = this.walletInfo.mnemonicEncrypted
+        } else if (this.advancedOptions.password) {
+          this.lockKeystore = this.exportKeystore(this.advancedOptions.password)
+        } else {
+          throw new Error('A password is required to lock this wallet')
+        }
+      }
+
+      // Overwrite the secret and any derived key
+      this.keySigner.destroy()
+      this.keySigner = null
+
+      this.isLocked = true
+      this._resetAutoLock()
+
+      return true
+    } catch (err) {
+      throw this._sanitizeError(err, 'Wallet lock failed')
+    }
+  }
+
+  // Restore the keys of a locked wallet from its keystore
+  async unlock (password) {
+    try {
+      await this.walletInfoPromise
+
+      if (!this.isLocked) {
+        return true
+      }
+
+      const { secret, type } = this.keystore.decrypt(this.lockKeystore, password)
+      const keyData = type === 'mnemonic'
+        ? this._deriveFromMnemonic(secret)
+        : this._deriveFromWif(secret)
+
+      if (keyData.address !== this.walletInfo.xecAddress) {
+        throw new Error('Keystore does not belong to this wallet')
+      }
+
+      const secrets = type === 'mnemonic'
+        ? { mnemonic: secret }
+        : { privateKey: type === 'hex' ? secret : keyData.privateKey }
+      if (type === 'wif') {
+        secrets.wif = secret
+      }
+      this.keySigner = this._createKeySigner(secrets)
+
+      this.isLocked = false
+      this._resetAutoLock()
+
+      return true
+    } catch (err) {
+      throw this._sanitizeError(err, 'Wallet unlock failed')
+    }
+  }
+
+  // Get the UTXO information for this wallet.
+  async getUtxos (xecAddress) {
+    try {
+      const addr = xecAddress
+
+      // Validate address if provided
+      if (xecAddress) {
+        this._validateAddress(xecAddress)
+      }
+
+      // If no address is passed in, but the wallet has been initialized, use the
+      // wallet's address.
+      if (!xecAddress && this.walletInfo && this.walletInfo.xecAddress) {
+        const addresses = this._getAccountAddresses()
+        await this.utxos.initUtxoStore(addresses)
+
+        if (addresses.length === 1) {
+          return this.ar.getUtxos(addresses[0])
+        }
+
+        // Merged UTXOs of the whole account, tagged with their address
+        return { success: true, utxos: this.utxos.utxoStore.xecUtxos }
+      }
+
+      if (!addr) {
+        throw new Error('No address provided and wallet not initialized')
+      }
+
+      const utxos = await this.ar.getUtxos(addr)
+      return utxos
+    } catch (err) {
+      throw this._sanitizeError(err, 'Failed to get UTXOs')
+    }
+  }
+
+  // Get the balance of the wallet in XEC.
+  async getXecBalance (inObj = {}) {
+    try {
+      // Handle backward compatibility: if inObj is a string, treat it as xecAddress
+      let xecAddress
+      if (typeof inObj === 'string') {
+        xecAddress = inObj
+      } else {
+        xecAddress = inObj.xecAddress
+      }
+      let addr = xecAddress
+
+      // Validate address if provided
+      if (xecAddress) {
+        this._validateAddress(xecAddress)
+      }
+
+      // If no address is passed in, but the wallet has been initialized, use the
       // wallet's address.
       if (!xecAddress && this.walletInfo && this.walletInfo.xecAddress) {
         addr = this.walletInfo.xecAddress
@@ -536,28 +1213,129 @@ class MinimalXECWallet {
         throw new Error('No address provided and wallet not initialized')
       }
 
-      const balances = await this.ar.getBalance(addr)
+      // Without an explicit address, report the balance of the whole account
+      const balances = xecAddress
+        ? await this.ar.getBalance(addr)
+        : await this._getAccountBalance()
+      const sats = balances.balance.confirmed + balances.balance.unconfirmed
+      if (inObj.asAmount) {
+        return XecAmount.fromSats(sats)
+      }
 
       // Convert from satoshis to XEC (divide by 100, not 100,000,000 like BCH)
-      const confirmed = balances.balance.confirmed / 100
-      const unconfirmed = balances.balance.unconfirmed / 100
-      const total = confirmed + unconfirmed
+      return sats / 100
+    } catch (err) {
+      throw this._sanitizeError(err, 'Failed to get XEC balance')
+    }
+  }
 
-      return {
-        confirmed,
-        unconfirmed,
+  // Get detailed balance information including confirmed and unconfirmed amounts
+  async getDetailedBalance (inObj = {}) {
+    try {
+      // Handle backward compatibility: if inObj is a string, treat it as xecAddress
+      let xecAddress
+      if (typeof inObj === 'string') {
+        xecAddress = inObj
+      } else {
+        xecAddress = inObj.xecAddress
+      }
+      let addr = xecAddress
+
+      // Validate address if provided
+      if (xecAddress) {
+        this._validateAddress(xecAddress)
+      }
+
+      // If no address is passed in, but the wallet has been initialized, use the
+      // wallet's address.
+      if (!xecAddress && this.walletInfo && this.walletInfo.xecAddress) {
+        addr = this.walletInfo.xecAddress
+      }
+
+      if (!addr) {
+        throw new Error('No address provided and wallet not initialized')
+      }
+
+      // Without an explicit address, report the balance of the whole account
+      const balances = xecAddress
+        ? await this.ar.getBalance(addr)
+        : await this._getAccountBalance()
+
+      const total = balances.balance.confirmed + balances.balance.unconfirmed
+
+      // Avalanche finality is only reported per UTXO
+      const finalized = Math.min(
+        await this._getFinalizedSats(xecAddress ? [addr] : this._getAccountAddresses()),
+        total
+      )
+
+      const satoshis = {
+        confirmed: balances.balance.confirmed,
+        unconfirmed: balances.balance.unconfirmed,
         total,
-        satoshis: {
-          confirmed: balances.balance.confirmed,
-          unconfirmed: balances.balance.unconfirmed,
-          total: balances.balance.confirmed + balances.balance.unconfirmed
-        }
+        finalized,
+        nonFinal: total - finalized
+      }
+
+      // Convert from satoshis to XEC (divide by 100, not 100,000,000 like BCH)
+      const toXec = inObj.asAmount ? sats => XecAmount.fromSats(sats) : sats => sats / 100
+
+      return {
+        confirmed: toXec(satoshis.confirmed),
+        unconfirmed: toXec(satoshis.unconfirmed),
+        total: toXec(satoshis.total),
+        finalized: toXec(satoshis.finalized),
+        nonFinal: toXec(satoshis.nonFinal),
+        satoshis
       }
     } catch (err) {
       throw this._sanitizeError(err, 'Failed to get detailed balance')
     }
   }
 
+  // Get the Avalanche and block status of a transaction: 'mempool',
+  // 'finalized', 'confirmed' (with its depth), 'conflicted' or 'unknown'.
+  // Pass options.hex, the signed transaction, to tell a double spend apart
+  // from a transaction the endpoint has not indexed yet.
+  async getTxStatus (txid, options = {}) {
+    try {
+      if (typeof txid !== 'string' || !/^[0-9a-f]{64}$/i.test(txid)) {
+        throw new Error('Invalid txid. Use a 64 character hex string')
+      }
+
+      return await this.ar.getTxStatus(txid, { hex: options.hex })
+    } catch (err) {
+      throw this._sanitizeError(err, 'Failed to get transaction status')
+    }
+  }
+
+  // Resolve with the status of a transaction once Avalanche finalizes it,
+  // which takes a few seconds. A transaction not indexed yet is polled until
+  // options.timeout, then a FinalityTimeoutError is thrown. Throws a
+  // TxConflictedError if its inputs are spent by another transaction, or if
+  // it disappears after being seen.
+  async waitForFinality (txid, options = {}) {
+    const { timeout = 60000, interval = 1000, hex } = options
+    const deadline = Date.now() + timeout
+    let seen = false
+
+    for (;;) {
+      const status = await this.getTxStatus(txid, { hex })
+      if (status.isFinal) {
+        return status
+      }
+      if (status.status === 'conflicted' || (status.status === 'unknown' && seen)) {
+        throw new TxConflictedError(txid)
+      }
+      seen = seen || status.status !== 'unknown'
+      if (Date.now() + interval > deadline) {
+        throw new FinalityTimeoutError(txid, timeout)
+      }
+
+      await new Promise(resolve => setTimeout(resolve, interval))
+    }
+  }
+
   // Get transactions associated with the wallet.
   async getTransactions (xecAddress, sortingOrder = 'DESCENDING') {
     let addr = xecAddress
@@ -565,6 +1343,11 @@ class MinimalXECWallet {
     // If no address is passed in, but the wallet has been initialized, use the
     // wallet's address.
     if (!xecAddress && this.walletInfo && this.walletInfo.xecAddress) {
+      const addresses = this._getAccountAddresses()
+      if (addresses.length > 1) {
+        return this._getAccountTransactions(addresses, sortingOrder)
+      }
+
       addr = this.walletInfo.xecAddress
     }
 
@@ -572,58 +1355,74 @@ class MinimalXECWallet {
     return data.transactions
   }
 
+  // Private method to merge the history of several addresses. A transaction
+  // between two addresses of the account is only listed once.
+  async _getAccountTransactions (addresses, sortingOrder) {
+    const results = await Promise.all(
+      addresses.map(address => this.ar.getTransactions(address, sortingOrder))
+    )
+
+    const byTxid = new Map()
+    for (const result of results) {
+      for (const tx of result.transactions) {
+        byTxid.set(tx.txid, tx)
+      }
+    }
+
+    // Same ordering as the adapter router: unconfirmed first when descending
+    const direction = sortingOrder === 'DESCENDING' ? 1 : -1
+    return [...byTxid.values()].sort((a, b) => {
+      if (!a.block && !b.block) return 0
+      if (!a.block) return -direction
+      if (!b.block) return direction
+      return direction * (b.block.height - a.block.height)
+    })
+  }
+
   // Get transaction data for up to 20 TXIDs.
   async getTxData (txids = []) {
     const data = await this.ar.getTxData(txids)
     return data
   }
 
-  // Send XEC. Returns a promise that resolves into a TXID.
-  async sendXec (outputs) {
+  // Send XEC. Returns a promise that resolves into a TXID. options.coinSelection
+  // overrides the coin selection strategy and options.satsPerByte the fee rate
+  // for this send. options.utxos spends exactly those UTXOs instead.
+  async sendXec (outputs, options = {}) {
     try {
       // Wait for wallet to be initialized
       await this.walletInfoPromise
+      this._assertCanSign('sendXec()')
 
       if (!this.isInitialized) {
         await this.initialize()
       }
 
       // Get XEC UTXOs - prefer non-token UTXOs to prevent accidental token burning
-      const xecOnlyUtxos = this.utxos.utxoStore.xecUtxos.filter(utxo => !utxo.token)
+      const xecOnlyUtxos = options.utxos
+        ? this._getChosenXecUtxos(options.utxos)
+        : this.utxos.getUnfrozenUtxos().filter(utxo => !utxo.token)
 
       // If no pure XEC UTXOs available, provide helpful error
       if (xecOnlyUtxos.length === 0) {
-        const tokenUtxoCount = this.utxos.utxoStore.xecUtxos.filter(utxo => utxo.token).length
+        const tokenUtxoCount = this.utxos.getUnfrozenUtxos().filter(utxo => utxo.token).length
         throw new Error(`No pure XEC UTXOs available for transaction. All ${tokenUtxoCount} UTXOs contain tokens. To send XEC, first run wallet.optimize() to consolidate UTXOs and create pure XEC UTXOs, or use sendETokens() if you want to send tokens instead.`)
       }
 
-      return await this.sendXecLib.sendXec(
+      return await this._spendWithChange(walletInfo => this.sendXecLib.sendXec(
         outputs,
-        {
-          mnemonic: this.walletInfo.mnemonic,
-          xecAddress: this.walletInfo.xecAddress,
-          hdPath: this.walletInfo.hdPath,
-          fee: this.fee,
-          privateKey: this.walletInfo.privateKey,
-          publicKey: this.walletInfo.publicKey
-        },
+        walletInfo,
         xecOnlyUtxos
-      )
+      ), options)
     } catch (err) {
       throw this._sanitizeError(err, 'XEC send failed')
     }
   }
 
-  // Send eTokens. Returns a promise that resolves into a TXID.
-  async sendETokens (tokenId, outputs, satsPerByte = this.fee) {
+  // Send eTokens. Returns a promise that resolves into a TXID. options.utxos
+  // spends exactly those UTXOs, which may hold this token or only XEC.
+  async sendETokens (tokenId, outputs, satsPerByte = this.fee, options = {}) {
     try {
-      // Wait for wallet to be initialized
-      await this.walletInfoPromise
-
-      if (!this.isInitialized) {
-        await this.initialize()
-      }
-
       // Validate inputs
       if (!tokenId || typeof tokenId !== 'string') {
         throw new Error('Token ID is required and must be a string')
@@ -633,35 +1432,39 @@ class MinimalXECWallet {
         throw new Error('Outputs array is required and cannot be empty')
       }
 
+      // Wait for wallet to be initialized
+      await this.walletInfoPromise
+      this._assertCanSign('sendETokens()')
+
+      if (!this.isInitialized) {
+        await this.initialize()
+      }
+
       // Ensure UTXOs are loaded before token operations
       if (!this.utxos || !this.utxos.utxoStore || !Array.isArray(this.utxos.utxoStore.xecUtxos)) {
         throw new Error('Wallet UTXOs not loaded. Try calling initialize() first.')
       }
 
       // Use hybrid token manager for protocol detection and routing
-      return await this.hybridTokens.sendTokens(
+      const utxos = this._getTokenSpendUtxos(tokenId, options)
+      return await this._spendWithChange(walletInfo => this.hybridTokens.sendTokens(
         tokenId,
         outputs,
-        {
-          mnemonic: this.walletInfo.mnemonic,
-          xecAddress: this.walletInfo.xecAddress,
-          hdPath: this.walletInfo.hdPath,
-          fee: this.fee,
-          privateKey: this.walletInfo.privateKey,
-          publicKey: this.walletInfo.publicKey
-        },
-        this.utxos.utxoStore.xecUtxos,
+        walletInfo,
+        utxos,
         satsPerByte
-      )
+      ), options)
     } catch (err) {
       throw this._sanitizeError(err, 'eToken send failed')
     }
   }
 
-  // Send all XEC to an address
-  async sendAllXec (toAddress) {
+  // Send all XEC to an address. options.satsPerByte overrides the fee rate and
+  // options.utxos sweeps only those UTXOs.
+  async sendAllXec (toAddress, options = {}) {
     try {
       await this.walletInfoPromise
+      this._assertCanSign('sendAllXec()')
 
       if (!this.isInitialized) {
         await this.initialize()
@@ -669,15 +1472,8 @@ class MinimalXECWallet {
 
       return await this.sendXecLib.sendAllXec(
         toAddress,
-        {
-          mnemonic: this.walletInfo.mnemonic,
-          xecAddress: this.walletInfo.xecAddress,
-          hdPath: this.walletInfo.hdPath,
-          fee: this.fee,
-          privateKey: this.walletInfo.privateKey,
-          publicKey: this.walletInfo.publicKey
-        },
-        this.utxos.utxoStore.xecUtxos
+        this._applySpendOptions(this._getSigningWalletInfo(), options),
+        options.utxos ? this._getChosenXecUtxos(options.utxos) : this.utxos.getUnfrozenUtxos()
       )
     } catch (err) {
       console.error('Error in sendAllXec():', err.message)
@@ -686,37 +1482,265 @@ class MinimalXECWallet {
   }
 
   // Send OP_RETURN transaction
-  async sendOpReturn (msg = '', prefix = '6d02', xecOutput = [], satsPerByte = 1.0) {
+  async sendOpReturn (msg = '', prefix = '6d02', xecOutput = [], satsPerByte = 1.0, options = {}) {
     try {
       await this.walletInfoPromise
+      this._assertCanSign('sendOpReturn()')
 
       if (!this.isInitialized) {
         await this.initialize()
       }
 
       // Get XEC UTXOs for OP_RETURN - prefer non-token UTXOs to prevent accidental token burning
-      const xecOnlyUtxos = this.utxos.utxoStore.xecUtxos.filter(utxo => !utxo.token)
+      const xecOnlyUtxos = options.utxos
+        ? this._getChosenXecUtxos(options.utxos)
+        : this.utxos.getUnfrozenUtxos().filter(utxo => !utxo.token)
 
       // If no pure XEC UTXOs available, provide helpful error
       if (xecOnlyUtxos.length === 0) {
-        const tokenUtxoCount = this.utxos.utxoStore.xecUtxos.filter(utxo => utxo.token).length
+        const tokenUtxoCount = this.utxos.getUnfrozenUtxos().filter(utxo => utxo.token).length
         throw new Error(`No pure XEC UTXOs available for OP_RETURN transaction. All ${tokenUtxoCount} UTXOs contain tokens. To send OP_RETURN, first run wallet.optimize() to consolidate UTXOs and create pure XEC UTXOs.`)
       }
 
-      return await this.opReturn.sendOpReturn(
-        this.walletInfo,
+      return await this._spendWithChange(walletInfo => this.opReturn.sendOpReturn(
+        walletInfo,
         xecOnlyUtxos,
         msg,
         prefix,
         xecOutput,
         satsPerByte
-      )
+      ), options)
     } catch (err) {
       console.error('Error in sendOpReturn():', err.message)
       throw this._sanitizeError(err, 'OP_RETURN send failed')
     }
   }
 
+  // Preview an XEC send. Builds and signs the transaction like sendXec() but
+  // does not broadcast it. Returns { hex, fee, satsPerByte, inputs, outputs,
+  // change, ... }; pass the hex to broadcast() once the user confirms.
+  async previewSendXec (outputs, options = {}) {
+    try {
+      await this.walletInfoPromise
+      this._assertCanSign('previewSendXec()')
+
+      if (!this.isInitialized) {
+        await this.initialize()
+      }
+
+      const utxos = this._getXecOnlyUtxos(options)
+      return await this._previewSpend(
+        walletInfo => this.sendXecLib.createTransaction(outputs, walletInfo, utxos),
+        utxos,
+        { kind: 'xec', outputCount: Array.isArray(outputs) ? outputs.length : 1 },
+        options
+      )
+    } catch (err) {
+      throw this._sanitizeError(err, 'XEC send preview failed')
+    }
+  }
+
+  // Preview sending all XEC to an address, see previewSendXec()
+  async previewSendAllXec (toAddress, options = {}) {
+    try {
+      await this.walletInfoPromise
+      this._assertCanSign('previewSendAllXec()')
+
+      if (!this.isInitialized) {
+        await this.initialize()
+      }
+
+      const utxos = options.utxos ? this._getChosenXecUtxos(options.utxos) : this.utxos.getUnfrozenUtxos()
+      return await this._previewSpend(
+        walletInfo => this.sendXecLib.createSendAllTx(toAddress, walletInfo, utxos),
+        utxos,
+        { kind: 'send-all', outputCount: 1 },
+        options
+      )
+    } catch (err) {
+      throw this._sanitizeError(err, 'Send all XEC preview failed')
+    }
+  }
+
+  // Preview an eToken send, see previewSendXec(). The token field reports the
+  // token change.
+  async previewSendETokens (tokenId, outputs, satsPerByte = this.fee, options = {}) {
+    try {
+      if (!tokenId || typeof tokenId !== 'string') {
+        throw new Error('Token ID is required and must be a string')
+      }
+
+      if (!Array.isArray(outputs) || outputs.length === 0) {
+        throw new Error('Outputs array is required and cannot be empty')
+      }
+
+      await this.walletInfoPromise
+      this._assertCanSign('previewSendETokens()')
+
+      if (!this.isInitialized) {
+        await this.initialize()
+      }
+
+      const utxos = this._getTokenSpendUtxos(tokenId, options)
+      return await this._previewSpend(
+        walletInfo => this.hybridTokens.createSendTransaction(tokenId, outputs, walletInfo, utxos, satsPerByte),
+        utxos,
+        // OP_RETURN and one output per recipient
+        { kind: 'etoken', outputCount: 1 + outputs.length },
+        options
+      )
+    } catch (err) {
+      throw this._sanitizeError(err, 'eToken send preview failed')
+    }
+  }
+
+  // Preview an eToken burn, see previewSendXec()
+  async previewBurnETokens (tokenId, amount, satsPerByte = this.fee) {
+    try {
+      if (!tokenId || typeof tokenId !== 'string') {
+        throw new Error('Token ID is required and must be a string')
+      }
+
+      if (!amount || typeof amount !== 'number' || amount <= 0) {
+        throw new Error('Amount is required and must be a positive number')
+      }
+
+      await this.walletInfoPromise
+      this._assertCanSign('previewBurnETokens()')
+
+      if (!this.isInitialized) {
+        await this.initialize()
+      }
+
+      const utxos = this.utxos.getUnfrozenUtxos()
+      return await this._previewSpend(
+        walletInfo => this.hybridTokens.createBurnTransaction(tokenId, amount, walletInfo, utxos, satsPerByte),
+        utxos,
+        { kind: 'etoken-burn', outputCount: 1 }
+      )
+    } catch (err) {
+      throw this._sanitizeError(err, 'eToken burn preview failed')
+    }
+  }
+
+  // Preview an OP_RETURN transaction, see previewSendXec()
+  async previewSendOpReturn (msg = '', prefix = '6d02', xecOutput = [], satsPerByte = 1.0, options = {}) {
+    try {
+      await this.walletInfoPromise
+      this._assertCanSign('previewSendOpReturn()')
+
+      if (!this.isInitialized) {
+        await this.initialize()
+      }
+
+      const utxos = this._getXecOnlyUtxos(options)
+      return await this._previewSpend(
+        walletInfo => this.opReturn.createOpReturnTx(walletInfo, utxos, msg, prefix, xecOutput, satsPerByte),
+        utxos,
+        // OP_RETURN and the XEC outputs
+        { kind: 'op-return', outputCount: 1 + xecOutput.length },
+        options
+      )
+    } catch (err) {
+      throw this._sanitizeError(err, 'OP_RETURN preview failed')
+    }
+  }
+
+  // Build an unsigned XEC send for offline signing. Works on watch-only
+  // wallets. Returns a package (JSON) for signTxPackage().
+  async createXecTxPackage (outputs, options = {}) {
+    try {
+      await this.walletInfoPromise
+
+      if (!this.isInitialized) {
+        await this.initialize()
+      }
+
+      const utxos = this._getXecOnlyUtxos(options)
+      const walletInfo = this._getUnsignedWalletInfo(options)
+      const hex = await this.sendXecLib.createTransaction(outputs, walletInfo, utxos)
+
+      return this.offlineSigning.createPackage(hex, utxos, { kind: 'xec', walletInfo })
+    } catch (err) {
+      throw this._sanitizeError(err, 'XEC package creation failed')
+    }
+  }
+
+  // Build an unsigned eToken send for offline signing
+  async createETokenTxPackage (tokenId, outputs, satsPerByte = this.fee, options = {}) {
+    try {
+      if (!tokenId || typeof tokenId !== 'string') {
+        throw new Error('Token ID is required and must be a string')
+      }
+
+      if (!Array.isArray(outputs) || outputs.length === 0) {
+        throw new Error('Outputs array is required and cannot be empty')
+      }
+
+      await this.walletInfoPromise
+
+      if (!this.isInitialized) {
+        await this.initialize()
+      }
+
+      const utxos = this._getTokenSpendUtxos(tokenId, options)
+      const walletInfo = this._getUnsignedWalletInfo(options)
+      const { hex, token } = await this.hybridTokens.createSendTransaction(
+        tokenId,
+        outputs,
+        walletInfo,
+        utxos,
+        satsPerByte
+      )
+
+      return this.offlineSigning.createPackage(hex, utxos, { kind: 'etoken', token, walletInfo })
+    } catch (err) {
+      throw this._sanitizeError(err, 'eToken package creation failed')
+    }
+  }
+
+  // Build an unsigned OP_RETURN transaction for offline signing
+  async createOpReturnTxPackage (msg = '', prefix = '6d02', xecOutput = [], satsPerByte = 1.0, options = {}) {
+    try {
+      await this.walletInfoPromise
+
+      if (!this.isInitialized) {
+        await this.initialize()
+      }
+
+      const utxos = this._getXecOnlyUtxos(options)
+      const walletInfo = this._getUnsignedWalletInfo(options)
+      const hex = await this.opReturn.createOpReturnTx(walletInfo, utxos, msg, prefix, xecOutput, satsPerByte)
+
+      return this.offlineSigning.createPackage(hex, utxos, { kind: 'op-return', walletInfo })
+    } catch (err) {
+      throw this._sanitizeError(err, 'OP_RETURN package creation failed')
+    }
+  }
+
+  // Re-check a package before signing it. Returns the inputs, the outputs
+  // with the addresses they pay, the fee and the fee rate.
+  verifyTxPackage (txPackage) {
+    try {
+      return this.offlineSigning.verifyPackage(txPackage)
+    } catch (err) {
+      throw this._sanitizeError(err, 'Package verification failed')
+    }
+  }
+
+  // Verify and sign a package with the wallet keys, e.g. on an offline
+  // machine. Returns signed hex for broadcast({ hex, txPackage }).
+  async signTxPackage (txPackage) {
+    try {
+      await this.walletInfoPromise
+      this._assertCanSign('signTxPackage()')
+
+      return await this.offlineSigning.signPackage(txPackage, this._getSigningWalletInfo())
+    } catch (err) {
+      throw this._sanitizeError(err, 'Package signing failed')
+    }
+  }
+
   // Validate if a UTXO is still spendable
   async utxoIsValid (utxo) {
     try {
@@ -730,13 +1754,15 @@ class MinimalXECWallet {
   async getKeyPair (hdIndex = 0) {
     try {
       await this.walletInfoPromise
+      this._assertUnlocked('getKeyPair()')
 
-      if (!this.walletInfo.mnemonic) {
+      const mnemonic = this._getMnemonic()
+      if (!mnemonic) {
         throw new Error('Wallet does not have a mnemonic. Cannot generate key pair.')
       }
 
-      const customPath = `m/44'/899'/0'/0/${hdIndex}`
-      const keyData = this.keyDerivation.deriveFromMnemonic(this.walletInfo.mnemonic, customPath)
+      const customPath = `${this.hdAccount.accountPath}/0/${hdIndex}`
+      const keyData = this.keyDerivation.deriveFromMnemonic(mnemonic, customPath, this.passphrase)
 
       return {
         hdIndex,
@@ -749,15 +1775,82 @@ class MinimalXECWallet {
     }
   }
 
+  // Freeze a UTXO so that no send, preview or consolidation spends it, e.g.
+  // a suspected dust attack. Takes { txid, outIdx }, a UTXO or 'txid:outIdx'.
+  // Frozen outpoints are kept in advancedOptions.storage.
+  async freezeUtxo (outpoint) {
+    try {
+      return await this.utxos.freezeUtxo(outpoint)
+    } catch (err) {
+      throw this._sanitizeError(err, 'Failed to freeze UTXO')
+    }
+  }
+
+  // Make a frozen UTXO spendable again. Resolves to false when it was not
+  // frozen.
+  async unfreezeUtxo (outpoint) {
+    try {
+      return await this.utxos.unfreezeUtxo(outpoint)
+    } catch (err) {
+      throw this._sanitizeError(err, 'Failed to unfreeze UTXO')
+    }
+  }
+
+  // List the frozen outpoints as { txid, outIdx, sats, address }
+  async listFrozenUtxos () {
+    try {
+      return await this.utxos.listFrozenUtxos()
+    } catch (err) {
+      throw this._sanitizeError(err, 'Failed to list frozen UTXOs')
+    }
+  }
+
   // Optimize wallet by consolidating UTXOs
   async optimize (dryRun = false) {
     try {
+      // A dry run only reports what would be consolidated
+      if (!dryRun) {
+        await this.walletInfoPromise
+        this._assertCanSign('optimize()')
+      }
+
       return await this.consolidateUtxos.start({ dryRun })
     } catch (err) {
       throw this._sanitizeError(err, 'UTXO optimization failed')
     }
   }
 
+  // Pay a batch of CSV or JSON rows in as few transactions as the limits
+  // allow. Running the same batch again resumes it without paying any row
+  // twice. A dry run only validates and chunks the rows.
+  async payBatch (input, options = {}) {
+    try {
+      if (options.dryRun) {
+        return this.batchPayouts.getReport(this.batchPayouts.plan(input, options))
+      }
+
+      await this.walletInfoPromise
+      this._assertCanSign('payBatch()')
+
+      if (!this.isInitialized) {
+        await this.initialize()
+      }
+
+      return await this.batchPayouts.run(input, options)
+    } catch (err) {
+      throw this._sanitizeError(err, 'Batch payout failed')
+    }
+  }
+
+  // Reconciliation report of a batch payout, or null for an unknown ID
+  async getBatchPayout (id) {
+    try {
+      return await this.batchPayouts.get(id)
+    } catch (err) {
+      throw this._sanitizeError(err, 'Batch payout query failed')
+    }
+  }
+
   // Get public key for address
   async getPubKey (addr) {
     try {
@@ -767,15 +1860,167 @@ class MinimalXECWallet {
     }
   }
 
-  // Broadcast transaction hex
+  // Sign a message to prove control of an address. The primary address signs
+  // by default; hdIndex picks another receive address of a mnemonic wallet.
+  async signMessage (message, hdIndex) {
+    try {
+      await this.walletInfoPromise
+      this._assertCanSign('signMessage()', true)
+
+      if (hdIndex !== undefined && !this._getMnemonic()) {
+        throw new Error('Wallet does not have a mnemonic. Cannot sign with an HD index.')
+      }
+
+      const privateKey = hdIndex !== undefined
+        ? this._getPrivateKey(`${this.hdAccount.accountPath}/0/${hdIndex}`)
+        : this._getPrivateKey()
+
+      return this.keyDerivation.signMessage(message, privateKey)
+    } catch (err) {
+      throw this._sanitizeError(err, 'Message signing failed')
+    }
+  }
+
+  // Check a signature made by this or any other eCash wallet
+  verifyMessage (address, message, signature) {
+    try {
+      this._validateAddress(address)
+      return this.keyDerivation.verifyMessage(address, message, signature)
+    } catch (err) {
+      throw this._sanitizeError(err, 'Message verification failed')
+    }
+  }
+
+  // Private method to get the multisig configured in advancedOptions
+  _getMultisig () {
+    if (!this.multisig) {
+      throw new Error('Wallet is not configured for multisig')
+    }
+
+    return this.multisig
+  }
+
+  // Private method to pick the key this wallet cosigns with: the primary key,
+  // or the key at the multisig path of the account when xpubs are used.
+  _getMultisigPrivateKey () {
+    const multisig = this._getMultisig()
+
+    if (!multisig.publicKeys.includes(this.walletInfo.publicKey) && this._getMnemonic()) {
+      return this._getPrivateKey(`${this.hdAccount.accountPath}/${multisig.path}`)
+    }
+
+    return this._getPrivateKey()
+  }
+
+  // Get the P2SH address of the multisig
+  getMultisigAddress () {
+    try {
+      return this._getMultisig().address
+    } catch (err) {
+      throw this._sanitizeError(err, 'Multisig address query failed')
+    }
+  }
+
+  // Build an unsigned spend from the multisig address. Returns a signing
+  // package (JSON) to pass around the cosigners.
+  async createMultisigTx (outputs, satsPerByte = this.fee) {
+    try {
+      return await this._getMultisig().createTransaction(outputs, satsPerByte)
+    } catch (err) {
+      throw this._sanitizeError(err, 'Multisig transaction creation failed')
+    }
+  }
+
+  // Add this wallet's signatures to a multisig signing package
+  async signMultisigTx (signingPackage) {
+    try {
+      await this.walletInfoPromise
+      this._assertCanSign('signMultisigTx()', true)
+
+      return this._getMultisig().signTransaction(signingPackage, this._getMultisigPrivateKey())
+    } catch (err) {
+      throw this._sanitizeError(err, 'Multisig signing failed')
+    }
+  }
+
+  // Turn a package with enough signatures into transaction hex for broadcast()
+  finalizeMultisigTx (signingPackage) {
+    try {
+      return this._getMultisig().finalizeTransaction(signingPackage)
+    } catch (err) {
+      throw this._sanitizeError(err, 'Multisig finalization failed')
+    }
+  }
+
+  // Describe a CLTV or CSV timelock paying publicKey, or this wallet when
+  // omitted. Keep the result: it is needed to unlock the funds.
+  async createTimelock (options = {}) {
+    try {
+      await this.walletInfoPromise
+
+      return this.timelocks.create({
+        ...options,
+        publicKey: options.publicKey || this.walletInfo.publicKey
+      })
+    } catch (err) {
+      throw this._sanitizeError(err, 'Timelock creation failed')
+    }
+  }
+
+  // Pay amountSat into a timelock with sendXec(). Returns the TXID.
+  async lockXec (timelock, amountSat, options = {}) {
+    try {
+      this.timelocks.validate(timelock)
+
+      return await this.sendXec([{ address: timelock.address, amountSat }], options)
+    } catch (err) {
+      throw this._sanitizeError(err, 'Timelock funding failed')
+    }
+  }
+
+  // Spend every unlocked output of a timelock this wallet holds the key of,
+  // to options.toAddress or the wallet address. Returns the TXID.
+  async unlockXec (timelock, options = {}) {
+    try {
+      await this.walletInfoPromise
+      this._assertCanSign('unlockXec()')
+
+      const hex = await this.timelocks.createUnlockTransaction(
+        timelock,
+        this._getSigningWalletInfo(),
+        options.toAddress || this.walletInfo.xecAddress,
+        options.satsPerByte !== undefined ? options.satsPerByte : this.fee
+      )
+
+      return await this.ar.sendTx(hex)
+    } catch (err) {
+      throw this._sanitizeError(err, 'Timelock unlock failed')
+    }
+  }
+
+  // Broadcast transaction hex. Pass the txPackage it was signed from to
+  // check that the signed transaction still matches it.
   async broadcast (inObj = {}) {
     try {
-      const { hex } = inObj
+      const { hex, txPackage } = inObj
       if (!hex) {
         throw new Error('Transaction hex is required')
       }
 
-      return await this.ar.sendTx(hex)
+      if (txPackage) {
+        this.offlineSigning.verifySignedTx(txPackage, hex)
+      }
+
+      const txid = await this.ar.sendTx(hex)
+
+      // A broadcast preview has now used its change address
+      const changeEntry = this.previewChange.get(hex)
+      if (changeEntry) {
+        this._markChangeUsed(changeEntry)
+        this.previewChange.delete(hex)
+      }
+
+      return txid
     } catch (err) {
       throw this._sanitizeError(err, 'Transaction broadcast failed')
     }
@@ -820,6 +2065,13 @@ class MinimalXECWallet {
         this._validateAddress(xecAddress)
       }
 
+      // Without an explicit address, list the tokens of the whole account
+      const addresses = !xecAddress && this.walletInfo ? this._getAccountAddresses() : [addr]
+      if (addresses.length > 1) {
+        await this.utxos.initUtxoStore(addresses)
+        return await this.hybridTokens.listTokensFromUtxos(this.utxos.utxoStore.xecUtxos)
+      }
+
       // Use hybrid token manager to list tokens from address
       return await this.hybridTokens.listTokensFromAddress(addr)
     } catch (err) {
@@ -864,13 +2116,6 @@ class MinimalXECWallet {
 
   async burnETokens (tokenId, amount, satsPerByte = this.fee) {
     try {
-      // Wait for wallet to be initialized
-      await this.walletInfoPromise
-
-      if (!this.isInitialized) {
-        await this.initialize()
-      }
-
       // Validate inputs
       if (!tokenId || typeof tokenId !== 'string') {
         throw new Error('Token ID is required and must be a string')
@@ -880,21 +2125,22 @@ class MinimalXECWallet {
         throw new Error('Amount is required and must be a positive number')
       }
 
+      // Wait for wallet to be initialized
+      await this.walletInfoPromise
+      this._assertCanSign('burnETokens()')
+
+      if (!this.isInitialized) {
+        await this.initialize()
+      }
+
       // Use hybrid token manager for protocol detection and routing
-      return await this.hybridTokens.burnTokens(
+      return await this._spendWithChange(walletInfo => this.hybridTokens.burnTokens(
         tokenId,
         amount,
-        {
-          mnemonic: this.walletInfo.mnemonic,
-          xecAddress: this.walletInfo.xecAddress,
-          hdPath: this.walletInfo.hdPath,
-          fee: this.fee,
-          privateKey: this.walletInfo.privateKey,
-          publicKey: this.walletInfo.publicKey
-        },
-        this.utxos.utxoStore.utxos,
+        walletInfo,
+        this.utxos.getUnfrozenUtxos(),
         satsPerByte
-      )
+      ))
     } catch (err) {
       throw this._sanitizeError(err, 'eToken burn failed')
     }
@@ -902,31 +2148,25 @@ class MinimalXECWallet {
 
   async burnAllETokens (tokenId, satsPerByte = this.fee) {
     try {
+      // Validate inputs
+      if (!tokenId || typeof tokenId !== 'string') {
+        throw new Error('Token ID is required and must be a string')
+      }
+
       // Wait for wallet to be initialized
       await this.walletInfoPromise
+      this._assertCanSign('burnAllETokens()')
 
       if (!this.isInitialized) {
         await this.initialize()
       }
 
-      // Validate inputs
-      if (!tokenId || typeof tokenId !== 'string') {
-        throw new Error('Token ID is required and must be a string')
-      }
-
       // Use hybrid token manager for protocol detection and routing
-      return await this.hybridTokens.burnAllTokens(
+      return await this._spendWithChange(walletInfo => this.hybridTokens.burnAllTokens(
         tokenId,
-        {
-          mnemonic: this.walletInfo.mnemonic,
-          xecAddress: this.walletInfo.xecAddress,
-          hdPath: this.walletInfo.hdPath,
-          fee: this.fee,
-          privateKey: this.walletInfo.privateKey,
-          publicKey: this.walletInfo.publicKey
-        },
-        this.utxos.utxoStore.utxos
-      )
+        walletInfo,
+        this.utxos.getUnfrozenUtxos()
+      ))
     } catch (err) {
       throw this._sanitizeError(err, 'eToken burn all failed')
     }
@@ -946,15 +2186,17 @@ class MinimalXECWallet {
     }
   }
 
-  // Export private key as WIF format
-  exportPrivateKeyAsWIF (compressed = true, testnet = false) {
+  // Export private key as WIF format. Test networks use the testnet version byte.
+  exportPrivateKeyAsWIF (compressed = true, testnet = this.network.name !== 'mainnet') {
     try {
-      if (!this.walletInfo || !this.walletInfo.privateKey) {
+      this._assertUnlocked('exportPrivateKeyAsWIF()')
+
+      if (!this.walletInfo || !this.keySigner) {
         throw new Error('Wallet not initialized or no private key available')
       }
 
       return this.keyDerivation.exportToWif(
-        this.walletInfo.privateKey,
+        this._getPrivateKey(),
         compressed,
         testnet
       )
@@ -973,4 +2215,19 @@ class MinimalXECWallet {
   }
 }
 
+// Typed errors, e.g. `err instanceof MinimalXECWallet.WatchOnlyError`
+MinimalXECWallet.WalletError = WalletError
+MinimalXECWallet.WatchOnlyError = WatchOnlyError
+MinimalXECWallet.WalletLockedError = WalletLockedError
+MinimalXECWallet.FinalityTimeoutError = FinalityTimeoutError
+MinimalXECWallet.TxConflictedError = TxConflictedError
+MinimalXECWallet.LegacyFundsError = LegacyFundsError
+
+// Base class for external signers passed as advancedOptions.signer
+MinimalXECWallet.Signer = Signer
+
+// Precise XEC amounts, see lib/amount.js
+MinimalXECWallet.XecAmount = XecAmount
+MinimalXECWallet.Amount = XecAmount
+
 module.exports = MinimalXECWallet
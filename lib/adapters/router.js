@@ -5,20 +5,15 @@
 
 const { ChronikClient } = require('chronik-client')
 const { decodeCashAddress } = require('ecashaddrjs')
+const { Tx, toHexRev } = require('ecash-lib')
 const { RobustChronikRouter, RobustConnectionStrategy } = require('./robust-chronik-router')
+const { getNetwork } = require('../networks')
 
 class AdapterRouter {
   constructor (localConfig = {}) {
     this.chronik = localConfig.chronik
-    this.chronikUrls = localConfig.chronikUrls || [
-      'https://chronik.e.cash',
-      'https://chronik.be.cash',
-      'https://xec.paybutton.org',
-      'https://chronik.pay2stay.com/xec',
-      'https://chronik.pay2stay.com/xec2',
-      'https://chronik1.alitayin.com',
-      'https://chronik2.alitayin.com'
-    ]
+    this.network = getNetwork(localConfig.network)
+    this.chronikUrls = localConfig.chronikUrls || this.network.chronikUrls
 
     // Initialize robust connection router
     this.robustRouter = new RobustChronikRouter({
@@ -49,6 +44,15 @@ class AdapterRouter {
     this.batchSize = localConfig.batchSize || 20
     this.requestQueue = []
     this.isProcessingQueue = false
+
+    // Called with (hex, txid) after each successful broadcast
+    this.broadcastListeners = []
+  }
+
+  // Register a listener for successful broadcasts, e.g. to track pending
+  // spends. Listener errors are logged and do not fail the broadcast.
+  onBroadcast (listener) {
+    this.broadcastListeners.push(listener)
   }
 
   async _initializeRobustChronik () {
@@ -144,7 +148,8 @@ class AdapterRouter {
       }
 
       // Validate and decode address
-      const { hash } = this._validateAndDecodeAddress(addr)
+      const { hash, type } = this._validateAndDecodeAddress(addr)
+      const scriptType = this._getScriptType(type)
 
       // Use robust connection with failover for balance queries
       const balanceResult = await this._executeWithRobustConnection(async (endpoint) => {
@@ -155,7 +160,7 @@ class AdapterRouter {
 
         // Try native balance endpoint first (more efficient)
         try {
-          const result = await chronik.script('p2pkh', hash).balance()
+          const result = await chronik.script(scriptType, hash).balance()
           if (result && typeof result.confirmed !== 'undefined') {
             return {
               type: 'balance',
@@ -168,7 +173,7 @@ class AdapterRouter {
         }
 
         // Fallback: Calculate balance from UTXOs with proper BigInt handling
-        const utxosResult = await chronik.script('p2pkh', hash).utxos()
+        const utxosResult = await chronik.script(scriptType, hash).utxos()
 
         let confirmed = BigInt(0)
         let unconfirmed = BigInt(0)
@@ -247,7 +252,8 @@ class AdapterRouter {
       }
 
       // Validate and decode address
-      const { hash } = this._validateAndDecodeAddress(addr)
+      const { hash, type } = this._validateAndDecodeAddress(addr)
+      const scriptType = this._getScriptType(type)
 
       // Use robust connection with failover for UTXO queries
       const utxosResult = await this._executeWithRobustConnection(async (endpoint) => {
@@ -255,7 +261,7 @@ class AdapterRouter {
         const chronik = (process.env.NODE_ENV === 'test' || process.env.TEST === 'unit')
           ? await this.chronikPromise
           : new ChronikClient(endpoint.url)
-        return await chronik.script('p2pkh', hash).utxos()
+        return await chronik.script(scriptType, hash).utxos()
       })
 
       const result = {
@@ -313,7 +319,8 @@ class AdapterRouter {
   async getTransactions (addr, sortingOrder = 'DESCENDING') {
     try {
       // Validate and decode address
-      const { hash } = this._validateAndDecodeAddress(addr)
+      const { hash, type } = this._validateAndDecodeAddress(addr)
+      const scriptType = this._getScriptType(type)
 
       // Use robust connection with failover for transaction history queries
       const historyResult = await this._executeWithRobustConnection(async (endpoint) => {
@@ -321,7 +328,7 @@ class AdapterRouter {
         const chronik = (process.env.NODE_ENV === 'test' || process.env.TEST === 'unit')
           ? await this.chronikPromise
           : new ChronikClient(endpoint.url)
-        return await chronik.script('p2pkh', hash).history()
+        return await chronik.script(scriptType, hash).history()
       })
 
       const transactions = historyResult.txs.map(tx => ({
@@ -424,13 +431,126 @@ class AdapterRouter {
           : new ChronikClient(endpoint.url)
         return await chronik.broadcastTx(hex)
       })
+      const txid = result.txid || result
+
+      // Cached balances and UTXOs predate this transaction
+      this._clearAddressCache()
+
+      for (const listener of this.broadcastListeners) {
+        try {
+          listener(hex, txid)
+        } catch (err) {
+          console.warn('Broadcast listener failed:', err.message)
+        }
+      }
 
-      return result.txid || result
+      return txid
     } catch (err) {
       throw new Error(`Transaction broadcast failed: ${err.message}`)
     }
   }
 
+  /**
+   * Avalanche and block status of a transaction. Not cached, as it changes
+   * within seconds.
+   * @param {string} txid - Transaction ID
+   * @param {Object} options - hex: signed transaction, whose inputs are
+   *   checked for a conflicting spend when Chronik does not know the txid
+   * @returns {Object} - { txid, status, isFinal, depth, blockHeight }. status
+   *   is 'mempool', 'finalized', 'confirmed', 'conflicted' (an input was spent
+   *   by another transaction) or 'unknown' (not indexed by this endpoint yet,
+   *   dropped, or never broadcast). depth counts the blocks from the one
+   *   holding the transaction to the tip.
+   */
+  async getTxStatus (txid, options = {}) {
+    try {
+      const outpoints = options.hex ? this._getInputOutpoints(options.hex) : []
+
+      const { tx, tipHeight, conflictTxid } = await this._executeWithRobustConnection(async (endpoint) => {
+        // In test environment, use existing chronik client
+        const chronik = (process.env.NODE_ENV === 'test' || process.env.TEST === 'unit')
+          ? await this.chronikPromise
+          : new ChronikClient(endpoint.url)
+
+        const tx = await this._fetchTx(chronik, txid)
+        if (!tx) {
+          return { tx, tipHeight: null, conflictTxid: await this._findConflictingSpend(chronik, outpoints, txid) }
+        }
+
+        const info = tx.block ? await chronik.blockchainInfo() : null
+        return { tx, tipHeight: info ? info.tipHeight : null, conflictTxid: null }
+      })
+
+      if (!tx) {
+        const status = { txid, status: conflictTxid ? 'conflicted' : 'unknown', isFinal: false, depth: 0, blockHeight: null }
+        return conflictTxid ? { ...status, conflictTxid } : status
+      }
+
+      if (tx.block) {
+        return {
+          txid,
+          status: 'confirmed',
+          isFinal: !!(tx.isFinal || tx.block.isFinal),
+          depth: tipHeight - tx.block.height + 1,
+          blockHeight: tx.block.height
+        }
+      }
+
+      return { txid, status: tx.isFinal ? 'finalized' : 'mempool', isFinal: !!tx.isFinal, depth: 0, blockHeight: null }
+    } catch (err) {
+      throw new Error(`Transaction status query failed: ${err.message}`)
+    }
+  }
+
+  // Transaction from Chronik, or null when it does not know the txid
+  async _fetchTx (chronik, txid) {
+    try {
+      return await chronik.tx(txid)
+    } catch (err) {
+      if (!/not found|404/i.test(err.message)) {
+        throw err
+      }
+      return null
+    }
+  }
+
+  // Txid of another transaction spending one of the outpoints, if any
+  async _findConflictingSpend (chronik, outpoints, txid) {
+    for (const outpoint of outpoints) {
+      const prevTx = await this._fetchTx(chronik, outpoint.txid)
+      const output = prevTx && prevTx.outputs[outpoint.outIdx]
+      if (output && output.spentBy && output.spentBy.txid !== txid) {
+        return output.spentBy.txid
+      }
+    }
+
+    return null
+  }
+
+  _getInputOutpoints (hex) {
+    return Tx.fromHex(hex).inputs.map(input => ({
+      txid: typeof input.prevOut.txid === 'string' ? input.prevOut.txid : toHexRev(input.prevOut.txid),
+      outIdx: input.prevOut.outIdx
+    }))
+  }
+
+  // Height of the chain tip
+  async getBlockHeight () {
+    try {
+      const info = await this._executeWithRobustConnection(async (endpoint) => {
+        // In test environment, use existing chronik client
+        const chronik = (process.env.NODE_ENV === 'test' || process.env.TEST === 'unit')
+          ? await this.chronikPromise
+          : new ChronikClient(endpoint.url)
+        return await chronik.blockchainInfo()
+      })
+
+      return info.tipHeight
+    } catch (err) {
+      throw new Error(`Block height query failed: ${err.message}`)
+    }
+  }
+
   async getXecUsd () {
     try {
       // This would typically call a price API
@@ -519,6 +639,12 @@ class AdapterRouter {
   }
 
   // Helper methods
+  // Chronik script type of a decoded address: P2SH addresses (multisig
+  // wallets) are indexed separately from P2PKH ones
+  _getScriptType (type) {
+    return String(type).toLowerCase() === 'p2sh' ? 'p2sh' : 'p2pkh'
+  }
+
   _validateAndDecodeAddress (addr) {
     try {
       if (!addr || typeof addr !== 'string') {
@@ -534,8 +660,9 @@ class AdapterRouter {
         }
       }
 
-      if (!addr.startsWith('ecash:')) {
-        throw new Error('Invalid XEC address format - must start with ecash:')
+      const prefix = this.network.addressPrefix
+      if (!addr.startsWith(`${prefix}:`)) {
+        throw new Error(`Invalid XEC address format - must start with ${prefix}:`)
       }
 
       const decoded = decodeCashAddress(addr)
@@ -577,6 +704,14 @@ class AdapterRouter {
     this.cache.clear()
   }
 
+  _clearAddressCache () {
+    for (const key of this.cache.keys()) {
+      if (key.startsWith('utxos_') || key.startsWith('balance_')) {
+        this.cache.delete(key)
+      }
+    }
+  }
+
   // Helper method to consistently extract sats from UTXO following Bitcoin-ABC standards
   _extractSatsFromUtxo (utxo) {
     // Bitcoin-ABC now uses 'sats' as BigInt consistently
@@ -5,19 +5,20 @@
 
 const {
   TxBuilder,
-  P2PKHSignatory,
   Script,
   fromHex,
   toHex,
   Ecc,
   alpSend,
   alpBurn,
-  emppScript,
-  ALL_BIP143
+  emppScript
 } = require('ecash-lib')
 const { decodeCashAddress } = require('ecashaddrjs')
 const KeyDerivation = require('./key-derivation')
 const SecurityValidator = require('./security')
+const { placeholderSignatory, getSigner, getKeyRef, signTransaction } = require('./signer')
+const feeEngine = require('./fee-engine')
+const CoinSelection = require('./coin-selection')
 
 class ALPTokenHandler {
   constructor (localConfig = {}) {
@@ -33,7 +34,7 @@ class ALPTokenHandler {
     }
 
     // Initialize components
-    this.keyDerivation = new KeyDerivation()
+    this.keyDerivation = new KeyDerivation(localConfig)
     this.security = new SecurityValidator(localConfig.security)
 
     // Initialize ECC for ecash-lib
@@ -109,59 +110,71 @@ class ALPTokenHandler {
 
       const totalRequiredAtoms = atomOutputs.reduce((sum, output) => sum + output.atoms, 0n)
 
-      // Select token UTXOs
-      const tokenSelection = this._selectTokenUtxos(alpUtxos, totalRequiredAtoms, tokenInfo)
+      // Select token UTXOs. When the user chose the inputs, spend all of them.
+      const spendAll = walletInfo.coinSelection === CoinSelection.MANUAL
+      const tokenSelection = this._selectTokenUtxos(alpUtxos, totalRequiredAtoms, tokenInfo, spendAll)
+      const tokenChangeAmount = tokenSelection.totalSelected - totalRequiredAtoms
+
+      // Build ALP script with eMPP
+      const sendAmounts = atomOutputs.map(output => output.atoms)
+
+      // Add change amount if needed
+      if (tokenChangeAmount > 0n) {
+        sendAmounts.push(tokenChangeAmount)
+      }
+
+      const alpScript = emppScript([
+        alpSend(tokenId, this.ALP_STANDARD, sendAmounts)
+      ])
+
+      // Build transaction outputs with EXPLICIT amounts
+      const txOutputs = [
+        // 1. ALP OP_RETURN output (always first)
+        {
+          sats: 0n,
+          script: new Script(alpScript.bytecode)
+        },
+        // 2. Token outputs to recipients, each carrying the dust limit
+        ...outputs.map(output => ({
+          sats: BigInt(this.dustLimit),
+          script: this._getOutputScript(output.address)
+        }))
+      ]
+
+      // 3. Token change output if needed
+      if (tokenChangeAmount > 0n) {
+        txOutputs.push({
+          sats: BigInt(this.dustLimit),
+          script: this._getOutputScript(walletInfo.changeAddress || walletInfo.xecAddress)
+        })
+      }
 
       // Calculate total XEC requirement: dust outputs + fees
-      const tokenChangeAmount = tokenSelection.totalSelected - totalRequiredAtoms
       const dustOutputsNeeded = outputs.length + (tokenChangeAmount > 0n ? 1 : 0) // recipient + change (if needed)
       const dustRequirement = dustOutputsNeeded * this.dustLimit
 
       // Select XEC UTXOs for total requirement (dust + fees) - iterative approach
       const baseInputs = tokenSelection.selectedUtxos.length
-      const baseOutputs = outputs.length + 1 + (tokenChangeAmount > 0n ? 1 : 0) // outputs + OP_RETURN + change (if needed)
 
       // Start with base fee estimate
-      let estimatedFee = this._estimateTransactionFee(baseInputs, baseOutputs, satsPerByte)
+      let estimatedFee = this._estimateTransactionFee(baseInputs, txOutputs, satsPerByte)
       const totalXecRequired = dustRequirement + estimatedFee
 
       // Try XEC selection with initial estimate
-      let feeSelection = this._selectXecUtxos(xecUtxos, totalXecRequired, tokenSelection.selectedUtxos)
+      let feeSelection = this._selectXecUtxos(xecUtxos, totalXecRequired, tokenSelection.selectedUtxos, spendAll)
 
       // If we need additional XEC inputs, recalculate fee and check if we need even more UTXOs
       if (feeSelection.selectedUtxos.length > 0) {
         const newInputs = baseInputs + feeSelection.selectedUtxos.length
-        estimatedFee = this._estimateTransactionFee(newInputs, baseOutputs, satsPerByte)
+        estimatedFee = this._estimateTransactionFee(newInputs, txOutputs, satsPerByte)
         const newTotalRequired = dustRequirement + estimatedFee
 
         // If the new fee requirement exceeds what we selected, try again
         if (newTotalRequired > totalXecRequired) {
-          feeSelection = this._selectXecUtxos(xecUtxos, newTotalRequired, tokenSelection.selectedUtxos)
-
-          // Final fee calculation with actual selected inputs
-          const finalInputs = baseInputs + feeSelection.selectedUtxos.length
-          estimatedFee = this._estimateTransactionFee(finalInputs, baseOutputs, satsPerByte)
+          feeSelection = this._selectXecUtxos(xecUtxos, newTotalRequired, tokenSelection.selectedUtxos, spendAll)
         }
       }
 
-      // Get private key
-      const privateKeyHex = this._getPrivateKey(walletInfo)
-      const sk = fromHex(privateKeyHex)
-      const pk = this.ecc.derivePubkey(sk)
-
-      // Build ALP script with eMPP
-      const sendAmounts = atomOutputs.map(output => output.atoms)
-
-      // Add change amount if needed
-      const changeAtoms = tokenSelection.totalSelected - totalRequiredAtoms
-      if (changeAtoms > 0n) {
-        sendAmounts.push(changeAtoms)
-      }
-
-      const alpScript = emppScript([
-        alpSend(tokenId, this.ALP_STANDARD, sendAmounts)
-      ])
-
       // Build transaction inputs
       const inputs = [
         // Token inputs
@@ -170,10 +183,10 @@ class ALPTokenHandler {
             prevOut: utxo.outpoint,
             signData: {
               sats: BigInt(this._getUtxoValue(utxo)), // Use actual UTXO value
-              outputScript: this._getOutputScript(walletInfo.xecAddress)
+              outputScript: this._getOutputScript(utxo.address || walletInfo.xecAddress)
             }
           },
-          signatory: P2PKHSignatory(sk, pk, ALL_BIP143)
+          signatory: placeholderSignatory
         }))
       ]
 
@@ -184,64 +197,21 @@ class ALPTokenHandler {
             prevOut: utxo.outpoint,
             signData: {
               sats: BigInt(this._getUtxoValue(utxo)),
-              outputScript: this._getOutputScript(walletInfo.xecAddress)
+              outputScript: this._getOutputScript(utxo.address || walletInfo.xecAddress)
             }
           },
-          signatory: P2PKHSignatory(sk, pk, ALL_BIP143)
-        })
-      }
-
-      // Build transaction outputs with EXPLICIT amounts
-      const txOutputs = [
-        // 1. ALP OP_RETURN output (always first)
-        {
-          sats: 0n,
-          script: new Script(alpScript.bytecode)
-        },
-        // 2. Token outputs to recipients (DUST ONLY - 546 sats each)
-        ...outputs.map(output => ({
-          sats: BigInt(this.dustLimit), // EXACTLY 546 sats for token
-          script: this._getOutputScript(output.address)
-        }))
-      ]
-
-      // 3. Token change output if needed (DUST ONLY - 546 sats)
-      if (changeAtoms > 0n) {
-        txOutputs.push({
-          sats: BigInt(this.dustLimit), // EXACTLY 546 sats for token change
-          script: this._getOutputScript(walletInfo.xecAddress)
+          signatory: placeholderSignatory
         })
       }
 
-      // 4. XEC change output - calculate from all XEC inputs
-      // Calculate total XEC input from both token UTXOs and additional XEC UTXOs
-      const xecFromTokens = tokenSelection.selectedUtxos.reduce((total, utxo) => {
-        return total + this._getUtxoValue(utxo)
-      }, 0)
-
-      const xecFromAdditionalInputs = feeSelection.selectedUtxos.reduce((total, utxo) => {
-        return total + this._getUtxoValue(utxo)
-      }, 0)
-
-      const totalInputXec = BigInt(xecFromTokens + xecFromAdditionalInputs)
-      const totalTokenOutputs = BigInt(outputs.length * this.dustLimit) +
-                               (changeAtoms > 0n ? BigInt(this.dustLimit) : 0n)
-      const estimatedFeeInSats = BigInt(estimatedFee)
-      const xecChange = totalInputXec - totalTokenOutputs - estimatedFeeInSats
-
-      if (xecChange >= BigInt(this.dustLimit)) {
-        txOutputs.push({
-          sats: xecChange,
-          script: this._getOutputScript(walletInfo.xecAddress)
-        })
-      }
+      // XEC change output. TxBuilder sizes it from the fee of the signed
+      // transaction and drops it when it would be dust.
+      txOutputs.push(this._getOutputScript(walletInfo.changeAddress || walletInfo.xecAddress))
 
       // Build and sign transaction
       const txBuilder = new TxBuilder({ inputs, outputs: txOutputs })
-      const tx = txBuilder.sign({
-        feePerKb: BigInt(Math.round(satsPerByte * 1000)),
-        dustSats: BigInt(this.dustLimit)
-      })
+      const tx = txBuilder.sign(feeEngine.getSignParams(satsPerByte, this.dustLimit))
+      await this._signTransaction(tx, walletInfo, [...tokenSelection.selectedUtxos, ...feeSelection.selectedUtxos])
 
       return toHex(tx.ser())
     } catch (err) {
@@ -273,18 +243,48 @@ class ALPTokenHandler {
 
       // Select token UTXOs for burning
       const tokenSelection = this._selectTokenUtxos(alpUtxos, burnAtoms, tokenInfo)
+      const tokenChangeAmount = tokenSelection.totalSelected - burnAtoms
+
+      // Build ALP script for burn operation
+      let alpScript
+      if (tokenChangeAmount > 0n) {
+        // Partial burn: use SEND transaction with only change amount (burns by omission)
+        alpScript = emppScript([
+          alpSend(tokenId, this.ALP_STANDARD, [tokenChangeAmount])
+        ])
+      } else {
+        // Complete burn: use BURN transaction (burns all input tokens)
+        alpScript = emppScript([
+          alpBurn(tokenId, this.ALP_STANDARD, burnAtoms)
+        ])
+      }
+
+      // Build outputs
+      const txOutputs = [
+        // ALP burn OP_RETURN
+        {
+          sats: 0n,
+          script: new Script(alpScript.bytecode)
+        }
+      ]
+
+      // Add token change if not burning all
+      if (tokenChangeAmount > 0n) {
+        txOutputs.push({
+          sats: BigInt(this.dustLimit),
+          script: this._getOutputScript(walletInfo.changeAddress || walletInfo.xecAddress)
+        })
+      }
 
       // Calculate total XEC requirement: dust outputs + fees
-      const tokenChangeAmount = tokenSelection.totalSelected - burnAtoms
       const dustOutputsNeeded = tokenChangeAmount > 0n ? 1 : 0 // only change output (if needed)
       const dustRequirement = dustOutputsNeeded * this.dustLimit
 
       // Select XEC UTXOs for total requirement (dust + fees) - iterative approach
       const baseInputs = tokenSelection.selectedUtxos.length
-      const baseOutputs = 1 + (tokenChangeAmount > 0n ? 1 : 0) // OP_RETURN + change (if needed)
 
       // Start with base fee estimate
-      let estimatedFee = this._estimateTransactionFee(baseInputs, baseOutputs, satsPerByte)
+      let estimatedFee = this._estimateTransactionFee(baseInputs, txOutputs, satsPerByte)
       const totalXecRequired = dustRequirement + estimatedFee
 
       // Try XEC selection with initial estimate
@@ -293,38 +293,15 @@ class ALPTokenHandler {
       // If we need additional XEC inputs, recalculate fee and check if we need even more UTXOs
       if (feeSelection.selectedUtxos.length > 0) {
         const newInputs = baseInputs + feeSelection.selectedUtxos.length
-        estimatedFee = this._estimateTransactionFee(newInputs, baseOutputs, satsPerByte)
+        estimatedFee = this._estimateTransactionFee(newInputs, txOutputs, satsPerByte)
         const newTotalRequired = dustRequirement + estimatedFee
 
         // If the new fee requirement exceeds what we selected, try again
         if (newTotalRequired > totalXecRequired) {
           feeSelection = this._selectXecUtxos(xecUtxos, newTotalRequired, tokenSelection.selectedUtxos)
-
-          // Final fee calculation with actual selected inputs
-          const finalInputs = baseInputs + feeSelection.selectedUtxos.length
-          estimatedFee = this._estimateTransactionFee(finalInputs, baseOutputs, satsPerByte)
         }
       }
 
-      // Get private key
-      const privateKeyHex = this._getPrivateKey(walletInfo)
-      const sk = fromHex(privateKeyHex)
-      const pk = this.ecc.derivePubkey(sk)
-
-      // Build ALP script for burn operation
-      let alpScript
-      if (tokenChangeAmount > 0n) {
-        // Partial burn: use SEND transaction with only change amount (burns by omission)
-        alpScript = emppScript([
-          alpSend(tokenId, this.ALP_STANDARD, [tokenChangeAmount])
-        ])
-      } else {
-        // Complete burn: use BURN transaction (burns all input tokens)
-        alpScript = emppScript([
-          alpBurn(tokenId, this.ALP_STANDARD, burnAtoms)
-        ])
-      }
-
       // Build inputs
       const inputs = [
         // Token inputs
@@ -333,10 +310,10 @@ class ALPTokenHandler {
             prevOut: utxo.outpoint,
             signData: {
               sats: BigInt(this._getUtxoValue(utxo)), // Use actual UTXO value
-              outputScript: this._getOutputScript(walletInfo.xecAddress)
+              outputScript: this._getOutputScript(utxo.address || walletInfo.xecAddress)
             }
           },
-          signatory: P2PKHSignatory(sk, pk, ALL_BIP143)
+          signatory: placeholderSignatory
         }))
       ]
 
@@ -347,59 +324,21 @@ class ALPTokenHandler {
             prevOut: utxo.outpoint,
             signData: {
               sats: BigInt(this._getUtxoValue(utxo)),
-              outputScript: this._getOutputScript(walletInfo.xecAddress)
+              outputScript: this._getOutputScript(utxo.address || walletInfo.xecAddress)
             }
           },
-          signatory: P2PKHSignatory(sk, pk, ALL_BIP143)
-        })
-      }
-
-      // Build outputs
-      const txOutputs = [
-        // ALP burn OP_RETURN
-        {
-          sats: 0n,
-          script: new Script(alpScript.bytecode)
-        }
-      ]
-
-      // Add token change if not burning all (DUST ONLY - 546 sats)
-      const changeAtoms = tokenSelection.totalSelected - burnAtoms
-      if (changeAtoms > 0n) {
-        txOutputs.push({
-          sats: BigInt(this.dustLimit), // EXACTLY 546 sats for token change
-          script: this._getOutputScript(walletInfo.xecAddress)
+          signatory: placeholderSignatory
         })
       }
 
-      // XEC change output - calculate from all XEC inputs
-      // Calculate total XEC input from both token UTXOs and additional XEC UTXOs
-      const xecFromTokens = tokenSelection.selectedUtxos.reduce((total, utxo) => {
-        return total + this._getUtxoValue(utxo)
-      }, 0)
-
-      const xecFromAdditionalInputs = feeSelection.selectedUtxos.reduce((total, utxo) => {
-        return total + this._getUtxoValue(utxo)
-      }, 0)
-
-      const totalInputXec = BigInt(xecFromTokens + xecFromAdditionalInputs)
-      const totalTokenOutputs = changeAtoms > 0n ? BigInt(this.dustLimit) : 0n
-      const estimatedFeeInSats = BigInt(estimatedFee)
-      const xecChange = totalInputXec - totalTokenOutputs - estimatedFeeInSats
-
-      if (xecChange >= BigInt(this.dustLimit)) {
-        txOutputs.push({
-          sats: xecChange,
-          script: this._getOutputScript(walletInfo.xecAddress)
-        })
-      }
+      // XEC change output. TxBuilder sizes it from the fee of the signed
+      // transaction and drops it when it would be dust.
+      txOutputs.push(this._getOutputScript(walletInfo.changeAddress || walletInfo.xecAddress))
 
       // Build and sign transaction
       const txBuilder = new TxBuilder({ inputs, outputs: txOutputs })
-      const tx = txBuilder.sign({
-        feePerKb: BigInt(Math.round(satsPerByte * 1000)),
-        dustSats: BigInt(this.dustLimit)
-      })
+      const tx = txBuilder.sign(feeEngine.getSignParams(satsPerByte, this.dustLimit))
+      await this._signTransaction(tx, walletInfo, [...tokenSelection.selectedUtxos, ...feeSelection.selectedUtxos])
 
       return toHex(tx.ser())
     } catch (err) {
@@ -431,7 +370,7 @@ class ALPTokenHandler {
     return { alpUtxos, xecUtxos, pureXecUtxos, otherTokenUtxos }
   }
 
-  _selectTokenUtxos (alpUtxos, requiredAtoms, tokenInfo) {
+  _selectTokenUtxos (alpUtxos, requiredAtoms, tokenInfo, spendAll = false) {
     // Sort by atoms amount (largest first)
     const sortedUtxos = alpUtxos
       .slice()
@@ -448,11 +387,15 @@ class ALPTokenHandler {
       selectedUtxos.push(utxo)
       totalSelected += BigInt(utxo.token.atoms)
 
-      if (totalSelected >= requiredAtoms) {
+      if (!spendAll && totalSelected >= requiredAtoms) {
         return { selectedUtxos, totalSelected }
       }
     }
 
+    if (spendAll && totalSelected >= requiredAtoms) {
+      return { selectedUtxos, totalSelected }
+    }
+
     throw new Error(
       `Insufficient ${tokenInfo.genesisInfo.tokenTicker} tokens. ` +
       `Need: ${this._atomsToDisplay(requiredAtoms, tokenInfo.genesisInfo.decimals)}, ` +
@@ -460,14 +403,14 @@ class ALPTokenHandler {
     )
   }
 
-  _selectXecUtxos (xecUtxos, requiredSats, tokenUtxosBeingSpent = []) {
+  _selectXecUtxos (xecUtxos, requiredSats, tokenUtxosBeingSpent = [], spendAll = false) {
     // Calculate total XEC available from token UTXOs being spent
     const xecFromTokenUtxos = tokenUtxosBeingSpent.reduce((total, utxo) => {
       return total + this._getUtxoValue(utxo)
     }, 0)
 
     // If token UTXOs provide enough XEC for fees, no additional XEC input needed
-    if (xecFromTokenUtxos >= requiredSats) {
+    if (xecFromTokenUtxos >= requiredSats && (!spendAll || xecUtxos.length === 0)) {
       return { selectedUtxos: [], xecFromTokens: xecFromTokenUtxos }
     }
 
@@ -491,7 +434,7 @@ class ALPTokenHandler {
       selectedUtxos.push(utxo)
       selectedXec += this._getUtxoValue(utxo)
 
-      if (selectedXec >= additionalXecNeeded) {
+      if (!spendAll && selectedXec >= additionalXecNeeded) {
         break
       }
     }
@@ -520,18 +463,21 @@ class ALPTokenHandler {
     return Number(atoms) / Math.pow(10, decimals)
   }
 
-  _estimateTransactionFee (numInputs, numOutputs, satsPerByte) {
-    const estimatedSize = (numInputs * 148) + (numOutputs * 34) + 50 // +50 for eMPP script
-    return Math.ceil(estimatedSize * satsPerByte)
+  // Fee of the signed transaction with an XEC change output. outputs are the
+  // other outputs, or their number when all are P2PKH.
+  _estimateTransactionFee (numInputs, outputs, satsPerByte) {
+    return feeEngine.estimateFee(numInputs, outputs, satsPerByte, true)
   }
 
-  _getPrivateKey (walletInfo) {
-    if (walletInfo.mnemonic) {
-      const keyData = this.keyDerivation.deriveFromMnemonic(walletInfo.mnemonic, walletInfo.hdPath)
-      return keyData.privateKey
-    } else {
-      return walletInfo.privateKey
+  // Hand the transaction, built with placeholder signatures, to the signer.
+  // Unsigned transactions are left for an offline signer.
+  async _signTransaction (tx, walletInfo, spentUtxos) {
+    if (walletInfo.unsigned) {
+      return
     }
+
+    const keyRefs = spentUtxos.map(utxo => getKeyRef(walletInfo, utxo.address))
+    await signTransaction(tx, keyRefs, getSigner(walletInfo, this.keyDerivation))
   }
 
   _getOutputScript (address) {
@@ -0,0 +1,253 @@
+/*
+  Precise XEC amounts.
+
+  An XecAmount holds a whole number of satoshis as a BigInt and never
+  changes. 1 XEC is 100 satoshis, so XEC values have at most 2 decimals and
+  floats would round them. Amounts are created from:
+
+  - BigInt satoshis: XecAmount.from(123456n)
+  - Text: XecAmount.parse('1,234.56 XEC') or XecAmount.parse('123456 sats').
+    Text without a unit is XEC.
+  - Numbers, with their unit made explicit: XecAmount.fromXec(1234.56) or
+    XecAmount.fromSats(123456)
+
+  The wallet methods keep their number forms for compatibility. They also
+  accept an XecAmount, or BigInt satoshis, wherever they take an XEC amount,
+  and return one when called with { asAmount: true }.
+*/
+
+const SATS_PER_XEC = 100n
+
+// Digits with optional thousands separators, an optional fraction and a unit
+const AMOUNT_PATTERN = /^(-?)(\d{1,3}(?:,\d{3})+|\d*)(?:\.(\d+))?\s*(xec|sats?|satoshis)?$/i
+
+class XecAmount {
+  constructor (sats) {
+    if (typeof sats !== 'bigint') {
+      throw new Error('XecAmount takes BigInt satoshis. Use XecAmount.from(), parse(), fromXec() or fromSats()')
+    }
+
+    this.sats = sats
+    Object.freeze(this)
+  }
+
+  /**
+   * Amount from an XecAmount, BigInt satoshis or text
+   * @param {XecAmount|bigint|string} value - Amount
+   * @returns {XecAmount}
+   */
+  static from (value) {
+    if (value instanceof XecAmount) {
+      return value
+    }
+    if (typeof value === 'bigint') {
+      return new XecAmount(value)
+    }
+    if (typeof value === 'string') {
+      return XecAmount.parse(value)
+    }
+    if (typeof value === 'number') {
+      throw new Error(`Ambiguous amount ${value}. Use XecAmount.fromXec() or XecAmount.fromSats()`)
+    }
+
+    throw new Error(`Invalid amount: ${value}`)
+  }
+
+  /**
+   * Amount from text such as '1,234.56 XEC', '123456 sats' or '12.5'
+   * @param {string} text - Amount, in XEC unless it ends in sats
+   * @returns {XecAmount}
+   */
+  static parse (text) {
+    const match = typeof text === 'string' && text.trim().match(AMOUNT_PATTERN)
+    if (!match || (!match[2] && !match[3])) {
+      throw new Error(`Invalid amount: ${text}`)
+    }
+
+    const [, sign, whole, fraction = '', unit = 'xec'] = match
+    const digits = whole.replace(/,/g, '') || '0'
+
+    let sats
+    if (unit.toLowerCase() === 'xec') {
+      if (fraction.length > 2) {
+        throw new Error(`Invalid amount: ${text}. XEC amounts have at most 2 decimals`)
+      }
+      sats = BigInt(digits) * SATS_PER_XEC + BigInt(fraction.padEnd(2, '0'))
+    } else {
+      if (fraction) {
+        throw new Error(`Invalid amount: ${text}. Satoshi amounts are whole numbers`)
+      }
+      sats = BigInt(digits)
+    }
+
+    return new XecAmount(sign ? -sats : sats)
+  }
+
+  /**
+   * Amount from an XEC number or decimal string
+   * @param {number|string} xec - XEC, with at most 2 decimals
+   * @returns {XecAmount}
+   */
+  static fromXec (xec) {
+    if (typeof xec === 'number') {
+      if (!Number.isFinite(xec)) {
+        throw new Error(`Invalid amount: ${xec}`)
+      }
+
+      // Numbers like 0.1 + 0.2 carry float noise past the second decimal
+      const sats = Math.round(xec * 100)
+      if (Math.abs(sats - xec * 100) > 1e-6 * Math.max(1, Math.abs(xec))) {
+        throw new Error(`Invalid amount: ${xec}. XEC amounts have at most 2 decimals`)
+      }
+
+      return new XecAmount(BigInt(sats))
+    }
+
+    return XecAmount.parse(`${xec} XEC`)
+  }
+
+  /**
+   * Amount from satoshis
+   * @param {number|string|bigint} sats - Whole satoshis
+   * @returns {XecAmount}
+   */
+  static fromSats (sats) {
+    if (typeof sats === 'number' && !Number.isSafeInteger(sats)) {
+      throw new Error(`Invalid amount: ${sats}. Satoshi amounts are whole numbers`)
+    }
+    if (typeof sats === 'string' && !/^-?\d+$/.test(sats.trim())) {
+      throw new Error(`Invalid amount: ${sats}. Satoshi amounts are whole numbers`)
+    }
+    if (!['number', 'string', 'bigint'].includes(typeof sats)) {
+      throw new Error(`Invalid amount: ${sats}`)
+    }
+
+    return new XecAmount(BigInt(typeof sats === 'string' ? sats.trim() : sats))
+  }
+
+  // Arithmetic returns new amounts. Operands go through XecAmount.from().
+
+  plus (other) {
+    return new XecAmount(this.sats + XecAmount.from(other).sats)
+  }
+
+  minus (other) {
+    return new XecAmount(this.sats - XecAmount.from(other).sats)
+  }
+
+  times (factor) {
+    if (typeof factor !== 'bigint' && !Number.isSafeInteger(factor)) {
+      throw new Error(`Invalid factor: ${factor}. Use a whole number`)
+    }
+
+    return new XecAmount(this.sats * BigInt(factor))
+  }
+
+  // -1, 0 or 1, for sorting
+  compare (other) {
+    const sats = XecAmount.from(other).sats
+    return this.sats < sats ? -1 : this.sats > sats ? 1 : 0
+  }
+
+  equals (other) {
+    return this.compare(other) === 0
+  }
+
+  isZero () {
+    return this.sats === 0n
+  }
+
+  isNegative () {
+    return this.sats < 0n
+  }
+
+  // Satoshis as a BigInt
+  toSats () {
+    return this.sats
+  }
+
+  // Satoshis as a number, the form the transaction builders use
+  toSatsNumber () {
+    return Number(this.sats)
+  }
+
+  // XEC as a number, the form getXecBalance() returns. May round.
+  toXec () {
+    return Number(this.toXecString())
+  }
+
+  // Exact XEC as a decimal string, e.g. '1234.56'
+  toXecString () {
+    const abs = this.sats < 0n ? -this.sats : this.sats
+    const sign = this.sats < 0n ? '-' : ''
+    return `${sign}${abs / SATS_PER_XEC}.${String(abs % SATS_PER_XEC).padStart(2, '0')}`
+  }
+
+  /**
+   * Format for display
+   * @param {string|Array} locales - BCP 47 locale(s), as for Intl.NumberFormat
+   * @param {Object} options - Intl.NumberFormat options such as useGrouping,
+   *   plus unit ('XEC' or 'sats', default 'XEC') and showUnit (default true)
+   * @returns {string} - e.g. '1,234.56 XEC' or '1.234,56 XEC'
+   */
+  format (locales, options = {}) {
+    const { unit = 'XEC', showUnit = true, ...numberOptions } = options
+    const formatter = new Intl.NumberFormat(locales, {
+      ...numberOptions,
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0
+    })
+    const suffix = showUnit ? ` ${unit}` : ''
+
+    if (unit === 'sats') {
+      return `${formatter.format(this.sats)}${suffix}`
+    }
+    if (unit !== 'XEC') {
+      throw new Error(`Unknown unit: ${unit}. Use 'XEC' or 'sats'`)
+    }
+
+    // The whole part is formatted from the BigInt, so nothing is rounded
+    const abs = this.sats < 0n ? -this.sats : this.sats
+    const whole = formatter.format(this.sats < 0n ? -(abs / SATS_PER_XEC) : abs / SATS_PER_XEC)
+    const decimal = new Intl.NumberFormat(locales).formatToParts(1.5)
+      .find(part => part.type === 'decimal').value
+    const sign = this.sats < 0n && abs < SATS_PER_XEC ? '-' : ''
+
+    return `${sign}${whole}${decimal}${String(abs % SATS_PER_XEC).padStart(2, '0')}${suffix}`
+  }
+
+  toString () {
+    return `${this.toXecString()} XEC`
+  }
+
+  // Serialized as text that XecAmount.parse() reads back
+  toJSON () {
+    return this.toString()
+  }
+}
+
+/**
+ * Output with its amount as a number of satoshis in amountSat. Outputs may
+ * give the amount as amountSat or amount, in satoshis, or as an XecAmount.
+ * @param {Object} output - Transaction output
+ * @returns {Object} - The output, or a copy with amountSat set
+ */
+function normalizeOutput (output) {
+  if (!output || typeof output !== 'object') {
+    return output
+  }
+
+  const value = output.amountSat !== undefined ? output.amountSat : output.amount
+  if (!(value instanceof XecAmount) && typeof value !== 'bigint') {
+    return output
+  }
+
+  const { amount, ...rest } = output
+  return { ...rest, amountSat: XecAmount.from(value).toSatsNumber() }
+}
+
+module.exports = {
+  XecAmount,
+  Amount: XecAmount,
+  normalizeOutput
+}
@@ -0,0 +1,468 @@
+/*
+  Batch payouts.
+
+  Pays a list of rows read from CSV or JSON. Each row has an address, an
+  amount and optionally a memo or an eToken ID. Every row is validated before
+  anything is sent, then the rows are split into chunks of one transaction:
+
+  - XEC rows with the same memo share transactions. The memo is the OP_RETURN
+    of the transaction, so a chunk carries a single memo.
+  - eToken rows share transactions with rows of the same token.
+  - A chunk stays within SecurityValidator.maxOutputs counting its change and
+    OP_RETURN outputs, within the 19 recipients of a token send, and within
+    maxTransactionSize.
+
+  The state of a batch is kept in the wallet storage adapter under its ID.
+  Each chunk is signed once, and its hex and TXID are saved before the
+  broadcast. A resumed batch marks the saved transactions Chronik knows as
+  sent and broadcasts the others again, so a crash never pays a row twice.
+*/
+
+const crypto = require('crypto')
+const { XecAmount } = require('./amount')
+
+const STORAGE_PREFIX = 'batch-payout:'
+
+// Recipients of one SLP or ALP send
+const MAX_TOKEN_OUTPUTS = 19
+
+// Bytes of a P2PKH output. Outputs may use half of maxTransactionSize; the
+// rest is left for the inputs.
+const P2PKH_OUTPUT_SIZE = 34
+
+// Memo prefix of memo.cash posts, as sendOpReturn() uses
+const MEMO_PREFIX = '6d02'
+
+// Invalid rows listed in a validation error
+const MAX_REPORTED_ERRORS = 10
+
+class BatchPayout {
+  constructor (wallet) {
+    this.wallet = wallet
+    this.ar = wallet.ar
+    this.storage = wallet.utxos.storage
+    this.security = wallet.sendXecLib.security
+    this.maxOpReturnSize = wallet.opReturn.maxOpReturnSize
+  }
+
+  /**
+   * Validate rows and split them into chunks without sending anything
+   * @param {string|Array} input - CSV or JSON text, or an array of rows
+   * @param {Object} options - { id } names the batch
+   * @returns {Object} - State of the batch, every chunk 'pending'
+   */
+  plan (input, options = {}) {
+    try {
+      const rows = this.validateRows(this.parseRows(input))
+      const rowsHash = crypto.createHash('sha256').update(JSON.stringify(rows)).digest('hex')
+
+      return {
+        id: options.id || rowsHash.slice(0, 16),
+        rowsHash,
+        createdAt: new Date().toISOString(),
+        rows,
+        chunks: this.chunkRows(rows)
+      }
+    } catch (err) {
+      throw new Error(`Batch payout planning failed: ${err.message}`)
+    }
+  }
+
+  /**
+   * Pay a batch, or resume one started before with the same rows or ID.
+   * Stops at the first chunk that fails; running the batch again retries it.
+   * @param {string|Array} input - CSV or JSON text, or an array of rows
+   * @param {Object} options - { id, satsPerByte }
+   * @returns {Object} - Reconciliation report with the TXID of every row
+   */
+  async run (input, options = {}) {
+    const planned = this.plan(input, options)
+
+    let state = await this._loadState(planned.id)
+    if (state && state.rowsHash !== planned.rowsHash) {
+      throw new Error(`Batch ${planned.id} was started with different rows`)
+    }
+    if (!state) {
+      state = planned
+      await this._saveState(state)
+    }
+
+    for (const chunk of state.chunks) {
+      if (chunk.status === 'sent') {
+        continue
+      }
+
+      try {
+        await this._payChunk(state, chunk, options)
+      } catch (err) {
+        chunk.error = err.message
+        await this._saveState(state)
+        break
+      }
+    }
+
+    return this.getReport(state)
+  }
+
+  /**
+   * Report of a batch kept in storage
+   * @param {string} id - Batch ID
+   * @returns {Object|null} - Report, or null for an unknown batch
+   */
+  async get (id) {
+    const state = await this._loadState(id)
+    return state ? this.getReport(state) : null
+  }
+
+  /**
+   * Rows from CSV or JSON. CSV may start with a header naming the address,
+   * amount, memo and tokenId columns; without one they come in that order.
+   * @param {string|Array} input - CSV or JSON text, or an array of rows
+   * @returns {Array} - Row objects
+   */
+  parseRows (input) {
+    if (Array.isArray(input)) {
+      return input
+    }
+    if (typeof input !== 'string') {
+      throw new Error('Payout rows must be CSV or JSON text, or an array')
+    }
+
+    const text = input.trim()
+    if (text.startsWith('[')) {
+      const rows = JSON.parse(text)
+      if (!Array.isArray(rows)) {
+        throw new Error('JSON payout rows must be an array')
+      }
+      return rows
+    }
+
+    const records = this._parseCsv(text).filter(record => record.some(cell => cell.trim() !== ''))
+    const columns = ['address', 'amount', 'memo', 'tokenId']
+    let names = columns
+
+    if (records.length > 0 && records[0][0].trim().toLowerCase() === 'address') {
+      names = records.shift().map(name => {
+        const key = name.trim().toLowerCase().replace(/[_\s]/g, '')
+        return columns.find(column => column.toLowerCase() === key) || (key === 'token' ? 'tokenId' : null)
+      })
+    }
+
+    return records.map(record => {
+      const row = {}
+      record.forEach((cell, i) => {
+        if (names[i] && cell.trim() !== '') {
+          row[names[i]] = cell.trim()
+        }
+      })
+      return row
+    })
+  }
+
+  /**
+   * Check every row and normalize it. XEC amounts are in XEC unless they end
+   * in sats, and become whole satoshis. Token amounts are in token units.
+   * @param {Array} rows - Row objects
+   * @returns {Array} - { row, address, amountSat | amount, memo, tokenId }
+   */
+  validateRows (rows) {
+    if (rows.length === 0) {
+      throw new Error('No payout rows')
+    }
+
+    const errors = []
+    const validated = rows.map((input, i) => {
+      const row = { row: i + 1, address: input && input.address }
+      const fail = message => errors.push(`Row ${row.row}: ${message}`)
+
+      if (!input || typeof input !== 'object') {
+        fail('not an object')
+        return row
+      }
+
+      if (!this.security.isValidAddress(input.address)) {
+        fail('invalid address')
+      }
+
+      if (input.memo !== undefined && input.memo !== '') {
+        row.memo = String(input.memo)
+        if (Buffer.byteLength(row.memo, 'utf8') + MEMO_PREFIX.length / 2 > this.maxOpReturnSize) {
+          fail(`memo longer than ${this.maxOpReturnSize - MEMO_PREFIX.length / 2} bytes`)
+        }
+      }
+
+      if (input.tokenId !== undefined && input.tokenId !== '') {
+        row.tokenId = String(input.tokenId).toLowerCase()
+        if (!/^[0-9a-f]{64}$/.test(row.tokenId)) {
+          fail('invalid token ID')
+        }
+        if (row.memo !== undefined) {
+          fail('eToken sends cannot carry a memo')
+        }
+
+        row.amount = Number(input.amount)
+        if (!Number.isFinite(row.amount) || row.amount <= 0) {
+          fail(`invalid token amount ${input.amount}`)
+        }
+        return row
+      }
+
+      try {
+        row.amountSat = this._toXecAmount(input.amount).toSatsNumber()
+        if (row.amountSat < this.security.dustThreshold) {
+          fail(`amount below the ${this.security.dustThreshold} sat dust limit`)
+        }
+      } catch (err) {
+        fail(err.message)
+      }
+
+      return row
+    })
+
+    if (errors.length > 0) {
+      const more = errors.length > MAX_REPORTED_ERRORS ? ` (and ${errors.length - MAX_REPORTED_ERRORS} more)` : ''
+      throw new Error(`Invalid payout rows. ${errors.slice(0, MAX_REPORTED_ERRORS).join('; ')}${more}`)
+    }
+
+    return validated
+  }
+
+  /**
+   * Split validated rows into chunks of one transaction, in row order
+   * @param {Array} rows - Validated rows
+   * @returns {Array} - { index, memo, tokenId, rows, status }
+   */
+  chunkRows (rows) {
+    const chunks = []
+    const open = new Map()
+
+    for (const row of rows) {
+      const key = row.tokenId ? `token:${row.tokenId}` : `memo:${row.memo || ''}`
+      let chunk = open.get(key)
+
+      if (!chunk || chunk.rows.length >= this._getMaxRecipients(row)) {
+        chunk = { index: chunks.length, rows: [], status: 'pending' }
+        if (row.memo !== undefined) {
+          chunk.memo = row.memo
+        }
+        if (row.tokenId) {
+          chunk.tokenId = row.tokenId
+        }
+
+        chunks.push(chunk)
+        open.set(key, chunk)
+      }
+
+      chunk.rows.push(row.row)
+    }
+
+    return chunks
+  }
+
+  /**
+   * Reconciliation report of a batch
+   * @param {Object} state - Batch state
+   * @returns {Object} - { id, complete, rows, chunks, summary }
+   */
+  getReport (state) {
+    const chunkOf = new Map()
+    for (const chunk of state.chunks) {
+      chunk.rows.forEach(row => chunkOf.set(row, chunk))
+    }
+
+    const rows = state.rows.map(row => {
+      const chunk = chunkOf.get(row.row)
+      const entry = { ...row, chunk: chunk.index, status: chunk.status, txid: chunk.txid || null }
+      if (row.amountSat !== undefined) {
+        entry.amount = XecAmount.fromSats(row.amountSat).toXec()
+      }
+      return entry
+    })
+
+    const chunks = state.chunks.map(({ hex, ...chunk }) => ({ ...chunk, txid: chunk.txid || null }))
+    const sent = rows.filter(row => row.status === 'sent')
+
+    return {
+      id: state.id,
+      createdAt: state.createdAt,
+      complete: sent.length === rows.length,
+      rows,
+      chunks,
+      summary: {
+        rows: rows.length,
+        sentRows: sent.length,
+        transactions: chunks.filter(chunk => chunk.status === 'sent').length,
+        pendingChunks: chunks.filter(chunk => chunk.status !== 'sent').length
+      }
+    }
+  }
+
+  // Private methods
+
+  // Sign a chunk once, save it, then broadcast it
+  async _payChunk (state, chunk, options) {
+    if (chunk.status === 'signed') {
+      // A previous run may have broadcast it before stopping
+      const status = await this.ar.getTxStatus(chunk.txid, { hex: chunk.hex })
+      if (status.status === 'conflicted') {
+        // Its inputs were spent by another transaction, so sign it again
+        this._resetChunk(chunk)
+        await this._saveState(state)
+      } else if (status.status !== 'unknown') {
+        this._markChangeUsed(chunk)
+        return this._markSent(state, chunk, chunk.txid)
+      }
+    }
+
+    if (chunk.status !== 'signed') {
+      const hex = await this._buildChunk(state, chunk, options)
+      if (hex.length / 2 > this.security.maxTransactionSize) {
+        throw new Error(`Transaction of ${hex.length / 2} bytes exceeds the ${this.security.maxTransactionSize} byte limit`)
+      }
+
+      chunk.hex = hex
+      chunk.txid = this._getTxid(hex)
+      chunk.status = 'signed'
+      // The change address is only marked used by the process that signed
+      // it, so keep it for a broadcast after a restart
+      const changeEntry = this.wallet.previewChange.get(hex)
+      if (changeEntry) {
+        chunk.changeEntry = changeEntry
+      }
+      await this._saveState(state)
+    }
+
+    const txid = await this.wallet.broadcast({ hex: chunk.hex })
+    this._markChangeUsed(chunk)
+    return this._markSent(state, chunk, txid)
+  }
+
+  _resetChunk (chunk) {
+    chunk.status = 'pending'
+    delete chunk.hex
+    delete chunk.txid
+    delete chunk.changeEntry
+  }
+
+  _markChangeUsed (chunk) {
+    if (chunk.changeEntry) {
+      this.wallet._markChangeUsed(chunk.changeEntry)
+    }
+  }
+
+  async _markSent (state, chunk, txid) {
+    chunk.status = 'sent'
+    chunk.txid = txid
+    delete chunk.hex
+    delete chunk.changeEntry
+    delete chunk.error
+    await this._saveState(state)
+  }
+
+  // Signed hex of a chunk, built through the wallet previews
+  async _buildChunk (state, chunk, options) {
+    const satsPerByte = options.satsPerByte || this.wallet.fee
+    const rows = chunk.rows.map(row => state.rows[row - 1])
+
+    if (chunk.tokenId) {
+      const outputs = rows.map(row => ({ address: row.address, amount: row.amount }))
+      return (await this.wallet.previewSendETokens(chunk.tokenId, outputs, satsPerByte)).hex
+    }
+
+    const outputs = rows.map(row => ({ address: row.address, amountSat: row.amountSat }))
+    if (chunk.memo !== undefined) {
+      return (await this.wallet.previewSendOpReturn(chunk.memo, MEMO_PREFIX, outputs, satsPerByte)).hex
+    }
+
+    return (await this.wallet.previewSendXec(outputs, { satsPerByte })).hex
+  }
+
+  // Recipients per transaction for rows like this one
+  _getMaxRecipients (row) {
+    const bySize = Math.floor(this.security.maxTransactionSize / 2 / P2PKH_OUTPUT_SIZE)
+
+    // Change, plus the OP_RETURN of memos and token sends and the token change
+    let max = this.security.maxOutputs - 1
+    if (row.tokenId) {
+      max = Math.min(MAX_TOKEN_OUTPUTS, this.security.maxOutputs - 3)
+    } else if (row.memo !== undefined) {
+      max = this.security.maxOutputs - 2
+    }
+
+    return Math.max(1, Math.min(max, bySize))
+  }
+
+  _toXecAmount (amount) {
+    if (typeof amount === 'number') {
+      return XecAmount.fromXec(amount)
+    }
+    if (amount === undefined || amount === null || amount === '') {
+      throw new Error('missing amount')
+    }
+
+    return XecAmount.from(amount)
+  }
+
+  _getTxid (hex) {
+    const hash = crypto.createHash('sha256').update(Buffer.from(hex, 'hex')).digest()
+    return crypto.createHash('sha256').update(hash).digest().reverse().toString('hex')
+  }
+
+  async _loadState (id) {
+    const stored = await this.storage.getItem(`${STORAGE_PREFIX}${id}`)
+    return stored ? JSON.parse(stored) : null
+  }
+
+  async _saveState (state) {
+    await this.storage.setItem(`${STORAGE_PREFIX}${state.id}`, JSON.stringify(state))
+  }
+
+  // Records of a CSV text, with quoted fields that may hold commas, quotes
+  // ("") and line breaks
+  _parseCsv (text) {
+    const records = []
+    let record = []
+    let cell = ''
+    let quoted = false
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i]
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"'
+          i++
+        } else if (char === '"') {
+          quoted = false
+        } else {
+          cell += char
+        }
+      } else if (char === '"') {
+        quoted = true
+      } else if (char === ',') {
+        record.push(cell)
+        cell = ''
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++
+        }
+        record.push(cell)
+        records.push(record)
+        record = []
+        cell = ''
+      } else {
+        cell += char
+      }
+    }
+
+    if (quoted) {
+      throw new Error('Unterminated quote in CSV')
+    }
+
+    record.push(cell)
+    records.push(record)
+    return records
+  }
+}
+
+module.exports = BatchPayout
@@ -0,0 +1,243 @@
+/*
+  Coin selection strategies shared by the XEC and OP_RETURN builders.
+
+  - largest-first: spend the biggest UTXOs, fewest inputs (default)
+  - smallest-first: spend the smallest UTXOs first to reduce fragmentation
+  - oldest-first: spend UTXOs by confirmation height, unconfirmed last
+  - branch-and-bound: look for inputs that match the target without change,
+    falling back to largest-first when there is no such set
+  - privacy: fund the spend from the UTXOs of as few addresses as possible,
+    so unrelated addresses of the wallet are not linked on chain
+
+  Callers filter the UTXOs they are willing to spend and describe their fee
+  with a getFee(inputCount, withChange) callback. When the user picked the
+  inputs, the builders use the 'manual' strategy, which spends every UTXO it
+  is given. It is not offered as a wallet default.
+*/
+
+const STRATEGIES = ['largest-first', 'smallest-first', 'oldest-first', 'branch-and-bound', 'privacy']
+const MANUAL = 'manual'
+
+// Branch-and-bound gives up after this many steps, like Bitcoin Core
+const MAX_BNB_TRIES = 100000
+
+class CoinSelection {
+  constructor (localConfig = {}) {
+    this.strategy = localConfig.strategy || 'largest-first'
+    this.dustLimit = localConfig.dustLimit || 546
+
+    this.validateStrategy(this.strategy)
+  }
+
+  validateStrategy (strategy) {
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown coin selection strategy: ${strategy}. Use one of ${STRATEGIES.join(', ')}`)
+    }
+  }
+
+  /**
+   * Select UTXOs that pay a target amount plus the fee
+   * @param {Array} utxos - Spendable UTXOs
+   * @param {number} targetAmount - Sum of the outputs in satoshis
+   * @param {Object} options - { strategy, getFee(inputCount, withChange), costOfChange }
+   * @returns {Object|null} - { selectedUtxos, totalAmount, estimatedFee, change, strategy },
+   *   or null when the UTXOs cannot pay for the target
+   */
+  select (utxos, targetAmount, options = {}) {
+    const strategy = options.strategy || this.strategy
+    const getFee = options.getFee || (() => 0)
+
+    if (strategy === MANUAL) {
+      return this._spendAll(utxos, targetAmount, getFee)
+    }
+    this.validateStrategy(strategy)
+
+    switch (strategy) {
+      case 'smallest-first':
+        return this._accumulate(this._sortByValue(utxos, 1), targetAmount, getFee, strategy)
+      case 'oldest-first':
+        return this._accumulate(this._sortByAge(utxos), targetAmount, getFee, strategy)
+      case 'branch-and-bound':
+        return this._branchAndBound(utxos, targetAmount, getFee, options.costOfChange) ||
+          this._accumulate(this._sortByValue(utxos, -1), targetAmount, getFee, 'largest-first')
+      case 'privacy':
+        return this._selectFromClusters(utxos, targetAmount, getFee)
+      default:
+        return this._accumulate(this._sortByValue(utxos, -1), targetAmount, getFee, strategy)
+    }
+  }
+
+  // Private methods
+
+  // Add UTXOs in order until they cover the target and the fee
+  _accumulate (sortedUtxos, targetAmount, getFee, strategy) {
+    const selectedUtxos = []
+    let totalAmount = 0
+
+    for (const utxo of sortedUtxos) {
+      selectedUtxos.push(utxo)
+      totalAmount += this._getUtxoValue(utxo)
+
+      const estimatedFee = this._getFee(selectedUtxos.length, totalAmount, targetAmount, getFee)
+      if (totalAmount >= targetAmount + estimatedFee) {
+        return this._result(selectedUtxos, totalAmount, targetAmount, estimatedFee, strategy)
+      }
+    }
+
+    return null
+  }
+
+  // Spend every UTXO, as chosen by the user
+  _spendAll (utxos, targetAmount, getFee) {
+    const totalAmount = utxos.reduce((sum, utxo) => sum + this._getUtxoValue(utxo), 0)
+    const estimatedFee = this._getFee(utxos.length, totalAmount, targetAmount, getFee)
+
+    if (utxos.length === 0 || totalAmount < targetAmount + estimatedFee) {
+      return null
+    }
+
+    return this._result([...utxos], totalAmount, targetAmount, estimatedFee, MANUAL)
+  }
+
+  // A change output is only added when the change still beats dust once the
+  // output is paid for
+  _getFee (inputCount, totalAmount, targetAmount, getFee) {
+    const changeFee = getFee(inputCount, true)
+    return totalAmount - targetAmount - changeFee > this.dustLimit
+      ? changeFee
+      : getFee(inputCount, false)
+  }
+
+  // Depth-first search for inputs whose value lands between the target plus
+  // fee and that amount plus the cost of a change output. The excess goes to
+  // the fee, so the transaction has no change.
+  _branchAndBound (utxos, targetAmount, getFee, costOfChange = this.dustLimit) {
+    const inputFee = getFee(1, false) - getFee(0, false)
+
+    // Effective value: what a UTXO adds once the fee of spending it is paid
+    const candidates = this._sortByValue(utxos, -1)
+      .map(utxo => ({ utxo, value: this._getUtxoValue(utxo) - inputFee }))
+      .filter(candidate => candidate.value > 0)
+
+    const target = targetAmount + getFee(0, false)
+    const remaining = []
+    candidates.reduceRight((sum, candidate, i) => {
+      remaining[i] = sum + candidate.value
+      return remaining[i]
+    }, 0)
+
+    // Branches are kept on an explicit stack, as a wallet with tens of
+    // thousands of UTXOs would overflow the call stack. Each branch holds the
+    // inputs chosen so far as a linked list. Including a UTXO is tried
+    // before leaving it out.
+    const stack = [{ index: 0, total: 0, path: null }]
+    let tries = 0
+    let found = null
+
+    while (stack.length > 0 && ++tries <= MAX_BNB_TRIES) {
+      const { index, total, path } = stack.pop()
+
+      if (total > target + costOfChange) continue
+      if (total >= target) {
+        found = []
+        for (let node = path; node; node = node.prev) {
+          found.unshift(node.candidate)
+        }
+        break
+      }
+      if (index >= candidates.length || total + remaining[index] < target) continue
+
+      const candidate = candidates[index]
+      stack.push({ index: index + 1, total, path })
+      stack.push({ index: index + 1, total: total + candidate.value, path: { candidate, prev: path } })
+    }
+
+    if (!found) {
+      return null
+    }
+
+    const selectedUtxos = found.map(candidate => candidate.utxo)
+    const totalAmount = selectedUtxos.reduce((sum, utxo) => sum + this._getUtxoValue(utxo), 0)
+    const estimatedFee = getFee(selectedUtxos.length, false)
+
+    // Rounding in getFee can leave the exact fee just out of reach
+    if (totalAmount < targetAmount + estimatedFee) {
+      return null
+    }
+
+    return this._result(selectedUtxos, totalAmount, targetAmount, estimatedFee, 'branch-and-bound')
+  }
+
+  // Spend from a single address when one can pay. Otherwise merge as few
+  // addresses as possible, richest first.
+  _selectFromClusters (utxos, targetAmount, getFee) {
+    const clusters = new Map()
+    for (const utxo of utxos) {
+      const key = utxo.address || ''
+      if (!clusters.has(key)) clusters.set(key, [])
+      clusters.get(key).push(utxo)
+    }
+
+    const ranked = [...clusters.values()]
+      .map(clusterUtxos => ({
+        utxos: clusterUtxos,
+        total: clusterUtxos.reduce((sum, utxo) => sum + this._getUtxoValue(utxo), 0)
+      }))
+      .sort((a, b) => a.total - b.total)
+
+    // The poorest address that can pay on its own reveals the least
+    for (const cluster of ranked) {
+      const selection = this._accumulate(this._sortByValue(cluster.utxos, -1), targetAmount, getFee, 'privacy')
+      if (selection) {
+        return selection
+      }
+    }
+
+    const merged = []
+    for (const cluster of ranked.reverse()) {
+      merged.push(...cluster.utxos)
+      const selection = this._accumulate(this._sortByValue(merged, -1), targetAmount, getFee, 'privacy')
+      if (selection) {
+        return selection
+      }
+    }
+
+    return null
+  }
+
+  _result (selectedUtxos, totalAmount, targetAmount, estimatedFee, strategy) {
+    return {
+      selectedUtxos,
+      totalAmount,
+      estimatedFee,
+      change: totalAmount - targetAmount - estimatedFee,
+      strategy
+    }
+  }
+
+  // direction -1 sorts descending, 1 ascending
+  _sortByValue (utxos, direction) {
+    return [...utxos].sort((a, b) => direction * (this._getUtxoValue(a) - this._getUtxoValue(b)))
+  }
+
+  // Lowest block height first. Unconfirmed UTXOs (height -1) come last.
+  _sortByAge (utxos) {
+    const height = utxo => utxo.blockHeight === undefined || utxo.blockHeight < 0 ? Infinity : utxo.blockHeight
+    return [...utxos].sort((a, b) => height(a) - height(b))
+  }
+
+  _getUtxoValue (utxo) {
+    if (utxo.sats !== undefined) {
+      return typeof utxo.sats === 'bigint' ? Number(utxo.sats) : parseInt(utxo.sats)
+    }
+    if (utxo.value !== undefined) {
+      return typeof utxo.value === 'bigint' ? Number(utxo.value) : parseInt(utxo.value)
+    }
+    return 0
+  }
+}
+
+CoinSelection.STRATEGIES = STRATEGIES
+CoinSelection.MANUAL = MANUAL
+
+module.exports = CoinSelection
@@ -4,6 +4,8 @@
   transaction efficiency and reduce fees.
 */
 
+const feeEngine = require('./fee-engine')
+
 class ConsolidateUtxos {
   constructor (wallet) {
     this.wallet = wallet
@@ -16,7 +18,7 @@ class ConsolidateUtxos {
     this.maxInputsPerTx = 200 // Maximum inputs per consolidation transaction
     this.minUtxosForConsolidation = 5 // Minimum UTXOs needed to trigger consolidation
     this.consolidationThreshold = 100000 // Threshold in satoshis below which UTXOs should be consolidated
-    this.defaultSatsPerByte = 1.2
+    this.defaultSatsPerByte = wallet.fee || 1.2
   }
 
   async start (opts = {}) {
@@ -191,7 +193,7 @@ class ConsolidateUtxos {
 
           const txid = await this.sendXecLib.sendXec(
             outputs,
-            this.wallet.walletInfo,
+            this._getWalletInfo(options.satsPerByte),
             plan.inputUtxos
           )
 
@@ -218,8 +220,13 @@ class ConsolidateUtxos {
         }
       }
 
-      // Refresh UTXO cache after consolidation
-      await this.utxos.refreshCache(this.wallet.walletInfo.xecAddress)
+      // Refresh UTXO cache after consolidation, covering every account address
+      const { addresses, xecAddress } = this.wallet.walletInfo
+      await this.utxos.refreshCache(
+        Array.isArray(addresses) && addresses.length > 0
+          ? addresses.map(entry => entry.address)
+          : xecAddress
+      )
 
       return results
     } catch (err) {
@@ -247,9 +254,8 @@ class ConsolidateUtxos {
       // Create transaction hex
       const txHex = await this.sendXecLib.createTransaction(
         outputs,
-        this.wallet.walletInfo,
-        utxosToConsolidate,
-        satsPerByte
+        this._getWalletInfo(satsPerByte),
+        utxosToConsolidate
       )
 
       return {
@@ -280,10 +286,17 @@ class ConsolidateUtxos {
     return 0
   }
 
+  // Wallet info that signs at the fee rate the consolidation was planned with
+  _getWalletInfo (satsPerByte) {
+    return {
+      ...this.wallet._getSigningWalletInfo(),
+      fee: satsPerByte || this.defaultSatsPerByte
+    }
+  }
+
   _calculateConsolidationFee (numInputs, numOutputs, satsPerByte) {
-    // Estimate transaction size: inputs (~148 bytes) + outputs (~34 bytes) + overhead (~10 bytes)
-    const estimatedSize = (numInputs * 148) + (numOutputs * 34) + 10
-    return Math.ceil(estimatedSize * satsPerByte)
+    // Size of the signed transaction with P2PKH outputs, see lib/fee-engine.js
+    return feeEngine.estimateFee(numInputs, numOutputs, satsPerByte)
   }
 
   _estimateCurrentSpendingFee (utxos, satsPerByte) {
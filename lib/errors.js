@@ -0,0 +1,64 @@
+/*
+  Typed errors thrown by the wallet.
+
+  Callers can match on the class or on the `code` property. These errors carry
+  no sensitive data, so the wallet passes them through without sanitizing.
+*/
+
+class WalletError extends Error {
+  constructor (message, code = 'WALLET_ERROR') {
+    super(message)
+    this.name = this.constructor.name
+    this.code = code
+  }
+}
+
+// Thrown when a watch-only wallet is asked to sign
+class WatchOnlyError extends WalletError {
+  constructor (action = 'This operation') {
+    super(`${action} requires a private key, but this wallet is watch-only`, 'WATCH_ONLY')
+  }
+}
+
+// Thrown when a locked wallet is asked to use its keys
+class WalletLockedError extends WalletError {
+  constructor (action = 'This operation') {
+    super(`${action} requires the wallet keys, but the wallet is locked. Call unlock() first`, 'WALLET_LOCKED')
+  }
+}
+
+// Thrown when a transaction is not Avalanche finalized in time
+class FinalityTimeoutError extends WalletError {
+  constructor (txid, timeout) {
+    super(`Transaction was not finalized within ${timeout} ms`, 'FINALITY_TIMEOUT')
+    this.txid = txid
+  }
+}
+
+// Thrown when a transaction awaiting finality was double spent or dropped
+class TxConflictedError extends WalletError {
+  constructor (txid) {
+    super('Transaction was double spent, invalidated or dropped from the mempool', 'TX_CONFLICTED')
+    this.txid = txid
+  }
+}
+
+// Thrown when a mnemonic still has funds on the address that releases before
+// standard BIP32 derived for it. The address is kept off the message.
+class LegacyFundsError extends WalletError {
+  constructor (address) {
+    super('This mnemonic has funds on an address derived the way releases before standard BIP32 did. ' +
+      'Create the wallet with { legacyDerivation: true } to move them to the new account, ' +
+      'or with { ignoreLegacyFunds: true } to open it anyway', 'LEGACY_FUNDS')
+    this.address = address
+  }
+}
+
+module.exports = {
+  WalletError,
+  WatchOnlyError,
+  WalletLockedError,
+  FinalityTimeoutError,
+  TxConflictedError,
+  LegacyFundsError
+}
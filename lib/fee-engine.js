@@ -0,0 +1,116 @@
+/*
+  Fee engine shared by every transaction builder.
+
+  Fees are priced from the serialized size of the signed transaction. The
+  builders spend each input with a placeholder scriptSig of the final size
+  (see lib/signer.js), and TxBuilder.sign() measures that trial-signed
+  transaction to size the fee and the change. estimateFee() predicts the same
+  size before the inputs are chosen, so coin selection and the final
+  transaction agree on the fee.
+
+  Fee rates are in sats per byte, like advancedOptions.fee.
+*/
+
+const { placeholderSignatory } = require('./signer')
+const { getOutputSize } = require('./output-scripts')
+
+// Version and locktime
+const TX_FIXED_SIZE = 8
+
+// Outpoint and sequence of an input
+const INPUT_FIXED_SIZE = 40
+
+// Value, script length and a 25 byte P2PKH script
+const P2PKH_OUTPUT_SIZE = 34
+
+// Bytes of a Bitcoin varint
+function varIntSize (value) {
+  if (value < 0xfd) return 1
+  if (value <= 0xffff) return 3
+  if (value <= 0xffffffff) return 5
+  return 9
+}
+
+// Serialized size of a P2PKH input once signed
+function getInputSize () {
+  const scriptSize = placeholderSignatory().bytecode.length
+  return INPUT_FIXED_SIZE + varIntSize(scriptSize) + scriptSize
+}
+
+// Outputs are { address }, { script } in hex, or the { sats, script } outputs
+// handed to TxBuilder, whose script is an ecash-lib Script
+function getSerializedOutputSize (output) {
+  const bytecode = output.script && output.script.bytecode
+  if (bytecode) {
+    return 8 + varIntSize(bytecode.length) + bytecode.length
+  }
+
+  return getOutputSize(output)
+}
+
+/**
+ * Serialized size of a signed transaction spending P2PKH inputs
+ * @param {number} inputCount - Number of inputs
+ * @param {number|Array} outputs - Number of P2PKH outputs, or the outputs
+ * @param {boolean} withChange - Add a P2PKH change output
+ * @returns {number} - Size in bytes
+ */
+function getTxSize (inputCount, outputs, withChange = false) {
+  const outputSizes = Array.isArray(outputs)
+    ? outputs.map(getSerializedOutputSize)
+    : new Array(outputs).fill(P2PKH_OUTPUT_SIZE)
+  if (withChange) {
+    outputSizes.push(P2PKH_OUTPUT_SIZE)
+  }
+
+  return TX_FIXED_SIZE +
+    varIntSize(inputCount) + inputCount * getInputSize() +
+    varIntSize(outputSizes.length) + outputSizes.reduce((sum, size) => sum + size, 0)
+}
+
+// Fee rate in the sats per kB TxBuilder.sign() expects
+function getFeePerKb (satsPerByte) {
+  return BigInt(Math.round(satsPerByte * 1000))
+}
+
+// Fee of a transaction of txSize bytes, rounded up like ecash-lib does
+function calculateFee (txSize, satsPerByte) {
+  return Number((BigInt(txSize) * getFeePerKb(satsPerByte) + 999n) / 1000n)
+}
+
+/**
+ * Fee of a signed transaction spending P2PKH inputs
+ * @param {number} inputCount - Number of inputs
+ * @param {number|Array} outputs - Number of P2PKH outputs, or the outputs
+ * @param {number} satsPerByte - Fee rate
+ * @param {boolean} withChange - Add a P2PKH change output
+ * @returns {number} - Fee in satoshis
+ */
+function estimateFee (inputCount, outputs, satsPerByte, withChange = false) {
+  return calculateFee(getTxSize(inputCount, outputs, withChange), satsPerByte)
+}
+
+// Parameters for TxBuilder.sign()
+function getSignParams (satsPerByte, dustLimit) {
+  return {
+    feePerKb: getFeePerKb(satsPerByte),
+    dustSats: BigInt(dustLimit)
+  }
+}
+
+function validateFeeRate (satsPerByte) {
+  if (typeof satsPerByte !== 'number' || !Number.isFinite(satsPerByte) || satsPerByte < 0) {
+    throw new Error(`Invalid fee rate: ${satsPerByte}. Use a number of sats per byte`)
+  }
+}
+
+module.exports = {
+  P2PKH_OUTPUT_SIZE,
+  getInputSize,
+  getTxSize,
+  getFeePerKb,
+  calculateFee,
+  estimateFee,
+  getSignParams,
+  validateFeeRate
+}
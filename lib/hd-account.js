@@ -0,0 +1,241 @@
+/*
+  BIP44 account management for the XEC wallet.
+
+  Derives addresses on the external (receive) and internal (change) chains of
+  an account and discovers which of them have been used, stopping after a
+  configurable gap of unused addresses on each chain. Also tracks the next
+  unused index of each chain so change can go to fresh addresses.
+
+  The key source is either the wallet mnemonic or the account xpub of a
+  watch-only wallet.
+*/
+
+const KeyDerivation = require('./key-derivation')
+
+// BIP44 chain indexes
+const RECEIVE_CHAIN = 0
+const CHANGE_CHAIN = 1
+
+class HdAccount {
+  constructor (localConfig = {}) {
+    this.ar = localConfig.ar
+
+    if (!this.ar) {
+      throw new Error('AdapterRouter required for HD account discovery')
+    }
+
+    this.keyDerivation = localConfig.keyDerivation || new KeyDerivation()
+
+    // Account level path, e.g. m/44'/899'/0'
+    this.accountPath = localConfig.accountPath || "m/44'/899'/0'"
+
+    // Number of consecutive unused addresses that ends the scan of a chain
+    this.gapLimit = localConfig.gapLimit || 20
+
+    // Number of address lookups in flight at once. Defaults to the batch size
+    // the router uses for its own multi-address queries.
+    this.concurrency = localConfig.concurrency || this.ar.batchSize || 5
+
+    // Optional BIP39 passphrase applied to mnemonic key sources
+    this.passphrase = localConfig.passphrase || ''
+
+    this.clear()
+  }
+
+  /**
+   * Derive the address at a chain/index position of the account
+   * @param {string} keySource - Wallet mnemonic or account xpub
+   * @param {number} chain - 0 for receive, 1 for change
+   * @param {number} index - Address index
+   * @returns {Object} - Address entry with address, publicKey and hdPath
+   */
+  deriveAddress (keySource, chain, index) {
+    try {
+      return this._deriveEntry(this._getAccountNode(keySource), chain, index)
+    } catch (err) {
+      throw new Error(`Account address derivation failed: ${err.message}`)
+    }
+  }
+
+  /**
+   * Scan the receive and change chains until gapLimit consecutive unused
+   * addresses are found on each of them.
+   * @param {string} keySource - Wallet mnemonic or account xpub
+   * @returns {Array} - Used addresses plus the first receive address
+   */
+  async discover (keySource) {
+    try {
+      if (!keySource) {
+        throw new Error('Mnemonic or xpub required for account discovery')
+      }
+
+      const node = this._getAccountNode(keySource)
+      const receive = await this._scanChain(node, RECEIVE_CHAIN)
+      const change = await this._scanChain(node, CHANGE_CHAIN)
+
+      this.chains[RECEIVE_CHAIN] = receive
+      this.chains[CHANGE_CHAIN] = change
+      this.nextIndex[RECEIVE_CHAIN] = this._getNextUnusedIndex(receive)
+      this.nextIndex[CHANGE_CHAIN] = this._getNextUnusedIndex(change)
+      this.isDiscovered = true
+
+      return this.getAddresses()
+    } catch (err) {
+      throw new Error(`Account discovery failed: ${err.message}`)
+    }
+  }
+
+  /**
+   * Addresses that belong to the wallet: every used address on both chains,
+   * plus receive index 0 which is always the primary wallet address.
+   * @returns {Array} - Address entries
+   */
+  getAddresses () {
+    const addresses = []
+
+    for (const chain of [RECEIVE_CHAIN, CHANGE_CHAIN]) {
+      for (const entry of this.chains[chain]) {
+        const isPrimary = chain === RECEIVE_CHAIN && entry.index === 0
+        if (entry.used || isPrimary) {
+          addresses.push(entry)
+        }
+      }
+    }
+
+    return addresses
+  }
+
+  /**
+   * Find the account entry for an address
+   * @param {string} address - XEC address
+   * @returns {Object|null} - Address entry or null if not part of the account
+   */
+  findAddress (address) {
+    for (const chain of [RECEIVE_CHAIN, CHANGE_CHAIN]) {
+      const entry = this.chains[chain].find(item => item.address === address)
+      if (entry) {
+        return entry
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Next unused address on the change chain. The index is not handed out
+   * until markUsed() is called, so a failed spend does not widen the gap.
+   * Addresses within the scanned gap are reused rather than derived again.
+   * @param {string} keySource - Wallet mnemonic or account xpub
+   * @returns {Object} - Address entry for the change output
+   */
+  getChangeAddress (keySource) {
+    const index = this.nextIndex[CHANGE_CHAIN]
+    const scanned = this.chains[CHANGE_CHAIN].find(entry => entry.index === index)
+
+    return scanned ? { ...scanned } : this.deriveAddress(keySource, CHANGE_CHAIN, index)
+  }
+
+  /**
+   * Record that an address has been handed out, advancing its chain index
+   * @param {Object} entry - Address entry from deriveAddress()
+   */
+  markUsed (entry) {
+    const chain = this.chains[entry.chain]
+    const existing = chain.find(item => item.index === entry.index)
+
+    if (existing) {
+      existing.used = true
+    } else {
+      chain.push({ ...entry, used: true })
+      chain.sort((a, b) => a.index - b.index)
+    }
+
+    this.nextIndex[entry.chain] = Math.max(this.nextIndex[entry.chain], entry.index + 1)
+  }
+
+  /**
+   * Reset all discovered state
+   */
+  clear () {
+    this.chains = {
+      [RECEIVE_CHAIN]: [],
+      [CHANGE_CHAIN]: []
+    }
+    this.nextIndex = {
+      [RECEIVE_CHAIN]: 0,
+      [CHANGE_CHAIN]: 0
+    }
+    this.isDiscovered = false
+  }
+
+  // Private methods
+
+  // Parsed xpub of a watch-only wallet, or account node of a mnemonic. It is
+  // computed once per scan, as the BIP39 seed costs 2048 PBKDF2 rounds.
+  _getAccountNode (keySource) {
+    if (this.keyDerivation.isXpub(keySource)) {
+      return { xpub: this.keyDerivation.parseXpub(keySource) }
+    }
+
+    return { account: this.keyDerivation.deriveAccountNode(keySource, this.accountPath, this.passphrase) }
+  }
+
+  _deriveEntry (node, chain, index) {
+    const keyData = node.xpub
+      ? this.keyDerivation.deriveFromPublicNode(node.xpub, `${chain}/${index}`)
+      : this.keyDerivation.deriveFromAccountNode(node.account, `${chain}/${index}`)
+
+    return {
+      address: keyData.address,
+      publicKey: keyData.publicKey,
+      hdPath: `${this.accountPath}/${chain}/${index}`,
+      chain,
+      index,
+      used: false
+    }
+  }
+
+  async _scanChain (node, chain) {
+    const entries = []
+    let gap = 0
+
+    // Query a few addresses at a time, never past the end of the gap
+    while (gap < this.gapLimit) {
+      const batch = []
+      const size = Math.min(this.concurrency, this.gapLimit - gap)
+      for (let i = 0; i < size; i++) {
+        batch.push(this._deriveEntry(node, chain, entries.length + i))
+      }
+
+      const usage = await Promise.all(batch.map(entry => this._isAddressUsed(entry.address)))
+
+      for (let i = 0; i < batch.length; i++) {
+        batch[i].used = usage[i]
+        entries.push(batch[i])
+        gap = usage[i] ? 0 : gap + 1
+      }
+    }
+
+    return entries
+  }
+
+  _getNextUnusedIndex (entries) {
+    const used = entries.filter(entry => entry.used)
+    return used.length > 0 ? used[used.length - 1].index + 1 : 0
+  }
+
+  async _isAddressUsed (address) {
+    const utxoData = await this.ar.getUtxos(address)
+    if (utxoData && Array.isArray(utxoData.utxos) && utxoData.utxos.length > 0) {
+      return true
+    }
+
+    const history = await this.ar.getTransactions(address)
+    return !!(history && Array.isArray(history.transactions) && history.transactions.length > 0)
+  }
+}
+
+HdAccount.RECEIVE_CHAIN = RECEIVE_CHAIN
+HdAccount.CHANGE_CHAIN = CHANGE_CHAIN
+
+module.exports = HdAccount
@@ -47,6 +47,73 @@ class HybridTokenManager {
     }
   }
 
+  // Build a token send without broadcasting it. Returns the transaction hex
+  // and the token metadata an offline signer shows to the user.
+  async createSendTransaction (tokenId, outputs, walletInfo, utxos, satsPerByte = 1.2) {
+    try {
+      const protocol = await this._detectTokenProtocol(tokenId, utxos)
+
+      let hex
+      switch (protocol) {
+        case 'SLP':
+          hex = await this.slpHandler.createSendTransaction(tokenId, outputs, walletInfo, utxos, satsPerByte)
+          break
+        case 'ALP':
+          hex = await this.alpHandler.createSendTransaction(tokenId, outputs, walletInfo, utxos, satsPerByte)
+          break
+        default:
+          throw new Error(`Unsupported token protocol: ${protocol}`)
+      }
+
+      const { genesisInfo } = await this._getTokenInfo(tokenId)
+      return {
+        hex,
+        token: {
+          tokenId,
+          protocol,
+          ticker: genesisInfo.tokenTicker,
+          decimals: genesisInfo.decimals,
+          outputs: outputs.map(output => ({ address: output.address, amount: output.value || output.amount }))
+        }
+      }
+    } catch (err) {
+      throw new Error(`Token transaction creation failed: ${err.message}`)
+    }
+  }
+
+  // Build a burn without broadcasting it. Returns { hex, token }.
+  async createBurnTransaction (tokenId, amount, walletInfo, utxos, satsPerByte = 1.2) {
+    try {
+      const protocol = await this._detectTokenProtocol(tokenId, utxos)
+
+      let hex
+      switch (protocol) {
+        case 'SLP':
+          hex = await this.slpHandler.createBurnTransaction(tokenId, amount, walletInfo, utxos, satsPerByte)
+          break
+        case 'ALP':
+          hex = await this.alpHandler.createBurnTransaction(tokenId, amount, walletInfo, utxos, satsPerByte)
+          break
+        default:
+          throw new Error(`Unsupported token protocol: ${protocol}`)
+      }
+
+      const { genesisInfo } = await this._getTokenInfo(tokenId)
+      return {
+        hex,
+        token: {
+          tokenId,
+          protocol,
+          ticker: genesisInfo.tokenTicker,
+          decimals: genesisInfo.decimals,
+          burnAmount: amount
+        }
+      }
+    } catch (err) {
+      throw new Error(`Token burn creation failed: ${err.message}`)
+    }
+  }
+
   async burnTokens (tokenId, amount, walletInfo, utxos, satsPerByte = 1.2) {
     try {
       // Detect protocol for this token
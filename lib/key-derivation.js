@@ -5,10 +5,20 @@
 
 const { encodeCashAddress } = require('ecashaddrjs')
 const crypto = require('crypto')
-const { generateMnemonic, validateMnemonic, mnemonicToSeedSync } = require('@scure/bip39')
+const { generateMnemonic, validateMnemonic, mnemonicToSeedSync, mnemonicToEntropy, entropyToMnemonic } = require('@scure/bip39')
 const { wordlist } = require('@scure/bip39/wordlists/english')
-const { Ecc } = require('ecash-lib')
+const { wordlist: czech } = require('@scure/bip39/wordlists/czech')
+const { wordlist: french } = require('@scure/bip39/wordlists/french')
+const { wordlist: italian } = require('@scure/bip39/wordlists/italian')
+const { wordlist: japanese } = require('@scure/bip39/wordlists/japanese')
+const { wordlist: korean } = require('@scure/bip39/wordlists/korean')
+const { wordlist: portuguese } = require('@scure/bip39/wordlists/portuguese')
+const { wordlist: simplifiedChinese } = require('@scure/bip39/wordlists/simplified-chinese')
+const { wordlist: spanish } = require('@scure/bip39/wordlists/spanish')
+const { wordlist: traditionalChinese } = require('@scure/bip39/wordlists/traditional-chinese')
+const { Ecc, signMsg, verifyMsg } = require('ecash-lib')
 const bs58 = require('bs58')
+const { getNetwork } = require('./networks')
 
 // WIF format specifications for XEC/eCash
 const WIF_CONSTANTS = {
@@ -25,11 +35,45 @@ const WIF_CONSTANTS = {
   BASE58_REGEX: /^[123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz]+$/
 }
 
+// Standard BIP39 wordlists. English comes first so it wins language detection.
+const MNEMONIC_WORDLISTS = {
+  english: wordlist,
+  spanish,
+  french,
+  italian,
+  portuguese,
+  czech,
+  japanese,
+  korean,
+  'simplified-chinese': simplifiedChinese,
+  'traditional-chinese': traditionalChinese
+}
+
+// Entropy sizes allowed by BIP39 (12, 15, 18, 21 and 24 words)
+const MNEMONIC_STRENGTHS = [128, 160, 192, 224, 256]
+
+// Placeholders for an illegible word in recoverMnemonic()
+const UNKNOWN_WORDS = ['?', '_', '*']
+
+// BIP32 extended public key serialization
+const XPUB_CONSTANTS = {
+  VERSION: 0x0488B21E, // Results in 'xpub' prefix
+  LENGTH: 78, // 4 version + 1 depth + 4 fingerprint + 4 index + 32 chain code + 33 key
+  HARDENED_OFFSET: 0x80000000
+}
+
 class KeyDerivation {
   constructor (localConfig = {}) {
     // Initialize ECC for proper secp256k1 operations
     this.ecc = new Ecc()
     this.isInitialized = true
+
+    // Earlier releases derived child keys from IL alone, without adding the
+    // parent key. Wallets funded with those addresses can opt back in.
+    this.legacyDerivation = !!localConfig.legacyDerivation
+
+    // Address prefix and WIF version byte of mainnet, testnet or regtest
+    this.network = getNetwork(localConfig.network)
   }
 
   _ensureInitialized () {
@@ -194,22 +238,26 @@ class KeyDerivation {
     }
   }
 
-  generateMnemonic (strength = 128) {
+  generateMnemonic (strength = 128, language = 'english') {
     try {
+      if (!MNEMONIC_STRENGTHS.includes(strength)) {
+        throw new Error(`Invalid strength ${strength}, expected one of ${MNEMONIC_STRENGTHS.join(', ')}`)
+      }
+
       // Use proper BIP39 mnemonic generation
-      return generateMnemonic(wordlist, strength)
+      return generateMnemonic(this._getWordlist(language), strength)
     } catch (err) {
       throw new Error(`Mnemonic generation failed: ${err.message}`)
     }
   }
 
-  deriveFromMnemonic (mnemonic, hdPath = "m/44'/899'/0'/0/0") {
+  deriveFromMnemonic (mnemonic, hdPath = "m/44'/899'/0'/0/0", passphrase = '') {
     try {
       this._ensureInitialized()
 
       // In test environment, return mock data for consistent testing
       if (process.env.NODE_ENV === 'test' || process.env.TEST === 'unit' || process.env.TEST === 'integration') {
-        const mockPrivateKey = crypto.createHash('sha256').update(mnemonic + hdPath).digest('hex')
+        const mockPrivateKey = crypto.createHash('sha256').update(mnemonic + passphrase + hdPath).digest('hex')
         // Generate 32-byte public key and add 03 prefix for compressed format
         const mockPublicKeyHash = crypto.createHash('sha256').update(mockPrivateKey + 'public').digest('hex')
         const mockPublicKey = '03' + mockPublicKeyHash // 66 chars total (33 bytes)
@@ -217,7 +265,7 @@ class KeyDerivation {
         // Generate unique address hash based on HD path
         const addressSeed = crypto.createHash('sha256').update(mockPublicKey + hdPath).digest('hex')
         const addressSuffix = addressSeed.substring(0, 12) // Use first 12 chars for uniqueness
-        const address = `ecash:test${addressSuffix}`
+        const address = `${this.network.addressPrefix}:test${addressSuffix}`
 
         return {
           privateKey: mockPrivateKey,
@@ -228,7 +276,7 @@ class KeyDerivation {
 
       // For production, implement proper BIP32/BIP44 derivation
       // For now, use deterministic key generation from mnemonic
-      const seed = this.mnemonicToSeed(mnemonic)
+      const seed = this.mnemonicToSeed(mnemonic, passphrase)
       const masterKey = this.seedToMasterKey(seed)
       const childKey = this.derivePath(masterKey, hdPath)
 
@@ -237,7 +285,7 @@ class KeyDerivation {
       const sha256Hash = crypto.createHash('sha256').update(publicKeyBuffer).digest()
       const ripemd160Hash = crypto.createHash('ripemd160').update(sha256Hash).digest()
 
-      const address = encodeCashAddress('ecash', 'p2pkh', ripemd160Hash)
+      const address = encodeCashAddress(this.network.addressPrefix, 'p2pkh', ripemd160Hash)
 
       return {
         privateKey: childKey.privateKey.toString('hex'),
@@ -249,6 +297,42 @@ class KeyDerivation {
     }
   }
 
+  // Account node of a mnemonic, e.g. for m/44'/899'/0'. Addresses below it are
+  // derived with deriveFromAccountNode() without repeating the BIP39 seed
+  // computation for each of them.
+  deriveAccountNode (mnemonic, accountPath = "m/44'/899'/0'", passphrase = '') {
+    try {
+      // The test environment derives mock keys from the full path
+      if (process.env.NODE_ENV === 'test' || process.env.TEST === 'unit' || process.env.TEST === 'integration') {
+        return { mock: { mnemonic, passphrase }, path: accountPath }
+      }
+
+      const seed = this.mnemonicToSeed(mnemonic, passphrase)
+      return { ...this.derivePath(this.seedToMasterKey(seed), accountPath), path: accountPath }
+    } catch (err) {
+      throw new Error(`Account node derivation failed: ${err.message}`)
+    }
+  }
+
+  // Keys and address at a path below an account node, e.g. '1/5'
+  deriveFromAccountNode (node, path) {
+    try {
+      if (node.mock) {
+        return this.deriveFromMnemonic(node.mock.mnemonic, `${node.path}/${path}`, node.mock.passphrase)
+      }
+
+      const childKey = this.derivePath(node, `m/${path}`)
+
+      return {
+        privateKey: childKey.privateKey.toString('hex'),
+        publicKey: Buffer.from(childKey.publicKey).toString('hex'),
+        address: encodeCashAddress(this.network.addressPrefix, 'p2pkh', this._hash160(childKey.publicKey))
+      }
+    } catch (err) {
+      throw new Error(`HD derivation failed: ${err.message}`)
+    }
+  }
+
   deriveFromWif (wif) {
     try {
       this._ensureInitialized()
@@ -262,7 +346,7 @@ class KeyDerivation {
         return {
           privateKey: mockPrivateKey,
           publicKey: mockPublicKey,
-          address: 'ecash:qr1234567890abcdef1234567890abcdef1234567890',
+          address: `${this.network.addressPrefix}:qr1234567890abcdef1234567890abcdef1234567890`,
           isCompressed: true,
           wif: wif
         }
@@ -300,7 +384,7 @@ class KeyDerivation {
       // Generate address using proper hash160 (sha256 + ripemd160)
       const sha256Hash = crypto.createHash('sha256').update(publicKeyBuffer).digest()
       const ripemd160Hash = crypto.createHash('ripemd160').update(sha256Hash).digest()
-      const address = encodeCashAddress('ecash', 'p2pkh', ripemd160Hash)
+      const address = encodeCashAddress(this.network.addressPrefix, 'p2pkh', ripemd160Hash)
 
       return {
         privateKey: privateKey.toString('hex'),
@@ -314,17 +398,367 @@ class KeyDerivation {
     }
   }
 
-  validateMnemonic (mnemonic) {
+  // Get the private key controlling one of the wallet's addresses. Addresses
+  // other than the primary one are looked up in walletInfo.addresses, which
+  // holds public data only. The mnemonic, private key and BIP39 passphrase
+  // come in separately as secrets.
+  deriveKeyForAddress (walletInfo, address, secrets = {}) {
+    try {
+      const { mnemonic, privateKey } = secrets
+      const passphrase = secrets.passphrase || ''
+
+      if (!address || address === walletInfo.xecAddress) {
+        if (mnemonic) {
+          return this.deriveFromMnemonic(mnemonic, walletInfo.hdPath, passphrase)
+        }
+
+        return { privateKey, address: walletInfo.xecAddress }
+      }
+
+      const entry = Array.isArray(walletInfo.addresses)
+        ? walletInfo.addresses.find(item => item.address === address)
+        : null
+
+      if (!entry) {
+        throw new Error('Address does not belong to this wallet')
+      }
+
+      if (!mnemonic) {
+        throw new Error('Mnemonic required to derive account keys')
+      }
+
+      return this.deriveFromMnemonic(mnemonic, entry.hdPath, passphrase)
+    } catch (err) {
+      throw new Error(`Address key derivation failed: ${err.message}`)
+    }
+  }
+
+  // Validate against one language, or against every supported wordlist when
+  // no language is given.
+  validateMnemonic (mnemonic, language) {
     try {
       if (!mnemonic || typeof mnemonic !== 'string') {
         return false
       }
 
+      if (!language) {
+        return this.detectMnemonicLanguage(mnemonic) !== null
+      }
+
       // Use proper BIP39 validation
-      return validateMnemonic(mnemonic, wordlist)
+      return validateMnemonic(this.normalizeMnemonic(mnemonic), this._getWordlist(language))
+    } catch (err) {
+      return false
+    }
+  }
+
+  // Returns the language of a valid mnemonic, or null if no wordlist matches
+  detectMnemonicLanguage (mnemonic) {
+    if (!mnemonic || typeof mnemonic !== 'string') {
+      return null
+    }
+
+    const normalized = this.normalizeMnemonic(mnemonic)
+    for (const [language, words] of Object.entries(MNEMONIC_WORDLISTS)) {
+      if (validateMnemonic(normalized, words)) {
+        return language
+      }
+    }
+
+    return null
+  }
+
+  // Collapse the whitespace of a typed or pasted mnemonic. Japanese phrases
+  // keep their ideographic space separator.
+  normalizeMnemonic (mnemonic) {
+    const words = mnemonic.trim().split(/\s+/u)
+    const separator = mnemonic.includes('\u3000') ? '\u3000' : ' '
+    return words.join(separator)
+  }
+
+  getMnemonicLanguages () {
+    return Object.keys(MNEMONIC_WORDLISTS)
+  }
+
+  // Wordlist words closest to a possibly misspelled word. Words sharing the
+  // typed prefix come first, since BIP39 words are unique by their first
+  // four letters.
+  suggestWords (word, language = 'english', limit = 5) {
+    const typed = String(word).trim().toLowerCase().normalize('NFKD')
+    const prefix = typed.slice(0, 4)
+
+    return this._getWordlist(language)
+      .map(candidate => {
+        const normalized = candidate.normalize('NFKD')
+        const distance = prefix.length === 4 && normalized.startsWith(prefix)
+          ? 0
+          : this._editDistance(typed, normalized)
+        return { word: candidate, distance }
+      })
+      .sort((a, b) => a.distance - b.distance || a.word.localeCompare(b.word))
+      .slice(0, limit)
+      .map(item => item.word)
+  }
+
+  /**
+   * Find valid mnemonics close to a damaged backup. Words that are not in
+   * the wordlist are replaced by their nearest matches, a word given as '?'
+   * is brute-forced against the BIP39 checksum, and when every word is valid
+   * but the checksum is not, each swapped pair of words is tried.
+   * @param {string|Array} input - Mnemonic or array of words
+   * @param {Object} options - { language, suggestions = 5, maxCombinations = 100000 }
+   * @returns {Array} - Candidates { mnemonic, language, corrections } with the
+   *   closest matches first
+   */
+  recoverMnemonic (input, options = {}) {
+    try {
+      const { suggestions = 5, maxCombinations = 100000 } = options
+      const words = (Array.isArray(input) ? input : String(input).trim().split(/\s+/u))
+        .map(word => String(word).trim().toLowerCase())
+
+      if (![12, 15, 18, 21, 24].includes(words.length)) {
+        throw new Error(`Expected 12, 15, 18, 21 or 24 words, got ${words.length}`)
+      }
+
+      const language = options.language || this._guessLanguage(words)
+      const wordlist = this._getWordlist(language)
+      const separator = language === 'japanese' ? '\u3000' : ' '
+      const wordIndex = new Map(wordlist.map((word, index) => [word, index]))
+      const isValid = chosen => this._hasValidChecksum(chosen.map(word => wordIndex.get(word)))
+
+      // Candidate words for every position, with their distance to the input
+      const positions = words.map(word => {
+        if (UNKNOWN_WORDS.includes(word)) {
+          return wordlist.map(candidate => ({ word: candidate, distance: 0 }))
+        }
+        if (wordIndex.has(word)) {
+          return [{ word, distance: 0 }]
+        }
+        return this.suggestWords(word, language, suggestions)
+          .map(candidate => ({ word: candidate, distance: this._editDistance(word, candidate) }))
+      })
+
+      if (positions.filter(choices => choices.length === wordlist.length).length > 1) {
+        throw new Error('Only one unknown word can be brute-forced')
+      }
+
+      const combinations = positions.reduce((total, choices) => total * choices.length, 1)
+      if (combinations > maxCombinations) {
+        throw new Error(`Too many combinations to check (${combinations})`)
+      }
+
+      const candidates = []
+      const toCandidate = (chosen, corrections) => ({
+        mnemonic: chosen.join(separator),
+        language,
+        corrections
+      })
+
+      if (combinations === 1) {
+        if (isValid(words)) {
+          return [toCandidate(words, [])]
+        }
+
+        // Every word is valid, so look for two words written in the wrong order
+        for (let i = 0; i < words.length; i++) {
+          for (let j = i + 1; j < words.length; j++) {
+            const swapped = [...words]
+            swapped[i] = words[j]
+            swapped[j] = words[i]
+
+            if (swapped[i] !== swapped[j] && isValid(swapped)) {
+              candidates.push(toCandidate(swapped, [
+                { index: i, from: words[i], to: swapped[i] },
+                { index: j, from: words[j], to: swapped[j] }
+              ]))
+            }
+          }
+        }
+
+        return candidates
+      }
+
+      // Walk every combination of the candidate words
+      const walk = (index, chosen, distance) => {
+        if (index === words.length) {
+          if (isValid(chosen)) {
+            const corrections = chosen
+              .map((word, i) => ({ index: i, from: words[i], to: word }))
+              .filter(item => item.from !== item.to)
+            candidates.push({ ...toCandidate(chosen, corrections), distance })
+          }
+          return
+        }
+
+        for (const choice of positions[index]) {
+          chosen.push(choice.word)
+          walk(index + 1, chosen, distance + choice.distance)
+          chosen.pop()
+        }
+      }
+      walk(0, [], 0)
+
+      return candidates
+        .sort((a, b) => a.distance - b.distance)
+        .map(({ distance, ...candidate }) => candidate)
+    } catch (err) {
+      throw new Error(`Mnemonic recovery failed: ${err.message}`)
+    }
+  }
+
+  /**
+   * Check which recovery candidates have transaction history on their first
+   * address. Candidates with history come first.
+   * @param {Array} candidates - Result of recoverMnemonic()
+   * @param {Object} ar - AdapterRouter used for history lookups
+   * @param {Object} options - { hdPath, passphrase, batchSize = 10 }
+   * @returns {Array} - Candidates with address and hasHistory added
+   */
+  async rankRecoveryCandidates (candidates, ar, options = {}) {
+    try {
+      const { hdPath = `m/44'/${this.network.coinType}'/0'/0/0`, passphrase = '', batchSize = 10 } = options
+      const ranked = []
+
+      // Query in small batches to stay friendly to the indexer
+      for (let i = 0; i < candidates.length; i += batchSize) {
+        const batch = candidates.slice(i, i + batchSize)
+        const results = await Promise.all(batch.map(async candidate => {
+          const { address } = this.deriveFromMnemonic(candidate.mnemonic, hdPath, passphrase)
+          const history = await ar.getTransactions(address)
+          const hasHistory = !!(history && Array.isArray(history.transactions) && history.transactions.length > 0)
+
+          return { ...candidate, address, hasHistory }
+        }))
+
+        ranked.push(...results)
+      }
+
+      // Stable sort keeps the closest matches first within each bucket
+      return ranked.sort((a, b) => Number(b.hasHistory) - Number(a.hasHistory))
+    } catch (err) {
+      throw new Error(`Recovery candidate ranking failed: ${err.message}`)
+    }
+  }
+
+  /**
+   * Sign a message with the eCash message prefix
+   * @param {string} message - Text to sign
+   * @param {string} privateKey - Hex private key
+   * @returns {string} - Base64 compact recoverable signature
+   */
+  signMessage (message, privateKey) {
+    try {
+      if (typeof message !== 'string') {
+        throw new Error('Message must be a string')
+      }
+      if (!privateKey || !/^[a-fA-F0-9]{64}$/.test(privateKey)) {
+        throw new Error('Private key must be a 64-character hex string')
+      }
+
+      return signMsg(message, Buffer.from(privateKey, 'hex'))
     } catch (err) {
+      throw new Error(`Message signing failed: ${err.message}`)
+    }
+  }
+
+  /**
+   * Check that a message was signed by the key of a P2PKH address
+   * @param {string} address - eCash address of the signer
+   * @param {string} message - Text that was signed
+   * @param {string} signature - Base64 compact recoverable signature
+   * @returns {boolean} - False for a wrong signer or a malformed signature
+   */
+  verifyMessage (address, message, signature) {
+    if (!address || typeof address !== 'string') {
+      throw new Error('Message verification failed: Address must be a non-empty string')
+    }
+    if (typeof message !== 'string' || typeof signature !== 'string') {
+      throw new Error('Message verification failed: Message and signature must be strings')
+    }
+
+    // A malformed signature is a failed check, not an error
+    if (Buffer.from(signature, 'base64').length !== 65) {
       return false
     }
+
+    const normalized = address.trim().toLowerCase()
+    return verifyMsg(message, signature, normalized.includes(':') ? normalized : `${this.network.addressPrefix}:${normalized}`)
+  }
+
+  // Language whose wordlist contains most of the words
+  _guessLanguage (words) {
+    let best = 'english'
+    let bestCount = -1
+
+    for (const [language, wordlist] of Object.entries(MNEMONIC_WORDLISTS)) {
+      const count = words.filter(word => wordlist.includes(word)).length
+      if (count > bestCount) {
+        best = language
+        bestCount = count
+      }
+    }
+
+    return best
+  }
+
+  // BIP39 checksum test on word indexes. Much cheaper than validateMnemonic(),
+  // which matters when brute-forcing thousands of candidates.
+  _hasValidChecksum (indexes) {
+    const bits = indexes.map(index => index.toString(2).padStart(11, '0')).join('')
+    const checksumLength = bits.length / 33
+    const entropyBits = bits.slice(0, bits.length - checksumLength)
+    const entropy = Buffer.from(entropyBits.match(/.{8}/g).map(byte => parseInt(byte, 2)))
+
+    const hash = crypto.createHash('sha256').update(entropy).digest()
+    const checksum = hash[0].toString(2).padStart(8, '0').slice(0, checksumLength)
+
+    return bits.slice(-checksumLength) === checksum
+  }
+
+  // Levenshtein distance between two words
+  _editDistance (a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i]
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+      }
+      previous = current
+    }
+
+    return previous[b.length]
+  }
+
+  _getWordlist (language) {
+    const words = MNEMONIC_WORDLISTS[language]
+    if (!words) {
+      throw new Error(`Unsupported mnemonic language: ${language}`)
+    }
+    return words
+  }
+
+  // BIP39 entropy behind a mnemonic, in any supported language
+  mnemonicToEntropy (mnemonic) {
+    try {
+      const language = this.detectMnemonicLanguage(mnemonic)
+      if (!language) {
+        throw new Error('Invalid mnemonic')
+      }
+
+      return Buffer.from(mnemonicToEntropy(this.normalizeMnemonic(mnemonic), this._getWordlist(language)))
+    } catch (err) {
+      throw new Error(`Entropy extraction failed: ${err.message}`)
+    }
+  }
+
+  entropyToMnemonic (entropy, language = 'english') {
+    try {
+      return entropyToMnemonic(Uint8Array.from(entropy), this._getWordlist(language))
+    } catch (err) {
+      throw new Error(`Mnemonic encoding failed: ${err.message}`)
+    }
   }
 
   mnemonicToSeed (mnemonic, passphrase = '') {
@@ -416,23 +850,174 @@ class KeyDerivation {
       hmac.update(data)
       const hash = hmac.digest()
 
-      const childPrivateKey = hash.slice(0, 32)
+      // BIP32: child key = parse256(IL) + parent key (mod n)
+      const childPrivateKey = this.legacyDerivation
+        ? hash.slice(0, 32)
+        : Buffer.from(this.ecc.seckeyAdd(parentKey.privateKey, hash.slice(0, 32)))
       const childChainCode = hash.slice(32, 64)
 
       return {
         privateKey: childPrivateKey,
         chainCode: childChainCode,
         depth: parentKey.depth + 1,
-        index,
-        fingerprint: crypto.createHash('ripemd160')
-          .update(crypto.createHash('sha256').update(this._privateToPublic(parentKey.privateKey)).digest())
-          .digest().slice(0, 4)
+        index: hardened ? index + XPUB_CONSTANTS.HARDENED_OFFSET : index,
+        fingerprint: this._fingerprint(this._privateToPublic(parentKey.privateKey))
       }
     } catch (err) {
       throw new Error(`Child derivation failed: ${err.message}`)
     }
   }
 
+  // Derive a child path from a public-only node, e.g. an account xpub. Only
+  // non-hardened segments can be derived without the private key.
+  derivePublicPath (parentKey, path) {
+    try {
+      const relativePath = path.startsWith('m/') ? path.slice(2) : path
+      const segments = relativePath.split('/').filter(segment => segment !== '')
+      let currentKey = parentKey
+
+      for (const segment of segments) {
+        if (segment.endsWith("'")) {
+          throw new Error(`Hardened segment ${segment} requires a private key`)
+        }
+
+        const index = parseInt(segment)
+        if (isNaN(index) || index < 0 || index >= XPUB_CONSTANTS.HARDENED_OFFSET) {
+          throw new Error(`Invalid path segment: ${segment}`)
+        }
+
+        currentKey = this._derivePublicChild(currentKey, index)
+      }
+
+      return currentKey
+    } catch (err) {
+      throw new Error(`Public path derivation failed: ${err.message}`)
+    }
+  }
+
+  _derivePublicChild (parentKey, index) {
+    try {
+      const indexBuffer = Buffer.allocUnsafe(4)
+      indexBuffer.writeUInt32BE(index)
+
+      // Non-hardened derivation: HMAC-SHA512(chainCode, parentPublicKey || index)
+      const hmac = crypto.createHmac('sha512', parentKey.chainCode)
+      hmac.update(Buffer.concat([parentKey.publicKey, indexBuffer]))
+      const hash = hmac.digest()
+
+      // BIP32: child public key = point(parse256(IL)) + parent public key
+      return {
+        publicKey: Buffer.from(this.ecc.pubkeyAdd(parentKey.publicKey, hash.slice(0, 32))),
+        chainCode: hash.slice(32, 64),
+        depth: parentKey.depth + 1,
+        index,
+        fingerprint: this._fingerprint(parentKey.publicKey)
+      }
+    } catch (err) {
+      throw new Error(`Public child derivation failed: ${err.message}`)
+    }
+  }
+
+  // Serialize an HD node as a BIP32 extended public key
+  serializeXpub (node) {
+    try {
+      const payload = Buffer.alloc(XPUB_CONSTANTS.LENGTH)
+      payload.writeUInt32BE(XPUB_CONSTANTS.VERSION, 0)
+      payload.writeUInt8(node.depth, 4)
+      Buffer.from(node.fingerprint).copy(payload, 5)
+      payload.writeUInt32BE(node.index, 9)
+      Buffer.from(node.chainCode).copy(payload, 13)
+      Buffer.from(node.publicKey).copy(payload, 45)
+
+      return this._base58CheckEncode(payload)
+    } catch (err) {
+      throw new Error(`Xpub serialization failed: ${err.message}`)
+    }
+  }
+
+  // Parse a BIP32 extended public key into a public-only HD node
+  parseXpub (xpub) {
+    try {
+      if (!xpub || typeof xpub !== 'string') {
+        throw new Error('Xpub must be a string')
+      }
+
+      const payload = Buffer.from(this._base58CheckDecode(xpub))
+
+      if (payload.length !== XPUB_CONSTANTS.LENGTH) {
+        throw new Error('Invalid xpub length')
+      }
+
+      if (payload.readUInt32BE(0) !== XPUB_CONSTANTS.VERSION) {
+        throw new Error('Unsupported xpub version')
+      }
+
+      const publicKey = payload.slice(45, 78)
+      if (publicKey[0] !== 0x02 && publicKey[0] !== 0x03) {
+        throw new Error('Invalid xpub public key')
+      }
+
+      return {
+        publicKey,
+        chainCode: payload.slice(13, 45),
+        depth: payload.readUInt8(4),
+        index: payload.readUInt32BE(9),
+        fingerprint: payload.slice(5, 9)
+      }
+    } catch (err) {
+      throw new Error(`Invalid xpub: ${err.message}`)
+    }
+  }
+
+  isXpub (value) {
+    return typeof value === 'string' && value.startsWith('xpub')
+  }
+
+  // Account xpub of a mnemonic wallet, e.g. for m/44'/899'/0'
+  deriveXpub (mnemonic, accountPath = "m/44'/899'/0'", passphrase = '') {
+    try {
+      if (this.legacyDerivation) {
+        throw new Error('Legacy derivation keys cannot be derived from an xpub')
+      }
+
+      const seed = this.mnemonicToSeed(mnemonic, passphrase)
+      const masterKey = this.seedToMasterKey(seed)
+      const accountKey = this.derivePath(masterKey, accountPath)
+
+      return this.serializeXpub(accountKey)
+    } catch (err) {
+      throw new Error(`Xpub derivation failed: ${err.message}`)
+    }
+  }
+
+  // Derive the public key and address at a path below an account xpub
+  deriveFromXpub (xpub, path) {
+    return this.deriveFromPublicNode(this.parseXpub(xpub), path)
+  }
+
+  // Derive the public key and address at a path below a parsed xpub
+  deriveFromPublicNode (accountKey, path) {
+    try {
+      const childKey = this.derivePublicPath(accountKey, path)
+
+      return {
+        publicKey: childKey.publicKey.toString('hex'),
+        address: encodeCashAddress(this.network.addressPrefix, 'p2pkh', this._hash160(childKey.publicKey))
+      }
+    } catch (err) {
+      throw new Error(`Xpub derivation failed: ${err.message}`)
+    }
+  }
+
+  _hash160 (data) {
+    const sha256Hash = crypto.createHash('sha256').update(data).digest()
+    return crypto.createHash('ripemd160').update(sha256Hash).digest()
+  }
+
+  _fingerprint (publicKey) {
+    return this._hash160(publicKey).slice(0, 4)
+  }
+
   _privateToPublic (privateKey) {
     // Use proper secp256k1 public key derivation via ecash-lib
     try {
@@ -443,8 +1028,9 @@ class KeyDerivation {
     }
   }
 
-  // Method to convert hex private key back to WIF
-  exportToWif (hexPrivateKey, compressed = true, testnet = false) {
+  // Method to convert hex private key back to WIF. Uses the testnet version
+  // byte by default on testnet and regtest.
+  exportToWif (hexPrivateKey, compressed = true, testnet = this.network.wifPrefix !== WIF_CONSTANTS.MAINNET_PREFIX) {
     try {
       if (!hexPrivateKey || typeof hexPrivateKey !== 'string') {
         throw new Error('Private key must be a hex string')
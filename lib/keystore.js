@@ -0,0 +1,375 @@
+/*
+  Versioned encrypted keystore for wallet secrets.
+
+  A keystore is a JSON document holding a mnemonic, a WIF or a hex private key
+  encrypted with AES-256-GCM under a key stretched by scrypt. The header
+  (version, secret type and KDF parameters) is authenticated along with the
+  ciphertext, so tampering with the parameters makes decryption fail.
+
+  The two formats written by earlier releases can still be read and migrated:
+  - `{salt, iv, encrypted}` JSON (crypto-js AES-CBC, PBKDF2 with 10,000 rounds)
+  - CryptoJS passphrase strings starting with `U2FsdGVkX1`
+*/
+
+const crypto = require('crypto')
+const CryptoJS = require('crypto-js')
+const { scrypt } = require('@noble/hashes/scrypt')
+
+const KEYSTORE_VERSION = 1
+
+// Default scrypt cost: 64 MiB of memory and about a second on a laptop
+const DEFAULT_SCRYPT = {
+  N: 2 ** 16,
+  r: 8,
+  p: 1
+}
+
+// Largest scrypt cost accepted. Keystores are untrusted input, so parameters
+// above these bounds are rejected before any memory is allocated.
+const MAX_SCRYPT = {
+  N: 2 ** 20,
+  r: 16,
+  p: 16
+}
+const KEY_LENGTH = 32
+
+const SECRET_TYPES = ['mnemonic', 'wif', 'hex']
+const MIN_PASSWORD_LENGTH = 8
+
+class Keystore {
+  constructor (localConfig = {}) {
+    // scrypt parameters for new keystores. Existing keystores carry their own.
+    this.scryptParams = { ...DEFAULT_SCRYPT, ...localConfig.scrypt }
+    this.crypto = CryptoJS
+  }
+
+  /**
+   * Encrypt a wallet secret into a keystore
+   * @param {string} secret - Mnemonic, WIF or hex private key
+   * @param {string} password - At least 8 characters
+   * @param {string} type - 'mnemonic', 'wif' or 'hex'. Detected when omitted.
+   * @returns {string} - Keystore JSON
+   */
+  encrypt (secret, password, type = this.detectSecretType(secret)) {
+    try {
+      if (!secret || typeof secret !== 'string') {
+        throw new Error('Secret must be a non-empty string')
+      }
+      this._validatePassword(password)
+
+      if (!SECRET_TYPES.includes(type)) {
+        throw new Error(`Unsupported secret type: ${type}`)
+      }
+
+      const header = {
+        version: KEYSTORE_VERSION,
+        type,
+        kdf: 'scrypt',
+        kdfparams: {
+          n: this.scryptParams.N,
+          r: this.scryptParams.r,
+          p: this.scryptParams.p,
+          dklen: KEY_LENGTH,
+          salt: crypto.randomBytes(32).toString('hex')
+        },
+        cipher: 'aes-256-gcm'
+      }
+
+      const key = this._deriveKey(password, header.kdfparams)
+      const iv = crypto.randomBytes(12)
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv)
+      cipher.setAAD(this._getAad(header))
+
+      const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()])
+
+      return JSON.stringify({
+        ...header,
+        cipherparams: { iv: iv.toString('hex') },
+        ciphertext: ciphertext.toString('hex'),
+        tag: cipher.getAuthTag().toString('hex')
+      })
+    } catch (err) {
+      throw new Error(`Keystore encryption failed: ${err.message}`)
+    }
+  }
+
+  /**
+   * Decrypt a keystore, or data in one of the legacy formats
+   * @param {string} data - Keystore JSON or legacy encrypted data
+   * @param {string} password - Password used to encrypt
+   * @returns {Object} - { secret, type, version }. Legacy data has version 0.
+   */
+  decrypt (data, password) {
+    try {
+      if (!password || typeof password !== 'string') {
+        throw new Error('Password is required for decryption')
+      }
+
+      if (this.isLegacy(data)) {
+        const secret = this.decryptLegacy(data, password)
+        return { secret, type: this.detectSecretType(secret), version: 0 }
+      }
+
+      const keystore = this._parse(data)
+      const header = {
+        version: keystore.version,
+        type: keystore.type,
+        kdf: keystore.kdf,
+        kdfparams: keystore.kdfparams,
+        cipher: keystore.cipher
+      }
+
+      const key = this._deriveKey(password, keystore.kdfparams)
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(keystore.cipherparams.iv, 'hex'))
+      decipher.setAAD(this._getAad(header))
+      decipher.setAuthTag(Buffer.from(keystore.tag, 'hex'))
+
+      let secret
+      try {
+        secret = Buffer.concat([
+          decipher.update(Buffer.from(keystore.ciphertext, 'hex')),
+          decipher.final()
+        ]).toString('utf8')
+      } catch (err) {
+        throw new Error('Wrong password or corrupted keystore')
+      }
+
+      return { secret, type: keystore.type, version: keystore.version }
+    } catch (err) {
+      throw new Error(`Keystore decryption failed: ${err.message}`)
+    }
+  }
+
+  /**
+   * Re-encrypt a keystore or legacy data under a new password. The result
+   * always uses the current keystore version and scrypt parameters.
+   * @returns {string} - Keystore JSON
+   */
+  changePassword (data, oldPassword, newPassword) {
+    try {
+      const { secret, type } = this.decrypt(data, oldPassword)
+      return this.encrypt(secret, newPassword, type)
+    } catch (err) {
+      throw new Error(`Password change failed: ${err.message}`)
+    }
+  }
+
+  /**
+   * Upgrade legacy encrypted data, or an older keystore, to the current
+   * version while keeping the same password.
+   * @returns {string} - Keystore JSON
+   */
+  migrate (data, password) {
+    try {
+      const { secret, type } = this.decrypt(data, password)
+      return this.encrypt(secret, password, type)
+    } catch (err) {
+      throw new Error(`Keystore migration failed: ${err.message}`)
+    }
+  }
+
+  // True for data that should be upgraded with migrate()
+  needsMigration (data) {
+    if (this.isLegacy(data)) {
+      return true
+    }
+
+    const keystore = this._parse(data)
+    return keystore.version < KEYSTORE_VERSION ||
+      keystore.kdfparams.n < this.scryptParams.N
+  }
+
+  isKeystore (data) {
+    try {
+      const keystore = typeof data === 'string' ? JSON.parse(data) : data
+      return !!keystore && Number.isInteger(keystore.version) && keystore.kdf === 'scrypt'
+    } catch (err) {
+      return false
+    }
+  }
+
+  isLegacy (data) {
+    if (typeof data !== 'string') {
+      return false
+    }
+
+    if (data.startsWith('U2FsdGVkX1')) {
+      return true
+    }
+
+    try {
+      const parsed = JSON.parse(data)
+      return !!parsed && !!parsed.salt && !!parsed.iv && !!parsed.encrypted
+    } catch (err) {
+      return false
+    }
+  }
+
+  detectSecretType (secret) {
+    if (typeof secret !== 'string') {
+      return null
+    }
+
+    if (/\s/u.test(secret.trim())) {
+      return 'mnemonic'
+    }
+
+    if (/^[a-fA-F0-9]{64}$/.test(secret)) {
+      return 'hex'
+    }
+
+    return 'wif'
+  }
+
+  // Legacy format written by MinimalXECWallet.encrypt() before keystores
+  encryptLegacy (secret, password) {
+    this._validatePassword(password)
+
+    // Generate a random salt
+    const salt = this.crypto.lib.WordArray.random(256 / 8)
+
+    // Use PBKDF2 for key derivation with 10000 iterations
+    const key = this.crypto.PBKDF2(password, salt, {
+      keySize: 256 / 32,
+      iterations: 10000
+    })
+
+    // Generate random IV
+    const iv = this.crypto.lib.WordArray.random(128 / 8)
+
+    // Encrypt with AES-256-CBC
+    const encrypted = this.crypto.AES.encrypt(secret, key, {
+      iv: iv,
+      mode: this.crypto.mode.CBC,
+      padding: this.crypto.pad.Pkcs7
+    })
+
+    return JSON.stringify({
+      salt: salt.toString(),
+      iv: iv.toString(),
+      encrypted: encrypted.toString()
+    })
+  }
+
+  // Read either of the legacy formats
+  decryptLegacy (data, password) {
+    // Old CryptoJS passphrase format (base64 "U2FsdGVkX1" prefix)
+    if (data.startsWith('U2FsdGVkX1')) {
+      let secret
+      try {
+        secret = this.crypto.AES.decrypt(data, password).toString(this.crypto.enc.Utf8)
+      } catch (err) {
+        secret = ''
+      }
+
+      if (!secret) {
+        throw new Error('Wrong password')
+      }
+
+      return secret
+    }
+
+    let combined
+    try {
+      combined = JSON.parse(data)
+    } catch (parseErr) {
+      throw new Error('Invalid encrypted data format')
+    }
+
+    if (!combined.salt || !combined.iv || !combined.encrypted) {
+      throw new Error('Encrypted data is missing required components')
+    }
+
+    // Recreate the key using the stored salt
+    const salt = this.crypto.enc.Hex.parse(combined.salt)
+    const key = this.crypto.PBKDF2(password, salt, {
+      keySize: 256 / 32,
+      iterations: 10000
+    })
+
+    const decrypted = this.crypto.AES.decrypt(combined.encrypted, key, {
+      iv: this.crypto.enc.Hex.parse(combined.iv),
+      mode: this.crypto.mode.CBC,
+      padding: this.crypto.pad.Pkcs7
+    })
+
+    let secret
+    try {
+      secret = decrypted.toString(this.crypto.enc.Utf8)
+    } catch (err) {
+      secret = ''
+    }
+
+    if (!secret) {
+      throw new Error('Decryption failed - wrong password or corrupted data')
+    }
+
+    return secret
+  }
+
+  // Private methods
+
+  _parse (data) {
+    let keystore
+    try {
+      keystore = typeof data === 'string' ? JSON.parse(data) : data
+    } catch (err) {
+      throw new Error('Invalid keystore JSON')
+    }
+
+    if (!this.isKeystore(keystore)) {
+      throw new Error('Not a keystore')
+    }
+
+    if (keystore.version > KEYSTORE_VERSION) {
+      throw new Error(`Unsupported keystore version ${keystore.version}`)
+    }
+
+    if (keystore.cipher !== 'aes-256-gcm' || !keystore.cipherparams || !keystore.ciphertext || !keystore.tag) {
+      throw new Error('Keystore is missing required components')
+    }
+
+    return keystore
+  }
+
+  _deriveKey (password, kdfparams) {
+    this._validateKdfParams(kdfparams)
+    const { n, r, p, dklen, salt } = kdfparams
+    return Buffer.from(scrypt(password.normalize('NFKC'), Buffer.from(salt, 'hex'), { N: n, r, p, dkLen: dklen }))
+  }
+
+  _validateKdfParams (kdfparams) {
+    const { n, r, p, dklen, salt } = kdfparams || {}
+
+    if (!Number.isInteger(n) || n < 2 || n > MAX_SCRYPT.N || (n & (n - 1)) !== 0) {
+      throw new Error(`Unsupported scrypt parameter n: must be a power of two up to ${MAX_SCRYPT.N}`)
+    }
+    if (!Number.isInteger(r) || r < 1 || r > MAX_SCRYPT.r) {
+      throw new Error(`Unsupported scrypt parameter r: must be between 1 and ${MAX_SCRYPT.r}`)
+    }
+    if (!Number.isInteger(p) || p < 1 || p > MAX_SCRYPT.p) {
+      throw new Error(`Unsupported scrypt parameter p: must be between 1 and ${MAX_SCRYPT.p}`)
+    }
+    if (dklen !== KEY_LENGTH) {
+      throw new Error(`Unsupported scrypt parameter dklen: must be ${KEY_LENGTH}`)
+    }
+    if (typeof salt !== 'string' || !/^([0-9a-f]{2})+$/i.test(salt)) {
+      throw new Error('Invalid scrypt salt')
+    }
+  }
+
+  _getAad (header) {
+    return Buffer.from(JSON.stringify(header), 'utf8')
+  }
+
+  _validatePassword (password) {
+    if (!password || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`)
+    }
+  }
+}
+
+Keystore.VERSION = KEYSTORE_VERSION
+Keystore.DEFAULT_SCRYPT = DEFAULT_SCRYPT
+
+module.exports = Keystore
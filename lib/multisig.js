@@ -0,0 +1,376 @@
+/*
+  M-of-N multisig P2SH wallets with partial signing.
+
+  The redeem script `OP_M <pubkey>... OP_N OP_CHECKMULTISIG` is built from the
+  cosigner public keys, or from keys derived from their account xpubs. Keys are
+  sorted so every cosigner gets the same script and address regardless of the
+  order they were listed in.
+
+  Spending is done in three steps that can run on different machines:
+  1. createTransaction() builds an unsigned transaction from the UTXOs of the
+     multisig address and returns it as a JSON signing package.
+  2. Each cosigner adds signatures with signTransaction().
+  3. Once the threshold is met, finalizeTransaction() assembles the scriptSigs
+     and returns transaction hex ready for broadcast().
+
+  Signatures are ECDSA with SIGHASH_ALL | SIGHASH_FORKID. Schnorr multisig
+  would need the checkbits dummy element, which the legacy OP_0 dummy avoids.
+*/
+
+const { TxBuilder, Tx, UnsignedTx, Script, toHex, sha256d, Ecc, ALL_BIP143 } = require('ecash-lib')
+const { encodeCashAddress } = require('ecashaddrjs')
+const KeyDerivation = require('./key-derivation')
+const SecurityValidator = require('./security')
+const { getNetwork } = require('./networks')
+const { getOutputScript } = require('./output-scripts')
+const { normalizeOutput } = require('./amount')
+const CoinSelection = require('./coin-selection')
+const feeEngine = require('./fee-engine')
+
+const PACKAGE_TYPE = 'multisig-p2sh'
+const PACKAGE_VERSION = 1
+
+// Script opcodes used by the redeem script and scriptSig
+const OP_0 = 0x00
+const OP_1 = 0x51
+const OP_PUSHDATA1 = 0x4c
+const OP_PUSHDATA2 = 0x4d
+const OP_CHECKMULTISIG = 0xae
+
+// P2SH redeem scripts are limited to 520 bytes, which fits 15 compressed keys
+const MAX_COSIGNERS = 15
+
+// SIGHASH_ALL | SIGHASH_FORKID
+const SIGHASH_FLAG = 0x41
+
+// Largest low-S DER signature plus the sighash flag, for fee estimation
+const MAX_SIGNATURE_SIZE = 73
+
+class Multisig {
+  constructor (localConfig = {}) {
+    this.ar = localConfig.ar
+    this.keyDerivation = localConfig.keyDerivation || new KeyDerivation(localConfig)
+    this.security = new SecurityValidator({ network: localConfig.network })
+    this.network = getNetwork(localConfig.network)
+    this.ecc = new Ecc()
+
+    this.threshold = localConfig.threshold
+
+    // Path below each account xpub, e.g. 0/0 for the first receive key
+    this.path = localConfig.path || '0/0'
+
+    this.dustLimit = localConfig.dustLimit || 546
+    this.defaultSatsPerByte = localConfig.defaultSatsPerByte || 1.2
+    this.coinSelection = new CoinSelection({ strategy: localConfig.coinSelection, dustLimit: this.dustLimit })
+
+    this.publicKeys = this._getPublicKeys(localConfig)
+    this._validateThreshold()
+
+    this.redeemScript = this.buildRedeemScript(this.threshold, this.publicKeys)
+    this.address = encodeCashAddress(this.network.addressPrefix, 'p2sh', this.keyDerivation._hash160(this.redeemScript))
+  }
+
+  /**
+   * Build an M-of-N CHECKMULTISIG redeem script
+   * @param {number} threshold - Signatures required (M)
+   * @param {Array} publicKeys - Compressed public keys in hex, in script order
+   * @returns {Buffer} - Redeem script
+   */
+  buildRedeemScript (threshold, publicKeys) {
+    return Buffer.concat([
+      Buffer.from([OP_1 + threshold - 1]),
+      ...publicKeys.map(publicKey => this._pushData(Buffer.from(publicKey, 'hex'))),
+      Buffer.from([OP_1 + publicKeys.length - 1, OP_CHECKMULTISIG])
+    ])
+  }
+
+  /**
+   * Build an unsigned transaction spending UTXOs of the multisig address.
+   * Token UTXOs are never spent. Change goes back to the multisig address.
+   * @param {Array} outputs - [{ address, amountSat }] or [{ script, amountSat }]
+   * @param {number} satsPerByte - Fee rate
+   * @returns {string} - Signing package JSON
+   */
+  async createTransaction (outputs, satsPerByte = this.defaultSatsPerByte) {
+    try {
+      const normalizedOutputs = (Array.isArray(outputs) ? outputs : [outputs]).map(normalizeOutput)
+
+      const outputValidation = this.security.validateOutputs(normalizedOutputs)
+      if (!outputValidation.isValid) {
+        throw new Error(`Invalid outputs: ${outputValidation.errors.join(', ')}`)
+      }
+
+      const utxoData = await this.ar.getUtxos(this.address)
+      const utxos = ((utxoData && utxoData.utxos) || []).filter(utxo => !utxo.token)
+      if (utxos.length === 0) {
+        throw new Error(`No UTXOs on multisig address ${this.address}`)
+      }
+
+      const txOutputs = normalizedOutputs.map(output => ({
+        sats: BigInt(output.amountSat || output.amount),
+        script: getOutputScript(output)
+      }))
+
+      const targetAmount = txOutputs.reduce((sum, output) => sum + Number(output.sats), 0)
+      const selection = this.coinSelection.select(utxos, targetAmount, {
+        getFee: (inputCount, withChange) => this._estimateFee(inputCount, txOutputs, satsPerByte, withChange)
+      })
+      if (!selection) {
+        throw new Error('Insufficient funds')
+      }
+
+      const inputs = selection.selectedUtxos.map(utxo => ({
+        input: {
+          prevOut: {
+            txid: utxo.outpoint.txid,
+            outIdx: utxo.outpoint.outIdx
+          },
+          signData: {
+            sats: BigInt(utxo.sats),
+            redeemScript: new Script(this.redeemScript)
+          }
+        },
+        // Placeholder scriptSig with the size of a fully signed one, so the
+        // builder can work out the fee. It is stripped from the package.
+        signatory: () => new Script(this._buildPlaceholderScriptSig())
+      }))
+
+      const txBuilder = new TxBuilder({
+        inputs,
+        outputs: [...txOutputs, getOutputScript({ address: this.address })]
+      })
+      const tx = txBuilder.sign(feeEngine.getSignParams(satsPerByte, this.dustLimit))
+      tx.inputs.forEach(input => { input.script = new Script() })
+
+      return JSON.stringify({
+        type: PACKAGE_TYPE,
+        version: PACKAGE_VERSION,
+        address: this.address,
+        threshold: this.threshold,
+        redeemScript: this.redeemScript.toString('hex'),
+        tx: toHex(tx.ser()),
+        inputs: selection.selectedUtxos.map(utxo => ({ sats: String(utxo.sats), signatures: {} }))
+      })
+    } catch (err) {
+      throw new Error(`Transaction creation failed: ${err.message}`)
+    }
+  }
+
+  /**
+   * Add the signatures of one cosigner to a signing package
+   * @param {string|Object} data - Signing package
+   * @param {string} privateKey - Hex private key of a cosigner
+   * @returns {string} - Updated signing package JSON
+   */
+  signTransaction (data, privateKey) {
+    try {
+      const pkg = this._parsePackage(data)
+
+      const sk = Buffer.from(privateKey, 'hex')
+      const publicKey = Buffer.from(this.ecc.derivePubkey(sk)).toString('hex')
+      if (!this.publicKeys.includes(publicKey)) {
+        throw new Error('Private key does not belong to a cosigner of this multisig')
+      }
+
+      // Refuse to add to a package that carries a bad signature
+      this._verifySignatures(pkg)
+
+      pkg.inputs.forEach((input, index) => {
+        const sighash = this._getSighash(pkg, index)
+        const signature = Buffer.concat([
+          Buffer.from(this.ecc.ecdsaSign(sk, sighash)),
+          Buffer.from([SIGHASH_FLAG])
+        ])
+        input.signatures[publicKey] = signature.toString('hex')
+      })
+
+      return JSON.stringify(pkg)
+    } catch (err) {
+      throw new Error(`Signing failed: ${err.message}`)
+    }
+  }
+
+  // Number of cosigners that signed every input
+  getSignatureCount (data) {
+    const pkg = this._parsePackage(data)
+    return Math.min(...pkg.inputs.map(input => Object.keys(input.signatures).length))
+  }
+
+  isComplete (data) {
+    return this.getSignatureCount(data) >= this.threshold
+  }
+
+  /**
+   * Assemble the scriptSigs of a package that has enough signatures
+   * @param {string|Object} data - Signing package
+   * @returns {string} - Signed transaction hex
+   */
+  finalizeTransaction (data) {
+    try {
+      const pkg = this._parsePackage(data)
+
+      const count = this.getSignatureCount(pkg)
+      if (count < this.threshold) {
+        throw new Error(`Only ${count} of ${this.threshold} required signatures`)
+      }
+      this._verifySignatures(pkg)
+
+      const txBuilder = TxBuilder.fromTx(Tx.fromHex(pkg.tx))
+      txBuilder.inputs.forEach((builderInput, index) => {
+        // CHECKMULTISIG expects the signatures in the order of the keys
+        const signatures = this.publicKeys
+          .filter(publicKey => pkg.inputs[index].signatures[publicKey])
+          .slice(0, this.threshold)
+          .map(publicKey => Buffer.from(pkg.inputs[index].signatures[publicKey], 'hex'))
+
+        builderInput.signatory = () => new Script(this._buildScriptSig(signatures))
+      })
+
+      return toHex(txBuilder.sign().ser())
+    } catch (err) {
+      throw new Error(`Finalization failed: ${err.message}`)
+    }
+  }
+
+  // Private methods
+
+  _getPublicKeys (localConfig) {
+    let publicKeys
+    if (Array.isArray(localConfig.xpubs)) {
+      publicKeys = localConfig.xpubs.map(xpub => this.keyDerivation.deriveFromXpub(xpub, this.path).publicKey)
+    } else if (Array.isArray(localConfig.publicKeys)) {
+      publicKeys = localConfig.publicKeys
+    } else {
+      throw new Error('Multisig requires publicKeys or xpubs')
+    }
+
+    publicKeys = publicKeys.map(publicKey => Buffer.from(publicKey, 'hex').toString('hex'))
+    publicKeys.forEach(publicKey => {
+      if (!/^0[23][0-9a-f]{64}$/.test(publicKey)) {
+        throw new Error(`Invalid compressed public key: ${publicKey}`)
+      }
+    })
+
+    if (new Set(publicKeys).size !== publicKeys.length) {
+      throw new Error('Multisig public keys must be unique')
+    }
+
+    return publicKeys.sort()
+  }
+
+  _validateThreshold () {
+    const count = this.publicKeys.length
+    if (count < 1 || count > MAX_COSIGNERS) {
+      throw new Error(`Multisig needs between 1 and ${MAX_COSIGNERS} public keys, got ${count}`)
+    }
+    if (!Number.isInteger(this.threshold) || this.threshold < 1 || this.threshold > count) {
+      throw new Error(`Threshold must be between 1 and ${count}`)
+    }
+  }
+
+  _parsePackage (data) {
+    let pkg
+    try {
+      pkg = typeof data === 'string' ? JSON.parse(data) : JSON.parse(JSON.stringify(data))
+    } catch (err) {
+      throw new Error('Invalid signing package JSON')
+    }
+
+    if (!pkg || pkg.type !== PACKAGE_TYPE || !pkg.tx || !Array.isArray(pkg.inputs)) {
+      throw new Error('Not a multisig signing package')
+    }
+    if (pkg.version > PACKAGE_VERSION) {
+      throw new Error(`Unsupported signing package version ${pkg.version}`)
+    }
+    if (pkg.redeemScript !== this.redeemScript.toString('hex')) {
+      throw new Error('Signing package belongs to another multisig')
+    }
+
+    return pkg
+  }
+
+  // BIP143 sighash of an input, which commits to the amount it spends
+  _getSighash (pkg, index) {
+    const tx = Tx.fromHex(pkg.tx)
+    tx.inputs.forEach((input, i) => {
+      input.signData = {
+        sats: BigInt(pkg.inputs[i].sats),
+        redeemScript: new Script(this.redeemScript)
+      }
+    })
+
+    const preimage = UnsignedTx.fromTx(tx).inputAt(index).sigHashPreimage(ALL_BIP143)
+    return sha256d(preimage.bytes)
+  }
+
+  // Fee of a transaction spending inputCount multisig inputs. The fee engine
+  // sizes P2PKH inputs, so the difference to a signed multisig input is added.
+  _estimateFee (inputCount, outputs, satsPerByte, withChange) {
+    const scriptSize = this._buildPlaceholderScriptSig().length
+    const inputSize = 40 + (scriptSize < 0xfd ? 1 : 3) + scriptSize
+    const txSize = feeEngine.getTxSize(inputCount, outputs, withChange) +
+      inputCount * (inputSize - feeEngine.getInputSize())
+
+    return feeEngine.calculateFee(txSize, satsPerByte)
+  }
+
+  _buildPlaceholderScriptSig () {
+    return this._buildScriptSig(new Array(this.threshold).fill(Buffer.alloc(MAX_SIGNATURE_SIZE)))
+  }
+
+  // Check every signature of the package against the sighash of its input and
+  // the key of its cosigner, so a bad entry is traced to the cosigner at fault
+  _verifySignatures (pkg) {
+    pkg.inputs.forEach((input, index) => {
+      const entries = Object.entries(input.signatures || {})
+      if (entries.length === 0) {
+        return
+      }
+
+      const sighash = this._getSighash(pkg, index)
+      for (const [publicKey, signatureHex] of entries) {
+        if (!this.publicKeys.includes(publicKey)) {
+          throw new Error(`Input ${index} has a signature from ${publicKey}, which is not a cosigner`)
+        }
+
+        const signature = /^([0-9a-f]{2})+$/i.test(signatureHex) ? Buffer.from(signatureHex, 'hex') : Buffer.alloc(0)
+        try {
+          if (signature.length < 2 || signature[signature.length - 1] !== SIGHASH_FLAG) {
+            throw new Error('missing SIGHASH_ALL | SIGHASH_FORKID flag')
+          }
+          this.ecc.ecdsaVerify(signature.slice(0, -1), sighash, Buffer.from(publicKey, 'hex'))
+        } catch (err) {
+          throw new Error(`Invalid signature of cosigner ${publicKey} on input ${index}`)
+        }
+      }
+    })
+  }
+
+  // OP_0 <sig>... <redeemScript>. OP_0 is the dummy CHECKMULTISIG pops.
+  _buildScriptSig (signatures) {
+    return Buffer.concat([
+      Buffer.from([OP_0]),
+      ...signatures.map(signature => this._pushData(signature)),
+      this._pushData(this.redeemScript)
+    ])
+  }
+
+  _pushData (data) {
+    let prefix
+    if (data.length < OP_PUSHDATA1) {
+      prefix = Buffer.from([data.length])
+    } else if (data.length <= 0xff) {
+      prefix = Buffer.from([OP_PUSHDATA1, data.length])
+    } else {
+      prefix = Buffer.alloc(3)
+      prefix[0] = OP_PUSHDATA2
+      prefix.writeUInt16LE(data.length, 1)
+    }
+
+    return Buffer.concat([prefix, data])
+  }
+}
+
+Multisig.PACKAGE_TYPE = PACKAGE_TYPE
+
+module.exports = Multisig
@@ -0,0 +1,62 @@
+/*
+  Parameters of the eCash networks the wallet can run on.
+
+  The network decides the cashaddr prefix, the WIF version byte, the BIP44
+  coin type of the default HD path and the default Chronik endpoints. Testnet
+  and regtest default to a Chronik server on the local node, using the ports
+  bitcoind enables with -chronik.
+*/
+
+const NETWORKS = {
+  mainnet: {
+    name: 'mainnet',
+    addressPrefix: 'ecash',
+    wifPrefix: 0x80,
+    coinType: 899,
+    // Working as of 2025
+    chronikUrls: [
+      'https://chronik.e.cash',
+      'https://chronik.be.cash',
+      'https://xec.paybutton.org',
+      'https://chronik.pay2stay.com/xec',
+      'https://chronik.pay2stay.com/xec2',
+      'https://chronik1.alitayin.com',
+      'https://chronik2.alitayin.com'
+    ]
+  },
+  testnet: {
+    name: 'testnet',
+    addressPrefix: 'ectest',
+    wifPrefix: 0xef,
+    coinType: 1,
+    chronikUrls: ['http://127.0.0.1:18331']
+  },
+  regtest: {
+    name: 'regtest',
+    addressPrefix: 'ecregtest',
+    wifPrefix: 0xef,
+    coinType: 1,
+    chronikUrls: ['http://127.0.0.1:18442']
+  }
+}
+
+// Look up a network by name. Defaults to mainnet.
+function getNetwork (name = 'mainnet') {
+  const network = NETWORKS[name || 'mainnet']
+  if (!network) {
+    throw new Error(`Unknown network '${name}'. Expected one of ${Object.keys(NETWORKS).join(', ')}`)
+  }
+
+  return network
+}
+
+// Cashaddr prefixes of every supported network
+function getAddressPrefixes () {
+  return Object.values(NETWORKS).map(network => network.addressPrefix)
+}
+
+module.exports = {
+  NETWORKS,
+  getNetwork,
+  getAddressPrefixes
+}
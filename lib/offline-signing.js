@@ -0,0 +1,342 @@
+/*
+  Unsigned transaction packages for offline signing.
+
+  An online (usually watch-only) wallet builds a transaction without keys and
+  exports it as a versioned JSON package: the unsigned transaction, the amount
+  and output script of every input, the outputs, the fee and token metadata.
+  An offline wallet holding the seed verifies the package and signs it. The
+  signed hex goes back online, where broadcast() checks it against the package.
+
+  Inputs are spent with placeholder scriptSigs while the online wallet builds
+  the transaction. They have the size of a real P2PKH spend, so the fee the
+  builders work out is the fee of the signed transaction.
+*/
+
+const { Tx, Script, fromHex, toHex, toHexRev, parseSlp, parseEmppScript, parseAlp } = require('ecash-lib')
+const { decodeCashAddress } = require('ecashaddrjs')
+const KeyDerivation = require('./key-derivation')
+const { getNetwork } = require('./networks')
+const { placeholderSignatory, getSigner, signTransaction, P2PKH_SPEND_SIZE } = require('./signer')
+const { describeOutput } = require('./output-scripts')
+
+const PACKAGE_TYPE = 'unsigned-tx'
+const PACKAGE_VERSION = 1
+
+class OfflineSigning {
+  constructor (localConfig = {}) {
+    this.keyDerivation = localConfig.keyDerivation || new KeyDerivation(localConfig)
+    this.network = getNetwork(localConfig.network)
+
+    // Fee rates above this are treated as a mistake or a tampered package
+    this.maxSatsPerByte = localConfig.maxSatsPerByte || 50
+  }
+
+  /**
+   * Wrap a transaction built with placeholder signatures into a package
+   * @param {string} txHex - Transaction built with placeholderSignatory
+   * @param {Array} utxos - UTXOs the transaction may spend
+   * @param {Object} options - { kind, token, walletInfo }
+   * @returns {string} - Package JSON
+   */
+  createPackage (txHex, utxos, options = {}) {
+    try {
+      const tx = Tx.fromHex(txHex)
+      const walletInfo = options.walletInfo || {}
+      const accountAddresses = Array.isArray(walletInfo.addresses) ? walletInfo.addresses : []
+
+      const inputs = tx.inputs.map(input => {
+        const txid = this._getTxid(input.prevOut)
+        const utxo = utxos.find(item =>
+          item.outpoint.txid === txid && item.outpoint.outIdx === input.prevOut.outIdx
+        )
+        if (!utxo) {
+          throw new Error(`Unknown input ${txid}:${input.prevOut.outIdx}`)
+        }
+
+        const address = utxo.address || walletInfo.xecAddress
+        const entry = accountAddresses.find(item => item.address === address)
+        const hdPath = entry ? entry.hdPath : walletInfo.hdPath
+
+        return {
+          txid,
+          outIdx: input.prevOut.outIdx,
+          sats: String(utxo.sats !== undefined ? utxo.sats : utxo.value),
+          outputScript: this._getAddressScriptHex(address),
+          address,
+          // Lets the offline wallet sign without discovering the account
+          ...(hdPath ? { hdPath } : {})
+        }
+      })
+
+      tx.inputs.forEach(input => { input.script = new Script() })
+
+      const outputs = tx.outputs.map(output => this._describeOutput(output))
+      const fee = inputs.reduce((sum, input) => sum + BigInt(input.sats), 0n) -
+        outputs.reduce((sum, output) => sum + BigInt(output.sats), 0n)
+
+      return JSON.stringify({
+        type: PACKAGE_TYPE,
+        version: PACKAGE_VERSION,
+        network: this.network.name,
+        kind: options.kind || 'xec',
+        tx: toHex(tx.ser()),
+        inputs,
+        outputs,
+        fee: fee.toString(),
+        token: options.token || null
+      })
+    } catch (err) {
+      throw new Error(`Unsigned transaction export failed: ${err.message}`)
+    }
+  }
+
+  /**
+   * Check that a package is consistent before anything signs it: the
+   * transaction matches the listed inputs and outputs, the token metadata
+   * matches the OP_RETURN and the fee is sane.
+   * @param {string|Object} data - Package
+   * @returns {Object} - Summary with inputs, outputs, fee and fee rate
+   */
+  verifyPackage (data) {
+    try {
+      const pkg = this._parsePackage(data)
+      const tx = Tx.fromHex(pkg.tx)
+
+      if (tx.inputs.length !== pkg.inputs.length) {
+        throw new Error('Input count does not match the transaction')
+      }
+      tx.inputs.forEach((input, i) => {
+        const listed = pkg.inputs[i]
+        if (this._getTxid(input.prevOut) !== listed.txid || input.prevOut.outIdx !== listed.outIdx) {
+          throw new Error(`Input ${i} does not match the transaction`)
+        }
+        if (input.script && input.script.bytecode.length > 0) {
+          throw new Error(`Input ${i} is already signed`)
+        }
+        if (listed.outputScript !== this._getAddressScriptHex(listed.address)) {
+          throw new Error(`Input ${i} script does not match its address`)
+        }
+      })
+
+      if (tx.outputs.length !== pkg.outputs.length) {
+        throw new Error('Output count does not match the transaction')
+      }
+      const outputs = tx.outputs.map(output => this._describeOutput(output))
+      outputs.forEach((output, i) => {
+        const listed = pkg.outputs[i]
+        if (output.sats !== listed.sats || output.script !== listed.script || output.address !== listed.address) {
+          throw new Error(`Output ${i} does not match the transaction`)
+        }
+      })
+
+      let token = pkg.token
+      if (token) {
+        if (!outputs[0].script.startsWith('6a')) {
+          throw new Error('Token transaction must start with an OP_RETURN output')
+        }
+
+        token = { ...token, change: this._verifyTokenScript(token, tx.outputs[0].script, outputs) }
+      }
+
+      const totalIn = pkg.inputs.reduce((sum, input) => sum + BigInt(input.sats), 0n)
+      const totalOut = outputs.reduce((sum, output) => sum + BigInt(output.sats), 0n)
+      const fee = totalIn - totalOut
+      if (fee < 0n) {
+        throw new Error('Outputs exceed inputs')
+      }
+      if (fee.toString() !== pkg.fee) {
+        throw new Error(`Fee ${pkg.fee} does not match the transaction fee ${fee}`)
+      }
+
+      // Size once every input carries its P2PKH scriptSig
+      const signedSize = pkg.tx.length / 2 + pkg.inputs.length * P2PKH_SPEND_SIZE
+      const satsPerByte = Number(fee) / signedSize
+      if (satsPerByte > this.maxSatsPerByte) {
+        throw new Error(`Fee rate ${satsPerByte.toFixed(2)} sats/byte exceeds ${this.maxSatsPerByte}`)
+      }
+
+      return {
+        kind: pkg.kind,
+        inputs: pkg.inputs,
+        outputs,
+        fee: Number(fee),
+        satsPerByte,
+        size: signedSize,
+        token
+      }
+    } catch (err) {
+      throw new Error(`Unsigned transaction verification failed: ${err.message}`)
+    }
+  }
+
+  /**
+   * Verify and sign a package with the keys of a wallet
+   * @param {string|Object} data - Package
+   * @param {Object} walletInfo - Signing wallet info (mnemonic, private key or signer)
+   * @returns {Promise<string>} - Signed transaction hex
+   */
+  async signPackage (data, walletInfo) {
+    try {
+      this.verifyPackage(data)
+      const pkg = this._parsePackage(data)
+
+      const tx = Tx.fromHex(pkg.tx)
+      tx.inputs.forEach((input, i) => {
+        input.signData = {
+          sats: BigInt(pkg.inputs[i].sats),
+          outputScript: new Script(fromHex(pkg.inputs[i].outputScript))
+        }
+      })
+
+      // The package hdPath lets the offline wallet sign without discovering
+      // the account
+      const keyRefs = pkg.inputs.map(input =>
+        input.hdPath ? { address: input.address, hdPath: input.hdPath } : { address: input.address }
+      )
+      await signTransaction(tx, keyRefs, getSigner(walletInfo, this.keyDerivation))
+
+      return toHex(tx.ser())
+    } catch (err) {
+      throw new Error(`Offline signing failed: ${err.message}`)
+    }
+  }
+
+  /**
+   * Check that signed hex is the package transaction, fully signed
+   * @param {string|Object} data - Package
+   * @param {string} signedHex - Signed transaction hex
+   * @returns {boolean} - True when it matches
+   */
+  verifySignedTx (data, signedHex) {
+    try {
+      const pkg = this._parsePackage(data)
+      const tx = Tx.fromHex(signedHex)
+
+      if (tx.inputs.length !== pkg.inputs.length || tx.outputs.length !== pkg.outputs.length) {
+        throw new Error('Transaction does not match the package')
+      }
+      tx.inputs.forEach((input, i) => {
+        const listed = pkg.inputs[i]
+        if (this._getTxid(input.prevOut) !== listed.txid || input.prevOut.outIdx !== listed.outIdx) {
+          throw new Error(`Input ${i} does not match the package`)
+        }
+        if (!input.script || input.script.bytecode.length === 0) {
+          throw new Error(`Input ${i} is not signed`)
+        }
+      })
+      tx.outputs.forEach((output, i) => {
+        const described = this._describeOutput(output)
+        if (described.sats !== pkg.outputs[i].sats || described.script !== pkg.outputs[i].script) {
+          throw new Error(`Output ${i} does not match the package`)
+        }
+      })
+
+      return true
+    } catch (err) {
+      throw new Error(`Signed transaction verification failed: ${err.message}`)
+    }
+  }
+
+  // Private methods
+
+  _parsePackage (data) {
+    let pkg
+    try {
+      pkg = typeof data === 'string' ? JSON.parse(data) : JSON.parse(JSON.stringify(data))
+    } catch (err) {
+      throw new Error('Invalid package JSON')
+    }
+
+    if (!pkg || pkg.type !== PACKAGE_TYPE || !pkg.tx || !Array.isArray(pkg.inputs) || !Array.isArray(pkg.outputs)) {
+      throw new Error('Not an unsigned transaction package')
+    }
+    if (!Number.isInteger(pkg.version) || pkg.version > PACKAGE_VERSION) {
+      throw new Error(`Unsupported package version ${pkg.version}`)
+    }
+    if (pkg.network !== this.network.name) {
+      throw new Error(`Package is for ${pkg.network}, wallet is on ${this.network.name}`)
+    }
+
+    return pkg
+  }
+
+  // Parsed transactions hold txids as bytes in serialization order
+  _getTxid (prevOut) {
+    return typeof prevOut.txid === 'string' ? prevOut.txid : toHexRev(prevOut.txid)
+  }
+
+  // Output as plain JSON, with the address it pays when it is P2PKH or P2SH
+  // Check the token metadata the signer is shown against the OP_RETURN, so a
+  // tampered package cannot show one token amount and move another. Returns
+  // the token change: the atoms sent past the declared outputs.
+  _verifyTokenScript (token, script, outputs) {
+    const sections = this._parseTokenSections(script)
+    const send = sections[0]
+    if (sections.length !== 1 || send.txType !== 'SEND' || send.tokenId !== token.tokenId) {
+      throw new Error(`OP_RETURN must only send token ${token.tokenId}`)
+    }
+    if (token.protocol && send.protocol !== token.protocol) {
+      throw new Error(`OP_RETURN is ${send.protocol}, not ${token.protocol}`)
+    }
+
+    const declared = token.outputs || []
+    declared.forEach((item, i) => {
+      const output = outputs[i + 1]
+      const atoms = send.sendAtomsArray[i] || 0n
+      if (!output || output.address !== item.address || atoms !== this._amountToAtoms(item.amount, token.decimals)) {
+        throw new Error(`Token output ${i} does not match the OP_RETURN`)
+      }
+    })
+
+    const change = []
+    send.sendAtomsArray.slice(declared.length).forEach((atoms, i) => {
+      const output = outputs[declared.length + i + 1]
+      if (atoms > 0n) {
+        if (!output) {
+          throw new Error('OP_RETURN sends tokens to a missing output')
+        }
+        change.push({ address: output.address, atoms: atoms.toString() })
+      }
+    })
+    if (change.length > 1) {
+      throw new Error('OP_RETURN sends token change to more than one output')
+    }
+
+    return change[0] || null
+  }
+
+  // SLP message or ALP sections of an OP_RETURN, each with its protocol
+  _parseTokenSections (script) {
+    const slp = parseSlp(script)
+    if (slp) {
+      return [{ ...slp, protocol: 'SLP' }]
+    }
+
+    return (parseEmppScript(script) || [])
+      .map(data => parseAlp(data))
+      .filter(section => section)
+      .map(section => ({ ...section, protocol: 'ALP' }))
+  }
+
+  // Same rounding as the token handlers
+  _amountToAtoms (amount, decimals) {
+    if (!decimals) {
+      return BigInt(Math.floor(amount))
+    }
+
+    return BigInt(Math.floor(amount * Math.pow(10, decimals)))
+  }
+
+  _describeOutput (output) {
+    return describeOutput(output, this.network.addressPrefix)
+  }
+
+  _getAddressScriptHex (address) {
+    return toHex(Script.p2pkh(fromHex(decodeCashAddress(address).hash)).bytecode)
+  }
+}
+
+OfflineSigning.PACKAGE_TYPE = PACKAGE_TYPE
+OfflineSigning.placeholderSignatory = placeholderSignatory
+
+module.exports = OfflineSigning
@@ -3,10 +3,15 @@
   Uses same patterns as send-xec.js for consistency.
 */
 
-const { TxBuilder, P2PKHSignatory, fromHex, toHex, Ecc, Script, ALL_BIP143 } = require('ecash-lib')
+const { TxBuilder, fromHex, toHex, Ecc, Script } = require('ecash-lib')
 const { decodeCashAddress } = require('ecashaddrjs')
 const KeyDerivation = require('./key-derivation')
 const SecurityValidator = require('./security')
+const { placeholderSignatory, getSigner, getKeyRef, signTransaction } = require('./signer')
+const { getOutputScript } = require('./output-scripts')
+const CoinSelection = require('./coin-selection')
+const feeEngine = require('./fee-engine')
+const { normalizeOutput } = require('./amount')
 
 class OpReturn {
   constructor (localConfig = {}) {
@@ -22,7 +27,7 @@ class OpReturn {
     }
 
     // Initialize components (same as send-xec.js)
-    this.keyDerivation = new KeyDerivation()
+    this.keyDerivation = new KeyDerivation(localConfig)
     this.security = new SecurityValidator(localConfig.security)
 
     // Initialize ECC for ecash-lib
@@ -36,6 +41,9 @@ class OpReturn {
     this.dustLimit = localConfig.dustLimit || 546
     this.maxOpReturnSize = localConfig.maxOpReturnSize || 223 // Max OP_RETURN size in bytes
     this.defaultSatsPerByte = localConfig.defaultSatsPerByte || 1.2
+
+    // Default strategy; walletInfo.coinSelection overrides it per send
+    this.coinSelection = new CoinSelection({ strategy: localConfig.coinSelection, dustLimit: this.dustLimit })
   }
 
   async sendOpReturn (walletInfo, xecUtxos, msg, prefix = '6d02', xecOutput = [], satsPerByte = this.defaultSatsPerByte) {
@@ -66,9 +74,12 @@ class OpReturn {
       // Build OP_RETURN script
       const opReturnScript = this.buildOpReturnScript(msg, prefix)
 
+      // XEC outputs with amountSat numbers
+      const outputs = xecOutput.map(normalizeOutput)
+
       // Calculate total output amount (excluding OP_RETURN which is always 0)
       let totalOutputAmount = 0
-      for (const output of xecOutput) {
+      for (const output of outputs) {
         if (!output.address || typeof output.amountSat !== 'number') {
           throw new Error('Invalid XEC output format')
         }
@@ -80,21 +91,10 @@ class OpReturn {
         totalOutputAmount,
         xecUtxos,
         satsPerByte,
-        xecOutput.length + 1 // +1 for OP_RETURN output
+        [{ script: opReturnScript.toString('hex') }, ...outputs], // change is added by txBuilder
+        walletInfo.coinSelection
       )
 
-      // Get private key (prefer mnemonic - same as send-xec.js)
-      let privateKeyHex
-      if (walletInfo.mnemonic) {
-        const keyData = this.keyDerivation.deriveFromMnemonic(walletInfo.mnemonic, walletInfo.hdPath)
-        privateKeyHex = keyData.privateKey
-      } else {
-        privateKeyHex = walletInfo.privateKey
-      }
-
-      const sk = fromHex(privateKeyHex)
-      const pk = this.ecc.derivePubkey(sk)
-
       // Build outputs array (same pattern as send-xec.js)
       const txOutputs = []
 
@@ -105,17 +105,16 @@ class OpReturn {
       })
 
       // Add XEC outputs
-      for (const output of xecOutput) {
-        const decoded = decodeCashAddress(output.address)
+      for (const output of outputs) {
         txOutputs.push({
           sats: BigInt(output.amountSat),
-          script: Script.p2pkh(fromHex(decoded.hash))
+          script: getOutputScript(output)
         })
       }
 
       // Add change address for automatic calculation (same as send-xec.js)
-      const walletDecoded = decodeCashAddress(walletInfo.xecAddress)
-      txOutputs.push(Script.p2pkh(fromHex(walletDecoded.hash)))
+      const changeDecoded = decodeCashAddress(walletInfo.changeAddress || walletInfo.xecAddress)
+      txOutputs.push(Script.p2pkh(fromHex(changeDecoded.hash)))
 
       // Build inputs (same pattern as send-xec.js)
       const inputs = coinSelection.necessaryUtxos.map(utxo => ({
@@ -126,18 +125,20 @@ class OpReturn {
           },
           signData: {
             sats: BigInt(this._getUtxoValue(utxo)),
-            outputScript: Script.p2pkh(fromHex(walletDecoded.hash))
+            outputScript: this._getInputScript(walletInfo, utxo.address)
           }
         },
-        signatory: P2PKHSignatory(sk, pk, ALL_BIP143)
+        signatory: placeholderSignatory
       }))
 
       // Build and sign transaction (same as send-xec.js)
       const txBuilder = new TxBuilder({ inputs, outputs: txOutputs })
-      const tx = txBuilder.sign({
-        feePerKb: BigInt(Math.round(satsPerByte * 1000)),
-        dustSats: BigInt(this.dustLimit)
-      })
+      const tx = txBuilder.sign(feeEngine.getSignParams(satsPerByte, this.dustLimit))
+
+      if (!walletInfo.unsigned) {
+        const keyRefs = coinSelection.necessaryUtxos.map(utxo => getKeyRef(walletInfo, utxo.address))
+        await signTransaction(tx, keyRefs, getSigner(walletInfo, this.keyDerivation))
+      }
 
       return toHex(tx.ser())
     } catch (err) {
@@ -193,10 +194,14 @@ class OpReturn {
 
   // Helper methods
 
-  _selectUtxosForOpReturn (totalOutputAmount, availableUtxos, satsPerByte, numOutputs) {
+  // outputs are the outputs besides change, or their number when all are P2PKH
+  _selectUtxosForOpReturn (totalOutputAmount, availableUtxos, satsPerByte, outputs, strategy) {
     try {
-      // Filter secure UTXOs (same as send-xec.js)
-      let secureUtxos = this.security.filterSecureUtxos(availableUtxos, { excludeDustAttack: false })
+      // Filter secure UTXOs (same as send-xec.js). UTXOs the user chose are
+      // spent as they are.
+      let secureUtxos = strategy === CoinSelection.MANUAL
+        ? availableUtxos
+        : this.security.filterSecureUtxos(availableUtxos, { excludeDustAttack: false })
 
       // If no confirmed UTXOs available, allow unconfirmed ones
       if (secureUtxos.length === 0) {
@@ -208,50 +213,30 @@ class OpReturn {
         throw new Error('No spendable UTXOs available')
       }
 
-      // Sort UTXOs by size (largest first) - using proper value extraction
-      const sortedUtxos = secureUtxos.sort((a, b) => {
-        return this._getUtxoValue(b) - this._getUtxoValue(a)
-      })
-
-      const selectedUtxos = []
-      let totalInputAmount = 0
-      let estimatedFee = 0
-
-      for (const utxo of sortedUtxos) {
-        const utxoValue = this._getUtxoValue(utxo)
-        selectedUtxos.push(utxo)
-        totalInputAmount += utxoValue
-
-        // Calculate fee including potential change output
-        const numInputs = selectedUtxos.length
-        const hasChange = (totalInputAmount - totalOutputAmount) > this.dustLimit
-        const totalOutputs = numOutputs + (hasChange ? 1 : 0) // +1 for change if needed
-
-        estimatedFee = this._calculateFee(numInputs, totalOutputs, satsPerByte)
-        const totalNeeded = totalOutputAmount + estimatedFee
-
-        if (totalInputAmount >= totalNeeded) {
-          const change = totalInputAmount - totalNeeded
+      // The fee includes a change output when the change is above dust
+      const getFee = (numInputs, withChange) => this._calculateFee(numInputs, outputs, satsPerByte, withChange)
 
-          return {
-            necessaryUtxos: selectedUtxos,
-            totalAmount: totalInputAmount,
-            estimatedFee,
-            change: change > this.dustLimit ? change : 0
-          }
-        }
+      const selection = this.coinSelection.select(secureUtxos, totalOutputAmount, { strategy, getFee })
+      if (!selection) {
+        const totalInputAmount = secureUtxos.reduce((sum, utxo) => sum + this._getUtxoValue(utxo), 0)
+        const estimatedFee = getFee(secureUtxos.length, totalInputAmount - totalOutputAmount > this.dustLimit)
+        throw new Error(`Insufficient funds for OP_RETURN transaction. Need: ${totalOutputAmount + estimatedFee}, Available: ${totalInputAmount}`)
       }
 
-      throw new Error(`Insufficient funds for OP_RETURN transaction. Need: ${totalOutputAmount + estimatedFee}, Available: ${totalInputAmount}`)
+      return {
+        necessaryUtxos: selection.selectedUtxos,
+        totalAmount: selection.totalAmount,
+        estimatedFee: selection.estimatedFee,
+        change: selection.change > this.dustLimit ? selection.change : 0
+      }
     } catch (err) {
       throw new Error(`UTXO selection for OP_RETURN failed: ${err.message}`)
     }
   }
 
-  _calculateFee (numInputs, numOutputs, satsPerByte) {
-    // Estimate transaction size in bytes
-    const estimatedSize = (numInputs * 148) + (numOutputs * 34) + 10
-    return Math.ceil(estimatedSize * satsPerByte)
+  _calculateFee (numInputs, outputs, satsPerByte, withChange = false) {
+    // Size of the signed transaction, see lib/fee-engine.js
+    return feeEngine.estimateFee(numInputs, outputs, satsPerByte, withChange)
   }
 
   _createP2PKHScript (hash160) {
@@ -299,6 +284,12 @@ class OpReturn {
     throw new Error('Prefix must be a hex string or Buffer')
   }
 
+  // Same input script as send-xec.js
+  _getInputScript (walletInfo, address) {
+    const decoded = decodeCashAddress(address || walletInfo.xecAddress)
+    return Script.p2pkh(fromHex(decoded.hash))
+  }
+
   // Same UTXO value extraction as send-xec.js
   _getUtxoValue (utxo) {
     if (utxo.sats !== undefined) {
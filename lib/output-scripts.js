@@ -0,0 +1,98 @@
+/*
+  Output scripts for transaction destinations.
+
+  An output either pays an address, whose cashaddr type picks a P2PKH or a
+  P2SH script, or carries a raw `script` in hex for advanced callers. Sizes
+  are exposed too, so fee estimates account for outputs that are not P2PKH.
+*/
+
+const { Script, fromHex } = require('ecash-lib')
+const { decodeCashAddress, encodeCashAddress } = require('ecashaddrjs')
+
+// Script sizes in bytes
+const P2PKH_SCRIPT_SIZE = 25
+const P2SH_SCRIPT_SIZE = 23
+
+// Consensus limit on script size
+const MAX_SCRIPT_SIZE = 10000
+
+// True for a non-empty, even-length hex string within the size limit
+function isValidScriptHex (script) {
+  return typeof script === 'string' &&
+    /^([0-9a-fA-F]{2})+$/.test(script) &&
+    script.length / 2 <= MAX_SCRIPT_SIZE
+}
+
+// 'p2pkh' or 'p2sh' for an address
+function getAddressType (address) {
+  const type = String(decodeCashAddress(address).type).toLowerCase()
+  if (type !== 'p2pkh' && type !== 'p2sh') {
+    throw new Error(`Unsupported address type: ${type}`)
+  }
+
+  return type
+}
+
+/**
+ * Build the output script for an output
+ * @param {Object} output - { address } or { script } (hex)
+ * @returns {Script} - ecash-lib Script
+ */
+function getOutputScript (output) {
+  if (output.script !== undefined) {
+    if (!isValidScriptHex(output.script)) {
+      throw new Error('Output script must be a non-empty hex string')
+    }
+    return new Script(fromHex(output.script))
+  }
+
+  const { hash } = decodeCashAddress(output.address)
+  return getAddressType(output.address) === 'p2sh'
+    ? Script.p2sh(fromHex(hash))
+    : Script.p2pkh(fromHex(hash))
+}
+
+// Serialized size of an output: 8 byte value, script length and script
+function getOutputSize (output) {
+  let scriptSize
+  if (output.script !== undefined) {
+    scriptSize = output.script.length / 2
+  } else {
+    scriptSize = getAddressType(output.address) === 'p2sh' ? P2SH_SCRIPT_SIZE : P2PKH_SCRIPT_SIZE
+  }
+
+  const lengthSize = scriptSize < 0xfd ? 1 : 3
+  return 8 + lengthSize + scriptSize
+}
+
+/**
+ * Describe a transaction output as plain JSON
+ * @param {Object} output - { sats, script } with an ecash-lib Script
+ * @param {string} prefix - Address prefix of the network, e.g. 'ecash'
+ * @returns {Object} - { sats, script } in hex, plus the address it pays when
+ *   it is P2PKH or P2SH
+ */
+function describeOutput (output, prefix) {
+  const script = Buffer.from(output.script.bytecode)
+  const described = {
+    sats: String(output.sats),
+    script: script.toString('hex')
+  }
+
+  if (script.length === 25 && script[0] === 0x76 && script[1] === 0xa9 && script[2] === 0x14) {
+    described.address = encodeCashAddress(prefix, 'p2pkh', script.slice(3, 23))
+  } else if (script.length === 23 && script[0] === 0xa9 && script[1] === 0x14 && script[22] === 0x87) {
+    described.address = encodeCashAddress(prefix, 'p2sh', script.slice(2, 22))
+  }
+
+  return described
+}
+
+module.exports = {
+  MAX_SCRIPT_SIZE,
+  isValidScriptHex,
+  getAddressType,
+  getOutputScript,
+  getOutputSize,
+  describeOutput
+}
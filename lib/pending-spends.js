@@ -0,0 +1,188 @@
+/*
+  Spends the wallet has broadcast but Chronik may not report yet.
+
+  UTXO lists are cached by the adapter router and by the UTXO store, so a
+  send issued right after another one could pick the same outpoints again.
+  Once a broadcast succeeds its inputs are recorded as spent and the outputs
+  paying the wallet are added as unconfirmed UTXOs. Every later UTXO list is
+  corrected with these records until Chronik catches up:
+
+  - A spent outpoint is forgotten once Chronik no longer lists it.
+  - A new UTXO is forgotten once Chronik lists it, with Chronik's copy kept.
+  - Records older than the timeout are dropped, so a transaction that never
+    made it into the mempool does not lock coins forever.
+
+  Outputs of eToken sends carry the token amounts of the OP_RETURN, so they
+  are never spent as plain XEC.
+*/
+
+const { Tx, toHexRev, parseSlp, parseEmppScript, parseAlp } = require('ecash-lib')
+const { getNetwork } = require('./networks')
+const { describeOutput } = require('./output-scripts')
+
+// How long a record waits for Chronik to catch up
+const DEFAULT_TIMEOUT = 10 * 60 * 1000
+
+class PendingSpends {
+  constructor (localConfig = {}) {
+    this.network = getNetwork(localConfig.network)
+    this.timeout = localConfig.timeout || DEFAULT_TIMEOUT
+
+    // 'txid:outIdx' -> { txid, time } of each spent outpoint
+    this.spent = new Map()
+
+    // 'txid:outIdx' -> { utxo, time } of each output paying the wallet
+    this.created = new Map()
+  }
+
+  /**
+   * Record a transaction that was just broadcast
+   * @param {string} hex - Signed transaction
+   * @param {string} txid - Its TXID
+   * @param {Function} isOwnAddress - Tells whether an address is the wallet's
+   */
+  record (hex, txid, isOwnAddress) {
+    try {
+      const tx = Tx.fromHex(hex)
+      const time = Date.now()
+
+      for (const input of tx.inputs) {
+        const prevTxid = typeof input.prevOut.txid === 'string' ? input.prevOut.txid : toHexRev(input.prevOut.txid)
+        this.spent.set(`${prevTxid}:${input.prevOut.outIdx}`, { txid, time })
+      }
+
+      // Token outputs that cannot be read are left for Chronik to report
+      const tokens = this._getOutputTokens(tx.outputs)
+      if (!tokens) {
+        return
+      }
+
+      tx.outputs.forEach((output, outIdx) => {
+        const { sats, address } = describeOutput(output, this.network.addressPrefix)
+        if (!address || !isOwnAddress(address)) {
+          return
+        }
+
+        const utxo = {
+          outpoint: { txid, outIdx },
+          blockHeight: -1,
+          isCoinbase: false,
+          sats,
+          isFinal: false,
+          address
+        }
+        if (tokens[outIdx]) {
+          utxo.token = tokens[outIdx]
+        }
+
+        this.created.set(`${txid}:${outIdx}`, { utxo, time })
+      })
+    } catch (err) {
+      throw new Error(`Pending spend record failed: ${err.message}`)
+    }
+  }
+
+  /**
+   * Correct a UTXO list with the pending records
+   * @param {Array} utxos - UTXOs
+   * @returns {Array} - UTXOs without the spent ones, plus the new ones
+   */
+  apply (utxos) {
+    const listed = new Set(utxos.map(utxo => this._getKey(utxo)))
+    const created = [...this.created.entries()]
+      .filter(([key]) => !listed.has(key))
+      .map(([, entry]) => entry.utxo)
+
+    return [...utxos, ...created].filter(utxo => !this.spent.has(this._getKey(utxo)))
+  }
+
+  /**
+   * Forget the records a fresh Chronik UTXO list already reflects, then
+   * correct the list with the rest
+   * @param {Array} utxos - UTXOs just fetched from Chronik
+   * @returns {Array} - Corrected UTXOs
+   */
+  reconcile (utxos) {
+    const listed = new Set(utxos.map(utxo => this._getKey(utxo)))
+    const expired = Date.now() - this.timeout
+
+    for (const [key, entry] of this.spent) {
+      if (!listed.has(key) || entry.time < expired) {
+        this.spent.delete(key)
+      }
+    }
+
+    for (const [key, entry] of this.created) {
+      if (listed.has(key) || entry.time < expired) {
+        this.created.delete(key)
+      }
+    }
+
+    return this.apply(utxos)
+  }
+
+  // Number of records still waiting for Chronik
+  get size () {
+    return this.spent.size + this.created.size
+  }
+
+  // Private methods
+
+  _getKey (utxo) {
+    return `${utxo.outpoint.txid}:${utxo.outpoint.outIdx}`
+  }
+
+  // Token carried by each output, by output index. Returns null when the
+  // OP_RETURN holds token data other than sends and burns.
+  _getOutputTokens (outputs) {
+    const tokens = {}
+    const script = outputs.length > 0 && outputs[0].script
+    if (!script || !script.bytecode || script.bytecode[0] !== 0x6a) {
+      return tokens
+    }
+
+    const assign = (protocol, section) => {
+      section.sendAtomsArray.forEach((atoms, i) => {
+        if (atoms > 0n) {
+          tokens[i + 1] = {
+            tokenId: section.tokenId,
+            tokenType: { protocol, number: section.tokenType },
+            atoms: atoms.toString(),
+            isMintBaton: false
+          }
+        }
+      })
+    }
+
+    try {
+      const slp = parseSlp(script)
+      if (slp) {
+        if (slp.txType === 'SEND') {
+          assign('SLP', slp)
+          return tokens
+        }
+
+        return slp.txType === 'BURN' ? tokens : null
+      }
+
+      const pushdata = parseEmppScript(script) || []
+      for (const data of pushdata) {
+        const section = parseAlp(data)
+        if (!section || section.txType === 'BURN') {
+          continue
+        }
+        if (section.txType !== 'SEND') {
+          return null
+        }
+
+        assign('ALP', section)
+      }
+
+      return tokens
+    } catch (err) {
+      return null
+    }
+  }
+}
+
+module.exports = PendingSpends
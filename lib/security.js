@@ -8,8 +8,14 @@
   - UTXO safety checks
 */
 
+const { getNetwork } = require('./networks')
+const { isValidScriptHex } = require('./output-scripts')
+
 class SecurityValidator {
   constructor (config = {}) {
+    // Only addresses of this network are accepted (ecash: on mainnet)
+    this.addressPrefix = getNetwork(config.network).addressPrefix
+
     // Simple security thresholds - XEC uses 546 satoshis (5.46 XEC) as standard dust limit
     this.dustThreshold = config.dustThreshold || 546
     this.maxTransactionSize = config.maxTransactionSize || 100000 // 100KB
@@ -130,8 +136,13 @@ class SecurityValidator {
       for (let i = 0; i < outputs.length; i++) {
         const output = outputs[i]
 
-        // Address validation
-        if (!this.isValidAddress(output.address)) {
+        // Address validation. Advanced outputs carry a raw script instead.
+        if (output.script !== undefined) {
+          if (!isValidScriptHex(output.script)) {
+            validation.isValid = false
+            validation.errors.push(`Invalid script at output ${i}`)
+          }
+        } else if (!this.isValidAddress(output.address)) {
           validation.isValid = false
           validation.errors.push(`Invalid address at output ${i}: ${output.address}`)
         }
@@ -161,7 +172,7 @@ class SecurityValidator {
   }
 
   /**
-   * Check if address is valid XEC format
+   * Check if address is a valid XEC P2PKH or P2SH address
    * @param {string} address - Address to validate
    * @returns {boolean} - True if valid
    */
@@ -171,8 +182,8 @@ class SecurityValidator {
         return false
       }
 
-      // Must start with ecash: prefix
-      if (!address.startsWith('ecash:')) {
+      // Must start with the network prefix
+      if (!address.startsWith(`${this.addressPrefix}:`)) {
         return false
       }
 
@@ -180,8 +191,8 @@ class SecurityValidator {
       const { decodeCashAddress } = require('ecashaddrjs')
       const decoded = decodeCashAddress(address)
 
-      // Must be P2PKH (type 0) - case insensitive check
-      return decoded.type === 'P2PKH' || decoded.type === 'p2pkh'
+      // Must be P2PKH or P2SH - case insensitive check
+      return ['p2pkh', 'p2sh'].includes(String(decoded.type).toLowerCase())
     } catch (err) {
       // Invalid address format
       return false
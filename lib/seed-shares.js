@@ -0,0 +1,97 @@
+/*
+  SLIP-39 split backups of the wallet seed.
+
+  The BIP39 entropy of the wallet mnemonic is split into Shamir share
+  mnemonics, optionally in several groups with their own thresholds. Combining
+  enough shares gives back the exact mnemonic, so the restored wallet derives
+  the same addresses and still honours a BIP39 passphrase.
+
+  Shares carry the entropy, not a BIP32 seed. Hardware wallets that restore
+  SLIP-39 natively derive a different account from them.
+*/
+
+const KeyDerivation = require('./key-derivation')
+const slip39 = require('./slip39')
+
+// Shares have at least 20 words (128-bit secret)
+const MIN_SHARE_WORDS = 20
+
+class SeedShares {
+  constructor (localConfig = {}) {
+    this.keyDerivation = localConfig.keyDerivation || new KeyDerivation(localConfig)
+  }
+
+  /**
+   * Split a mnemonic into SLIP-39 shares
+   * @param {string} mnemonic - BIP39 mnemonic in any supported language
+   * @param {Object} options - Either { threshold, shares } for a single
+   *   N-of-M group, or { groupThreshold, groups: [[threshold, count], ...] }
+   * @returns {Object} - { groupThreshold, groups: [{ threshold, shares }] }
+   */
+  split (mnemonic, options = {}) {
+    try {
+      const { threshold, shares, iterationExponent = 1 } = options
+      let { groupThreshold = 1, groups } = options
+
+      if (!groups) {
+        if (!Number.isInteger(threshold) || !Number.isInteger(shares)) {
+          throw new Error('threshold and shares, or groups, are required')
+        }
+        if (threshold > shares) {
+          throw new Error(`Threshold ${threshold} exceeds the number of shares ${shares}`)
+        }
+
+        groups = [[threshold, shares]]
+        groupThreshold = 1
+      }
+
+      const entropy = this.keyDerivation.mnemonicToEntropy(mnemonic)
+      const mnemonics = slip39.splitSecret(Buffer.from(entropy), {
+        groupThreshold,
+        groups,
+        iterationExponent
+      })
+
+      return {
+        groupThreshold,
+        groups: groups.map(([memberThreshold], index) => ({
+          threshold: memberThreshold,
+          shares: mnemonics[index]
+        }))
+      }
+    } catch (err) {
+      throw new Error(`SLIP-39 split failed: ${err.message}`)
+    }
+  }
+
+  /**
+   * Recover the mnemonic from enough shares
+   * @param {Array} shares - Share mnemonics
+   * @param {string} language - BIP39 language of the original mnemonic
+   * @returns {string} - The original mnemonic
+   */
+  combine (shares, language = 'english') {
+    try {
+      if (!Array.isArray(shares) || shares.length === 0) {
+        throw new Error('Shares must be a non-empty array')
+      }
+
+      const normalized = shares.map(share => share.trim().split(/\s+/).join(' ').toLowerCase())
+      const entropy = slip39.combineMnemonics(normalized)
+
+      return this.keyDerivation.entropyToMnemonic(entropy, language)
+    } catch (err) {
+      throw new Error(`SLIP-39 recovery failed: ${err.message}`)
+    }
+  }
+
+  isShare (value) {
+    if (typeof value !== 'string' || value.trim().split(/\s+/).length < MIN_SHARE_WORDS) {
+      return false
+    }
+
+    return slip39.validateMnemonic(value)
+  }
+}
+
+module.exports = SeedShares
@@ -3,15 +3,24 @@
 
   Core functionality only:
   - Create transactions with single/multiple outputs
-  - Simple fee calculation
+  - Fees sized from the signed transaction at the configured rate
+  - Fees paid by the wallet, or taken out of chosen outputs (subtractFeeFrom)
+  - nLockTime and input sequence, for transactions that cannot be mined
+    before a block height or time
   - Basic UTXO selection (largest first)
   - Transaction signing and broadcasting
 */
 
-const { TxBuilder, P2PKHSignatory, fromHex, toHex, Ecc, Script, ALL_BIP143 } = require('ecash-lib')
+const { TxBuilder, fromHex, toHex, Ecc, Script } = require('ecash-lib')
 const { decodeCashAddress } = require('ecashaddrjs')
 const KeyDerivation = require('./key-derivation')
 const SecurityValidator = require('./security')
+const { placeholderSignatory, getSigner, getKeyRef, signTransaction } = require('./signer')
+const { getOutputScript } = require('./output-scripts')
+const CoinSelection = require('./coin-selection')
+const feeEngine = require('./fee-engine')
+const { normalizeOutput } = require('./amount')
+const Timelock = require('./timelock')
 
 class SendXEC {
   constructor (localConfig = {}) {
@@ -27,7 +36,7 @@ class SendXEC {
     }
 
     // Initialize components
-    this.keyDerivation = new KeyDerivation()
+    this.keyDerivation = new KeyDerivation(localConfig)
     this.security = new SecurityValidator(localConfig.security)
 
     // Initialize ECC for ecash-lib
@@ -41,6 +50,9 @@ class SendXEC {
     this.dustLimit = localConfig.dustLimit || 546
     this.maxRetries = localConfig.maxRetries || 3
     this.defaultSatsPerByte = localConfig.defaultSatsPerByte || 1.2
+
+    // Default strategy; walletInfo.coinSelection overrides it per send
+    this.coinSelection = new CoinSelection({ strategy: localConfig.coinSelection, dustLimit: this.dustLimit })
   }
 
   /**
@@ -52,8 +64,8 @@ class SendXEC {
    */
   async createTransaction (outputs, walletInfo, utxos) {
     try {
-      // Normalize outputs to array
-      const normalizedOutputs = Array.isArray(outputs) ? outputs : [outputs]
+      // Normalize outputs to an array of outputs with amountSat numbers
+      const normalizedOutputs = (Array.isArray(outputs) ? outputs : [outputs]).map(normalizeOutput)
 
       // Validate outputs
       const outputValidation = this.security.validateOutputs(normalizedOutputs)
@@ -61,13 +73,19 @@ class SendXEC {
         throw new Error(`Invalid outputs: ${outputValidation.errors.join(', ')}`)
       }
 
-      // Select UTXOs
-      const selection = this._selectUtxos(normalizedOutputs, utxos)
+      // Select UTXOs. Outputs paying the fee are reduced by their share.
+      const feePayers = this._getFeePayers(walletInfo.subtractFeeFrom, normalizedOutputs.length)
+      const { selection, outputs: txOutputs } = feePayers.length > 0
+        ? this._subtractFee(normalizedOutputs, utxos, feePayers, walletInfo)
+        : {
+            selection: this._selectUtxos(normalizedOutputs, utxos, walletInfo.coinSelection, this._getFeeRate(walletInfo)),
+            outputs: normalizedOutputs
+          }
 
       // Build transaction
       const txHex = await this._buildTransaction(
         selection.selectedUtxos,
-        normalizedOutputs,
+        txOutputs,
         selection.change,
         walletInfo
       )
@@ -108,8 +126,8 @@ class SendXEC {
       // Calculate total available
       const totalSats = secureUtxos.reduce((sum, utxo) => sum + this._getUtxoValue(utxo), 0)
 
-      // Estimate fee
-      const estimatedFee = this._calculateFee(secureUtxos.length, 1) // All inputs, 1 output
+      // Estimate fee: all inputs, one output and no change
+      const estimatedFee = this._calculateFee(secureUtxos.length, [{ address }], this._getFeeRate(walletInfo))
 
       const sendAmount = totalSats - estimatedFee
       if (sendAmount <= this.dustLimit) {
@@ -155,7 +173,7 @@ class SendXEC {
   /**
    * Public fee calculation method
    * @param {number} inputCount - Number of inputs
-   * @param {number} outputCount - Number of outputs
+   * @param {number|Array} outputCount - Number of P2PKH outputs, or the outputs themselves
    * @param {number} feeRate - Fee rate in sats/byte
    * @returns {number} - Fee in satoshis
    */
@@ -197,26 +215,6 @@ class SendXEC {
     }
   }
 
-  /**
-   * Get key pair from wallet info using ecash-lib
-   * @param {Object} walletInfo - Wallet information
-   * @returns {Object} - Key pair object with privateKey, publicKey, and address
-   */
-  async getKeyPairFromMnemonic (walletInfo) {
-    try {
-      // Use ecash-lib based key derivation
-      if (walletInfo.mnemonic) {
-        return this.keyDerivation.deriveFromMnemonic(walletInfo.mnemonic, walletInfo.hdPath)
-      } else if (walletInfo.privateKey) {
-        return this.keyDerivation.deriveFromWif(walletInfo.privateKey)
-      } else {
-        throw new Error('No private key or mnemonic provided')
-      }
-    } catch (err) {
-      throw new Error(`Key pair creation failed: ${err.message}`)
-    }
-  }
-
   /**
    * High-level sendXec method
    * @param {Array|Object} outputs - Outputs to send
@@ -239,17 +237,22 @@ class SendXEC {
   // Private methods
 
   /**
-   * Simple UTXO selection (largest first)
+   * Select UTXOs with the configured coin selection strategy
    * @param {Array} outputs - Transaction outputs
    * @param {Array} utxos - Available UTXOs
+   * @param {string} strategy - Coin selection strategy (default: this.coinSelection.strategy)
+   * @param {number} satsPerByte - Fee rate (default: this.defaultSatsPerByte)
    * @returns {Object} - Selection result
    */
-  _selectUtxos (outputs, utxos) {
+  _selectUtxos (outputs, utxos, strategy, satsPerByte = null) {
     // Calculate target amount
     const targetAmount = outputs.reduce((sum, output) => sum + (output.amountSat || output.amount), 0)
 
-    // Filter secure UTXOs (allow unconfirmed if needed)
-    let secureUtxos = this.security.filterSecureUtxos(utxos, { excludeDustAttack: false })
+    // Filter secure UTXOs (allow unconfirmed if needed). UTXOs the user chose
+    // are spent as they are.
+    let secureUtxos = strategy === CoinSelection.MANUAL
+      ? utxos
+      : this.security.filterSecureUtxos(utxos, { excludeDustAttack: false })
 
     // If no confirmed UTXOs available, allow unconfirmed ones
     if (secureUtxos.length === 0) {
@@ -261,61 +264,107 @@ class SendXEC {
       throw new Error('No spendable UTXOs available')
     }
 
-    // Sort by value descending (largest first)
-    const sortedUtxos = secureUtxos.sort((a, b) => {
-      return this._getUtxoValue(b) - this._getUtxoValue(a)
+    const selection = this.coinSelection.select(secureUtxos, targetAmount, {
+      strategy,
+      getFee: (inputCount, withChange) => this._calculateFee(inputCount, outputs, satsPerByte, withChange)
     })
+    if (!selection) {
+      throw new Error('Insufficient funds')
+    }
 
-    // Greedy selection
-    const selectedUtxos = []
-    let totalAmount = 0
-
-    for (const utxo of sortedUtxos) {
-      const utxoValue = this._getUtxoValue(utxo)
-      selectedUtxos.push(utxo)
-      totalAmount += utxoValue
-
-      // Estimate fee with current selection
-      const estimatedFee = this._calculateFee(selectedUtxos.length, outputs.length)
-
-      if (totalAmount >= targetAmount + estimatedFee) {
-        // We have enough
-        const finalFee = this._calculateFee(selectedUtxos.length, outputs.length)
-        const change = totalAmount - targetAmount - finalFee
-
-        return {
-          selectedUtxos,
-          totalAmount,
-          estimatedFee: finalFee,
-          change
-        }
+    return selection
+  }
+
+  /**
+   * Indexes of the outputs that pay the fee
+   * @param {boolean|Array} subtractFeeFrom - true for every output, or output indexes
+   * @param {number} outputCount - Number of outputs
+   * @returns {Array} - Output indexes, empty when the wallet pays the fee
+   */
+  _getFeePayers (subtractFeeFrom, outputCount) {
+    if (subtractFeeFrom === undefined || subtractFeeFrom === false) {
+      return []
+    }
+
+    if (subtractFeeFrom === true) {
+      return [...Array(outputCount).keys()]
+    }
+
+    if (!Array.isArray(subtractFeeFrom) || subtractFeeFrom.length === 0) {
+      throw new Error('subtractFeeFrom must be true or a non-empty array of output indexes')
+    }
+
+    for (const index of subtractFeeFrom) {
+      if (!Number.isInteger(index) || index < 0 || index >= outputCount) {
+        throw new Error(`subtractFeeFrom has no output ${index}`)
       }
     }
 
-    throw new Error('Insufficient funds')
+    if (new Set(subtractFeeFrom).size !== subtractFeeFrom.length) {
+      throw new Error('subtractFeeFrom lists an output twice')
+    }
+
+    return subtractFeeFrom
   }
 
   /**
-   * Calculate transaction fee
+   * Select UTXOs for the output amounts alone, then take the fee out of the
+   * outputs that pay it. The fee is split evenly and the first payer covers
+   * the odd satoshis. Without a change output the leftover of the inputs
+   * pays part of the fee, so the payers are not charged for it twice.
+   * @param {Array} outputs - Transaction outputs
+   * @param {Array} utxos - Available UTXOs
+   * @param {Array} feePayers - Indexes of the outputs paying the fee
+   * @param {Object} walletInfo - Wallet information
+   * @returns {Object} - { selection, outputs } with the reduced outputs
+   */
+  _subtractFee (outputs, utxos, feePayers, walletInfo) {
+    const feeRate = this._getFeeRate(walletInfo)
+    const selection = this._selectUtxos(outputs, utxos, walletInfo.coinSelection, 0)
+
+    const withChange = selection.change > this.dustLimit
+    const fee = this._calculateFee(selection.selectedUtxos.length, outputs, feeRate, withChange)
+    const feeToSubtract = withChange ? fee : Math.max(fee - selection.change, 0)
+
+    const share = Math.floor(feeToSubtract / feePayers.length)
+    const oddSats = feeToSubtract - share * feePayers.length
+    const reducedOutputs = outputs.map(output => ({ ...output }))
+
+    feePayers.forEach((index, i) => {
+      const output = reducedOutputs[index]
+      const feeShare = share + (i === 0 ? oddSats : 0)
+      const amountSat = (output.amountSat || output.amount) - feeShare
+
+      if (amountSat < this.security.dustThreshold) {
+        throw new Error(`Output ${index} would fall below the ${this.security.dustThreshold} sat dust limit after paying ${feeShare} sats of the fee`)
+      }
+
+      output.amountSat = amountSat
+    })
+
+    return {
+      selection: { ...selection, estimatedFee: fee, change: withChange ? selection.change : 0 },
+      outputs: reducedOutputs
+    }
+  }
+
+  /**
+   * Calculate transaction fee from the size of the signed transaction
    * @param {number} inputCount - Number of inputs
-   * @param {number} outputCount - Number of outputs
+   * @param {number|Array} outputCount - Number of P2PKH outputs, or the outputs
+   *   themselves so P2SH and raw script outputs are sized exactly
    * @param {number} feeRate - Fee rate in sats/byte
+   * @param {boolean} withChange - Add a change output
    * @returns {number} - Fee in satoshis
    */
-  _calculateFee (inputCount, outputCount, feeRate = null) {
+  _calculateFee (inputCount, outputCount, feeRate = null, withChange = false) {
     const rate = feeRate !== null ? feeRate : this.defaultSatsPerByte
+    return feeEngine.estimateFee(inputCount, outputCount, rate, withChange)
+  }
 
-    // Handle zero fee rate explicitly
-    if (rate === 0) {
-      return 0
-    }
-
-    const inputSize = 148 // P2PKH input size
-    const outputSize = 34 // P2PKH output size
-    const overhead = 10 // Version, locktime, etc.
-
-    const txSize = (inputCount * inputSize) + (outputCount * outputSize) + overhead
-    return Math.ceil(txSize * rate)
+  // Fee rate of a spend: the wallet fee, or the satsPerByte of a single send
+  _getFeeRate (walletInfo) {
+    return walletInfo && walletInfo.fee !== undefined ? walletInfo.fee : this.defaultSatsPerByte
   }
 
   /**
@@ -328,53 +377,48 @@ class SendXEC {
    */
   async _buildTransaction (selectedUtxos, outputs, changeAmount, walletInfo) {
     try {
-      // Get private key (prefer mnemonic)
-      let privateKeyHex
-      if (walletInfo.mnemonic) {
-        const keyData = this.keyDerivation.deriveFromMnemonic(walletInfo.mnemonic, walletInfo.hdPath)
-        privateKeyHex = keyData.privateKey
-      } else {
-        privateKeyHex = walletInfo.privateKey
-      }
-
-      const sk = fromHex(privateKeyHex)
-      const pk = this.ecc.derivePubkey(sk)
-
       // Build outputs
       const txOutputs = []
 
-      // Add main outputs
+      // Add main outputs. The address type decides between P2PKH and P2SH.
       for (const output of outputs) {
-        const decoded = decodeCashAddress(output.address)
         txOutputs.push({
           sats: BigInt(output.amountSat || output.amount),
-          script: Script.p2pkh(fromHex(decoded.hash))
+          script: getOutputScript(output)
         })
       }
 
-      // Add change address for automatic calculation
-      const walletDecoded = decodeCashAddress(walletInfo.xecAddress)
-      txOutputs.push(Script.p2pkh(fromHex(walletDecoded.hash)))
+      // Add change address for automatic calculation. HD wallets provide a
+      // fresh changeAddress, other wallets reuse their own address.
+      const changeDecoded = decodeCashAddress(walletInfo.changeAddress || walletInfo.xecAddress)
+      txOutputs.push(Script.p2pkh(fromHex(changeDecoded.hash)))
 
+      // Inputs are spent with placeholders until the signer signs the final
+      // transaction with the key of the address that owns each one
+      const { locktime, sequence } = this._getLocktime(walletInfo)
       const inputs = selectedUtxos.map(utxo => ({
         input: {
           prevOut: {
             txid: utxo.outpoint.txid,
             outIdx: utxo.outpoint.outIdx
           },
+          ...(sequence !== undefined ? { sequence } : {}),
           signData: {
             sats: BigInt(this._getUtxoValue(utxo)),
-            outputScript: Script.p2pkh(fromHex(walletDecoded.hash))
+            outputScript: this._getInputScript(walletInfo, utxo.address)
           }
         },
-        signatory: P2PKHSignatory(sk, pk, ALL_BIP143)
+        signatory: placeholderSignatory
       }))
 
-      const txBuilder = new TxBuilder({ inputs, outputs: txOutputs })
-      const tx = txBuilder.sign({
-        feePerKb: BigInt(1200),
-        dustSats: BigInt(546)
-      })
+      const txBuilder = new TxBuilder({ inputs, outputs: txOutputs, locktime })
+      const tx = txBuilder.sign(feeEngine.getSignParams(this._getFeeRate(walletInfo), this.dustLimit))
+
+      // Unsigned transactions are left for an offline signer
+      if (!walletInfo.unsigned) {
+        const keyRefs = selectedUtxos.map(utxo => getKeyRef(walletInfo, utxo.address))
+        await signTransaction(tx, keyRefs, getSigner(walletInfo, this.keyDerivation))
+      }
 
       return toHex(tx.ser())
     } catch (err) {
@@ -382,6 +426,40 @@ class SendXEC {
     }
   }
 
+  /**
+   * nLockTime and input sequence of a spend
+   * @param {Object} walletInfo - locktime is a block height, a unix time or a
+   *   Date. sequence applies to every input.
+   * @returns {Object} - { locktime, sequence }. A locktime without a sequence
+   *   gets one that enables it.
+   */
+  _getLocktime (walletInfo) {
+    let { locktime = 0, sequence } = walletInfo
+    if (locktime instanceof Date) {
+      locktime = Math.floor(locktime.getTime() / 1000)
+    }
+
+    if (!Number.isInteger(locktime) || locktime < 0 || locktime > 0xffffffff) {
+      throw new Error(`Invalid locktime: ${walletInfo.locktime}. Use a block height, unix time or Date`)
+    }
+    if (sequence !== undefined && (!Number.isInteger(sequence) || sequence < 0 || sequence > 0xffffffff)) {
+      throw new Error(`Invalid sequence: ${sequence}`)
+    }
+
+    // nLockTime is ignored when every input has the final sequence
+    if (locktime > 0 && sequence === undefined) {
+      sequence = Timelock.LOCKTIME_SEQUENCE
+    }
+
+    return { locktime, sequence }
+  }
+
+  // P2PKH output script of the address owning an input
+  _getInputScript (walletInfo, address) {
+    const decoded = decodeCashAddress(address || walletInfo.xecAddress)
+    return Script.p2pkh(fromHex(decoded.hash))
+  }
+
   _getUtxoValue (utxo) {
     if (utxo.sats !== undefined) {
       return typeof utxo.sats === 'bigint' ? Number(utxo.sats) : parseInt(utxo.sats)
@@ -0,0 +1,227 @@
+/*
+  Signers hold the keys that sign wallet transactions.
+
+  The transaction builders never see key material. They spend every input
+  with a placeholder scriptSig of the final size, so the fee and change come
+  out right, and then hand the finished transaction to a signer. A signer
+  implements two methods, either of which may return a promise:
+
+  - getPublicKey(keyRef) returns the compressed public key.
+  - signSighash(sighash, keyRef) returns a 64 byte Schnorr signature.
+
+  keyRef is { address, hdPath } and names the key of the address an input
+  spends from. KeySigner is the default and keeps the keys in memory. A remote
+  HSM, a browser extension or a hardware wallet bridge can implement the same
+  two methods and be passed to the wallet as advancedOptions.signer.
+*/
+
+const { Script, Ecc, UnsignedTx, sha256d, shaRmd160, flagSignature, toHex, fromHex, ALL_BIP143 } = require('ecash-lib')
+const KeyDerivation = require('./key-derivation')
+
+// Schnorr signature with sighash flag, and a compressed public key
+const SIGNATURE_SIZE = 65
+const PUBLIC_KEY_SIZE = 33
+
+// Bytes a P2PKH scriptSig adds to an input with an empty script
+const P2PKH_SPEND_SIZE = 1 + SIGNATURE_SIZE + 1 + PUBLIC_KEY_SIZE
+
+// Signatory used while building a transaction. It returns a P2PKH scriptSig
+// of the right size so the builders price the fee correctly.
+function placeholderSignatory () {
+  return new Script(Buffer.concat([
+    Buffer.from([SIGNATURE_SIZE]),
+    Buffer.alloc(SIGNATURE_SIZE),
+    Buffer.from([PUBLIC_KEY_SIZE]),
+    Buffer.alloc(PUBLIC_KEY_SIZE)
+  ]))
+}
+
+// Base class documenting the contract. Custom signers may extend it or just
+// provide the two methods.
+class Signer {
+  async getPublicKey (keyRef) {
+    throw new Error('Signer must implement getPublicKey()')
+  }
+
+  async signSighash (sighash, keyRef) {
+    throw new Error('Signer must implement signSighash()')
+  }
+}
+
+// Signer over the mnemonic or private key of a wallet, kept in memory. The
+// secret is held as bytes that destroy() overwrites, and only the public
+// fields of walletInfo are retained.
+class KeySigner extends Signer {
+  constructor (localConfig = {}) {
+    super()
+
+    const { mnemonic, privateKey, wif, passphrase, ...publicInfo } = localConfig.walletInfo || {}
+    this.walletInfo = publicInfo
+    this.keyDerivation = localConfig.keyDerivation || new KeyDerivation(localConfig)
+    this.ecc = new Ecc()
+
+    this.secrets = {
+      mnemonic: toSecret(mnemonic),
+      privateKey: toSecret(privateKey),
+      wif: toSecret(wif),
+      passphrase: toSecret(passphrase)
+    }
+
+    // Derived private keys by address
+    this.keys = {}
+  }
+
+  getPublicKey (keyRef) {
+    return this.ecc.derivePubkey(this._getKey(keyRef))
+  }
+
+  signSighash (sighash, keyRef) {
+    return this.ecc.schnorrSign(this._getKey(keyRef), sighash)
+  }
+
+  // Mnemonic of the wallet, or null for a single key wallet
+  getMnemonic () {
+    return this._readSecret('mnemonic')
+  }
+
+  // Hex private key of a keyRef, for uses that need the key itself such as
+  // message signing. It is not cached.
+  getPrivateKey (keyRef) {
+    return this._deriveKey(keyRef)
+  }
+
+  // The secret the wallet was created from, for a keystore export
+  exportSecret () {
+    for (const type of ['mnemonic', 'wif']) {
+      const secret = this._readSecret(type)
+      if (secret) {
+        return { secret, type }
+      }
+    }
+
+    return { secret: this._readSecret('privateKey'), type: 'hex' }
+  }
+
+  _getKey (keyRef) {
+    const { address } = keyRef
+
+    if (!this.keys[address]) {
+      this.keys[address] = fromHex(this._deriveKey(keyRef))
+    }
+
+    return this.keys[address]
+  }
+
+  // The hdPath of the keyRef is used when the address is not one the wallet
+  // has discovered, e.g. when signing a package on an offline machine.
+  _deriveKey (keyRef) {
+    const { address, hdPath } = keyRef
+    const mnemonic = this._readSecret('mnemonic')
+    const passphrase = this._readSecret('passphrase') || ''
+
+    const keyData = mnemonic && hdPath
+      ? this.keyDerivation.deriveFromMnemonic(mnemonic, hdPath, passphrase)
+      : this.keyDerivation.deriveKeyForAddress(this.walletInfo, address, {
+        mnemonic,
+        privateKey: this._readSecret('privateKey'),
+        passphrase
+      })
+
+    return keyData.privateKey
+  }
+
+  _readSecret (name) {
+    const secret = this.secrets[name]
+    return secret ? secret.toString('utf8') : null
+  }
+
+  // Overwrite the cached private keys so they do not linger in memory
+  clear () {
+    Object.values(this.keys).forEach(key => key.fill(0))
+    this.keys = {}
+  }
+
+  // Overwrite the wallet secret too. The signer cannot sign afterwards.
+  destroy () {
+    this.clear()
+    Object.values(this.secrets).forEach(secret => secret && secret.fill(0))
+    this.secrets = {}
+  }
+}
+
+// Secret string as bytes that can be overwritten
+function toSecret (value) {
+  return value ? Buffer.from(value, 'utf8') : null
+}
+
+// Signer of a spend: the one carried by walletInfo, or a KeySigner over the
+// keys in walletInfo
+function getSigner (walletInfo, keyDerivation) {
+  return walletInfo.signer || new KeySigner({ walletInfo, keyDerivation })
+}
+
+// Key reference for an address of the wallet, with its HD path when known
+function getKeyRef (walletInfo, address) {
+  const owner = address || walletInfo.xecAddress
+  const entry = Array.isArray(walletInfo.addresses)
+    ? walletInfo.addresses.find(item => item.address === owner)
+    : null
+
+  const hdPath = entry && entry.hdPath
+    ? entry.hdPath
+    : (owner === walletInfo.xecAddress ? walletInfo.hdPath : undefined)
+
+  return hdPath ? { address: owner, hdPath } : { address: owner }
+}
+
+// Signers may return hex strings or bytes
+function toBytes (value) {
+  return typeof value === 'string' ? fromHex(value) : value
+}
+
+/**
+ * Replace the placeholder scriptSigs of a transaction with real P2PKH spends
+ * @param {Tx} tx - Transaction whose inputs carry signData
+ * @param {Array} keyRefs - Key reference of each input
+ * @param {Signer} signer - Signer holding the keys
+ * @returns {Tx} - The same transaction, signed
+ */
+async function signTransaction (tx, keyRefs, signer) {
+  const unsignedTx = UnsignedTx.fromTx(tx)
+
+  try {
+    for (let i = 0; i < tx.inputs.length; i++) {
+      const keyRef = keyRefs[i]
+      const preimage = unsignedTx.inputAt(i).sigHashPreimage(ALL_BIP143)
+      const sighash = sha256d(preimage.bytes)
+
+      const publicKey = toBytes(await signer.getPublicKey(keyRef))
+      const signature = toBytes(await signer.signSighash(sighash, keyRef))
+
+      // A signer handing back the wrong key would produce an invalid spend
+      const script = Script.p2pkh(shaRmd160(publicKey))
+      if (toHex(script.bytecode) !== toHex(tx.inputs[i].signData.outputScript.bytecode)) {
+        throw new Error(`Input ${i} is not controlled by the signer key for ${keyRef.address}`)
+      }
+
+      tx.inputs[i].script = Script.p2pkhSpend(publicKey, flagSignature(signature, ALL_BIP143))
+    }
+  } finally {
+    // In-memory keys are only needed for this one transaction
+    if (signer instanceof KeySigner) {
+      signer.clear()
+    }
+  }
+
+  return tx
+}
+
+module.exports = {
+  Signer,
+  KeySigner,
+  placeholderSignatory,
+  getSigner,
+  getKeyRef,
+  signTransaction,
+  P2PKH_SPEND_SIZE
+}
@@ -0,0 +1,380 @@
+/*
+  SLIP-39 Shamir backups, following the reference implementation at
+  https://github.com/trezor/python-shamir-mnemonic.
+
+  A master secret is encrypted with a passphrase (four round Feistel network
+  over PBKDF2), split into groups with Shamir's scheme over GF(256), and each
+  group secret is split again into member shares. Every share is encoded as
+  a mnemonic of 10-bit words with an RS1024 checksum.
+
+  Only Node's crypto module is used, and no built-in prototype is touched.
+*/
+
+const crypto = require('crypto')
+
+const WORDLIST = require('./slip39-wordlist')
+
+const RADIX_BITS = 10
+const ID_LENGTH_BITS = 15
+const ITERATION_EXP_LENGTH_BITS = 4
+const ID_EXP_LENGTH_WORDS = 2
+const CHECKSUM_LENGTH_WORDS = 3
+const DIGEST_LENGTH_BYTES = 4
+const METADATA_LENGTH_WORDS = ID_EXP_LENGTH_WORDS + 2 + CHECKSUM_LENGTH_WORDS
+const MIN_STRENGTH_BITS = 128
+const MIN_MNEMONIC_LENGTH_WORDS = METADATA_LENGTH_WORDS + Math.ceil(MIN_STRENGTH_BITS / RADIX_BITS)
+const MAX_SHARE_COUNT = 16
+const BASE_ITERATION_COUNT = 10000
+const ROUND_COUNT = 4
+const SECRET_INDEX = 255
+const DIGEST_INDEX = 254
+
+const CUSTOMIZATION = 'shamir'
+const CUSTOMIZATION_EXTENDABLE = 'shamir_extendable'
+
+const RS1024_GEN = [
+  0xe0e040, 0x1c1c080, 0x3838100, 0x7070200, 0xe0e0009,
+  0x1c0c2412, 0x38086c24, 0x3090fc48, 0x21b1f890, 0x3f3f120
+]
+
+// Exponent and logarithm tables of GF(256) with the Rijndael polynomial
+const EXP = new Array(255)
+const LOG = new Array(256).fill(0)
+for (let i = 0, poly = 1; i < 255; i++) {
+  EXP[i] = poly
+  LOG[poly] = i
+  poly = (poly << 1) ^ poly
+  if (poly & 0x100) poly ^= 0x11b
+}
+
+const WORD_INDEX = new Map(WORDLIST.map((word, index) => [word, index]))
+
+/**
+ * Split a master secret into share mnemonics
+ * @param {Buffer} masterSecret - At least 16 bytes, even length
+ * @param {Object} options - { groupThreshold, groups: [[threshold, count], ...],
+ *   passphrase, iterationExponent }
+ * @returns {Array} - Share mnemonics of each group
+ */
+function splitSecret (masterSecret, options = {}) {
+  const { groupThreshold, groups, passphrase = '', iterationExponent = 1 } = options
+
+  if (masterSecret.length * 8 < MIN_STRENGTH_BITS || masterSecret.length % 2 !== 0) {
+    throw new Error('The master secret must be at least 16 bytes long and have an even length')
+  }
+  if (!Number.isInteger(iterationExponent) || iterationExponent < 0 || iterationExponent >= 1 << ITERATION_EXP_LENGTH_BITS) {
+    throw new Error('Invalid iteration exponent')
+  }
+  if (!Array.isArray(groups) || groupThreshold > groups.length) {
+    throw new Error('The group threshold cannot exceed the number of groups')
+  }
+  for (const [threshold, count] of groups) {
+    if (threshold === 1 && count > 1) {
+      throw new Error('Creating multiple member shares with member threshold 1 is not allowed')
+    }
+  }
+
+  const identifier = crypto.randomBytes(2).readUInt16BE(0) >> (16 - ID_LENGTH_BITS)
+  const encrypted = _encrypt(Buffer.from(masterSecret), passphrase, iterationExponent, identifier)
+  const groupShares = _splitShares(groupThreshold, groups.length, encrypted)
+
+  return groups.map(([memberThreshold, memberCount], groupIndex) =>
+    _splitShares(memberThreshold, memberCount, groupShares[groupIndex].value).map(member =>
+      _encodeMnemonic({
+        identifier,
+        iterationExponent,
+        groupIndex,
+        groupThreshold,
+        groupCount: groups.length,
+        index: member.x,
+        memberThreshold,
+        value: member.value
+      })
+    )
+  )
+}
+
+/**
+ * Recover the master secret from enough share mnemonics
+ * @param {Array} mnemonics - Share mnemonics. Extra shares are ignored.
+ * @param {string} passphrase - Passphrase used when splitting
+ * @returns {Buffer} - The master secret
+ */
+function combineMnemonics (mnemonics, passphrase = '') {
+  if (!Array.isArray(mnemonics) || mnemonics.length === 0) {
+    throw new Error('The list of mnemonics is empty')
+  }
+
+  const shares = mnemonics.map(decodeMnemonic)
+  const first = shares[0]
+  for (const share of shares) {
+    if (share.identifier !== first.identifier || share.extendable !== first.extendable ||
+      share.iterationExponent !== first.iterationExponent) {
+      throw new Error('All mnemonics must begin with the same identifier and iteration exponent')
+    }
+    if (share.groupThreshold !== first.groupThreshold || share.groupCount !== first.groupCount) {
+      throw new Error('All mnemonics must have the same group threshold and group count')
+    }
+  }
+
+  const groups = new Map()
+  for (const share of shares) {
+    const group = groups.get(share.groupIndex) || []
+    if (group.length > 0 && group[0].memberThreshold !== share.memberThreshold) {
+      throw new Error('All mnemonics in a group must have the same member threshold')
+    }
+    if (!group.some(member => member.index === share.index)) {
+      group.push(share)
+    }
+    groups.set(share.groupIndex, group)
+  }
+
+  const groupSecrets = []
+  for (const [groupIndex, members] of groups) {
+    if (members.length >= members[0].memberThreshold && groupSecrets.length < first.groupThreshold) {
+      const memberShares = members.slice(0, members[0].memberThreshold).map(member => ({ x: member.index, value: member.value }))
+      groupSecrets.push({ x: groupIndex, value: _recoverShares(members[0].memberThreshold, memberShares) })
+    }
+  }
+
+  if (groupSecrets.length < first.groupThreshold) {
+    throw new Error(`Insufficient number of mnemonic groups. ${first.groupThreshold} complete groups are required`)
+  }
+
+  const encrypted = _recoverShares(first.groupThreshold, groupSecrets)
+
+  return _decrypt(encrypted, passphrase, first.iterationExponent, first.identifier, first.extendable)
+}
+
+/**
+ * Decode one share mnemonic
+ * @param {string} mnemonic - Share mnemonic
+ * @returns {Object} - Share metadata and value
+ */
+function decodeMnemonic (mnemonic) {
+  const words = String(mnemonic).trim().toLowerCase().split(/\s+/)
+  const data = words.map(word => {
+    const index = WORD_INDEX.get(word)
+    if (index === undefined) {
+      throw new Error(`Invalid mnemonic word ${word}`)
+    }
+    return index
+  })
+
+  if (data.length < MIN_MNEMONIC_LENGTH_WORDS) {
+    throw new Error(`Invalid mnemonic length. Each mnemonic must have at least ${MIN_MNEMONIC_LENGTH_WORDS} words`)
+  }
+
+  const paddingBits = (RADIX_BITS * (data.length - METADATA_LENGTH_WORDS)) % 16
+  if (paddingBits > 8) {
+    throw new Error('Invalid mnemonic length')
+  }
+
+  const idExp = Number(_fromIndices(data.slice(0, ID_EXP_LENGTH_WORDS)))
+  const extendable = !!((idExp >> ITERATION_EXP_LENGTH_BITS) & 1)
+  if (_polymod(_customization(extendable).concat(data)) !== 1) {
+    throw new Error('Invalid mnemonic checksum')
+  }
+
+  const params = Number(_fromIndices(data.slice(ID_EXP_LENGTH_WORDS, ID_EXP_LENGTH_WORDS + 2)))
+  const [groupIndex, groupThreshold, groupCount, index, memberThreshold] = [16, 12, 8, 4, 0].map(shift => (params >> shift) & 0xf)
+  if (groupCount < groupThreshold) {
+    throw new Error('Invalid mnemonic. Group threshold cannot be greater than group count')
+  }
+
+  const valueData = data.slice(ID_EXP_LENGTH_WORDS + 2, -CHECKSUM_LENGTH_WORDS)
+  const valueBytes = (RADIX_BITS * valueData.length - paddingBits) / 8
+  const valueInt = _fromIndices(valueData)
+  if (valueInt >> BigInt(valueBytes * 8) !== 0n) {
+    throw new Error('Invalid mnemonic padding')
+  }
+
+  return {
+    identifier: idExp >> (ITERATION_EXP_LENGTH_BITS + 1),
+    extendable,
+    iterationExponent: idExp & ((1 << ITERATION_EXP_LENGTH_BITS) - 1),
+    groupIndex,
+    groupThreshold: groupThreshold + 1,
+    groupCount: groupCount + 1,
+    index,
+    memberThreshold: memberThreshold + 1,
+    value: Buffer.from(valueInt.toString(16).padStart(valueBytes * 2, '0'), 'hex')
+  }
+}
+
+function validateMnemonic (mnemonic) {
+  try {
+    decodeMnemonic(mnemonic)
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+// Private functions
+
+function _encodeMnemonic (share) {
+  const idExp = (share.identifier << (ITERATION_EXP_LENGTH_BITS + 1)) + share.iterationExponent
+  const params = [share.groupIndex, share.groupThreshold - 1, share.groupCount - 1, share.index, share.memberThreshold - 1]
+    .reduce((acc, value) => (acc << 4) + value, 0)
+  const valueWords = Math.ceil(share.value.length * 8 / RADIX_BITS)
+
+  const data = _toIndices(BigInt(idExp), ID_EXP_LENGTH_WORDS)
+    .concat(_toIndices(BigInt(params), 2))
+    .concat(_toIndices(BigInt(`0x${share.value.toString('hex')}`), valueWords))
+
+  const checksum = _polymod(_customization(false).concat(data, [0, 0, 0])) ^ 1
+  for (let i = CHECKSUM_LENGTH_WORDS - 1; i >= 0; i--) {
+    data.push((checksum >> (RADIX_BITS * i)) & 1023)
+  }
+
+  return data.map(index => WORDLIST[index]).join(' ')
+}
+
+function _toIndices (value, length) {
+  const indices = []
+  for (let i = length - 1; i >= 0; i--) {
+    indices.push(Number((value >> BigInt(RADIX_BITS * i)) & 1023n))
+  }
+  return indices
+}
+
+function _fromIndices (indices) {
+  return indices.reduce((acc, index) => (acc << BigInt(RADIX_BITS)) + BigInt(index), 0n)
+}
+
+function _customization (extendable) {
+  return Array.from(Buffer.from(extendable ? CUSTOMIZATION_EXTENDABLE : CUSTOMIZATION))
+}
+
+function _polymod (values) {
+  let chk = 1
+  for (const value of values) {
+    const b = chk >>> 20
+    chk = (((chk & 0xfffff) << 10) ^ value) >>> 0
+    for (let i = 0; i < 10; i++) {
+      if ((b >> i) & 1) chk = (chk ^ RS1024_GEN[i]) >>> 0
+    }
+  }
+  return chk
+}
+
+function _roundFunction (round, passphrase, iterationExponent, salt, r) {
+  const iterations = (BASE_ITERATION_COUNT << iterationExponent) / ROUND_COUNT
+  const password = Buffer.concat([Buffer.from([round]), Buffer.from(passphrase, 'utf8')])
+  return crypto.pbkdf2Sync(password, Buffer.concat([salt, r]), iterations, r.length, 'sha256')
+}
+
+function _salt (identifier, extendable) {
+  if (extendable) {
+    return Buffer.alloc(0)
+  }
+  const id = Buffer.alloc(2)
+  id.writeUInt16BE(identifier)
+  return Buffer.concat([Buffer.from(CUSTOMIZATION), id])
+}
+
+function _encrypt (secret, passphrase, iterationExponent, identifier) {
+  const salt = _salt(identifier, false)
+  let l = secret.subarray(0, secret.length / 2)
+  let r = secret.subarray(secret.length / 2)
+  for (let round = 0; round < ROUND_COUNT; round++) {
+    const f = _roundFunction(round, passphrase, iterationExponent, salt, r)
+    ;[l, r] = [r, _xor(l, f)]
+  }
+  return Buffer.concat([r, l])
+}
+
+function _decrypt (encrypted, passphrase, iterationExponent, identifier, extendable) {
+  const salt = _salt(identifier, extendable)
+  let l = encrypted.subarray(0, encrypted.length / 2)
+  let r = encrypted.subarray(encrypted.length / 2)
+  for (let round = ROUND_COUNT - 1; round >= 0; round--) {
+    const f = _roundFunction(round, passphrase, iterationExponent, salt, r)
+    ;[l, r] = [r, _xor(l, f)]
+  }
+  return Buffer.concat([r, l])
+}
+
+function _xor (a, b) {
+  return Buffer.from(a.map((byte, i) => byte ^ b[i]))
+}
+
+function _digest (randomPart, secret) {
+  return crypto.createHmac('sha256', randomPart).update(secret).digest().subarray(0, DIGEST_LENGTH_BYTES)
+}
+
+// Lagrange interpolation of the shares at x
+function _interpolate (shares, x) {
+  const match = shares.find(share => share.x === x)
+  if (match) {
+    return match.value
+  }
+
+  const logProd = shares.reduce((sum, share) => sum + LOG[share.x ^ x], 0)
+  const result = Buffer.alloc(shares[0].value.length)
+
+  for (const share of shares) {
+    const logBasis = (logProd - LOG[share.x ^ x] -
+      shares.reduce((sum, other) => sum + LOG[share.x ^ other.x], 0)) % 255
+    const basis = (logBasis + 255) % 255
+
+    for (let i = 0; i < result.length; i++) {
+      if (share.value[i] !== 0) {
+        result[i] ^= EXP[(LOG[share.value[i]] + basis) % 255]
+      }
+    }
+  }
+
+  return result
+}
+
+function _splitShares (threshold, count, secret) {
+  if (threshold < 1 || threshold > count) {
+    throw new Error(`Threshold ${threshold} must be between 1 and the share count ${count}`)
+  }
+  if (count > MAX_SHARE_COUNT) {
+    throw new Error(`The share count cannot exceed ${MAX_SHARE_COUNT}`)
+  }
+
+  if (threshold === 1) {
+    return Array.from({ length: count }, (_, x) => ({ x, value: secret }))
+  }
+
+  const randomCount = threshold - 2
+  const shares = Array.from({ length: randomCount }, (_, x) => ({ x, value: crypto.randomBytes(secret.length) }))
+  const randomPart = crypto.randomBytes(secret.length - DIGEST_LENGTH_BYTES)
+  const base = shares.concat([
+    { x: DIGEST_INDEX, value: Buffer.concat([_digest(randomPart, secret), randomPart]) },
+    { x: SECRET_INDEX, value: secret }
+  ])
+
+  for (let x = randomCount; x < count; x++) {
+    shares.push({ x, value: _interpolate(base, x) })
+  }
+
+  return shares
+}
+
+function _recoverShares (threshold, shares) {
+  if (threshold === 1) {
+    return shares[0].value
+  }
+
+  const secret = _interpolate(shares, SECRET_INDEX)
+  const digestShare = _interpolate(shares, DIGEST_INDEX)
+  const randomPart = digestShare.subarray(DIGEST_LENGTH_BYTES)
+
+  if (!digestShare.subarray(0, DIGEST_LENGTH_BYTES).equals(_digest(randomPart, secret))) {
+    throw new Error('Invalid digest of the shared secret')
+  }
+
+  return secret
+}
+
+module.exports = {
+  splitSecret,
+  combineMnemonics,
+  decodeMnemonic,
+  validateMnemonic
+}
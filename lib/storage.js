@@ -0,0 +1,47 @@
+/*
+  Storage adapters keep wallet state that must outlive the wallet instance,
+  such as frozen UTXOs.
+
+  An adapter implements getItem(key), setItem(key, value) and
+  removeItem(key), any of which may return a promise. Values are strings.
+  This is the shape of window.localStorage, so a browser can pass it as is.
+  A Node.js app can wrap a file, a database or an encrypted store and pass it
+  to the wallet as advancedOptions.storage.
+
+  MemoryStorage is the default. It keeps state for the life of the process.
+*/
+
+class MemoryStorage {
+  constructor () {
+    this.items = new Map()
+  }
+
+  getItem (key) {
+    return this.items.has(key) ? this.items.get(key) : null
+  }
+
+  setItem (key, value) {
+    this.items.set(key, String(value))
+  }
+
+  removeItem (key) {
+    this.items.delete(key)
+  }
+}
+
+// Reject adapters that lack a method, so a bad option fails at construction
+// rather than on the first write
+function validateStorage (storage) {
+  for (const method of ['getItem', 'setItem', 'removeItem']) {
+    if (!storage || typeof storage[method] !== 'function') {
+      throw new Error(`Storage adapter must implement ${method}()`)
+    }
+  }
+
+  return storage
+}
+
+module.exports = {
+  MemoryStorage,
+  validateStorage
+}
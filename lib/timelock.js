@@ -0,0 +1,345 @@
+/*
+  Time-locked P2SH outputs.
+
+  The redeem script `<lock> OP_CHECKLOCKTIMEVERIFY OP_DROP <pubkey> OP_CHECKSIG`
+  (CLTV) keeps funds locked until an absolute block height or time, e.g. for a
+  vesting grant. With OP_CHECKSEQUENCEVERIFY (CSV) the lock is relative: each
+  output is locked for a number of blocks, or a time, after it confirms.
+
+  Funds are locked by paying the P2SH address of the redeem script with any
+  send method. Once the lock has expired, the owner of the public key spends
+  every unlocked output with createUnlockTransaction(). The unlock spend sets
+  nLockTime (CLTV) or the input sequence (CSV) the script checks for.
+
+  A timelock is described by a plain object that can be stored as JSON:
+  { type, lock, publicKey, redeemScript, address }
+*/
+
+const { TxBuilder, UnsignedTx, Script, toHex, sha256d, flagSignature, ALL_BIP143 } = require('ecash-lib')
+const { encodeCashAddress } = require('ecashaddrjs')
+const KeyDerivation = require('./key-derivation')
+const SecurityValidator = require('./security')
+const { getNetwork } = require('./networks')
+const { getOutputScript } = require('./output-scripts')
+const { getSigner, getKeyRef, KeySigner } = require('./signer')
+const feeEngine = require('./fee-engine')
+
+const CLTV = 'cltv'
+const CSV = 'csv'
+
+// Script opcodes used by the redeem script
+const OP_1 = 0x51
+const OP_PUSHDATA1 = 0x4c
+const OP_DROP = 0x75
+const OP_CHECKSIG = 0xac
+const OP_CHECKLOCKTIMEVERIFY = 0xb1
+const OP_CHECKSEQUENCEVERIFY = 0xb2
+
+// nLockTime values below this are block heights, the rest are unix times
+const LOCKTIME_THRESHOLD = 500000000
+const MAX_LOCKTIME = 0xffffffff
+
+// Relative locks: the type flag selects 512 second units instead of blocks
+const SEQUENCE_TYPE_FLAG = 1 << 22
+const SEQUENCE_GRANULARITY = 512
+const MAX_RELATIVE_LOCK = 0xffff
+
+// Sequence that lets nLockTime apply without a relative lock
+const LOCKTIME_SEQUENCE = 0xfffffffe
+
+// Schnorr signature with sighash flag, for fee estimation
+const SIGNATURE_SIZE = 65
+
+class Timelock {
+  constructor (localConfig = {}) {
+    this.ar = localConfig.ar
+    this.keyDerivation = localConfig.keyDerivation || new KeyDerivation(localConfig)
+    this.security = new SecurityValidator({ network: localConfig.network })
+    this.network = getNetwork(localConfig.network)
+
+    this.dustLimit = localConfig.dustLimit || 546
+    this.defaultSatsPerByte = localConfig.defaultSatsPerByte || 1.2
+  }
+
+  /**
+   * Describe a timelock paying a public key
+   * @param {Object} options - publicKey plus exactly one of:
+   *   blockHeight or time (Date or unix seconds) for an absolute CLTV lock,
+   *   blocks or seconds for a CSV lock relative to each output's confirmation
+   * @returns {Object} - { type, lock, publicKey, redeemScript, address }
+   */
+  create (options = {}) {
+    try {
+      const publicKey = Buffer.from(options.publicKey || '', 'hex').toString('hex')
+      if (!/^0[23][0-9a-f]{64}$/.test(publicKey)) {
+        throw new Error(`Invalid compressed public key: ${options.publicKey}`)
+      }
+
+      const { type, lock } = this._getLock(options)
+      const redeemScript = this.buildRedeemScript(type, lock, publicKey)
+
+      return {
+        type,
+        lock,
+        publicKey,
+        redeemScript: redeemScript.toString('hex'),
+        address: encodeCashAddress(this.network.addressPrefix, 'p2sh', this.keyDerivation._hash160(redeemScript))
+      }
+    } catch (err) {
+      throw new Error(`Timelock creation failed: ${err.message}`)
+    }
+  }
+
+  /**
+   * Build a CLTV or CSV redeem script
+   * @param {string} type - 'cltv' or 'csv'
+   * @param {number} lock - nLockTime for CLTV, sequence for CSV
+   * @param {string} publicKey - Compressed public key in hex
+   * @returns {Buffer} - Redeem script
+   */
+  buildRedeemScript (type, lock, publicKey) {
+    return Buffer.concat([
+      this._pushNumber(lock),
+      Buffer.from([type === CSV ? OP_CHECKSEQUENCEVERIFY : OP_CHECKLOCKTIMEVERIFY, OP_DROP]),
+      this._pushData(Buffer.from(publicKey, 'hex')),
+      Buffer.from([OP_CHECKSIG])
+    ])
+  }
+
+  /**
+   * Build and sign a transaction spending every unlocked output of a timelock
+   * to an address
+   * @param {Object} timelock - Result of create()
+   * @param {Object} walletInfo - Wallet holding the key of the timelock
+   * @param {string} toAddress - Destination address
+   * @param {number} satsPerByte - Fee rate
+   * @returns {string} - Signed transaction hex
+   */
+  async createUnlockTransaction (timelock, walletInfo, toAddress, satsPerByte = this.defaultSatsPerByte) {
+    try {
+      const { type, lock, publicKey, redeemScript } = this.validate(timelock)
+
+      if (!this.security.isValidAddress(toAddress)) {
+        throw new Error(`Invalid destination address: ${toAddress}`)
+      }
+
+      const utxoData = await this.ar.getUtxos(timelock.address)
+      const utxos = (utxoData && utxoData.utxos) || []
+      if (utxos.length === 0) {
+        throw new Error(`No UTXOs on timelock address ${timelock.address}`)
+      }
+
+      const tipHeight = await this.ar.getBlockHeight()
+      const unlocked = utxos.filter(utxo => this.isExpired(timelock, utxo, tipHeight))
+      if (unlocked.length === 0) {
+        throw new Error(this._describeLock(type, lock, tipHeight))
+      }
+
+      const inputs = unlocked.map(utxo => ({
+        input: {
+          prevOut: {
+            txid: utxo.outpoint.txid,
+            outIdx: utxo.outpoint.outIdx
+          },
+          sequence: type === CSV ? lock : LOCKTIME_SEQUENCE,
+          signData: {
+            sats: BigInt(utxo.sats),
+            redeemScript: new Script(redeemScript)
+          }
+        },
+        // Placeholder scriptSig with the size of a signed one, so the builder
+        // can work out the fee
+        signatory: () => new Script(this._buildScriptSig(Buffer.alloc(SIGNATURE_SIZE), redeemScript))
+      }))
+
+      // Everything left after the fee goes to the destination
+      const txBuilder = new TxBuilder({
+        inputs,
+        outputs: [getOutputScript({ address: toAddress })],
+        locktime: type === CLTV ? lock : 0
+      })
+      const tx = txBuilder.sign(feeEngine.getSignParams(satsPerByte, this.dustLimit))
+      if (tx.outputs.length === 0) {
+        throw new Error('Unlocked outputs do not cover the fee')
+      }
+
+      await this._signInputs(tx, walletInfo, publicKey, redeemScript)
+
+      return toHex(tx.ser())
+    } catch (err) {
+      throw new Error(`Timelock unlock failed: ${err.message}`)
+    }
+  }
+
+  /**
+   * Check that a timelock's redeem script and address match its lock
+   * @param {Object} timelock - Result of create()
+   * @returns {Object} - The timelock, with its redeem script as a Buffer
+   */
+  validate (timelock) {
+    if (!timelock || ![CLTV, CSV].includes(timelock.type)) {
+      throw new Error('Not a timelock')
+    }
+    if (!Number.isInteger(timelock.lock) || timelock.lock < 1 || timelock.lock > MAX_LOCKTIME) {
+      throw new Error(`Invalid timelock lock: ${timelock.lock}`)
+    }
+
+    const redeemScript = this.buildRedeemScript(timelock.type, timelock.lock, timelock.publicKey)
+    const address = encodeCashAddress(this.network.addressPrefix, 'p2sh', this.keyDerivation._hash160(redeemScript))
+    if (timelock.redeemScript !== redeemScript.toString('hex') || timelock.address !== address) {
+      throw new Error('Timelock redeem script does not match its lock')
+    }
+
+    return { ...timelock, redeemScript }
+  }
+
+  /**
+   * Whether an output of a timelock can be spent in the next block
+   * @param {Object} timelock - Result of create()
+   * @param {Object} utxo - UTXO of the timelock address
+   * @param {number} tipHeight - Height of the chain tip
+   * @returns {boolean}
+   */
+  isExpired (timelock, utxo, tipHeight) {
+    const { type, lock } = timelock
+
+    if (type === CLTV) {
+      // A height lock allows blocks above it. A time lock is compared with
+      // the clock, while nodes use the median time of the last 11 blocks,
+      // which lags by about an hour.
+      return lock < LOCKTIME_THRESHOLD
+        ? lock <= tipHeight
+        : lock <= Math.floor(Date.now() / 1000)
+    }
+
+    // Relative locks count from the block that confirmed the output
+    if (utxo.blockHeight === undefined || utxo.blockHeight < 0) {
+      return false
+    }
+    if (lock & SEQUENCE_TYPE_FLAG) {
+      // Time based relative locks are left for the node to check
+      return true
+    }
+
+    return tipHeight + 1 - utxo.blockHeight >= (lock & MAX_RELATIVE_LOCK)
+  }
+
+  // Private methods
+
+  // Lock value from the options of create()
+  _getLock (options) {
+    const given = ['blockHeight', 'time', 'blocks', 'seconds'].filter(key => options[key] !== undefined)
+    if (given.length !== 1) {
+      throw new Error('Give exactly one of blockHeight, time, blocks or seconds')
+    }
+
+    if (options.blockHeight !== undefined) {
+      const height = options.blockHeight
+      if (!Number.isInteger(height) || height < 1 || height >= LOCKTIME_THRESHOLD) {
+        throw new Error(`Invalid blockHeight: ${height}`)
+      }
+      return { type: CLTV, lock: height }
+    }
+
+    if (options.time !== undefined) {
+      const time = options.time instanceof Date ? Math.floor(options.time.getTime() / 1000) : options.time
+      if (!Number.isInteger(time) || time < LOCKTIME_THRESHOLD || time > MAX_LOCKTIME) {
+        throw new Error(`Invalid time: ${options.time}. Use a Date or unix seconds`)
+      }
+      return { type: CLTV, lock: time }
+    }
+
+    if (options.blocks !== undefined) {
+      const blocks = options.blocks
+      if (!Number.isInteger(blocks) || blocks < 1 || blocks > MAX_RELATIVE_LOCK) {
+        throw new Error(`Invalid blocks: ${blocks}. Use 1 to ${MAX_RELATIVE_LOCK}`)
+      }
+      return { type: CSV, lock: blocks }
+    }
+
+    // Rounded up, so funds never unlock before the requested time
+    const units = Math.ceil(options.seconds / SEQUENCE_GRANULARITY)
+    if (!Number.isFinite(units) || units < 1 || units > MAX_RELATIVE_LOCK) {
+      throw new Error(`Invalid seconds: ${options.seconds}. Use 1 to ${MAX_RELATIVE_LOCK * SEQUENCE_GRANULARITY}`)
+    }
+    return { type: CSV, lock: SEQUENCE_TYPE_FLAG | units }
+  }
+
+  _describeLock (type, lock, tipHeight) {
+    if (type === CSV) {
+      return 'No output of the timelock is unlocked yet'
+    }
+
+    return lock < LOCKTIME_THRESHOLD
+      ? `Timelock has not expired. It unlocks after block ${lock}, the chain is at block ${tipHeight}`
+      : `Timelock has not expired. It unlocks after ${new Date(lock * 1000).toISOString()}`
+  }
+
+  // Replace the placeholder scriptSigs with <signature> <redeemScript>
+  async _signInputs (tx, walletInfo, publicKey, redeemScript) {
+    const owner = encodeCashAddress(this.network.addressPrefix, 'p2pkh', this.keyDerivation._hash160(Buffer.from(publicKey, 'hex')))
+    const keyRef = getKeyRef(walletInfo, owner)
+    const signer = getSigner(walletInfo, this.keyDerivation)
+    const unsignedTx = UnsignedTx.fromTx(tx)
+
+    try {
+      const signerKey = Buffer.from(await signer.getPublicKey(keyRef)).toString('hex')
+      if (signerKey !== publicKey) {
+        throw new Error('The wallet does not hold the key of this timelock')
+      }
+
+      for (let i = 0; i < tx.inputs.length; i++) {
+        const preimage = unsignedTx.inputAt(i).sigHashPreimage(ALL_BIP143)
+        const signature = await signer.signSighash(sha256d(preimage.bytes), keyRef)
+
+        tx.inputs[i].script = new Script(this._buildScriptSig(
+          flagSignature(typeof signature === 'string' ? Buffer.from(signature, 'hex') : signature, ALL_BIP143),
+          redeemScript
+        ))
+      }
+    } finally {
+      if (signer instanceof KeySigner) {
+        signer.clear()
+      }
+    }
+  }
+
+  _buildScriptSig (signature, redeemScript) {
+    return Buffer.concat([
+      this._pushData(Buffer.from(signature)),
+      this._pushData(redeemScript)
+    ])
+  }
+
+  // Minimal push of a positive script number: OP_1 to OP_16, or its little
+  // endian bytes with a zero byte when the top bit would read as a sign
+  _pushNumber (value) {
+    if (value >= 1 && value <= 16) {
+      return Buffer.from([OP_1 + value - 1])
+    }
+
+    const bytes = []
+    for (let rest = value; rest > 0; rest = Math.floor(rest / 256)) {
+      bytes.push(rest % 256)
+    }
+    if (bytes[bytes.length - 1] & 0x80) {
+      bytes.push(0)
+    }
+
+    return this._pushData(Buffer.from(bytes))
+  }
+
+  _pushData (data) {
+    const prefix = data.length < OP_PUSHDATA1
+      ? Buffer.from([data.length])
+      : Buffer.from([OP_PUSHDATA1, data.length])
+
+    return Buffer.concat([prefix, data])
+  }
+}
+
+Timelock.CLTV = CLTV
+Timelock.CSV = CSV
+Timelock.LOCKTIME_SEQUENCE = LOCKTIME_SEQUENCE
+
+module.exports = Timelock
@@ -0,0 +1,146 @@
+/*
+  Previews of signed transactions that have not been broadcast yet.
+
+  A preview lists what a UI asks the user to confirm: the inputs spent, the
+  outputs, the fee and fee rate, the XEC change and, for eToken spends, the
+  token change. The signed hex comes with it, ready for broadcast().
+
+  The builders add the XEC change output last, after the outputs the caller
+  asked for. Token change pays the same change address as XEC change.
+*/
+
+const { Tx, toHexRev } = require('ecash-lib')
+const { getNetwork } = require('./networks')
+const { describeOutput } = require('./output-scripts')
+const { XecAmount } = require('./amount')
+
+class TxPreview {
+  constructor (localConfig = {}) {
+    this.network = getNetwork(localConfig.network)
+  }
+
+  /**
+   * Summarize a signed transaction
+   * @param {string} hex - Signed transaction
+   * @param {Array} utxos - UTXOs the transaction may spend
+   * @param {Object} options - { kind, outputCount, changeAddress, token }.
+   *   outputCount is the number of outputs before the XEC change, not counting
+   *   token change. token is the metadata of an eToken spend, with its outputs
+   *   or its burnAmount.
+   * @returns {Object} - { kind, hex, size, fee, satsPerByte, inputs, outputs,
+   *   change, token }
+   */
+  describe (hex, utxos, options = {}) {
+    try {
+      const tx = Tx.fromHex(hex)
+
+      const spent = tx.inputs.map(input => {
+        const txid = typeof input.prevOut.txid === 'string' ? input.prevOut.txid : toHexRev(input.prevOut.txid)
+        const utxo = utxos.find(item =>
+          item.outpoint.txid === txid && item.outpoint.outIdx === input.prevOut.outIdx
+        )
+        if (!utxo) {
+          throw new Error(`Unknown input ${txid}:${input.prevOut.outIdx}`)
+        }
+
+        return utxo
+      })
+
+      const inputs = spent.map(utxo => ({
+        txid: utxo.outpoint.txid,
+        outIdx: utxo.outpoint.outIdx,
+        sats: String(utxo.sats !== undefined ? utxo.sats : utxo.value),
+        ...(utxo.address ? { address: utxo.address } : {})
+      }))
+      const outputs = tx.outputs.map(output => describeOutput(output, this.network.addressPrefix))
+
+      const totalIn = inputs.reduce((sum, input) => sum + BigInt(input.sats), 0n)
+      const totalOut = outputs.reduce((sum, output) => sum + BigInt(output.sats), 0n)
+      const fee = Number(totalIn - totalOut)
+      const size = hex.length / 2
+
+      const tokenChange = options.token ? this._getTokenChange(spent, options) : null
+
+      // TxBuilder drops the change output when it would be dust
+      const outputCount = options.outputCount + (tokenChange ? 1 : 0)
+      const changeOutput = outputs.length > outputCount ? outputs[outputs.length - 1] : null
+
+      return {
+        kind: options.kind || 'xec',
+        hex,
+        size,
+        fee,
+        satsPerByte: fee / size,
+        inputs,
+        outputs,
+        change: changeOutput
+          ? { address: changeOutput.address || options.changeAddress, sats: changeOutput.sats }
+          : null,
+        token: options.token ? { ...options.token, change: tokenChange } : null
+      }
+    } catch (err) {
+      throw new Error(`Transaction preview failed: ${err.message}`)
+    }
+  }
+
+  /**
+   * Copy of a preview with its fee and satoshi values as XecAmounts
+   * @param {Object} preview - Result of describe()
+   * @returns {Object} - Preview
+   */
+  withAmounts (preview) {
+    const withSats = item => ({ ...item, sats: XecAmount.fromSats(item.sats) })
+
+    return {
+      ...preview,
+      fee: XecAmount.fromSats(preview.fee),
+      inputs: preview.inputs.map(withSats),
+      outputs: preview.outputs.map(withSats),
+      change: preview.change ? withSats(preview.change) : null
+    }
+  }
+
+  // Private methods
+
+  // Token atoms that return to the wallet: what the inputs carry, less what
+  // is sent or burned
+  _getTokenChange (spent, options) {
+    const { tokenId, decimals, outputs = [], burnAmount = 0 } = options.token
+
+    const atomsIn = spent
+      .filter(utxo => utxo.token && utxo.token.tokenId === tokenId)
+      .reduce((sum, utxo) => sum + BigInt(utxo.token.atoms), 0n)
+    const atomsOut = outputs.reduce((sum, output) => sum + this._displayToAtoms(output.amount, decimals), 0n) +
+      this._displayToAtoms(burnAmount, decimals)
+    const atoms = atomsIn - atomsOut
+
+    if (atoms <= 0n) {
+      return null
+    }
+
+    return {
+      address: options.changeAddress,
+      atoms: atoms.toString(),
+      amount: this._atomsToDisplay(atoms, decimals)
+    }
+  }
+
+  // Same rounding as the token handlers
+  _displayToAtoms (displayAmount, decimals) {
+    if (decimals === 0) {
+      return BigInt(Math.floor(displayAmount))
+    }
+
+    return BigInt(Math.floor(displayAmount * Math.pow(10, decimals)))
+  }
+
+  _atomsToDisplay (atoms, decimals) {
+    if (decimals === 0) {
+      return Number(atoms)
+    }
+
+    return Number(atoms) / Math.pow(10, decimals)
+  }
+}
+
+module.exports = TxPreview
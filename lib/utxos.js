@@ -6,9 +6,18 @@
   - Basic validation and filtering
   - Simple caching
   - Essential security checks
+  - Frozen UTXOs that no spend may use, kept in a storage adapter
+  - Spends broadcast by the wallet, applied before Chronik reports them
 */
 
 const SecurityValidator = require('./security')
+const CoinSelection = require('./coin-selection')
+const feeEngine = require('./fee-engine')
+const { MemoryStorage, validateStorage } = require('./storage')
+const PendingSpends = require('./pending-spends')
+
+// Storage key of the frozen outpoints, a JSON array of 'txid:outIdx'
+const FROZEN_UTXOS_KEY = 'minimal-xec-wallet:frozen-utxos'
 
 class Utxos {
   constructor (localConfig = {}) {
@@ -29,6 +38,20 @@ class Utxos {
     // Security validator
     this.security = new SecurityValidator(localConfig.security)
 
+    // Frozen outpoints as 'txid:outIdx', loaded from storage once
+    this.storage = validateStorage(localConfig.storage || new MemoryStorage())
+    this.frozenOutpoints = new Set()
+    this.frozenLoaded = null
+
+    // Broadcast spends that Chronik may not report yet, see lib/pending-spends.js
+    this.pendingSpends = new PendingSpends({
+      network: localConfig.network,
+      timeout: localConfig.pendingTimeout
+    })
+
+    // Coin selection strategy of selectOptimalUtxos()
+    this.coinSelection = new CoinSelection({ strategy: localConfig.coinSelection })
+
     // Simple configuration
     this.maxRetries = localConfig.maxRetries || 3
     this.retryDelay = localConfig.retryDelay || 1000
@@ -45,26 +68,34 @@ class Utxos {
   }
 
   /**
-   * Initialize UTXO store for an address
-   * @param {string} addr - XEC address
+   * Initialize UTXO store for one address or a set of account addresses
+   * @param {string|Array} addr - XEC address or array of XEC addresses
    * @param {boolean} forceRefresh - Force refresh cache
    * @returns {boolean} - Success status
    */
   async initUtxoStore (addr, forceRefresh = false) {
     try {
       this.performanceMetrics.totalRequests++
+      await this.loadFrozenUtxos()
+
+      const addresses = Array.isArray(addr) ? addr : [addr]
+      const cacheKey = addresses.join(',')
 
       // Check cache validity
-      if (!forceRefresh && this._isCacheValid(addr)) {
+      if (!forceRefresh && this._isCacheValid(cacheKey)) {
         this.performanceMetrics.cacheHits++
         return true
       }
 
-      // Fetch fresh UTXO data
-      const utxosResult = await this._fetchUtxosWithRetry(addr)
+      // Fetch fresh UTXO data for every address
+      const utxosResults = []
+      for (const address of addresses) {
+        const utxosResult = await this._fetchUtxosWithRetry(address)
+        utxosResults.push({ address, utxosResult })
+      }
 
       // Process and store UTXOs
-      this._processUtxos(utxosResult, addr)
+      this._processUtxos(utxosResults, cacheKey)
 
       return true
     } catch (err) {
@@ -73,7 +104,7 @@ class Utxos {
   }
 
   /**
-   * Get spendable XEC UTXOs with basic filtering
+   * Get spendable XEC UTXOs with basic filtering. Frozen UTXOs are left out.
    * @param {Object} options - Filtering options
    * @returns {Array} - Filtered UTXOs
    */
@@ -84,64 +115,187 @@ class Utxos {
     } = options
 
     // Use security validator for filtering
-    return this.security.filterSecureUtxos(this.utxoStore.xecUtxos, {
+    return this.security.filterSecureUtxos(this.getUnfrozenUtxos(), {
       includeUnconfirmed,
       excludeDustAttack
     })
   }
 
   /**
-   * Simple UTXO selection (largest first)
-   * @param {number} targetAmount - Target amount in satoshis
-   * @param {Object} options - Selection options
-   * @returns {Object} - Selection result
+   * Stored UTXOs that are not frozen
+   * @returns {Array} - UTXOs
    */
-  selectOptimalUtxos (targetAmount, options = {}) {
-    const spendableUtxos = this.getSpendableXecUtxos(options)
+  getUnfrozenUtxos () {
+    if (this.frozenOutpoints.size === 0) {
+      return this.utxoStore.xecUtxos
+    }
 
-    if (spendableUtxos.length === 0) {
-      throw new Error('No spendable UTXOs available')
+    return this.utxoStore.xecUtxos.filter(utxo => !this.frozenOutpoints.has(this._getStoredKey(utxo)))
+  }
+
+  /**
+   * Check whether a UTXO is frozen
+   * @param {Object|string} outpoint - UTXO, { txid, outIdx } or 'txid:outIdx'
+   * @returns {boolean}
+   */
+  isFrozen (outpoint) {
+    return this.frozenOutpoints.has(this._getOutpointKey(outpoint))
+  }
+
+  /**
+   * Look up the UTXOs a user chose to spend. They must be in the store and
+   * not frozen.
+   * @param {Array} outpoints - UTXOs, { txid, outIdx } or 'txid:outIdx'
+   * @returns {Array} - UTXOs from the store, in the order given
+   */
+  getChosenUtxos (outpoints) {
+    if (!Array.isArray(outpoints) || outpoints.length === 0) {
+      throw new Error('Choose at least one UTXO to spend')
     }
 
-    // Sort by value descending (largest first)
-    const sortedUtxos = spendableUtxos.sort((a, b) => {
-      const aValue = this._getUtxoValue(a)
-      const bValue = this._getUtxoValue(b)
-      return bValue - aValue
+    const keys = outpoints.map(outpoint => this._getOutpointKey(outpoint))
+
+    return keys.map((key, i) => {
+      if (keys.indexOf(key) !== i) {
+        throw new Error(`UTXO ${key} is chosen twice`)
+      }
+
+      const utxo = this.utxoStore.xecUtxos.find(item => this._getStoredKey(item) === key)
+      if (!utxo) {
+        throw new Error(`UTXO ${key} is not in the wallet`)
+      }
+
+      if (this.frozenOutpoints.has(key)) {
+        throw new Error(`UTXO ${key} is frozen`)
+      }
+
+      return utxo
     })
+  }
 
-    // Simple greedy selection
-    const selectedUtxos = []
-    let totalAmount = 0
-    const inputCost = 148 // P2PKH input size in bytes
+  /**
+   * Freeze a UTXO so that no spend or consolidation uses it
+   * @param {Object|string} outpoint - UTXO, { txid, outIdx } or 'txid:outIdx'
+   * @returns {Object} - The frozen outpoint { txid, outIdx }
+   */
+  async freezeUtxo (outpoint) {
+    try {
+      const key = this._getOutpointKey(outpoint)
+      await this.loadFrozenUtxos()
 
-    for (const utxo of sortedUtxos) {
-      const utxoValue = this._getUtxoValue(utxo)
-      selectedUtxos.push(utxo)
-      totalAmount += utxoValue
+      this.frozenOutpoints.add(key)
+      await this._saveFrozenUtxos()
+
+      return this._parseOutpointKey(key)
+    } catch (err) {
+      throw new Error(`UTXO freeze failed: ${err.message}`)
+    }
+  }
+
+  /**
+   * Make a frozen UTXO spendable again
+   * @param {Object|string} outpoint - UTXO, { txid, outIdx } or 'txid:outIdx'
+   * @returns {boolean} - false when the UTXO was not frozen
+   */
+  async unfreezeUtxo (outpoint) {
+    try {
+      const key = this._getOutpointKey(outpoint)
+      await this.loadFrozenUtxos()
+
+      if (!this.frozenOutpoints.delete(key)) {
+        return false
+      }
+      await this._saveFrozenUtxos()
+
+      return true
+    } catch (err) {
+      throw new Error(`UTXO unfreeze failed: ${err.message}`)
+    }
+  }
 
-      // Estimate fee
-      const estimatedFee = selectedUtxos.length * inputCost + 34 + 10 // inputs + output + overhead
+  /**
+   * List frozen outpoints. Those still in the UTXO store carry their sats and
+   * address.
+   * @returns {Array} - [{ txid, outIdx, sats, address }]
+   */
+  async listFrozenUtxos () {
+    await this.loadFrozenUtxos()
+
+    return [...this.frozenOutpoints].map(key => {
+      const outpoint = this._parseOutpointKey(key)
+      const utxo = this.utxoStore.xecUtxos.find(item => this._getStoredKey(item) === key)
+      if (!utxo) {
+        return outpoint
+      }
 
-      if (totalAmount >= targetAmount + estimatedFee) {
-        break
+      return {
+        ...outpoint,
+        sats: String(this._getUtxoValue(utxo)),
+        ...(utxo.address ? { address: utxo.address } : {})
       }
+    })
+  }
+
+  /**
+   * Load the frozen outpoints from the storage adapter. Runs once; later
+   * calls wait for the first.
+   */
+  async loadFrozenUtxos () {
+    if (!this.frozenLoaded) {
+      this.frozenLoaded = this._readFrozenUtxos()
+    }
+
+    try {
+      await this.frozenLoaded
+    } catch (err) {
+      // Retry on the next call
+      this.frozenLoaded = null
+      throw new Error(`Frozen UTXOs could not be loaded: ${err.message}`)
     }
+  }
 
-    // Check if we have enough
-    const finalFee = selectedUtxos.length * inputCost + 34 + 10
-    if (totalAmount < targetAmount + finalFee) {
+  /**
+   * Select UTXOs for a target amount at 1 sat/byte
+   * @param {number} targetAmount - Target amount in satoshis
+   * @param {Object} options - Filter options, plus coinSelection to pick a strategy
+   * @returns {Object} - Selection result
+   */
+  selectOptimalUtxos (targetAmount, options = {}) {
+    const spendableUtxos = this.getSpendableXecUtxos(options)
+
+    if (spendableUtxos.length === 0) {
+      throw new Error('No spendable UTXOs available')
+    }
+
+    // One P2PKH output, plus change when there is some
+    const selection = this.coinSelection.select(spendableUtxos, targetAmount, {
+      strategy: options.coinSelection,
+      getFee: (inputCount, withChange) => feeEngine.estimateFee(inputCount, 1, 1, withChange)
+    })
+    if (!selection) {
       throw new Error('Insufficient funds')
     }
 
     return {
-      selectedUtxos,
-      totalAmount,
-      estimatedFee: finalFee,
-      change: totalAmount - targetAmount - finalFee
+      selectedUtxos: selection.selectedUtxos,
+      totalAmount: selection.totalAmount,
+      estimatedFee: selection.estimatedFee,
+      change: selection.change
     }
   }
 
+  /**
+   * Apply a transaction the wallet just broadcast: its inputs leave the store
+   * and its outputs paying the wallet join it as unconfirmed UTXOs
+   * @param {string} hex - Signed transaction
+   * @param {string} txid - Its TXID
+   * @param {Function} isOwnAddress - Tells whether an address is the wallet's
+   */
+  recordBroadcast (hex, txid, isOwnAddress) {
+    this.pendingSpends.record(hex, txid, isOwnAddress)
+    this.utxoStore.xecUtxos = this.pendingSpends.apply(this.utxoStore.xecUtxos)
+  }
+
   /**
    * Get current balance
    * @returns {Object} - Balance information
@@ -207,7 +361,7 @@ class Utxos {
 
   /**
    * Refresh cache for address
-   * @param {string} addr - Address to refresh
+   * @param {string|Array} addr - Address or addresses to refresh
    * @returns {boolean} - Success status
    */
   async refreshCache (addr) {
@@ -239,6 +393,47 @@ class Utxos {
 
   // Private methods
 
+  async _readFrozenUtxos () {
+    const stored = await this.storage.getItem(FROZEN_UTXOS_KEY)
+    const keys = stored ? JSON.parse(stored) : []
+
+    for (const key of keys) {
+      this.frozenOutpoints.add(key)
+    }
+  }
+
+  async _saveFrozenUtxos () {
+    if (this.frozenOutpoints.size === 0) {
+      await this.storage.removeItem(FROZEN_UTXOS_KEY)
+      return
+    }
+
+    await this.storage.setItem(FROZEN_UTXOS_KEY, JSON.stringify([...this.frozenOutpoints]))
+  }
+
+  // 'txid:outIdx' of a UTXO, an outpoint or a string in that form
+  _getOutpointKey (outpoint) {
+    const { txid, outIdx } = typeof outpoint === 'string'
+      ? this._parseOutpointKey(outpoint)
+      : (outpoint && outpoint.outpoint) || outpoint || {}
+
+    if (typeof txid !== 'string' || !/^[0-9a-f]{64}$/i.test(txid) || !Number.isInteger(outIdx) || outIdx < 0) {
+      throw new Error('Invalid outpoint. Use { txid, outIdx } or a UTXO')
+    }
+
+    return `${txid.toLowerCase()}:${outIdx}`
+  }
+
+  // Key of a UTXO from the store, which was validated when it was fetched
+  _getStoredKey (utxo) {
+    return `${String(utxo.outpoint.txid).toLowerCase()}:${utxo.outpoint.outIdx}`
+  }
+
+  _parseOutpointKey (key) {
+    const [txid, outIdx] = key.split(':')
+    return { txid, outIdx: Number(outIdx) }
+  }
+
   async _fetchUtxosWithRetry (addr, maxRetries = null) {
     const retryLimit = maxRetries || this.maxRetries
     let attempt = 1
@@ -258,18 +453,24 @@ class Utxos {
     }
   }
 
-  _processUtxos (utxosResult, addr) {
-    if (!utxosResult || !Array.isArray(utxosResult.utxos)) {
-      throw new Error('Invalid UTXO response format')
-    }
+  _processUtxos (utxosResults, cacheKey) {
+    const validUtxos = []
 
-    // Filter and validate UTXOs
-    const validUtxos = utxosResult.utxos.filter(utxo => this._isValidUtxo(utxo))
+    for (const { address, utxosResult } of utxosResults) {
+      if (!utxosResult || !Array.isArray(utxosResult.utxos)) {
+        throw new Error('Invalid UTXO response format')
+      }
+
+      // Filter and validate UTXOs, remembering which address owns each one
+      utxosResult.utxos
+        .filter(utxo => this._isValidUtxo(utxo))
+        .forEach(utxo => validUtxos.push({ ...utxo, address }))
+    }
 
-    // Store UTXOs
-    this.utxoStore.xecUtxos = validUtxos
+    // Store UTXOs, with the spends Chronik does not report yet
+    this.utxoStore.xecUtxos = this.pendingSpends.reconcile(validUtxos)
     this.utxoStore.lastUpdated = Date.now()
-    this.utxoStore.cacheKey = addr
+    this.utxoStore.cacheKey = cacheKey
     this.performanceMetrics.lastRefreshTime = Date.now()
   }
 
@@ -287,9 +488,9 @@ class Utxos {
     return 0
   }
 
-  _isCacheValid (addr) {
+  _isCacheValid (cacheKey) {
     return (
-      this.utxoStore.cacheKey === addr &&
+      this.utxoStore.cacheKey === cacheKey &&
       this.utxoStore.lastUpdated &&
       (Date.now() - this.utxoStore.lastUpdated) < this.cacheTimeout
     )
@@ -4,6 +4,15 @@
 */
 
 const sinon = require('sinon')
+const { createHash } = require('crypto')
+
+// Message signing and OP_RETURN parsing need no network, so tests use the
+// real ecash-lib functions. Loaded by path, which bypasses the mock below.
+const ecashLib = require(require.resolve('ecash-lib'))
+const { signMsg, verifyMsg } = ecashLib
+
+// The parsers need a real Script, the mock ones only carry the bytecode
+const withScript = parse => script => parse(new ecashLib.Script(script.bytecode))
 
 // Create a comprehensive mock that behaves like ChronikClient
 function MockChronikClient (url) {
@@ -153,6 +162,7 @@ const MockTxBuilder = function (options) {
   this.addInput = sinon.stub().returns(this)
   this.addOutput = sinon.stub().returns(this)
   this.sign = sinon.stub().returns({
+    inputs: this.inputs.map(input => ({ ...input.input })),
     ser: sinon.stub().returns(Buffer.from('020000000001abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef', 'hex'))
   })
   this.build = sinon.stub().returns({
@@ -160,6 +170,7 @@ const MockTxBuilder = function (options) {
   })
   return this
 }
+MockTxBuilder.fromTx = tx => new MockTxBuilder({ inputs: tx.inputs.map(input => ({ input })) })
 
 Module.prototype.require = function (id) {
   if (id === 'chronik-client') {
@@ -175,11 +186,38 @@ Module.prototype.require = function (id) {
   if (id === 'ecash-lib') {
     return {
       TxBuilder: MockTxBuilder,
+      // One unsigned input spending a000...:0 and one 1000 sat P2PKH output
+      Tx: {
+        fromHex: sinon.stub().callsFake(() => ({
+          inputs: [{ prevOut: { txid: 'a'.repeat(64), outIdx: 0 }, script: { bytecode: Buffer.alloc(0) } }],
+          outputs: [{ sats: 1000n, script: { bytecode: Buffer.from(`76a914${'00'.repeat(20)}88ac`, 'hex') } }],
+          ser: () => Buffer.from('0200', 'hex')
+        }))
+      },
       P2PKHSignatory: sinon.stub().returns('mock_signatory'),
-      fromHex: sinon.stub().returns(Buffer.from('mock_buffer')),
+      fromHex: sinon.stub().callsFake(() => Buffer.from('mock_buffer')),
       toHex: sinon.stub().returns('020000000001abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef'),
       Ecc: function MockEcc () {
-        this.derivePubkey = sinon.stub().returns(Buffer.from('mock_pubkey', 'hex'))
+        this.derivePubkey = sinon.stub().callsFake(seckey => Buffer.concat([Buffer.from([0x02]), createHash('sha256').update(Buffer.from(seckey)).digest()]))
+        // Deterministic tweaks so BIP32 derivation yields distinct mock keys
+        this.seckeyAdd = (a, b) => createHash('sha256').update(Buffer.concat([Buffer.from(a), Buffer.from(b)])).digest()
+        this.pubkeyAdd = (a, b) => Buffer.concat([Buffer.from([0x02]), createHash('sha256').update(Buffer.concat([Buffer.from(a), Buffer.from(b)])).digest()])
+        // 70 byte stand-in for a DER signature, unique per key and message
+        // 64 byte stand-in for a Schnorr signature
+        this.schnorrSign = (seckey, msg) => Buffer.concat([createHash('sha256').update(Buffer.from(seckey)).digest(), createHash('sha256').update(Buffer.from(msg)).digest()])
+        this.ecdsaSign = (seckey, msg) => Buffer.concat([Buffer.from([0x30, 0x44]), createHash('sha256').update(Buffer.from(seckey)).digest(), createHash('sha256').update(Buffer.from(msg)).digest(), Buffer.alloc(4)])
+        // Accepts what ecdsaSign made: the mock pubkey is 02 || sha256(seckey)
+        this.ecdsaVerify = (sig, msg, pk) => {
+          const expected = Buffer.concat([Buffer.from(pk).slice(1), createHash('sha256').update(Buffer.from(msg)).digest()])
+          if (!Buffer.from(sig).slice(2, 66).equals(expected)) {
+            throw new Error('Invalid signature')
+          }
+        }
+        // Recoverable signatures carry the signer's mock pubkey and the digest
+        this.signRecoverable = (seckey, msg) => Buffer.concat([Buffer.from([31]), this.derivePubkey(seckey).slice(1), Buffer.from(msg)])
+        this.recoverSig = (sig, msg) => Buffer.from(sig).slice(33).equals(Buffer.from(msg))
+          ? Buffer.concat([Buffer.from([0x02]), Buffer.from(sig).slice(1, 33)])
+          : Buffer.concat([Buffer.from([0x03]), createHash('sha256').update(Buffer.from(sig)).digest()])
         return this
       },
       Script: (() => {
@@ -188,10 +226,25 @@ Module.prototype.require = function (id) {
           return this
         }
         MockScript.p2pkh = sinon.stub().returns(Buffer.from('mock_script_buffer'))
+        MockScript.p2sh = sinon.stub().returns(Buffer.from('mock_p2sh_script_buffer'))
+        MockScript.p2pkhSpend = (pk, sig) => new MockScript(Buffer.concat([Buffer.from(sig), Buffer.from(pk)]))
         return MockScript
       })(),
       ALL_BIP143: 'mock_sighash',
+      // Sighash preimages commit to the input index
+      UnsignedTx: {
+        fromTx: () => ({
+          inputAt: i => ({ sigHashPreimage: () => ({ bytes: Buffer.from(`mock_preimage_${i}`) }) })
+        })
+      },
+      signMsg,
+      verifyMsg,
+      sha256d: data => createHash('sha256').update(createHash('sha256').update(Buffer.from(data)).digest()).digest(),
+      flagSignature: sig => Buffer.concat([Buffer.from(sig), Buffer.from([0x41])]),
       shaRmd160: sinon.stub().returns(Buffer.from('mock_hash160', 'hex')),
+      parseSlp: withScript(ecashLib.parseSlp),
+      parseEmppScript: withScript(ecashLib.parseEmppScript),
+      parseAlp: ecashLib.parseAlp,
       // Token-specific mocks
       slpSend: sinon.stub().returns({
         bytecode: Buffer.from('6a04534c500001010453454e44205e40dda12765d0b3819286f4bd50ec58a4bf8d7dbfd277152693ad9d34912135080000000000000001080000000000000005', 'hex')
@@ -212,14 +265,15 @@ Module.prototype.require = function (id) {
   if (id === 'ecashaddrjs') {
     return {
       decodeCashAddress: sinon.stub().callsFake((address) => {
-        // Mock realistic behavior: support both ecash: and etoken: addresses
+        // Mock realistic behavior: support ecash:, etoken: and test network addresses
         if (typeof address !== 'string') {
           throw new Error(`Invalid value: ${address}.`)
         }
-        if (address && (address.startsWith('ecash:') || address.startsWith('etoken:')) && !address.includes('invalid')) {
+        if (address && /^(ecash|etoken|ectest|ecregtest):/.test(address) && !address.includes('invalid')) {
+          // Like real cashaddrs, P2SH payloads start with 'p'
           return {
             hash: Buffer.from('0123456789abcdef0123456789abcdef01234567', 'hex'),
-            type: 'P2PKH'
+            type: address.split(':')[1].startsWith('p') ? 'P2SH' : 'P2PKH'
           }
         }
         throw new Error(`Invalid checksum: ${address}.`)
@@ -243,13 +297,13 @@ Module.prototype.require = function (id) {
             const hashStr = hash.toString('hex')
             const hashNumber = parseInt(hashStr.substring(0, 8), 16)
             const deterministicSuffix = (hashNumber % 0xffffff).toString(16).padStart(6, '0')
-            const address = `ecash:mock${deterministicSuffix}`
+            const address = `${prefix}:mock${deterministicSuffix}`
             addressCache.set(key, address)
             return address
           } else {
             // Fallback for cases without hash - use counter for uniqueness
             uniqueCounter++
-            const address = `ecash:mockfallback${uniqueCounter.toString(16).padStart(4, '0')}`
+            const address = `${prefix}:mockfallback${uniqueCounter.toString(16).padStart(4, '0')}`
             addressCache.set(key, address)
             return address
           }
@@ -288,10 +342,11 @@ try {
         if (typeof address !== 'string') {
           throw new Error(`Invalid value: ${address}.`)
         }
-        if (address && (address.startsWith('ecash:') || address.startsWith('etoken:')) && !address.includes('invalid')) {
+        if (address && /^(ecash|etoken|ectest|ecregtest):/.test(address) && !address.includes('invalid')) {
+          // Like real cashaddrs, P2SH payloads start with 'p'
           return {
             hash: Buffer.from('0123456789abcdef0123456789abcdef01234567', 'hex'),
-            type: 'P2PKH'
+            type: address.split(':')[1].startsWith('p') ? 'P2SH' : 'P2PKH'
           }
         }
         throw new Error(`Invalid checksum: ${address}.`)
@@ -315,13 +370,13 @@ try {
             const hashStr = hash.toString('hex')
             const hashNumber = parseInt(hashStr.substring(0, 8), 16)
             const deterministicSuffix = (hashNumber % 0xffffff).toString(16).padStart(6, '0')
-            const address = `ecash:mock${deterministicSuffix}`
+            const address = `${prefix}:mock${deterministicSuffix}`
             addressCache.set(key, address)
             return address
           } else {
             // Fallback for cases without hash - use counter for uniqueness
             uniqueCounter++
-            const address = `ecash:mockfallback${uniqueCounter.toString(16).padStart(4, '0')}`
+            const address = `${prefix}:mockfallback${uniqueCounter.toString(16).padStart(4, '0')}`
             addressCache.set(key, address)
             return address
           }
@@ -341,7 +396,20 @@ try {
   // Module not yet loaded, that's fine
 }
 
+// Some tests clear the TEST flag to reach production code paths. Restore it
+// after every test, so that the files running later keep mock key derivation.
+const testEnv = process.env.TEST
+
 module.exports = {
   MockChronikClient,
-  MockTxBuilder
+  MockTxBuilder,
+  mochaHooks: {
+    afterEach () {
+      if (testEnv === undefined) {
+        delete process.env.TEST
+      } else {
+        process.env.TEST = testEnv
+      }
+    }
+  }
 }
@@ -53,12 +53,11 @@ describe('#index.js - Minimal XEC Wallet', () => {
       assert.property(uut, 'walletInfoCreated')
       assert.equal(uut.walletInfoCreated, true)
 
-      assert.property(uut.walletInfo, 'mnemonic')
-      assert.isString(uut.walletInfo.mnemonic)
-      assert.isNotEmpty(uut.walletInfo.mnemonic)
-
-      assert.property(uut.walletInfo, 'privateKey')
-      assert.isString(uut.walletInfo.privateKey)
+      // The keys are held by the key signer, not walletInfo
+      assert.notProperty(uut.walletInfo, 'mnemonic')
+      assert.notProperty(uut.walletInfo, 'privateKey')
+      assert.isString(uut.exportMnemonic())
+      assert.isNotEmpty(uut.exportMnemonic())
 
       assert.property(uut.walletInfo, 'xecAddress')
       assert.isString(uut.walletInfo.xecAddress)
@@ -87,8 +86,7 @@ describe('#index.js - Minimal XEC Wallet', () => {
       const uut2 = new MinimalXECWallet(encryptedMnemonic, advancedOptions)
       await uut2.walletInfoPromise
 
-      assert.property(uut2.walletInfo, 'mnemonic')
-      assert.isString(uut2.walletInfo.mnemonic)
+      assert.equal(uut2.exportMnemonic(), uut.exportMnemonic())
     })
   })
 
@@ -100,8 +98,8 @@ describe('#index.js - Minimal XEC Wallet', () => {
     it('should generate a new mnemonic if none provided', async () => {
       const result = await uut.create()
 
-      assert.property(result, 'mnemonic')
-      assert.isString(result.mnemonic)
+      assert.notProperty(result, 'mnemonic')
+      assert.isString(uut.exportMnemonic())
       assert.property(result, 'xecAddress')
       assert.include(result.xecAddress, 'ecash:')
     })
@@ -110,7 +108,7 @@ describe('#index.js - Minimal XEC Wallet', () => {
       const mnemonic = mockWallet.mockXecWalletInfo.mnemonic
       const result = await uut.create(mnemonic)
 
-      assert.equal(result.mnemonic, mnemonic)
+      assert.equal(uut.exportMnemonic(), mnemonic)
       assert.property(result, 'xecAddress')
       assert.include(result.xecAddress, 'ecash:')
     })
@@ -119,11 +117,52 @@ describe('#index.js - Minimal XEC Wallet', () => {
       const wif = mockWallet.mockXecWalletInfo.privateKey
       const result = await uut.create(wif)
 
-      assert.equal(result.privateKey, wif)
-      // In test environment, the result uses the real derived key, not the mock
-      assert.isNull(result.mnemonic)
+      assert.notProperty(result, 'privateKey')
+      assert.equal(uut.keySigner.exportSecret().secret, wif)
+      assert.isNull(uut.keySigner.getMnemonic())
       assert.property(result, 'xecAddress')
     })
+
+    it('should generate a 24-word mnemonic in the configured language', async () => {
+      const wallet = new MinimalXECWallet(undefined, { mnemonicStrength: 256, mnemonicLanguage: 'spanish' })
+      const result = await wallet.walletInfoPromise
+
+      assert.equal(wallet.exportMnemonic().split(' ').length, 24)
+      assert.equal(result.mnemonicLanguage, 'spanish')
+    })
+
+    it('should detect the language of an imported mnemonic', async () => {
+      const mnemonic = uut.keyDerivation.generateMnemonic(128, 'korean')
+      const result = await uut.create(`${mnemonic}\n`)
+
+      assert.equal(uut.exportMnemonic(), mnemonic)
+      assert.equal(result.mnemonicLanguage, 'korean')
+    })
+
+    it('should not mistake a mnemonic for a WIF key', async () => {
+      // Starts with 'c' and is 51 characters long, like a WIF
+      const mnemonic = 'cat cat cat cat cat cat cat cat cat cat cat acquire'
+      const result = await uut.create(mnemonic)
+
+      assert.equal(uut.exportMnemonic(), mnemonic)
+      assert.equal(result.mnemonicLanguage, 'english')
+    })
+
+    it('should apply a BIP39 passphrase without storing it', async () => {
+      const mnemonic = mockWallet.mockXecWalletInfo.mnemonic
+      const plain = new MinimalXECWallet(mnemonic)
+      const protectedWallet = new MinimalXECWallet(mnemonic, { passphrase: 'secret' })
+      await plain.walletInfoPromise
+      await protectedWallet.walletInfoPromise
+
+      assert.notEqual(protectedWallet.walletInfo.xecAddress, plain.walletInfo.xecAddress)
+      assert.notProperty(protectedWallet.walletInfo, 'passphrase')
+      assert.notInclude(JSON.stringify(protectedWallet.walletInfo), 'secret')
+      assert.notProperty(protectedWallet._getSigningWalletInfo(), 'passphrase')
+
+      const keyPair = await protectedWallet.getKeyPair(0)
+      assert.equal(keyPair.xecAddress, protectedWallet.walletInfo.xecAddress)
+    })
   })
 
   describe('#initialize', () => {
@@ -132,7 +171,8 @@ describe('#index.js - Minimal XEC Wallet', () => {
     })
 
     it('should initialize the UTXO store', async () => {
-      // Mock the UTXO store initialization
+      // Mock the account discovery and UTXO store initialization
+      sandbox.stub(uut.hdAccount, 'discover').resolves([])
       sandbox.stub(uut.utxos, 'initUtxoStore').resolves(true)
 
       const result = await uut.initialize()
@@ -196,7 +236,7 @@ describe('#index.js - Minimal XEC Wallet', () => {
       const result = await uut.getDetailedBalance()
 
       // Check structure
-      assert.hasAllKeys(result, ['confirmed', 'unconfirmed', 'total', 'satoshis'])
+      assert.hasAllKeys(result, ['confirmed', 'unconfirmed', 'total', 'finalized', 'nonFinal', 'satoshis'])
 
       // Check XEC amounts (divide by 100)
       assert.equal(result.confirmed, 1200) // 120000 / 100
@@ -204,7 +244,7 @@ describe('#index.js - Minimal XEC Wallet', () => {
       assert.equal(result.total, 1250) // 1200 + 50
 
       // Check satoshi amounts
-      assert.hasAllKeys(result.satoshis, ['confirmed', 'unconfirmed', 'total'])
+      assert.hasAllKeys(result.satoshis, ['confirmed', 'unconfirmed', 'total', 'finalized', 'nonFinal'])
       assert.equal(result.satoshis.confirmed, 120000)
       assert.equal(result.satoshis.unconfirmed, 5000)
       assert.equal(result.satoshis.total, 125000)
@@ -384,6 +424,77 @@ describe('#index.js - Minimal XEC Wallet', () => {
     })
   })
 
+  describe('#recoverMnemonic', () => {
+    it('should return candidates for a damaged mnemonic', async () => {
+      const damaged = mockWallet.mockXecWalletInfo.mnemonic.replace(/about$/, 'abuot')
+
+      const result = await uut.recoverMnemonic(damaged)
+
+      assert.equal(result[0].mnemonic, mockWallet.mockXecWalletInfo.mnemonic)
+    })
+
+    it('should rank candidates by history when asked', async () => {
+      const stub = sandbox.stub(uut.keyDerivation, 'rankRecoveryCandidates').resolves([])
+
+      await uut.recoverMnemonic(mockWallet.mockXecWalletInfo.mnemonic, { checkHistory: true })
+
+      assert.isTrue(stub.calledOnce)
+      assert.equal(stub.firstCall.args[1], uut.ar)
+    })
+
+    it('should wrap errors', async () => {
+      try {
+        await uut.recoverMnemonic('too few words')
+        assert.fail('Should throw')
+      } catch (err) {
+        assert.include(err.message, 'Mnemonic recovery failed')
+      }
+    })
+  })
+
+  describe('#signMessage and #verifyMessage', () => {
+    it('should sign with the primary key by default', async () => {
+      const spy = sandbox.spy(uut.keyDerivation, 'signMessage')
+      const keyData = uut.keyDerivation.deriveFromMnemonic(uut.exportMnemonic(), uut.walletInfo.hdPath)
+
+      const signature = await uut.signMessage('login nonce 123')
+
+      assert.isString(signature)
+      assert.equal(spy.firstCall.args[1], keyData.privateKey)
+    })
+
+    it('should sign with the key of an HD index', async () => {
+      const spy = sandbox.spy(uut.keyDerivation, 'signMessage')
+      const keyData = uut.keyDerivation.deriveFromMnemonic(uut.exportMnemonic(), "m/44'/899'/0'/0/3")
+
+      await uut.signMessage('login nonce 123', 3)
+
+      assert.equal(spy.firstCall.args[1], keyData.privateKey)
+    })
+
+    it('should refuse to sign from a watch-only wallet', async () => {
+      const watcher = new MinimalXECWallet(['ecash:qwatchonly'])
+      await watcher.walletInfoPromise
+
+      try {
+        await watcher.signMessage('hello')
+        assert.fail('Should throw')
+      } catch (err) {
+        assert.instanceOf(err, MinimalXECWallet.WatchOnlyError)
+      }
+    })
+
+    it('should verify through the key derivation library', () => {
+      sandbox.stub(uut.keyDerivation, 'verifyMessage').returns(true)
+
+      assert.isTrue(uut.verifyMessage(uut.walletInfo.xecAddress, 'hello', 'c2ln'))
+    })
+
+    it('should reject an invalid address', () => {
+      assert.throws(() => uut.verifyMessage('invalid-address', 'hello', 'c2ln'), /Message verification failed/)
+    })
+  })
+
   // eToken operations - Now fully implemented via HybridTokenManager
   describe('#eToken operations - Hybrid SLP/ALP Support', () => {
     it('sendETokens should require valid inputs', async () => {
@@ -513,11 +624,10 @@ describe('#index.js - Minimal XEC Wallet', () => {
         await wifWallet.walletInfoPromise
 
         assert.property(wifWallet.walletInfo, 'xecAddress')
-        assert.property(wifWallet.walletInfo, 'privateKey')
         assert.property(wifWallet.walletInfo, 'publicKey')
         assert.property(wifWallet.walletInfo, 'isCompressed')
-        assert.property(wifWallet.walletInfo, 'wif')
-        assert.strictEqual(wifWallet.walletInfo.wif, testWIF)
+        assert.notProperty(wifWallet.walletInfo, 'wif')
+        assert.deepEqual(wifWallet.keySigner.exportSecret(), { secret: testWIF, type: 'wif' })
       })
 
       it('should export and re-import WIF successfully', async () => {
@@ -533,7 +643,6 @@ describe('#index.js - Minimal XEC Wallet', () => {
 
         // Should have valid wallet info
         assert.property(newWallet.walletInfo, 'xecAddress')
-        assert.property(newWallet.walletInfo, 'privateKey')
         assert.property(newWallet.walletInfo, 'publicKey')
 
         // In test mode, addresses are generated differently, so just verify structure
@@ -547,7 +656,7 @@ describe('#index.js - Minimal XEC Wallet', () => {
 
         // Should validate the testnet WIF
         assert.strictEqual(testnetWallet.validateWIF(testnetWIF), true)
-        assert.strictEqual(testnetWallet.walletInfo.wif, testnetWIF)
+        assert.strictEqual(testnetWallet.keySigner.exportSecret().secret, testnetWIF)
 
         // Should be able to export a testnet WIF
         const exportedTestnetWIF = testnetWallet.exportPrivateKeyAsWIF(true, true)
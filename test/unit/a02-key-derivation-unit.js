@@ -45,6 +45,40 @@ describe('#key-derivation.js', () => {
       assert.isString(mnemonic)
       assert.equal(words.length, 24)
     })
+
+    it('should generate mnemonics in other BIP39 languages', () => {
+      const spanish = uut.generateMnemonic(128, 'spanish')
+      const japanese = uut.generateMnemonic(128, 'japanese')
+
+      assert.isTrue(uut.validateMnemonic(spanish, 'spanish'))
+      assert.equal(japanese.split('\u3000').length, 12)
+    })
+
+    it('should reject an invalid strength or language', () => {
+      assert.throws(() => uut.generateMnemonic(100), /Invalid strength/)
+      assert.throws(() => uut.generateMnemonic(128, 'klingon'), /Unsupported mnemonic language/)
+    })
+  })
+
+  describe('#detectMnemonicLanguage', () => {
+    it('should detect the language of each supported wordlist', () => {
+      for (const language of uut.getMnemonicLanguages()) {
+        const mnemonic = uut.generateMnemonic(128, language)
+        assert.equal(uut.detectMnemonicLanguage(mnemonic), language)
+      }
+    })
+
+    it('should ignore extra whitespace', () => {
+      const mnemonic = mockWallet.mockXecWalletInfo.mnemonic
+
+      assert.equal(uut.detectMnemonicLanguage(`  ${mnemonic.replace(/ /g, '  ')}\n`), 'english')
+      assert.equal(uut.normalizeMnemonic(` ${mnemonic}\n`), mnemonic)
+    })
+
+    it('should return null for invalid mnemonics', () => {
+      assert.isNull(uut.detectMnemonicLanguage('invalid word sequence here not bip39 compliant'))
+      assert.isNull(uut.detectMnemonicLanguage(null))
+    })
   })
 
   describe('#validateMnemonic', () => {
@@ -61,6 +95,14 @@ describe('#key-derivation.js', () => {
 
       assert.isFalse(result)
     })
+
+    it('should validate against a single language when given', () => {
+      const mnemonic = uut.generateMnemonic(128, 'french')
+
+      assert.isTrue(uut.validateMnemonic(mnemonic))
+      assert.isTrue(uut.validateMnemonic(mnemonic, 'french'))
+      assert.isFalse(uut.validateMnemonic(mnemonic, 'english'))
+    })
   })
 
   describe('#deriveFromMnemonic', () => {
@@ -92,6 +134,40 @@ describe('#key-derivation.js', () => {
       assert.equal(result1.privateKey, result2.privateKey)
       assert.equal(result1.address, result2.address)
     })
+
+    it('should derive different keys with a BIP39 passphrase', async () => {
+      const mnemonic = mockWallet.mockXecWalletInfo.mnemonic
+      const plain = await uut.deriveFromMnemonic(mnemonic)
+      const protectedKeys = await uut.deriveFromMnemonic(mnemonic, undefined, 'secret')
+
+      assert.notEqual(plain.privateKey, protectedKeys.privateKey)
+      assert.notEqual(plain.address, protectedKeys.address)
+    })
+  })
+
+  describe('#deriveKeyForAddress', () => {
+    it('should apply the passphrase passed with the secrets', () => {
+      const mnemonic = mockWallet.mockXecWalletInfo.mnemonic
+      const hdPath = "m/44'/899'/0'/0/0"
+      const expected = uut.deriveFromMnemonic(mnemonic, hdPath, 'secret')
+
+      const result = uut.deriveKeyForAddress({ hdPath, xecAddress: expected.address }, undefined, {
+        mnemonic,
+        passphrase: 'secret'
+      })
+
+      assert.equal(result.privateKey, expected.privateKey)
+    })
+
+    it('should not read secrets from the wallet info', () => {
+      const walletInfo = {
+        mnemonic: mockWallet.mockXecWalletInfo.mnemonic,
+        xecAddress: 'ecash:qpfirst',
+        addresses: [{ address: 'ecash:qpsecond', hdPath: "m/44'/899'/0'/1/0" }]
+      }
+
+      assert.throws(() => uut.deriveKeyForAddress(walletInfo, 'ecash:qpsecond'), /Mnemonic required to derive account keys/)
+    })
   })
 
   describe('#deriveFromWif', () => {
@@ -201,6 +277,163 @@ describe('#key-derivation.js', () => {
     })
   })
 
+  describe('#suggestWords', () => {
+    it('should suggest the nearest wordlist words', () => {
+      assert.equal(uut.suggestWords('abandn')[0], 'abandon')
+      assert.equal(uut.suggestWords('zoooo')[0], 'zoo')
+    })
+
+    it('should prefer words sharing the first four letters', () => {
+      assert.equal(uut.suggestWords('abouut')[0], 'about')
+    })
+
+    it('should respect the limit', () => {
+      assert.lengthOf(uut.suggestWords('cat', 'english', 3), 3)
+    })
+  })
+
+  describe('#recoverMnemonic', () => {
+    const words = mockWallet.mockXecWalletInfo.mnemonic.split(' ')
+
+    it('should return a valid mnemonic unchanged', () => {
+      const result = uut.recoverMnemonic(words.join(' '))
+
+      assert.lengthOf(result, 1)
+      assert.deepEqual(result[0].corrections, [])
+    })
+
+    it('should fix a misspelled word', () => {
+      const damaged = [...words]
+      damaged[3] = 'abandn'
+
+      const result = uut.recoverMnemonic(damaged)
+
+      assert.equal(result[0].mnemonic, words.join(' '))
+      assert.deepEqual(result[0].corrections, [{ index: 3, from: 'abandn', to: 'abandon' }])
+    })
+
+    it('should brute-force one unknown word', () => {
+      const damaged = [...words]
+      damaged[11] = '?'
+
+      const result = uut.recoverMnemonic(damaged)
+
+      // 4 checksum bits leave 128 valid last words
+      assert.lengthOf(result, 128)
+      assert.include(result.map(candidate => candidate.mnemonic), words.join(' '))
+      result.forEach(candidate => assert.isTrue(uut.validateMnemonic(candidate.mnemonic)))
+    })
+
+    it('should find two swapped words', () => {
+      const swapped = [...words]
+      swapped[0] = words[11]
+      swapped[11] = words[0]
+
+      const result = uut.recoverMnemonic(swapped)
+
+      assert.include(result.map(candidate => candidate.mnemonic), words.join(' '))
+    })
+
+    it('should detect the language of the words', () => {
+      const spanish = uut.generateMnemonic(128, 'spanish')
+      const damaged = spanish.split(' ')
+      damaged[5] = '?'
+
+      const result = uut.recoverMnemonic(damaged)
+
+      assert.equal(result[0].language, 'spanish')
+      assert.include(result.map(candidate => candidate.mnemonic), spanish)
+    })
+
+    it('should refuse more than one unknown word', () => {
+      const damaged = [...words]
+      damaged[0] = '?'
+      damaged[1] = '?'
+
+      assert.throws(() => uut.recoverMnemonic(damaged), /Only one unknown word/)
+    })
+
+    it('should reject an unexpected word count', () => {
+      assert.throws(() => uut.recoverMnemonic('abandon about'), /Mnemonic recovery failed: Expected 12/)
+    })
+  })
+
+  describe('#rankRecoveryCandidates', () => {
+    it('should list candidates with history first', async () => {
+      const candidates = [
+        { mnemonic: 'first candidate', language: 'english', corrections: [] },
+        { mnemonic: 'second candidate', language: 'english', corrections: [] }
+      ]
+      sandbox.stub(uut, 'deriveFromMnemonic').callsFake(mnemonic => ({ address: `ecash:${mnemonic.split(' ')[0]}` }))
+      const ar = { getTransactions: sinon.stub() }
+      ar.getTransactions.withArgs('ecash:first').resolves({ transactions: [] })
+      ar.getTransactions.withArgs('ecash:second').resolves({ transactions: [{ txid: 'abc' }] })
+
+      const result = await uut.rankRecoveryCandidates(candidates, ar, { batchSize: 1 })
+
+      assert.equal(result[0].mnemonic, 'second candidate')
+      assert.isTrue(result[0].hasHistory)
+      assert.equal(result[1].address, 'ecash:first')
+      assert.isFalse(result[1].hasHistory)
+    })
+
+    it('should wrap lookup errors', async () => {
+      const ar = { getTransactions: sinon.stub().rejects(new Error('network down')) }
+
+      try {
+        await uut.rankRecoveryCandidates([{ mnemonic: mockWallet.mockXecWalletInfo.mnemonic }], ar)
+        assert.fail('Should throw')
+      } catch (err) {
+        assert.include(err.message, 'Recovery candidate ranking failed: network down')
+      }
+    })
+  })
+
+  describe('#signMessage and #verifyMessage', () => {
+    const privateKey = 'a'.repeat(64)
+    let address
+
+    beforeEach(() => {
+      // Addresses from the real library, since the mocked ECC derives fake keys
+      const { Ecc, Address, shaRmd160 } = require(require.resolve('ecash-lib'))
+      const publicKey = new Ecc().derivePubkey(Buffer.from(privateKey, 'hex'))
+      address = Address.p2pkh(shaRmd160(publicKey)).cash().toString()
+    })
+
+    it('should produce a 65-byte base64 signature', () => {
+      const signature = uut.signMessage('hello', privateKey)
+
+      assert.lengthOf(Buffer.from(signature, 'base64'), 65)
+    })
+
+    it('should verify a signature from the signing address', () => {
+      const signature = uut.signMessage('hello', privateKey)
+
+      assert.isTrue(uut.verifyMessage(address, 'hello', signature))
+      assert.isTrue(uut.verifyMessage(address.replace('ecash:', ''), 'hello', signature))
+    })
+
+    it('should reject another message or signer', () => {
+      const signature = uut.signMessage('hello', privateKey)
+      const other = uut.signMessage('hello', 'b'.repeat(64))
+
+      assert.isFalse(uut.verifyMessage(address, 'hello!', signature))
+      assert.isFalse(uut.verifyMessage(address, 'hello', other))
+    })
+
+    it('should reject a malformed signature', () => {
+      assert.isFalse(uut.verifyMessage(address, 'hello', 'not a signature'))
+    })
+
+    it('should require a hex private key', () => {
+      assert.throws(() => uut.signMessage('hello', 'xyz'), /Message signing failed: Private key must be/)
+    })
+
+    it('should require an address', () => {
+      assert.throws(() => uut.verifyMessage('', 'hello', 'abc'), /Address must be a non-empty string/)
+    })
+  })
+
   describe('#WIF functionality', () => {
     describe('#_isValidWIF', () => {
       it('should validate correct WIF format patterns', () => {
@@ -21,6 +21,9 @@ function createMockWallet (utxos = []) {
       xecAddress: 'ecash:qpg562clu3350dnk3z3lenvxgyexyt7j6vnz4qg606'
     },
     walletInfoPromise: Promise.resolve(),
+    _getSigningWalletInfo () {
+      return this.walletInfo
+    },
     isInitialized: true,
     initialize: sinon.stub().resolves(),
     ar: {
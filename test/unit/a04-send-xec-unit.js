@@ -133,6 +133,39 @@ describe('#send-xec.js - XEC Transaction Sending', () => {
     })
   })
 
+  describe('#output scripts', () => {
+    const { getOutputScript } = require('../../lib/output-scripts')
+    const walletInfo = mockWallet.mockXecWalletInfo
+    const utxos = mockUtxos.simpleXecUtxos.utxos
+
+    it('should pay a P2SH address with a P2SH script', () => {
+      const script = getOutputScript({ address: 'ecash:pp2shaddress' })
+
+      assert.equal(script.toString(), 'mock_p2sh_script_buffer')
+    })
+
+    it('should pay a P2PKH address with a P2PKH script', () => {
+      const script = getOutputScript({ address: 'ecash:qp2pkhaddress' })
+
+      assert.equal(script.toString(), 'mock_script_buffer')
+    })
+
+    it('should pay a raw output script', async () => {
+      const result = await uut.createTransaction([{ script: 'a914' + '00'.repeat(20) + '87', amountSat: 1000 }], walletInfo, utxos)
+
+      assert.isString(result)
+    })
+
+    it('should reject a malformed script', async () => {
+      try {
+        await uut.createTransaction([{ script: 'xyz', amountSat: 1000 }], walletInfo, utxos)
+        assert.fail('Should throw')
+      } catch (err) {
+        assert.include(err.message, 'Invalid script at output 0')
+      }
+    })
+  })
+
   describe('#getNecessaryUtxosAndChange', () => {
     it('should select sufficient UTXOs for transaction', () => {
       const outputs = mockWallet.mockXecOutputs
@@ -188,8 +221,9 @@ describe('#send-xec.js - XEC Transaction Sending', () => {
 
       assert.isNumber(fee)
       assert.isTrue(fee > 0)
-      // Basic transaction size estimate: (inputs * 148) + (outputs * 34) + 10
-      const estimatedSize = (numInputs * 148) + (numOutputs * 34) + 10
+      // Signed size: 141 byte P2PKH inputs, 34 byte outputs, 10 bytes of
+      // version, counts and locktime
+      const estimatedSize = (numInputs * 141) + (numOutputs * 34) + 10
       const expectedFee = Math.ceil(estimatedSize * satsPerByte)
       assert.equal(fee, expectedFee)
     })
@@ -198,6 +232,16 @@ describe('#send-xec.js - XEC Transaction Sending', () => {
       const fee = uut.calculateFee(1, 1, 0)
       assert.equal(fee, 0)
     })
+
+    it('should size P2SH and raw script outputs', () => {
+      const p2pkh = uut.calculateFee(1, [{ address: 'ecash:qtest' }], 1)
+      const p2sh = uut.calculateFee(1, [{ address: 'ecash:ptest' }], 1)
+      const script = uut.calculateFee(1, [{ script: '6a'.repeat(80) }], 1)
+
+      assert.equal(p2pkh, 141 + 34 + 10)
+      assert.equal(p2sh, 141 + 32 + 10)
+      assert.equal(script, 141 + 8 + 1 + 80 + 10)
+    })
   })
 
   describe('#sortUtxosBySize', () => {
@@ -263,37 +307,7 @@ describe('#send-xec.js - XEC Transaction Sending', () => {
       // Verify fee was calculated and accounted for
       assert.isTrue(uut._calculateFee.calledOnce)
       // Verify the fee calculation was called with correct parameters (1 output, utxos.length inputs)
-      assert.isTrue(uut._calculateFee.calledWith(utxos.length, 1))
-    })
-  })
-
-  describe('#getKeyPairFromMnemonic', () => {
-    it('should derive key pair from wallet info', async () => {
-      const walletInfo = mockWallet.mockXecWalletInfo
-
-      const result = await uut.getKeyPairFromMnemonic(walletInfo)
-
-      assert.property(result, 'privateKey')
-      assert.property(result, 'publicKey')
-      assert.property(result, 'address')
-      assert.include(result.address, 'ecash:')
-    })
-
-    it('should handle WIF private key', async () => {
-      const walletInfo = {
-        privateKey: mockWallet.mockXecWalletInfo.privateKey,
-        mnemonic: null
-      }
-
-      const result = await uut.getKeyPairFromMnemonic(walletInfo)
-
-      // Should return a key pair with privateKey, publicKey and address
-      assert.property(result, 'privateKey')
-      assert.property(result, 'publicKey')
-      assert.property(result, 'address')
-      assert.isString(result.privateKey)
-      assert.isString(result.publicKey)
-      assert.include(result.address, 'ecash:')
+      assert.isTrue(uut._calculateFee.calledWith(utxos.length, [{ address: toAddress }]))
     })
   })
 
@@ -175,6 +175,19 @@ describe('#adapters/router.js - Chronik API Router', () => {
       }
       assert.deepEqual(result, expectedResult)
       assert.isTrue(mockChronik.script.calledOnce)
+      assert.equal(mockChronik.script.firstCall.args[0], 'p2pkh')
+    })
+
+    it('should query P2SH addresses by their script type', async () => {
+      mockChronik.script.returns({
+        utxos: sandbox.stub().resolves(mockUtxos.simpleXecUtxos)
+      })
+
+      sandbox.stub(uut, '_validateAndDecodeAddress').returns({ hash: 'ab'.repeat(20), type: 'P2SH' })
+
+      await uut._getSingleUtxos('ecash:prkvp7vrmyyf5t93f8rdm39e8zk05h5w0sy82ha6e5')
+
+      assert.equal(mockChronik.script.firstCall.args[0], 'p2sh')
     })
 
     it('should handle Chronik API errors', async () => {
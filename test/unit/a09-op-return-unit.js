@@ -321,7 +321,8 @@ describe('#OpReturn', () => {
       // Verify the UTXO selection was called with correct total (3000 sats)
       const args = opReturn._selectUtxosForOpReturn.getCall(0).args
       assert.equal(args[0], 3000) // Total output amount
-      assert.equal(args[3], 3) // Number of outputs (2 XEC + 1 OP_RETURN, change added automatically by txBuilder)
+      assert.equal(args[3].length, 3) // 2 XEC + 1 OP_RETURN, change added automatically by txBuilder
+      assert.equal(args[3][0].script, '6a026d02')
     })
   })
 
@@ -506,8 +507,8 @@ describe('#OpReturn', () => {
     it('should calculate fee correctly', () => {
       const fee = opReturn._calculateFee(2, 3, 1.2)
 
-      // Expected: (2*148 + 3*34 + 10) * 1.2 = 408 * 1.2 = 489.6 → 490
-      const expectedSize = (2 * 148) + (3 * 34) + 10
+      // Expected: (2*141 + 3*34 + 10) * 1.2 = 394 * 1.2 = 472.8 → 473
+      const expectedSize = (2 * 141) + (3 * 34) + 10
       const expectedFee = Math.ceil(expectedSize * 1.2)
 
       assert.equal(fee, expectedFee)
@@ -520,13 +521,13 @@ describe('#OpReturn', () => {
 
     it('should handle single input/output', () => {
       const fee = opReturn._calculateFee(1, 1, 1.0)
-      const expectedSize = (1 * 148) + (1 * 34) + 10
+      const expectedSize = (1 * 141) + (1 * 34) + 10
       assert.equal(fee, expectedSize)
     })
 
     it('should round up fees', () => {
       const fee = opReturn._calculateFee(1, 1, 0.1)
-      const expectedSize = (1 * 148) + (1 * 34) + 10
+      const expectedSize = (1 * 141) + (1 * 34) + 10
       assert.equal(fee, Math.ceil(expectedSize * 0.1))
     })
   })
@@ -29,6 +29,10 @@ describe('#adapters/router.js - Enhanced Coverage', () => {
   beforeEach(() => {
     sandbox = sinon.createSandbox()
 
+    // These tests cover the production code paths. Those that need the test
+    // environment set the flag themselves.
+    delete process.env.TEST
+
     // Create comprehensive mock chronik client
     mockChronik = {
       url: 'https://chronik.test.com',
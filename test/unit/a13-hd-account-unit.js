@@ -0,0 +1,458 @@
+/*
+  Unit tests for HD account discovery and account-wide wallet operations.
+*/
+
+// npm libraries
+const assert = require('chai').assert
+const sinon = require('sinon')
+
+// Mocking data libraries
+const mockUtxos = require('./mocks/xec-utxo-mocks')
+const { utxo } = mockUtxos
+const mockWallet = require('./mocks/xec-wallet-mocks')
+
+// Unit under test
+const HdAccount = require('../../lib/hd-account')
+const Utxos = require('../../lib/utxos')
+const SendXEC = require('../../lib/send-xec')
+const KeyDerivation = require('../../lib/key-derivation')
+const MinimalXECWallet = require('../../index')
+
+const testMnemonic = mockWallet.mockXecWalletInfo.mnemonic
+
+describe('#hd-account.js - HD Account Discovery', () => {
+  let sandbox, uut, mockAr
+
+  // Mark the given chain/index positions as used
+  function stubUsage (account, used) {
+    const usedAddresses = used.map(([chain, index]) =>
+      account.deriveAddress(testMnemonic, chain, index).address
+    )
+
+    mockAr.getUtxos.callsFake(async (addr) => ({
+      success: true,
+      utxos: usedAddresses.includes(addr) ? mockUtxos.simpleXecUtxos.utxos : []
+    }))
+    mockAr.getTransactions.resolves({ transactions: [] })
+  }
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+
+    mockAr = {
+      getUtxos: sandbox.stub().resolves({ success: true, utxos: [] }),
+      getTransactions: sandbox.stub().resolves({ transactions: [] })
+    }
+
+    uut = new HdAccount({ ar: mockAr, gapLimit: 3 })
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('#constructor', () => {
+    it('should use BIP44 defaults', () => {
+      const account = new HdAccount({ ar: mockAr })
+
+      assert.equal(account.accountPath, "m/44'/899'/0'")
+      assert.equal(account.gapLimit, 20)
+      assert.equal(new HdAccount({ ar: { ...mockAr, batchSize: 4 } }).concurrency, 4)
+      assert.isFalse(account.isDiscovered)
+    })
+
+    it('should throw error without adapter router', () => {
+      try {
+        new HdAccount({}) // eslint-disable-line no-new
+        assert.fail('Should throw error without adapter router')
+      } catch (err) {
+        assert.include(err.message, 'AdapterRouter required')
+      }
+    })
+  })
+
+  describe('#deriveAddress', () => {
+    it('should derive addresses on the receive and change chains', () => {
+      const receive = uut.deriveAddress(testMnemonic, 0, 2)
+      const change = uut.deriveAddress(testMnemonic, 1, 2)
+
+      assert.equal(receive.hdPath, "m/44'/899'/0'/0/2")
+      assert.equal(change.hdPath, "m/44'/899'/0'/1/2")
+      assert.notEqual(receive.address, change.address)
+      assert.isFalse(receive.used)
+    })
+  })
+
+  describe('#discover', () => {
+    it('should return the primary address for an unused account', async () => {
+      const addresses = await uut.discover(testMnemonic)
+
+      assert.equal(addresses.length, 1)
+      assert.equal(addresses[0].hdPath, "m/44'/899'/0'/0/0")
+      assert.isTrue(uut.isDiscovered)
+
+      // One full gap on each chain
+      assert.equal(uut.chains[0].length, 3)
+      assert.equal(uut.chains[1].length, 3)
+    })
+
+    it('should find used addresses past index 0 on both chains', async () => {
+      stubUsage(uut, [[0, 0], [0, 2], [1, 1]])
+
+      const addresses = await uut.discover(testMnemonic)
+      const paths = addresses.map(entry => entry.hdPath)
+
+      assert.deepEqual(paths, [
+        "m/44'/899'/0'/0/0",
+        "m/44'/899'/0'/0/2",
+        "m/44'/899'/0'/1/1"
+      ])
+    })
+
+    it('should keep scanning until the gap limit is reached', async () => {
+      stubUsage(uut, [[0, 2], [0, 4]])
+
+      await uut.discover(testMnemonic)
+
+      // Indexes 0-4 plus three unused addresses after the last used one
+      assert.equal(uut.chains[0].length, 8)
+      assert.isTrue(uut.findAddress(uut.chains[0][4].address).used)
+    })
+
+    it('should compute the seed once per discovery', async () => {
+      // Production derivation, with the mocked secp256k1 library
+      delete process.env.TEST
+      const seedSpy = sandbox.spy(uut.keyDerivation, 'mnemonicToSeed')
+
+      await uut.discover(testMnemonic)
+
+      assert.equal(uut.chains[0].length + uut.chains[1].length, 6)
+      assert.isTrue(seedSpy.calledOnce)
+    })
+
+    it('should not look past a full gap of unused addresses', async () => {
+      stubUsage(uut, [[0, 3]])
+
+      const addresses = await uut.discover(testMnemonic)
+
+      assert.equal(addresses.length, 1)
+      assert.equal(uut.chains[0].length, 3)
+    })
+
+    it('should keep no more lookups in flight than the concurrency limit', async () => {
+      const account = new HdAccount({ ar: mockAr, gapLimit: 6, concurrency: 2 })
+      let inFlight = 0
+      let maxInFlight = 0
+      sandbox.stub(account, '_isAddressUsed').callsFake(async () => {
+        inFlight++
+        maxInFlight = Math.max(maxInFlight, inFlight)
+        await new Promise(resolve => setImmediate(resolve))
+        inFlight--
+        return false
+      })
+
+      await account.discover(testMnemonic)
+
+      assert.equal(maxInFlight, 2)
+      assert.equal(account._isAddressUsed.callCount, 12)
+    })
+
+    it('should treat addresses with history as used', async () => {
+      const used = uut.deriveAddress(testMnemonic, 0, 1).address
+      mockAr.getTransactions.callsFake(async (addr) => ({
+        transactions: addr === used ? [{ txid: 'abc' }] : []
+      }))
+
+      const addresses = await uut.discover(testMnemonic)
+
+      assert.equal(addresses.length, 2)
+      assert.equal(addresses[1].address, used)
+    })
+
+    it('should require a mnemonic or xpub', async () => {
+      try {
+        await uut.discover()
+        assert.fail('Should throw error without mnemonic')
+      } catch (err) {
+        assert.include(err.message, 'Mnemonic or xpub required')
+      }
+    })
+
+    it('should wrap adapter router errors', async () => {
+      mockAr.getUtxos.rejects(new Error('network down'))
+
+      try {
+        await uut.discover(testMnemonic)
+        assert.fail('Should throw discovery error')
+      } catch (err) {
+        assert.include(err.message, 'Account discovery failed: network down')
+      }
+    })
+  })
+
+  describe('#getChangeAddress', () => {
+    it('should start after the last used change address', async () => {
+      stubUsage(uut, [[0, 0], [1, 0], [1, 1]])
+
+      await uut.discover(testMnemonic)
+      const change = uut.getChangeAddress(testMnemonic)
+
+      assert.equal(uut.nextIndex[1], 2)
+      assert.equal(change.hdPath, "m/44'/899'/0'/1/2")
+    })
+
+    it('should hand out the same address until it is marked used', async () => {
+      await uut.discover(testMnemonic)
+
+      const first = uut.getChangeAddress(testMnemonic)
+      assert.equal(uut.getChangeAddress(testMnemonic).address, first.address)
+
+      uut.markUsed(first)
+      const second = uut.getChangeAddress(testMnemonic)
+
+      assert.equal(second.index, 1)
+      assert.isTrue(uut.findAddress(first.address).used)
+      assert.include(uut.getAddresses().map(entry => entry.address), first.address)
+    })
+
+    it('should reuse change addresses derived by the scan', async () => {
+      await uut.discover(testMnemonic)
+      const deriveSpy = sandbox.spy(uut.keyDerivation, 'deriveAccountNode')
+
+      const change = uut.getChangeAddress(testMnemonic)
+
+      assert.equal(change.address, uut.chains[1][0].address)
+      assert.isTrue(deriveSpy.notCalled)
+    })
+
+    it('should track change addresses beyond the scanned range', async () => {
+      await uut.discover(testMnemonic)
+
+      uut.markUsed(uut.deriveAddress(testMnemonic, 1, 10))
+
+      assert.equal(uut.nextIndex[1], 11)
+      assert.equal(uut.chains[1][uut.chains[1].length - 1].index, 10)
+    })
+  })
+
+  describe('#findAddress', () => {
+    it('should return null for foreign addresses', async () => {
+      await uut.discover(testMnemonic)
+
+      assert.isNull(uut.findAddress('ecash:qforeign'))
+    })
+  })
+
+  describe('Utxos#initUtxoStore with multiple addresses', () => {
+    it('should merge and tag UTXOs of every address', async () => {
+      mockAr.getUtxos.callsFake(async (addr) => ({
+        success: true,
+        utxos: addr === 'ecash:qsecond' ? mockUtxos.simpleXecUtxos.utxos : mockUtxos.mixedXecUtxos
+      }))
+      const utxos = new Utxos({ ar: mockAr })
+
+      await utxos.initUtxoStore(['ecash:qfirst', 'ecash:qsecond'])
+
+      const store = utxos.utxoStore.xecUtxos
+      assert.equal(store.length, mockUtxos.mixedXecUtxos.length + 1)
+      assert.equal(store[store.length - 1].address, 'ecash:qsecond')
+      assert.equal(store[0].address, 'ecash:qfirst')
+      assert.equal(utxos.utxoStore.cacheKey, 'ecash:qfirst,ecash:qsecond')
+    })
+  })
+
+  describe('SendXEC multi-key signing', () => {
+    it('should derive one key per input address', async () => {
+      const sendXec = new SendXEC({ chronik: {}, ar: mockAr })
+      const walletInfo = {
+        ...mockWallet.mockXecWalletInfo,
+        addresses: [
+          { address: mockWallet.mockXecWalletInfo.xecAddress, hdPath: "m/44'/899'/0'/0/0" },
+          { address: 'ecash:qsecond', hdPath: "m/44'/899'/0'/0/3" }
+        ]
+      }
+      const utxos = [
+        { ...mockUtxos.simpleXecUtxos.utxos[0] },
+        { ...mockUtxos.simpleXecUtxos.utxos[0], address: 'ecash:qsecond' },
+        { ...mockUtxos.simpleXecUtxos.utxos[0], address: 'ecash:qsecond' }
+      ]
+      const spy = sandbox.spy(sendXec.keyDerivation, 'deriveFromMnemonic')
+
+      await sendXec._buildTransaction(utxos, mockWallet.mockXecOutputs, 0, walletInfo)
+
+      const paths = spy.getCalls().map(call => call.args[1])
+      assert.deepEqual(paths, ["m/44'/899'/0'/0/0", "m/44'/899'/0'/0/3"])
+    })
+
+    it('should reject UTXOs of addresses outside the wallet', async () => {
+      const sendXec = new SendXEC({ chronik: {}, ar: mockAr })
+      const utxos = [{ ...mockUtxos.simpleXecUtxos.utxos[0], address: 'ecash:qforeign' }]
+
+      try {
+        await sendXec._buildTransaction(utxos, mockWallet.mockXecOutputs, 0, mockWallet.mockXecWalletInfo)
+        assert.fail('Should throw error for foreign address')
+      } catch (err) {
+        assert.include(err.message, 'does not belong to this wallet')
+      }
+    })
+  })
+
+  describe('MinimalXECWallet account integration', () => {
+    let wallet
+
+    beforeEach(async () => {
+      wallet = new MinimalXECWallet(testMnemonic)
+      await wallet.walletInfoPromise
+    })
+
+    it('should store discovered addresses in walletInfo', async () => {
+      const second = wallet.hdAccount.deriveAddress(testMnemonic, 1, 0)
+      sandbox.stub(wallet.hdAccount, 'discover').resolves([second])
+
+      const addresses = await wallet.discoverAccount()
+
+      assert.equal(addresses[0].address, wallet.walletInfo.xecAddress)
+      assert.equal(addresses[1].address, second.address)
+      assert.deepEqual(wallet.walletInfo.addresses, addresses)
+    })
+
+    describe('legacy derivation', () => {
+      let legacy
+
+      beforeEach(async () => {
+        delete process.env.TEST
+        wallet = new MinimalXECWallet(testMnemonic)
+        await wallet.walletInfoPromise
+        legacy = new KeyDerivation({ legacyDerivation: true })
+          .deriveFromMnemonic(testMnemonic, wallet.walletInfo.hdPath).address
+        sandbox.stub(wallet.hdAccount, 'discover').resolves([])
+      })
+
+      it('should refuse to open a wallet with funds on the legacy address', async () => {
+        const getUtxos = sandbox.stub(wallet.ar, 'getUtxos').resolves({ utxos: [utxo('a'.repeat(64), 5000)] })
+
+        try {
+          await wallet.discoverAccount()
+          assert.fail('Unexpected code path')
+        } catch (err) {
+          assert.instanceOf(err, MinimalXECWallet.LegacyFundsError)
+          assert.equal(err.code, 'LEGACY_FUNDS')
+          assert.equal(err.address, legacy)
+          assert.notInclude(err.message, legacy)
+        }
+
+        assert.notEqual(legacy, wallet.walletInfo.xecAddress)
+        assert.isTrue(getUtxos.calledOnceWith(legacy))
+        assert.equal(wallet.walletInfo.legacyAddress, legacy)
+      })
+
+      it('should warn instead with ignoreLegacyFunds', async () => {
+        wallet.advancedOptions.ignoreLegacyFunds = true
+        sandbox.stub(wallet.ar, 'getUtxos').resolves({ utxos: [utxo('a'.repeat(64), 5000)] })
+        const warn = sandbox.stub(console, 'warn')
+
+        await wallet.discoverAccount()
+
+        assert.equal(wallet.walletInfo.legacyAddress, legacy)
+        assert.include(warn.firstCall.args[0], 'legacyDerivation: true')
+      })
+
+      it('should only warn about history on the legacy address', async () => {
+        sandbox.stub(wallet.ar, 'getUtxos').resolves({ utxos: [] })
+        const isUsed = sandbox.stub(wallet.hdAccount, '_isAddressUsed').callsFake(async address => address === legacy)
+        const warn = sandbox.stub(console, 'warn')
+
+        await wallet.discoverAccount()
+
+        assert.isTrue(isUsed.calledOnceWith(legacy))
+        assert.equal(wallet.walletInfo.legacyAddress, legacy)
+        assert.include(warn.firstCall.args[0], 'history')
+      })
+    })
+
+    it('should not look up the legacy address when legacyDerivation is set', async () => {
+      wallet = new MinimalXECWallet(testMnemonic, { legacyDerivation: true })
+      await wallet.walletInfoPromise
+      sandbox.stub(wallet.hdAccount, 'discover').resolves([])
+      const isUsed = sandbox.stub(wallet.hdAccount, '_isAddressUsed').resolves(true)
+
+      await wallet.discoverAccount()
+
+      assert.isTrue(isUsed.notCalled)
+      assert.isUndefined(wallet.walletInfo.legacyAddress)
+    })
+
+    it('should initialize the UTXO store for the whole account', async () => {
+      const second = wallet.hdAccount.deriveAddress(testMnemonic, 0, 5)
+      sandbox.stub(wallet.hdAccount, 'discover').resolves([second])
+      const initStub = sandbox.stub(wallet.utxos, 'initUtxoStore').resolves(true)
+
+      await wallet.initialize()
+
+      assert.deepEqual(initStub.firstCall.args[0], [wallet.walletInfo.xecAddress, second.address])
+    })
+
+    it('should send change to a fresh change address', async () => {
+      sandbox.stub(wallet.ar, 'getUtxos').resolves({ success: true, utxos: [] })
+      sandbox.stub(wallet.ar, 'getTransactions').resolves({ transactions: [] })
+      await wallet.discoverAccount()
+      wallet.isInitialized = true
+      wallet.utxos.utxoStore.xecUtxos = mockUtxos.simpleXecUtxos.utxos
+      const sendStub = sandbox.stub(wallet.sendXecLib, 'sendXec').resolves('txid1')
+
+      await wallet.sendXec(mockWallet.mockXecOutputs)
+      await wallet.sendXec(mockWallet.mockXecOutputs)
+
+      const first = sendStub.firstCall.args[1].changeAddress
+      const second = sendStub.secondCall.args[1].changeAddress
+      assert.equal(first, wallet.hdAccount.deriveAddress(testMnemonic, 1, 0).address)
+      assert.equal(second, wallet.hdAccount.deriveAddress(testMnemonic, 1, 1).address)
+      assert.equal(wallet.hdAccount.nextIndex[1], 2)
+      assert.include(wallet.walletInfo.addresses.map(entry => entry.address), first)
+    })
+
+    it('should not hand out the change index when a send fails', async () => {
+      sandbox.stub(wallet.ar, 'getUtxos').resolves({ success: true, utxos: [] })
+      sandbox.stub(wallet.ar, 'getTransactions').resolves({ transactions: [] })
+      await wallet.discoverAccount()
+      wallet.isInitialized = true
+      wallet.utxos.utxoStore.xecUtxos = mockUtxos.simpleXecUtxos.utxos
+      sandbox.stub(wallet.sendXecLib, 'sendXec').rejects(new Error('broadcast failed'))
+
+      try {
+        await wallet.sendXec(mockWallet.mockXecOutputs)
+        assert.fail('Should throw broadcast error')
+      } catch (err) {
+        assert.include(err.message, 'broadcast failed')
+      }
+
+      assert.equal(wallet.hdAccount.nextIndex[1], 0)
+      assert.equal(wallet.walletInfo.addresses.length, 1)
+    })
+
+    it('should keep change on the wallet address before discovery', async () => {
+      wallet.isInitialized = true
+      wallet.utxos.utxoStore.xecUtxos = mockUtxos.simpleXecUtxos.utxos
+      const sendStub = sandbox.stub(wallet.sendXecLib, 'sendXec').resolves('txid1')
+
+      await wallet.sendXec(mockWallet.mockXecOutputs)
+
+      assert.isUndefined(sendStub.firstCall.args[1].changeAddress)
+    })
+
+    it('should sum balances across account addresses', async () => {
+      wallet.walletInfo.addresses = [
+        { address: wallet.walletInfo.xecAddress, hdPath: wallet.walletInfo.hdPath },
+        { address: 'ecash:qsecond', hdPath: "m/44'/899'/0'/1/0" }
+      ]
+      sandbox.stub(wallet.ar, 'getBalance').resolves([
+        { balance: { confirmed: 10000, unconfirmed: 500 } },
+        { balance: { confirmed: 2000, unconfirmed: 0 } }
+      ])
+
+      const balance = await wallet.getDetailedBalance()
+
+      assert.equal(balance.satoshis.confirmed, 12000)
+      assert.equal(balance.satoshis.unconfirmed, 500)
+      assert.equal(await wallet.getXecBalance(), 125)
+    })
+  })
+})
@@ -0,0 +1,294 @@
+/*
+  Unit tests for public-key-only derivation and watch-only wallets.
+*/
+
+// npm libraries
+const assert = require('chai').assert
+const sinon = require('sinon')
+
+// Mocking data libraries
+const mockUtxos = require('./mocks/xec-utxo-mocks')
+const mockWallet = require('./mocks/xec-wallet-mocks')
+
+// Unit under test
+const KeyDerivation = require('../../lib/key-derivation')
+const MinimalXECWallet = require('../../index')
+const { WatchOnlyError } = require('../../lib/errors')
+
+// Account level node. The ECC library is mocked in unit tests, so the xpub is
+// built from fixed bytes instead of being derived from a mnemonic.
+const accountNode = {
+  publicKey: Buffer.concat([Buffer.from([0x02]), Buffer.alloc(32, 0x11)]),
+  chainCode: Buffer.alloc(32, 0x22),
+  depth: 3,
+  index: 0x80000000,
+  fingerprint: Buffer.from('01020304', 'hex')
+}
+const testXpub = new KeyDerivation().serializeXpub(accountNode)
+
+// BIP32 test vector 1. These tests load ecash-lib by path, which bypasses the
+// mock in test/setup.js, so child keys are computed with the real curve.
+const { Ecc } = require(require.resolve('ecash-lib'))
+const vectorSeed = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex')
+const vectors = [
+  ["m/0'", 'xpub68Gmy5EdvgibQVfPdqkBBCHxA5htiqg55crXYuXoQRKfDBFA1WEjWgP6LHhwBZeNK1VTsfTFUHCdrfp1bgwQ9xv5ski8PX9rL2dZXvgGDnw'],
+  ["m/0'/1", 'xpub6ASuArnXKPbfEwhqN6e3mwBcDTgzisQN1wXN9BJcM47sSikHjJf3UFHKkNAWbWMiGj7Wf5uMash7SyYq527Hqck2AxYysAA7xmALppuCkwQ'],
+  ["m/0'/1/2'", 'xpub6D4BDPcP2GT577Vvch3R8wDkScZWzQzMMUm3PWbmWvVJrZwQY4VUNgqFJPMM3No2dFDFGTsxxpG5uJh7n7epu4trkrX7x7DogT5Uv6fcLW5'],
+  ["m/0'/1/2'/2", 'xpub6FHa3pjLCk84BayeJxFW2SP4XRrFd1JYnxeLeU8EqN3vDfZmbqBqaGJAyiLjTAwm6ZLRQUMv1ZACTj37sR62cfN7fe5JnJ7dh8zL4fiyLHV'],
+  ["m/0'/1/2'/2/1000000000", 'xpub6H1LXWLaKsWFhvm6RVpEL9P4KfRZSW7abD2ttkWP3SSQvnyA8FSVqNTEcYFgJS2UaFcxupHiYkro49S8yGasTvXEYBVPamhGW6cFJodrTHy']
+]
+
+describe('#watch-only - Watch-only wallets', () => {
+  let sandbox
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('KeyDerivation xpub support', () => {
+    let uut
+
+    beforeEach(() => {
+      uut = new KeyDerivation()
+    })
+
+    it('should round-trip an account node through an xpub', () => {
+      assert.isTrue(testXpub.startsWith('xpub'))
+      assert.isTrue(uut.isXpub(testXpub))
+
+      const node = uut.parseXpub(testXpub)
+
+      assert.equal(node.publicKey.toString('hex'), accountNode.publicKey.toString('hex'))
+      assert.equal(node.chainCode.toString('hex'), accountNode.chainCode.toString('hex'))
+      assert.equal(node.depth, 3)
+      assert.equal(node.index, 0x80000000)
+    })
+
+    it('should reject an xpub with a bad checksum', () => {
+      const tampered = testXpub.slice(0, -1) + (testXpub.endsWith('a') ? 'b' : 'a')
+
+      assert.throws(() => uut.parseXpub(tampered), /Invalid xpub/)
+    })
+
+    it('should reject hardened segments in public derivation', () => {
+      const node = uut.parseXpub(testXpub)
+
+      assert.throws(() => uut.derivePublicPath(node, "0/1'"), /requires a private key/)
+    })
+
+    it('should derive distinct addresses below an xpub', () => {
+      const first = uut.deriveFromXpub(testXpub, '0/0')
+      const again = uut.deriveFromXpub(testXpub, 'm/0/0')
+      const change = uut.deriveFromXpub(testXpub, '1/0')
+
+      assert.equal(first.address, again.address)
+      assert.notEqual(first.address, change.address)
+      assert.equal(first.publicKey.length, 66)
+    })
+
+    it('should add the parent key when deriving private children', () => {
+      const spy = sandbox.spy(uut.ecc, 'seckeyAdd')
+      const masterKey = uut.seedToMasterKey(Buffer.alloc(64, 1))
+
+      uut.derivePath(masterKey, "m/44'/899'")
+
+      assert.equal(spy.callCount, 2)
+    })
+
+    it('should keep the old child derivation with legacyDerivation', () => {
+      const legacy = new KeyDerivation({ legacyDerivation: true })
+      const spy = sandbox.spy(legacy.ecc, 'seckeyAdd')
+      const masterKey = legacy.seedToMasterKey(Buffer.alloc(64, 1))
+
+      legacy.derivePath(masterKey, "m/44'/899'")
+
+      assert.equal(spy.callCount, 0)
+      assert.throws(() => legacy.deriveXpub(mockWallet.mockXecWalletInfo.mnemonic), /Legacy derivation/)
+    })
+  })
+
+  describe('BIP32 test vectors', () => {
+    let uut, masterKey
+
+    beforeEach(() => {
+      uut = new KeyDerivation()
+      uut.ecc = new Ecc()
+      masterKey = uut.seedToMasterKey(vectorSeed)
+    })
+
+    it('should derive the master xpub', () => {
+      const master = { ...masterKey, publicKey: uut._privateToPublic(masterKey.privateKey) }
+
+      assert.equal(uut.serializeXpub(master), 'xpub661MyMwAqRbcFtXgS5sYJABqqG9YLmC4Q1Rdap9gSE8NqtwybGhePY2gZ29ESFjqJoCu1Rupje8YtGqsefD265TMg7usUDFdp6W1EGMcet8')
+    })
+
+    it('should derive the xpub of every private path', () => {
+      for (const [path, xpub] of vectors) {
+        assert.equal(uut.serializeXpub(uut.derivePath(masterKey, path)), xpub, path)
+      }
+    })
+
+    it('should derive the same keys from an xpub', () => {
+      const node = uut.parseXpub(vectors[2][1])
+
+      assert.equal(uut.serializeXpub(uut.derivePublicPath(node, '2/1000000000')), vectors[4][1])
+    })
+
+    it('should not match the vectors with legacyDerivation', () => {
+      const legacy = new KeyDerivation({ legacyDerivation: true })
+      legacy.ecc = uut.ecc
+
+      assert.notEqual(legacy.serializeXpub(legacy.derivePath(masterKey, "m/0'/1")), vectors[1][1])
+    })
+  })
+
+  describe('MinimalXECWallet from an xpub', () => {
+    let wallet
+
+    beforeEach(async () => {
+      wallet = new MinimalXECWallet(testXpub)
+      await wallet.walletInfoPromise
+    })
+
+    it('should create a watch-only wallet', () => {
+      const expected = wallet.keyDerivation.deriveFromXpub(testXpub, '0/0')
+
+      assert.isTrue(wallet.walletInfo.watchOnly)
+      assert.equal(wallet.walletInfo.xecAddress, expected.address)
+      assert.equal(wallet.walletInfo.hdPath, "m/44'/899'/0'/0/0")
+      assert.isNull(wallet.keySigner)
+      assert.notProperty(wallet.walletInfo, 'privateKey')
+    })
+
+    it('should discover the account from the xpub', async () => {
+      const used = wallet.hdAccount.deriveAddress(testXpub, 1, 0).address
+      sandbox.stub(wallet.ar, 'getUtxos').callsFake(async (addr) => ({
+        success: true,
+        utxos: addr === used ? mockUtxos.simpleXecUtxos.utxos : []
+      }))
+      sandbox.stub(wallet.ar, 'getTransactions').resolves({ transactions: [] })
+      const initStub = sandbox.stub(wallet.utxos, 'initUtxoStore').resolves(true)
+
+      await wallet.initialize()
+
+      assert.deepEqual(initStub.firstCall.args[0], [wallet.walletInfo.xecAddress, used])
+    })
+
+    it('should export its xpub', async () => {
+      assert.equal(await wallet.getAccountXpub(), testXpub)
+    })
+
+    it('should refuse to sign', async () => {
+      const attempts = [
+        () => wallet.sendXec(mockWallet.mockXecOutputs),
+        () => wallet.sendETokens('a'.repeat(64), [{ address: mockWallet.mockXecOutputs[0].address, amount: 1 }]),
+        () => wallet.burnETokens('a'.repeat(64), 1),
+        () => wallet.sendOpReturn('hello'),
+        () => wallet.sendAllXec(mockWallet.mockXecOutputs[0].address)
+      ]
+
+      for (const attempt of attempts) {
+        try {
+          await attempt()
+          assert.fail('Should throw WatchOnlyError')
+        } catch (err) {
+          assert.instanceOf(err, WatchOnlyError)
+          assert.instanceOf(err, MinimalXECWallet.WatchOnlyError)
+          assert.equal(err.code, 'WATCH_ONLY')
+        }
+      }
+    })
+  })
+
+  describe('MinimalXECWallet from an address list', () => {
+    const addresses = ['ecash:qwatchfirst', 'ecash:qwatchsecond']
+    let wallet
+
+    beforeEach(async () => {
+      wallet = new MinimalXECWallet(addresses)
+      await wallet.walletInfoPromise
+    })
+
+    it('should create a watch-only wallet for the addresses', async () => {
+      assert.isTrue(wallet.walletInfo.watchOnly)
+      assert.equal(wallet.walletInfo.xecAddress, addresses[0])
+      assert.deepEqual(wallet._getAccountAddresses(), addresses)
+
+      try {
+        await wallet.getAccountXpub()
+        assert.fail('Should throw without a mnemonic')
+      } catch (err) {
+        assert.include(err.message, 'Cannot derive an xpub')
+      }
+    })
+
+    it('should reject an invalid address', async () => {
+      try {
+        await wallet.create(['ecash:qwatchfirst', 'bitcoincash:qbad'])
+        assert.fail('Should throw on invalid address')
+      } catch (err) {
+        assert.include(err.message, 'Wallet creation failed')
+      }
+    })
+
+    it('should not run account discovery', async () => {
+      const discoverStub = sandbox.stub(wallet.hdAccount, 'discover')
+      const initStub = sandbox.stub(wallet.utxos, 'initUtxoStore').resolves(true)
+
+      await wallet.initialize()
+
+      assert.isFalse(discoverStub.called)
+      assert.deepEqual(initStub.firstCall.args[0], addresses)
+    })
+
+    it('should sum the balance of every address', async () => {
+      sandbox.stub(wallet.ar, 'getBalance').resolves([
+        { balance: { confirmed: 1000, unconfirmed: 0 } },
+        { balance: { confirmed: 500, unconfirmed: 100 } }
+      ])
+
+      assert.equal(await wallet.getXecBalance(), 16)
+    })
+
+    it('should merge transactions and drop duplicates', async () => {
+      const stub = sandbox.stub(wallet.ar, 'getTransactions')
+      stub.onFirstCall().resolves({
+        transactions: [
+          { txid: 'shared', block: { height: 100 } },
+          { txid: 'old', block: { height: 50 } }
+        ]
+      })
+      stub.onSecondCall().resolves({
+        transactions: [
+          { txid: 'pending', block: null },
+          { txid: 'shared', block: { height: 100 } }
+        ]
+      })
+
+      const txs = await wallet.getTransactions()
+
+      assert.deepEqual(txs.map(tx => tx.txid), ['pending', 'shared', 'old'])
+    })
+
+    it('should list tokens across the account', async () => {
+      sandbox.stub(wallet.utxos, 'initUtxoStore').resolves(true)
+      wallet.utxos.utxoStore.xecUtxos = mockUtxos.simpleXecUtxos.utxos
+      const listStub = sandbox.stub(wallet.hybridTokens, 'listTokensFromUtxos').resolves([])
+
+      await wallet.listETokens()
+
+      assert.isTrue(listStub.calledWith(mockUtxos.simpleXecUtxos.utxos))
+    })
+
+    it('should refuse to consolidate UTXOs', async () => {
+      try {
+        await wallet.optimize()
+        assert.fail('Should throw WatchOnlyError')
+      } catch (err) {
+        assert.instanceOf(err, WatchOnlyError)
+      }
+    })
+  })
+})
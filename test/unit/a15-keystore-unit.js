@@ -0,0 +1,201 @@
+/*
+  Unit tests for the encrypted keystore.
+*/
+
+// npm libraries
+const assert = require('chai').assert
+const CryptoJS = require('crypto-js')
+
+// Mocking data libraries
+const mockWallet = require('./mocks/xec-wallet-mocks')
+
+// Unit under test
+const Keystore = require('../../lib/keystore')
+const MinimalXECWallet = require('../../index')
+
+// Cheap scrypt parameters keep the tests fast
+const scrypt = { N: 2 ** 10, r: 8, p: 1 }
+const password = 'correct horse battery'
+const mnemonic = mockWallet.mockXecWalletInfo.mnemonic
+const hexKey = 'a'.repeat(64)
+
+describe('#keystore.js - Encrypted keystore', () => {
+  let uut
+
+  beforeEach(() => {
+    uut = new Keystore({ scrypt })
+  })
+
+  describe('#constructor', () => {
+    it('should default to memory-hard scrypt parameters', () => {
+      const defaults = new Keystore()
+
+      assert.equal(defaults.scryptParams.N, 2 ** 16)
+      assert.equal(defaults.scryptParams.r, 8)
+    })
+  })
+
+  describe('#encrypt and #decrypt', () => {
+    it('should round-trip a mnemonic', () => {
+      const keystore = uut.encrypt(mnemonic, password)
+      const parsed = JSON.parse(keystore)
+
+      assert.equal(parsed.version, Keystore.VERSION)
+      assert.equal(parsed.type, 'mnemonic')
+      assert.equal(parsed.kdf, 'scrypt')
+      assert.equal(parsed.kdfparams.n, 2 ** 10)
+      assert.equal(parsed.cipher, 'aes-256-gcm')
+      assert.notInclude(keystore, 'abandon')
+
+      const result = uut.decrypt(keystore, password)
+      assert.equal(result.secret, mnemonic)
+      assert.equal(result.type, 'mnemonic')
+    })
+
+    it('should detect WIF and hex secrets', () => {
+      const wif = 'Kwq6djQ1szRRfSE4FT8YVSCWuTcU6H5MTYdsdxiheF7dBRpxVVTy'
+
+      assert.equal(uut.decrypt(uut.encrypt(wif, password), password).type, 'wif')
+      assert.equal(uut.decrypt(uut.encrypt(hexKey, password), password).type, 'hex')
+    })
+
+    it('should reject a short password', () => {
+      assert.throws(() => uut.encrypt(mnemonic, 'short'), /at least 8 characters/)
+    })
+
+    it('should reject a wrong password', () => {
+      const keystore = uut.encrypt(mnemonic, password)
+
+      assert.throws(() => uut.decrypt(keystore, 'wrong password'), /Wrong password/)
+    })
+
+    it('should detect tampered KDF parameters', () => {
+      const keystore = JSON.parse(uut.encrypt(mnemonic, password))
+      keystore.type = 'hex'
+
+      assert.throws(() => uut.decrypt(JSON.stringify(keystore), password), /Wrong password or corrupted/)
+    })
+
+    it('should reject scrypt parameters out of bounds', () => {
+      const tampered = [
+        { n: 2 ** 30 },
+        { n: 1000 },
+        { r: 1024 },
+        { p: 0 },
+        { dklen: 64 }
+      ]
+
+      for (const params of tampered) {
+        const keystore = JSON.parse(uut.encrypt(mnemonic, password))
+        Object.assign(keystore.kdfparams, params)
+
+        assert.throws(() => uut.decrypt(JSON.stringify(keystore), password), /Unsupported scrypt parameter/)
+      }
+    })
+
+    it('should refuse newer keystore versions', () => {
+      const keystore = JSON.parse(uut.encrypt(mnemonic, password))
+      keystore.version = Keystore.VERSION + 1
+
+      assert.throws(() => uut.decrypt(JSON.stringify(keystore), password), /Unsupported keystore version/)
+    })
+  })
+
+  describe('legacy formats', () => {
+    it('should read the {salt, iv, encrypted} format', () => {
+      const legacy = uut.encryptLegacy(mnemonic, password)
+
+      assert.isTrue(uut.isLegacy(legacy))
+      assert.deepEqual(uut.decrypt(legacy, password), { secret: mnemonic, type: 'mnemonic', version: 0 })
+    })
+
+    it('should read the CryptoJS passphrase format', () => {
+      const legacy = CryptoJS.AES.encrypt(hexKey, password).toString()
+
+      assert.isTrue(legacy.startsWith('U2FsdGVkX1'))
+      assert.equal(uut.decrypt(legacy, password).secret, hexKey)
+    })
+
+    it('should migrate legacy data to the current version', () => {
+      const legacy = uut.encryptLegacy(mnemonic, password)
+      assert.isTrue(uut.needsMigration(legacy))
+
+      const keystore = uut.migrate(legacy, password)
+
+      assert.isFalse(uut.needsMigration(keystore))
+      assert.equal(uut.decrypt(keystore, password).secret, mnemonic)
+    })
+
+    it('should flag keystores weaker than the current parameters', () => {
+      const keystore = uut.encrypt(mnemonic, password)
+      const stronger = new Keystore({ scrypt: { N: 2 ** 11 } })
+
+      assert.isTrue(stronger.needsMigration(keystore))
+    })
+  })
+
+  describe('#changePassword', () => {
+    it('should re-encrypt under the new password', () => {
+      const keystore = uut.encrypt(mnemonic, password)
+      const changed = uut.changePassword(keystore, password, 'new password 123')
+
+      assert.equal(uut.decrypt(changed, 'new password 123').secret, mnemonic)
+      assert.throws(() => uut.decrypt(changed, password), /Wrong password/)
+    })
+
+    it('should upgrade legacy data while changing the password', () => {
+      const legacy = CryptoJS.AES.encrypt(mnemonic, password).toString()
+      const changed = uut.changePassword(legacy, password, 'new password 123')
+
+      assert.isTrue(uut.isKeystore(changed))
+      assert.equal(uut.decrypt(changed, 'new password 123').secret, mnemonic)
+    })
+  })
+
+  describe('MinimalXECWallet keystore integration', () => {
+    it('should restore a wallet from a keystore', async () => {
+      const keystore = uut.encrypt(mnemonic, password)
+      const wallet = new MinimalXECWallet(keystore, { password, scrypt })
+      await wallet.walletInfoPromise
+
+      assert.equal(wallet.exportMnemonic(), mnemonic)
+      assert.isTrue(wallet.keystore.isKeystore(wallet.walletInfo.mnemonicEncrypted))
+    })
+
+    it('should restore a wallet from legacy encrypted data', async () => {
+      const legacy = uut.encryptLegacy(mnemonic, password)
+      const wallet = new MinimalXECWallet(legacy, { password, scrypt })
+      await wallet.walletInfoPromise
+
+      assert.equal(wallet.exportMnemonic(), mnemonic)
+    })
+
+    it('should export a hex key wallet as a keystore', async () => {
+      const wallet = new MinimalXECWallet(hexKey, { scrypt })
+      await wallet.walletInfoPromise
+
+      const keystore = wallet.exportKeystore(password)
+
+      assert.deepEqual(wallet.keystore.decrypt(keystore, password), { secret: hexKey, type: 'hex', version: 1 })
+    })
+
+    it('should change the password of the wallet keystore', async () => {
+      const wallet = new MinimalXECWallet(undefined, { password, scrypt })
+      await wallet.walletInfoPromise
+
+      wallet.changePassword(password, 'new password 123')
+
+      assert.equal(
+        wallet.decrypt(wallet.walletInfo.mnemonicEncrypted, 'new password 123'),
+        wallet.exportMnemonic()
+      )
+    })
+
+    it('should not export a watch-only wallet', async () => {
+      const wallet = new MinimalXECWallet(['ecash:qwatchonly'], { scrypt })
+      await wallet.walletInfoPromise
+
+      assert.throws(() => wallet.exportKeystore(password), MinimalXECWallet.WatchOnlyError)
+    })
+  })
+})
@@ -0,0 +1,153 @@
+/*
+  Unit tests for SLIP-39 split backups of the wallet seed.
+*/
+
+// npm libraries
+const assert = require('chai').assert
+
+// Mocking data libraries
+const mockWallet = require('./mocks/xec-wallet-mocks')
+
+// Unit under test
+const SeedShares = require('../../lib/seed-shares')
+const slip39 = require('../../lib/slip39')
+const MinimalXECWallet = require('../../index')
+
+const testMnemonic = mockWallet.mockXecWalletInfo.mnemonic
+
+describe('#seed-shares.js - SLIP-39 seed shares', () => {
+  let uut
+
+  beforeEach(() => {
+    uut = new SeedShares()
+  })
+
+  describe('#split', () => {
+    it('should split a mnemonic into N-of-M shares', () => {
+      const result = uut.split(testMnemonic, { threshold: 2, shares: 3 })
+
+      assert.equal(result.groupThreshold, 1)
+      assert.equal(result.groups.length, 1)
+      assert.equal(result.groups[0].threshold, 2)
+      assert.equal(result.groups[0].shares.length, 3)
+      assert.equal(result.groups[0].shares[0].split(' ').length, 20)
+      assert.isTrue(uut.isShare(result.groups[0].shares[0]))
+    })
+
+    it('should support group thresholds', () => {
+      const result = uut.split(testMnemonic, {
+        groupThreshold: 2,
+        groups: [[1, 1], [2, 3], [3, 5]]
+      })
+
+      assert.equal(result.groupThreshold, 2)
+      assert.deepEqual(result.groups.map(group => group.shares.length), [1, 3, 5])
+    })
+
+    it('should require a share layout', () => {
+      assert.throws(() => uut.split(testMnemonic), /threshold and shares, or groups, are required/)
+      assert.throws(() => uut.split(testMnemonic, { threshold: 4, shares: 3 }), /exceeds the number of shares/)
+    })
+
+    it('should reject an invalid mnemonic', () => {
+      assert.throws(() => uut.split('not a mnemonic', { threshold: 2, shares: 3 }), /SLIP-39 split failed/)
+    })
+  })
+
+  describe('#combine', () => {
+    it('should recover the mnemonic from any threshold of shares', () => {
+      const { groups } = uut.split(testMnemonic, { threshold: 2, shares: 3 })
+      const [first, second, third] = groups[0].shares
+
+      assert.equal(uut.combine([first, third]), testMnemonic)
+      assert.equal(uut.combine([third, second]), testMnemonic)
+    })
+
+    it('should recover across groups', () => {
+      const { groups } = uut.split(testMnemonic, {
+        groupThreshold: 2,
+        groups: [[1, 1], [2, 3], [3, 5]]
+      })
+
+      const shares = groups[0].shares.concat(groups[2].shares.slice(1, 4))
+
+      assert.equal(uut.combine(shares), testMnemonic)
+    })
+
+    it('should fail with too few shares', () => {
+      const { groups } = uut.split(testMnemonic, { threshold: 2, shares: 3 })
+
+      assert.throws(() => uut.combine([groups[0].shares[0]]), /SLIP-39 recovery failed/)
+    })
+
+    it('should restore a mnemonic in its original language', () => {
+      const spanish = uut.keyDerivation.generateMnemonic(256, 'spanish')
+      const { groups } = uut.split(spanish, { threshold: 3, shares: 5 })
+
+      assert.equal(uut.combine(groups[0].shares.slice(2), 'spanish'), spanish)
+    })
+  })
+
+  describe('slip39.js', () => {
+    // First test vectors of SLIP-39, passphrase TREZOR
+    const vectorSecret = 'bb54aac4b89dc868ba37d9cc21b2cece'
+
+    it('should recover the secret of the test vectors', () => {
+      const share = 'duckling enlarge academic academic agency result length solution fridge kidney coal piece deal husband erode duke ajar critical decision keyboard'
+
+      assert.equal(slip39.combineMnemonics([share], 'TREZOR').toString('hex'), vectorSecret)
+    })
+
+    it('should reject a share with a bad checksum', () => {
+      const share = 'duckling enlarge academic academic agency result length solution fridge kidney coal piece deal husband erode duke ajar critical decision kidney'
+
+      assert.isFalse(slip39.validateMnemonic(share))
+      assert.throws(() => slip39.combineMnemonics([share]), /Invalid mnemonic checksum/)
+    })
+
+    it('should round-trip a secret with a passphrase', () => {
+      const secret = Buffer.from(vectorSecret, 'hex')
+      const groups = slip39.splitSecret(secret, { groupThreshold: 1, groups: [[3, 5]], passphrase: 'TREZOR' })
+
+      assert.isTrue(slip39.combineMnemonics(groups[0].slice(1, 4), 'TREZOR').equals(secret))
+      assert.isFalse(slip39.combineMnemonics(groups[0].slice(1, 4)).equals(secret))
+    })
+
+    it('should not extend built-in prototypes', () => {
+      uut.split(testMnemonic, { threshold: 2, shares: 3 })
+
+      const keys = []
+      for (const key in []) keys.push(key)
+      for (const key in new String('')) keys.push(key) // eslint-disable-line no-new-wrappers
+
+      assert.deepEqual(keys, [])
+    })
+  })
+
+  describe('MinimalXECWallet integration', () => {
+    it('should restore the same wallet from shares', async () => {
+      const original = new MinimalXECWallet(testMnemonic)
+      await original.walletInfoPromise
+
+      const { groups } = await original.createSeedShares({ threshold: 2, shares: 3 })
+      const restored = new MinimalXECWallet(groups[0].shares.slice(1))
+      await restored.walletInfoPromise
+
+      assert.equal(restored.exportMnemonic(), testMnemonic)
+      assert.equal(restored.walletInfo.xecAddress, original.walletInfo.xecAddress)
+      assert.isUndefined(restored.walletInfo.watchOnly)
+    })
+
+    it('should refuse to split a WIF wallet', async () => {
+      const wallet = new MinimalXECWallet('a'.repeat(64))
+      await wallet.walletInfoPromise
+
+      try {
+        await wallet.createSeedShares({ threshold: 2, shares: 3 })
+        assert.fail('Should throw without a mnemonic')
+      } catch (err) {
+        assert.include(err.message, 'Cannot create seed shares')
+      }
+    })
+  })
+})
@@ -0,0 +1,102 @@
+/*
+  Unit tests for testnet and regtest support.
+*/
+
+// npm libraries
+const assert = require('chai').assert
+
+// Mocking data libraries
+const mockWallet = require('./mocks/xec-wallet-mocks')
+
+// Unit under test
+const { NETWORKS, getNetwork } = require('../../lib/networks')
+const SecurityValidator = require('../../lib/security')
+const KeyDerivation = require('../../lib/key-derivation')
+const MinimalXECWallet = require('../../index')
+
+describe('#networks.js - Network parameters', () => {
+  describe('#getNetwork', () => {
+    it('should default to mainnet', () => {
+      assert.equal(getNetwork().addressPrefix, 'ecash')
+      assert.equal(getNetwork(undefined).coinType, 899)
+    })
+
+    it('should return test network parameters', () => {
+      assert.equal(getNetwork('testnet').addressPrefix, 'ectest')
+      assert.equal(getNetwork('regtest').addressPrefix, 'ecregtest')
+      assert.equal(getNetwork('regtest').wifPrefix, 0xef)
+      assert.equal(getNetwork('regtest').coinType, 1)
+    })
+
+    it('should reject an unknown network', () => {
+      assert.throws(() => getNetwork('signet'), /Unknown network 'signet'/)
+    })
+  })
+
+  describe('SecurityValidator', () => {
+    it('should only accept addresses of its network', () => {
+      const mainnet = new SecurityValidator()
+      const regtest = new SecurityValidator({ network: 'regtest' })
+
+      assert.isTrue(mainnet.isValidAddress('ecash:qtest'))
+      assert.isFalse(mainnet.isValidAddress('ecregtest:qtest'))
+      assert.isTrue(regtest.isValidAddress('ecregtest:qtest'))
+      assert.isFalse(regtest.isValidAddress('ecash:qtest'))
+    })
+  })
+
+  describe('KeyDerivation', () => {
+    it('should export testnet WIFs on test networks', () => {
+      const uut = new KeyDerivation({ network: 'testnet' })
+
+      assert.match(uut.exportToWif('a'.repeat(64)), /^c/)
+      assert.match(uut.exportToWif('a'.repeat(64), true, false), /^[KL]/)
+    })
+  })
+
+  describe('MinimalXECWallet on regtest', () => {
+    let uut
+
+    beforeEach(async () => {
+      uut = new MinimalXECWallet(mockWallet.mockXecWalletInfo.mnemonic, { network: 'regtest' })
+      await uut.walletInfoPromise
+    })
+
+    it('should use the regtest coin type and Chronik endpoint', () => {
+      assert.equal(uut.hdPath, "m/44'/1'/0'/0/0")
+      assert.equal(uut.hdAccount.accountPath, "m/44'/1'/0'")
+      assert.deepEqual(uut.ar.chronikUrls, NETWORKS.regtest.chronikUrls)
+    })
+
+    it('should derive regtest addresses', () => {
+      assert.isTrue(uut.walletInfo.xecAddress.startsWith('ecregtest:'))
+    })
+
+    it('should keep a custom Chronik endpoint', () => {
+      const wallet = new MinimalXECWallet(undefined, {
+        network: 'regtest',
+        chronikUrls: ['http://chronik.ci:18442']
+      })
+
+      assert.deepEqual(wallet.ar.chronikUrls, ['http://chronik.ci:18442'])
+    })
+
+    it('should reject mainnet addresses', () => {
+      assert.throws(() => uut._validateAddress('ecash:qtest'), /ecregtest: prefix/)
+      assert.isTrue(uut._validateAddress('ecregtest:qtest'))
+    })
+
+    it('should export a testnet WIF', async () => {
+      const wallet = new MinimalXECWallet('a'.repeat(64), { network: 'regtest' })
+      await wallet.walletInfoPromise
+
+      assert.match(wallet.exportPrivateKeyAsWIF(), /^c/)
+    })
+
+    it('should hide regtest addresses in errors', () => {
+      const err = uut._sanitizeError(new Error(`Bad output ecregtest:${'q'.repeat(42)}`))
+
+      assert.equal(err.message, 'Bad output [ADDRESS_REMOVED]')
+    })
+  })
+})
@@ -0,0 +1,321 @@
+/*
+  Unit tests for M-of-N multisig P2SH wallets.
+*/
+
+// npm libraries
+const assert = require('chai').assert
+const sinon = require('sinon')
+
+// Mocking data libraries
+const mockWallet = require('./mocks/xec-wallet-mocks')
+
+// Unit under test
+const Multisig = require('../../lib/multisig')
+const feeEngine = require('../../lib/fee-engine')
+const MinimalXECWallet = require('../../index')
+
+// Mock Ecc public keys are 02 || sha256(private key)
+const crypto = require('crypto')
+const privateKeys = ['11', '22', '33'].map(byte => byte.repeat(32))
+const publicKeys = privateKeys.map(sk =>
+  '02' + crypto.createHash('sha256').update(Buffer.from(sk, 'hex')).digest('hex')
+)
+
+describe('#multisig.js - M-of-N multisig P2SH', () => {
+  let sandbox, uut, ar
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+
+    ar = {
+      getUtxos: sandbox.stub().resolves({
+        utxos: [{ outpoint: { txid: 'a'.repeat(64), outIdx: 0 }, sats: '100000' }]
+      })
+    }
+    uut = new Multisig({ threshold: 2, publicKeys, ar })
+    sandbox.stub(uut, '_getSighash').returns(Buffer.alloc(32, 1))
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('#constructor', () => {
+    it('should build the redeem script from sorted keys', () => {
+      const reversed = new Multisig({ threshold: 2, publicKeys: [...publicKeys].reverse() })
+      const sorted = [...publicKeys].sort()
+
+      assert.deepEqual(uut.publicKeys, sorted)
+      assert.equal(
+        uut.redeemScript.toString('hex'),
+        `52${sorted.map(pk => `21${pk}`).join('')}53ae`
+      )
+      assert.equal(reversed.redeemScript.toString('hex'), uut.redeemScript.toString('hex'))
+    })
+
+    it('should expose a P2SH address', () => {
+      assert.match(uut.address, /^ecash:/)
+    })
+
+    it('should use the network prefix', () => {
+      const regtest = new Multisig({ threshold: 1, publicKeys, network: 'regtest' })
+      assert.match(regtest.address, /^ecregtest:/)
+    })
+
+    it('should derive keys from xpubs', () => {
+      const keyDerivation = { deriveFromXpub: sinon.stub(), _hash160: () => Buffer.alloc(20) }
+      publicKeys.forEach((pk, i) => keyDerivation.deriveFromXpub.onCall(i).returns({ publicKey: pk }))
+
+      const fromXpubs = new Multisig({ threshold: 2, xpubs: ['xpub1', 'xpub2', 'xpub3'], path: '0/5', keyDerivation })
+
+      assert.isTrue(keyDerivation.deriveFromXpub.calledWith('xpub1', '0/5'))
+      assert.deepEqual(fromXpubs.publicKeys, [...publicKeys].sort())
+    })
+
+    it('should reject an invalid threshold', () => {
+      assert.throws(() => new Multisig({ threshold: 4, publicKeys }), /Threshold must be between 1 and 3/)
+      assert.throws(() => new Multisig({ threshold: 0, publicKeys }), /Threshold must be between 1 and 3/)
+    })
+
+    it('should reject invalid or duplicate keys', () => {
+      assert.throws(() => new Multisig({ threshold: 1, publicKeys: ['04abcd'] }), /Invalid compressed public key/)
+      assert.throws(() => new Multisig({ threshold: 1, publicKeys: [publicKeys[0], publicKeys[0]] }), /must be unique/)
+      assert.throws(() => new Multisig({ threshold: 1 }), /requires publicKeys or xpubs/)
+    })
+
+    it('should reject more than 15 keys', () => {
+      const keys = Array.from({ length: 16 }, (_, i) => `02${i.toString(16).padStart(64, '0')}`)
+      assert.throws(() => new Multisig({ threshold: 1, publicKeys: keys }), /between 1 and 15/)
+    })
+  })
+
+  describe('#createTransaction', () => {
+    it('should create an unsigned signing package', async () => {
+      const pkg = JSON.parse(await uut.createTransaction([{ address: 'ecash:qtest', amountSat: 1000 }]))
+
+      assert.isTrue(ar.getUtxos.calledWith(uut.address))
+      assert.equal(pkg.type, 'multisig-p2sh')
+      assert.equal(pkg.threshold, 2)
+      assert.equal(pkg.redeemScript, uut.redeemScript.toString('hex'))
+      assert.isString(pkg.tx)
+      assert.deepEqual(pkg.inputs, [{ sats: '100000', signatures: {} }])
+    })
+
+    it('should throw when the address has no UTXOs', async () => {
+      ar.getUtxos.resolves({ utxos: [] })
+
+      try {
+        await uut.createTransaction([{ address: 'ecash:qtest', amountSat: 1000 }])
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'No UTXOs on multisig address')
+      }
+    })
+
+    it('should never spend token UTXOs', async () => {
+      ar.getUtxos.resolves({
+        utxos: [
+          { outpoint: { txid: 'b'.repeat(64), outIdx: 1 }, sats: '546', token: { tokenId: 'c'.repeat(64), atoms: '100' } },
+          { outpoint: { txid: 'a'.repeat(64), outIdx: 0 }, sats: '100000' }
+        ]
+      })
+
+      const pkg = JSON.parse(await uut.createTransaction([{ address: 'ecash:qtest', amountSat: 1000 }]))
+
+      assert.deepEqual(pkg.inputs, [{ sats: '100000', signatures: {} }])
+    })
+
+    it('should throw when the address only holds tokens', async () => {
+      ar.getUtxos.resolves({
+        utxos: [{ outpoint: { txid: 'b'.repeat(64), outIdx: 1 }, sats: '546', token: { tokenId: 'c'.repeat(64), atoms: '100' } }]
+      })
+
+      try {
+        await uut.createTransaction([{ address: 'ecash:qtest', amountSat: 1000 }])
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'No UTXOs on multisig address')
+      }
+    })
+
+    it('should only spend the UTXOs coin selection picks', async () => {
+      ar.getUtxos.resolves({
+        utxos: [
+          { outpoint: { txid: 'a'.repeat(64), outIdx: 0 }, sats: '5000' },
+          { outpoint: { txid: 'a'.repeat(64), outIdx: 1 }, sats: '100000' }
+        ]
+      })
+      const signParams = sandbox.spy(feeEngine, 'getSignParams')
+
+      const pkg = JSON.parse(await uut.createTransaction([{ address: 'ecash:qtest', amountSat: 1000 }], 2))
+
+      assert.deepEqual(pkg.inputs, [{ sats: '100000', signatures: {} }])
+      assert.isTrue(signParams.calledOnceWith(2, 546))
+    })
+
+    it('should size the fee for the multisig scriptSig', () => {
+      const p2pkhFee = feeEngine.estimateFee(2, 1, 1, true)
+
+      assert.isAbove(uut._estimateFee(2, 1, 1, true), p2pkhFee)
+    })
+
+    it('should throw when the UTXOs cannot pay', async () => {
+      try {
+        await uut.createTransaction([{ address: 'ecash:qtest', amountSat: 200000 }])
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Insufficient funds')
+      }
+    })
+
+    it('should validate outputs', async () => {
+      try {
+        await uut.createTransaction([{ address: 'invalid', amountSat: 1000 }])
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Invalid outputs')
+      }
+    })
+  })
+
+  describe('#signTransaction', () => {
+    let pkg
+
+    beforeEach(async () => {
+      pkg = await uut.createTransaction([{ address: 'ecash:qtest', amountSat: 1000 }])
+    })
+
+    it('should add a signature per input with the sighash flag', () => {
+      const signed = JSON.parse(uut.signTransaction(pkg, privateKeys[0]))
+      const signature = signed.inputs[0].signatures[publicKeys[0]]
+
+      assert.isString(signature)
+      assert.isTrue(signature.endsWith('41'))
+      assert.equal(uut.getSignatureCount(signed), 1)
+      assert.isFalse(uut.isComplete(signed))
+    })
+
+    it('should refuse to add to a package with a forged signature', () => {
+      // Cosigner 0's entry holds the signature of cosigner 1
+      const signed = JSON.parse(uut.signTransaction(pkg, privateKeys[0]))
+      const other = JSON.parse(uut.signTransaction(pkg, privateKeys[1]))
+      signed.inputs[0].signatures[publicKeys[0]] = other.inputs[0].signatures[publicKeys[1]]
+
+      assert.throws(() => uut.signTransaction(signed, privateKeys[2]), new RegExp(`Invalid signature of cosigner ${publicKeys[0]} on input 0`))
+    })
+
+    it('should reject a key that is not a cosigner', () => {
+      assert.throws(() => uut.signTransaction(pkg, '44'.repeat(32)), /does not belong to a cosigner/)
+    })
+
+    it('should reject a package of another multisig', () => {
+      const other = new Multisig({ threshold: 1, publicKeys })
+      assert.throws(() => other.signTransaction(pkg, privateKeys[0]), /belongs to another multisig/)
+    })
+
+    it('should reject data that is not a signing package', () => {
+      assert.throws(() => uut.signTransaction('not json', privateKeys[0]), /Invalid signing package JSON/)
+      assert.throws(() => uut.signTransaction({ type: 'psbt' }, privateKeys[0]), /Not a multisig signing package/)
+    })
+  })
+
+  describe('#finalizeTransaction', () => {
+    let pkg
+
+    beforeEach(async () => {
+      pkg = await uut.createTransaction([{ address: 'ecash:qtest', amountSat: 1000 }])
+    })
+
+    it('should require the threshold number of signatures', () => {
+      const signed = uut.signTransaction(pkg, privateKeys[0])
+      assert.throws(() => uut.finalizeTransaction(signed), /Only 1 of 2 required signatures/)
+    })
+
+    it('should name the cosigner of an invalid signature', () => {
+      const signed = JSON.parse(uut.signTransaction(uut.signTransaction(pkg, privateKeys[0]), privateKeys[2]))
+      signed.inputs[0].signatures[publicKeys[2]] = 'ab'.repeat(71) + '41'
+
+      assert.throws(() => uut.finalizeTransaction(signed), new RegExp(`Invalid signature of cosigner ${publicKeys[2]} on input 0`))
+    })
+
+    it('should reject a signature from a key outside the multisig', () => {
+      const signed = JSON.parse(uut.signTransaction(uut.signTransaction(pkg, privateKeys[0]), privateKeys[2]))
+      signed.inputs[0].signatures[`02${'00'.repeat(32)}`] = signed.inputs[0].signatures[publicKeys[0]]
+
+      assert.throws(() => uut.finalizeTransaction(signed), /which is not a cosigner/)
+    })
+
+    it('should return transaction hex once the threshold is met', () => {
+      let signed = uut.signTransaction(pkg, privateKeys[0])
+      signed = uut.signTransaction(signed, privateKeys[2])
+
+      assert.isTrue(uut.isComplete(signed))
+      assert.isString(uut.finalizeTransaction(signed))
+    })
+  })
+
+  describe('#_buildScriptSig', () => {
+    it('should push the dummy, the signatures and the redeem script', () => {
+      const signatures = [Buffer.alloc(71, 1), Buffer.alloc(72, 2)]
+      const scriptSig = uut._buildScriptSig(signatures).toString('hex')
+
+      assert.equal(scriptSig, [
+        '00',
+        '47' + signatures[0].toString('hex'),
+        '48' + signatures[1].toString('hex'),
+        '4c69' + uut.redeemScript.toString('hex')
+      ].join(''))
+    })
+  })
+
+  describe('MinimalXECWallet', () => {
+    let wallet
+
+    beforeEach(async () => {
+      wallet = new MinimalXECWallet(mockWallet.mockXecWalletInfo.mnemonic, {
+        multisig: { threshold: 2, publicKeys }
+      })
+      await wallet.walletInfoPromise
+    })
+
+    it('should expose the multisig address', () => {
+      assert.equal(wallet.getMultisigAddress(), wallet.multisig.address)
+    })
+
+    it('should throw when no multisig is configured', async () => {
+      const plain = new MinimalXECWallet(mockWallet.mockXecWalletInfo.mnemonic)
+
+      assert.throws(() => plain.getMultisigAddress(), /not configured for multisig/)
+    })
+
+    it('should sign with the key at the multisig path', async () => {
+      sandbox.stub(wallet.multisig, 'signTransaction').returns('signed')
+      sandbox.stub(wallet.keyDerivation, 'deriveFromMnemonic').returns({ privateKey: privateKeys[1] })
+
+      const result = await wallet.signMultisigTx('package')
+
+      assert.equal(result, 'signed')
+      assert.isTrue(wallet.keyDerivation.deriveFromMnemonic.calledWith(
+        mockWallet.mockXecWalletInfo.mnemonic, "m/44'/899'/0'/0/0"
+      ))
+      assert.isTrue(wallet.multisig.signTransaction.calledWith('package', privateKeys[1]))
+    })
+
+    it('should refuse to sign on a watch-only wallet', async () => {
+      wallet.walletInfo.watchOnly = true
+
+      try {
+        await wallet.signMultisigTx('package')
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.instanceOf(err, MinimalXECWallet.WatchOnlyError)
+      }
+    })
+
+    it('should create and finalize through the multisig', async () => {
+      sandbox.stub(wallet.multisig, 'createTransaction').resolves('package')
+      sandbox.stub(wallet.multisig, 'finalizeTransaction').returns('0200')
+
+      assert.equal(await wallet.createMultisigTx([{ address: 'ecash:qtest', amountSat: 1000 }]), 'package')
+      assert.equal(wallet.finalizeMultisigTx('package'), '0200')
+    })
+  })
+})
@@ -0,0 +1,326 @@
+/*
+  Unit tests for unsigned transaction packages and offline signing.
+*/
+
+// npm libraries
+const assert = require('chai').assert
+const sinon = require('sinon')
+
+// Mocking data libraries
+const mockWallet = require('./mocks/xec-wallet-mocks')
+
+// Real token scripts, loaded by path to bypass the ecash-lib mock
+const { slpSend, alpSend, emppScript, SLP_FUNGIBLE, ALP_STANDARD } = require(require.resolve('ecash-lib'))
+
+// Unit under test
+const OfflineSigning = require('../../lib/offline-signing')
+const SendXEC = require('../../lib/send-xec')
+const MinimalXECWallet = require('../../index')
+
+// The mock transaction spends this UTXO into a 1000 sat output
+const utxos = [{
+  outpoint: { txid: 'a'.repeat(64), outIdx: 0 },
+  sats: '1300',
+  address: 'ecash:qpowner'
+}]
+
+describe('#offline-signing.js - Unsigned transaction packages', () => {
+  let sandbox, uut
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    uut = new OfflineSigning()
+  })
+
+  afterEach(() => sandbox.restore())
+
+  function createPackage (options = {}) {
+    return uut.createPackage('0200', utxos, {
+      walletInfo: { xecAddress: 'ecash:qpowner', hdPath: "m/44'/899'/0'/0/0" },
+      ...options
+    })
+  }
+
+  describe('#placeholderSignatory', () => {
+    it('should return a scriptSig the size of a P2PKH spend', () => {
+      const script = OfflineSigning.placeholderSignatory()
+
+      assert.equal(script.bytecode.length, 100)
+      assert.equal(script.bytecode[0], 65)
+      assert.equal(script.bytecode[66], 33)
+    })
+  })
+
+  describe('#createPackage', () => {
+    it('should describe inputs, outputs and fee', () => {
+      const pkg = JSON.parse(createPackage())
+
+      assert.equal(pkg.type, 'unsigned-tx')
+      assert.equal(pkg.version, 1)
+      assert.equal(pkg.network, 'mainnet')
+      assert.equal(pkg.kind, 'xec')
+      assert.equal(pkg.fee, '300')
+      assert.isNull(pkg.token)
+      assert.deepInclude(pkg.inputs[0], {
+        txid: 'a'.repeat(64),
+        outIdx: 0,
+        sats: '1300',
+        address: 'ecash:qpowner',
+        hdPath: "m/44'/899'/0'/0/0"
+      })
+      assert.equal(pkg.outputs[0].sats, '1000')
+      assert.equal(pkg.outputs[0].script, `76a914${'00'.repeat(20)}88ac`)
+      assert.match(pkg.outputs[0].address, /^ecash:/)
+    })
+
+    it('should take the hdPath of an account address', () => {
+      const pkg = JSON.parse(createPackage({
+        walletInfo: {
+          xecAddress: 'ecash:qpother',
+          addresses: [{ address: 'ecash:qpowner', hdPath: "m/44'/899'/0'/1/3" }]
+        }
+      }))
+
+      assert.equal(pkg.inputs[0].hdPath, "m/44'/899'/0'/1/3")
+    })
+
+    it('should keep token metadata', () => {
+      const token = { tokenId: 'b'.repeat(64), protocol: 'ALP', ticker: 'TST', decimals: 2 }
+      const pkg = JSON.parse(createPackage({ kind: 'etoken', token }))
+
+      assert.equal(pkg.kind, 'etoken')
+      assert.deepEqual(pkg.token, token)
+    })
+
+    it('should throw for an input that is not a known UTXO', () => {
+      assert.throws(() => uut.createPackage('0200', []), /Unknown input/)
+    })
+  })
+
+  describe('#verifyPackage', () => {
+    it('should summarize a valid package', () => {
+      const summary = uut.verifyPackage(createPackage())
+
+      assert.equal(summary.fee, 300)
+      assert.isAbove(summary.satsPerByte, 0)
+      assert.equal(summary.outputs.length, 1)
+    })
+
+    it('should reject an output that differs from the transaction', () => {
+      const pkg = JSON.parse(createPackage())
+      pkg.outputs[0].sats = '500'
+
+      assert.throws(() => uut.verifyPackage(pkg), /Output 0 does not match/)
+    })
+
+    it('should reject a wrong fee', () => {
+      const pkg = JSON.parse(createPackage())
+      pkg.fee = '100'
+
+      assert.throws(() => uut.verifyPackage(pkg), /does not match the transaction fee/)
+    })
+
+    it('should reject inputs worth less than the outputs', () => {
+      const pkg = JSON.parse(createPackage())
+      pkg.inputs[0].sats = '900'
+
+      assert.throws(() => uut.verifyPackage(pkg), /Outputs exceed inputs/)
+    })
+
+    it('should reject an excessive fee rate', () => {
+      const pkg = JSON.parse(createPackage())
+      pkg.inputs[0].sats = '1000000'
+      pkg.fee = '999000'
+
+      assert.throws(() => uut.verifyPackage(pkg), /exceeds 50/)
+    })
+
+    it('should reject a token package without OP_RETURN', () => {
+      const pkg = createPackage({ token: { tokenId: 'b'.repeat(64) } })
+
+      assert.throws(() => uut.verifyPackage(pkg), /must start with an OP_RETURN/)
+    })
+
+    describe('token metadata', () => {
+      const tokenId = 'b'.repeat(64)
+      const token = { tokenId, protocol: 'SLP', decimals: 2, outputs: [{ address: 'ecash:qpdest', amount: 1.5 }] }
+      const outputs = [{ script: '6a' }, { address: 'ecash:qpdest' }, { address: 'ecash:qpowner' }]
+
+      it('should accept an OP_RETURN that sends the listed amounts', () => {
+        const script = slpSend(tokenId, SLP_FUNGIBLE, [150n, 50n])
+
+        const change = uut._verifyTokenScript(token, script, outputs)
+
+        assert.deepEqual(change, { address: 'ecash:qpowner', atoms: '50' })
+      })
+
+      it('should reject an OP_RETURN that sends another amount', () => {
+        const script = slpSend(tokenId, SLP_FUNGIBLE, [15000n, 50n])
+
+        assert.throws(() => uut._verifyTokenScript(token, script, outputs), /Token output 0 does not match the OP_RETURN/)
+      })
+
+      it('should reject an OP_RETURN for another token or protocol', () => {
+        const other = slpSend('c'.repeat(64), SLP_FUNGIBLE, [150n])
+        const alp = emppScript([alpSend(tokenId, ALP_STANDARD, [150n])])
+
+        assert.throws(() => uut._verifyTokenScript(token, other, outputs), /OP_RETURN must only send token/)
+        assert.throws(() => uut._verifyTokenScript(token, alp, outputs), /OP_RETURN is ALP, not SLP/)
+      })
+
+      it('should reject token change split across outputs', () => {
+        const script = slpSend(tokenId, SLP_FUNGIBLE, [150n, 50n, 50n])
+
+        assert.throws(() => uut._verifyTokenScript(token, script, [...outputs, { address: 'ecash:qpother' }]), /more than one output/)
+      })
+    })
+
+    it('should reject other networks and newer versions', () => {
+      const pkg = JSON.parse(createPackage())
+
+      assert.throws(() => uut.verifyPackage({ ...pkg, network: 'testnet' }), /Package is for testnet/)
+      assert.throws(() => uut.verifyPackage({ ...pkg, version: 2 }), /Unsupported package version 2/)
+      assert.throws(() => uut.verifyPackage('{'), /Invalid package JSON/)
+      assert.throws(() => uut.verifyPackage({ type: 'multisig-p2sh' }), /Not an unsigned transaction package/)
+    })
+  })
+
+  describe('#signPackage', () => {
+    it('should sign with the key at the input hdPath', async () => {
+      const spy = sandbox.stub(uut.keyDerivation, 'deriveFromMnemonic').returns({ privateKey: '11'.repeat(32) })
+
+      const hex = await uut.signPackage(createPackage(), { mnemonic: mockWallet.mockXecWalletInfo.mnemonic, passphrase: 'extra' })
+
+      assert.isString(hex)
+      assert.isTrue(spy.calledWith(mockWallet.mockXecWalletInfo.mnemonic, "m/44'/899'/0'/0/0", 'extra'))
+    })
+
+    it('should use the wallet key without an hdPath', async () => {
+      const spy = sandbox.stub(uut.keyDerivation, 'deriveKeyForAddress').returns({ privateKey: '11'.repeat(32) })
+      const pkg = JSON.parse(createPackage({ walletInfo: { xecAddress: 'ecash:qpowner' } }))
+
+      await uut.signPackage(pkg, { privateKey: '11'.repeat(32), xecAddress: 'ecash:qpowner' })
+
+      assert.isTrue(spy.calledWith(sinon.match.object, 'ecash:qpowner'))
+    })
+
+    it('should sign with the signer of the wallet', async () => {
+      const signer = {
+        getPublicKey: sandbox.stub().resolves('02'.repeat(33)),
+        signSighash: sandbox.stub().resolves('11'.repeat(64))
+      }
+
+      await uut.signPackage(createPackage(), { signer })
+
+      assert.deepEqual(signer.signSighash.firstCall.args[1], { address: 'ecash:qpowner', hdPath: "m/44'/899'/0'/0/0" })
+    })
+
+    it('should verify the package first', async () => {
+      const pkg = JSON.parse(createPackage())
+      pkg.fee = '1'
+
+      try {
+        await uut.signPackage(pkg, {})
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'verification failed')
+      }
+    })
+  })
+
+  describe('#verifySignedTx', () => {
+    it('should reject a transaction with unsigned inputs', () => {
+      assert.throws(() => uut.verifySignedTx(createPackage(), '0200'), /Input 0 is not signed/)
+    })
+  })
+
+  describe('unsigned builds', () => {
+    it('should spend with placeholders and derive no keys', async () => {
+      const sendXec = new SendXEC({ chronik: {}, ar: {} })
+      const spy = sandbox.spy(sendXec.keyDerivation, 'deriveKeyForAddress')
+
+      const hex = await sendXec._buildTransaction(
+        utxos,
+        [{ address: 'ecash:qpdest', amountSat: 1000 }],
+        0,
+        { xecAddress: 'ecash:qpowner', unsigned: true }
+      )
+
+      assert.isString(hex)
+      assert.isTrue(spy.notCalled)
+    })
+  })
+
+  describe('MinimalXECWallet', () => {
+    let wallet
+
+    beforeEach(async () => {
+      wallet = new MinimalXECWallet(['ecash:qpowner'])
+      await wallet.walletInfoPromise
+      wallet.isInitialized = true
+      wallet.utxos.utxoStore = { xecUtxos: utxos }
+    })
+
+    it('should create an XEC package on a watch-only wallet', async () => {
+      const stub = sandbox.stub(wallet.sendXecLib, 'createTransaction').resolves('0200')
+
+      const pkg = JSON.parse(await wallet.createXecTxPackage([{ address: 'ecash:qpdest', amountSat: 1000 }]))
+
+      const walletInfo = stub.firstCall.args[1]
+      assert.isTrue(walletInfo.unsigned)
+      assert.notProperty(walletInfo, 'privateKey')
+      assert.notProperty(walletInfo, 'mnemonic')
+      assert.equal(pkg.kind, 'xec')
+    })
+
+    it('should create an eToken package with token metadata', async () => {
+      const token = { tokenId: 'b'.repeat(64), protocol: 'SLP', ticker: 'TST', decimals: 0 }
+      sandbox.stub(wallet.hybridTokens, 'createSendTransaction').resolves({ hex: '0200', token })
+
+      const pkg = JSON.parse(await wallet.createETokenTxPackage('b'.repeat(64), [{ address: 'ecash:qpdest', amount: 5 }]))
+
+      assert.equal(pkg.kind, 'etoken')
+      assert.deepEqual(pkg.token, token)
+    })
+
+    it('should create an OP_RETURN package', async () => {
+      sandbox.stub(wallet.opReturn, 'createOpReturnTx').resolves('0200')
+
+      const pkg = JSON.parse(await wallet.createOpReturnTxPackage('hello'))
+
+      assert.equal(pkg.kind, 'op-return')
+    })
+
+    it('should refuse to sign on a watch-only wallet', async () => {
+      try {
+        await wallet.signTxPackage(createPackage())
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.instanceOf(err, MinimalXECWallet.WatchOnlyError)
+      }
+    })
+
+    it('should sign on a wallet with keys', async () => {
+      const signer = new MinimalXECWallet(mockWallet.mockXecWalletInfo.mnemonic)
+      await signer.walletInfoPromise
+      sandbox.stub(signer.offlineSigning, 'signPackage').returns('signed')
+
+      assert.equal(await signer.signTxPackage('package'), 'signed')
+      const walletInfo = signer.offlineSigning.signPackage.firstCall.args[1]
+      assert.equal(walletInfo.signer, signer.keySigner)
+      assert.notProperty(walletInfo, 'mnemonic')
+    })
+
+    it('should check the signed hex against the package before broadcast', async () => {
+      sandbox.stub(wallet.ar, 'sendTx').resolves('txid')
+
+      try {
+        await wallet.broadcast({ hex: '0200', txPackage: createPackage() })
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'not signed')
+        assert.isTrue(wallet.ar.sendTx.notCalled)
+      }
+    })
+  })
+})
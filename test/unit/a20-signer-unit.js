@@ -0,0 +1,233 @@
+/*
+  Unit tests for the pluggable transaction signer.
+*/
+
+// npm libraries
+const assert = require('chai').assert
+const sinon = require('sinon')
+
+// Mocking data libraries
+const mockWallet = require('./mocks/xec-wallet-mocks')
+
+// Unit under test
+const { Signer, KeySigner, placeholderSignatory, getSigner, getKeyRef, signTransaction } = require('../../lib/signer')
+const SendXEC = require('../../lib/send-xec')
+const ALPTokenHandler = require('../../lib/alp-token-handler')
+const MinimalXECWallet = require('../../index')
+
+const utxos = [
+  { outpoint: { txid: 'a'.repeat(64), outIdx: 0 }, sats: '5000', address: 'ecash:qpfirst' },
+  { outpoint: { txid: 'b'.repeat(64), outIdx: 1 }, sats: '5000', address: 'ecash:qpsecond' }
+]
+
+// Signer that keeps its keys elsewhere and answers asynchronously with hex
+function createMockSigner (sandbox) {
+  return {
+    getPublicKey: sandbox.stub().callsFake(async keyRef => '02'.repeat(33)),
+    signSighash: sandbox.stub().callsFake(async (sighash, keyRef) => '11'.repeat(64))
+  }
+}
+
+// Transaction as the builders hand it over, spending with placeholders
+function createTx (count) {
+  return {
+    inputs: new Array(count).fill(0).map(() => ({
+      script: placeholderSignatory(),
+      signData: { sats: 5000n, outputScript: { bytecode: Buffer.alloc(25) } }
+    }))
+  }
+}
+
+describe('#signer.js - Transaction signers', () => {
+  let sandbox
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('#Signer', () => {
+    it('should require subclasses to implement the contract', async () => {
+      const signer = new Signer()
+
+      for (const method of ['getPublicKey', 'signSighash']) {
+        try {
+          await signer[method]({ address: 'ecash:qpfirst' })
+          assert.fail('Unexpected code path')
+        } catch (err) {
+          assert.include(err.message, `Signer must implement ${method}()`)
+        }
+      }
+    })
+  })
+
+  describe('#KeySigner', () => {
+    it('should derive the key at the keyRef hdPath', () => {
+      const uut = new KeySigner({ walletInfo: { mnemonic: mockWallet.mockXecWalletInfo.mnemonic, passphrase: 'extra' } })
+      const stub = sandbox.stub(uut.keyDerivation, 'deriveFromMnemonic').returns({ privateKey: '11'.repeat(32) })
+
+      const publicKey = uut.getPublicKey({ address: 'ecash:qpfirst', hdPath: "m/44'/899'/0'/1/2" })
+
+      assert.equal(publicKey.length, 33)
+      assert.isTrue(stub.calledWith(mockWallet.mockXecWalletInfo.mnemonic, "m/44'/899'/0'/1/2", 'extra'))
+    })
+
+    it('should look up the key of the address without an hdPath', () => {
+      const walletInfo = { privateKey: '11'.repeat(32), xecAddress: 'ecash:qpfirst' }
+      const uut = new KeySigner({ walletInfo })
+      const stub = sandbox.stub(uut.keyDerivation, 'deriveKeyForAddress').returns({ privateKey: '11'.repeat(32) })
+
+      uut.getPublicKey({ address: 'ecash:qpfirst' })
+      const signature = uut.signSighash(Buffer.alloc(32), { address: 'ecash:qpfirst' })
+
+      assert.equal(signature.length, 64)
+      assert.isTrue(stub.calledOnce)
+      assert.notProperty(stub.firstCall.args[0], 'privateKey')
+      assert.equal(stub.firstCall.args[2].privateKey, walletInfo.privateKey)
+      assert.equal(stub.firstCall.args[1], 'ecash:qpfirst')
+    })
+
+    it('should keep the secret out of walletInfo and zero it on destroy', () => {
+      const uut = new KeySigner({ walletInfo: { mnemonic: mockWallet.mockXecWalletInfo.mnemonic, xecAddress: 'ecash:qpfirst' } })
+      const secret = uut.secrets.mnemonic
+
+      assert.notProperty(uut.walletInfo, 'mnemonic')
+      assert.deepEqual(uut.exportSecret(), { secret: mockWallet.mockXecWalletInfo.mnemonic, type: 'mnemonic' })
+
+      uut.destroy()
+
+      assert.isTrue(secret.every(byte => byte === 0))
+      assert.isNull(uut.getMnemonic())
+    })
+  })
+
+  describe('#getSigner', () => {
+    it('should prefer the signer carried by the wallet info', () => {
+      const signer = createMockSigner(sandbox)
+
+      assert.equal(getSigner({ signer }), signer)
+      assert.instanceOf(getSigner({ privateKey: '11'.repeat(32) }), KeySigner)
+    })
+  })
+
+  describe('#getKeyRef', () => {
+    it('should carry the hdPath of an account address', () => {
+      const walletInfo = {
+        xecAddress: 'ecash:qpfirst',
+        hdPath: "m/44'/899'/0'/0/0",
+        addresses: [{ address: 'ecash:qpsecond', hdPath: "m/44'/899'/0'/1/0" }]
+      }
+
+      assert.deepEqual(getKeyRef(walletInfo, 'ecash:qpsecond'), { address: 'ecash:qpsecond', hdPath: "m/44'/899'/0'/1/0" })
+      assert.deepEqual(getKeyRef(walletInfo), { address: 'ecash:qpfirst', hdPath: "m/44'/899'/0'/0/0" })
+      assert.deepEqual(getKeyRef(walletInfo, 'ecash:qpother'), { address: 'ecash:qpother' })
+    })
+  })
+
+  describe('#signTransaction', () => {
+    it('should sign every input with an async signer', async () => {
+      const signer = createMockSigner(sandbox)
+      const tx = createTx(2)
+      const keyRefs = [{ address: 'ecash:qpfirst' }, { address: 'ecash:qpsecond' }]
+
+      await signTransaction(tx, keyRefs, signer)
+
+      assert.equal(signer.signSighash.callCount, 2)
+      assert.equal(signer.signSighash.firstCall.args[1], keyRefs[0])
+      assert.equal(signer.signSighash.secondCall.args[1], keyRefs[1])
+      assert.notDeepEqual(signer.signSighash.firstCall.args[0], signer.signSighash.secondCall.args[0])
+      assert.notDeepEqual(tx.inputs[0].script, placeholderSignatory())
+    })
+
+    it('should zero in-memory keys once the transaction is signed', async () => {
+      const signer = new KeySigner({ walletInfo: { privateKey: '11'.repeat(32), xecAddress: 'ecash:qpfirst' } })
+      sandbox.stub(signer.keyDerivation, 'deriveKeyForAddress').returns({ privateKey: '11'.repeat(32) })
+      const key = signer._getKey({ address: 'ecash:qpfirst' })
+
+      await signTransaction(createTx(1), [{ address: 'ecash:qpfirst' }], signer)
+
+      assert.isTrue(key.every(byte => byte === 0))
+      assert.deepEqual(signer.keys, {})
+    })
+
+    it('should surface signer errors', async () => {
+      const signer = createMockSigner(sandbox)
+      signer.signSighash.rejects(new Error('Device disconnected'))
+
+      try {
+        await signTransaction(createTx(1), [{ address: 'ecash:qpfirst' }], signer)
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Device disconnected')
+      }
+    })
+  })
+
+  describe('transaction builders', () => {
+    it('should sign XEC sends with the wallet signer', async () => {
+      const sendXec = new SendXEC({ chronik: {}, ar: {} })
+      const signer = createMockSigner(sandbox)
+
+      const hex = await sendXec._buildTransaction(utxos, [{ address: 'ecash:qpdest', amountSat: 1000 }], 0, {
+        xecAddress: 'ecash:qpfirst',
+        signer
+      })
+
+      assert.isString(hex)
+      assert.deepEqual(signer.signSighash.args.map(args => args[1].address), ['ecash:qpfirst', 'ecash:qpsecond'])
+    })
+
+    it('should sign token spends with the wallet signer', async () => {
+      const handler = new ALPTokenHandler({ chronik: {}, ar: {} })
+      const signer = createMockSigner(sandbox)
+
+      await handler._signTransaction(createTx(2), { xecAddress: 'ecash:qpfirst', signer }, utxos)
+
+      assert.equal(signer.signSighash.callCount, 2)
+    })
+
+    it('should leave unsigned builds to an offline signer', async () => {
+      const handler = new ALPTokenHandler({ chronik: {}, ar: {} })
+      const signer = createMockSigner(sandbox)
+
+      await handler._signTransaction(createTx(2), { xecAddress: 'ecash:qpfirst', signer, unsigned: true }, utxos)
+
+      assert.isTrue(signer.signSighash.notCalled)
+    })
+  })
+
+  describe('MinimalXECWallet', () => {
+    let wallet, signer
+
+    beforeEach(async () => {
+      signer = createMockSigner(sandbox)
+      wallet = new MinimalXECWallet(['ecash:qpfirst'], { signer })
+      await wallet.walletInfoPromise
+      wallet.isInitialized = true
+      wallet.utxos.utxoStore = { xecUtxos: utxos }
+    })
+
+    it('should send from a watch-only wallet with a signer', async () => {
+      const stub = sandbox.stub(wallet.sendXecLib, 'sendXec').resolves('txid')
+
+      const txid = await wallet.sendXec([{ address: 'ecash:qpdest', amountSat: 1000 }])
+
+      assert.equal(txid, 'txid')
+      assert.equal(stub.firstCall.args[1].signer, signer)
+    })
+
+    it('should still refuse actions that need the keys', async () => {
+      try {
+        await wallet.signMessage('hello')
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.instanceOf(err, MinimalXECWallet.WatchOnlyError)
+      }
+    })
+
+    it('should expose the Signer base class', () => {
+      assert.equal(MinimalXECWallet.Signer, Signer)
+    })
+  })
+})
@@ -0,0 +1,194 @@
+/*
+  Unit tests for locking and unlocking the wallet keys.
+*/
+
+// npm libraries
+const assert = require('chai').assert
+const sinon = require('sinon')
+
+// Mocking data libraries
+const mockWallet = require('./mocks/xec-wallet-mocks')
+
+// Unit under test
+const MinimalXECWallet = require('../../index')
+const { WalletLockedError } = require('../../lib/errors')
+
+// Cheap scrypt parameters keep the tests fast
+const scrypt = { N: 2 ** 10, r: 8, p: 1 }
+const password = 'correct horse battery'
+const mnemonic = mockWallet.mockXecWalletInfo.mnemonic
+
+describe('#index.js - Wallet lock', () => {
+  let sandbox, wallet
+
+  beforeEach(async () => {
+    sandbox = sinon.createSandbox()
+    wallet = new MinimalXECWallet(mnemonic, { scrypt })
+    await wallet.walletInfoPromise
+  })
+
+  afterEach(() => {
+    clearTimeout(wallet.autoLockTimer)
+    sandbox.restore()
+  })
+
+  describe('#lock', () => {
+    it('should keep only public data in walletInfo', () => {
+      assert.notProperty(wallet.walletInfo, 'mnemonic')
+      assert.notProperty(wallet.walletInfo, 'privateKey')
+      assert.notInclude(JSON.stringify(wallet.walletInfo), mnemonic)
+      assert.notInclude(JSON.stringify(wallet._getSigningWalletInfo()), mnemonic)
+    })
+
+    it('should zero the secret of the key signer', async () => {
+      const { xecAddress, publicKey } = wallet.walletInfo
+      const secret = wallet.keySigner.secrets.mnemonic
+
+      await wallet.lock(password)
+
+      assert.isTrue(wallet.isLocked)
+      assert.isNull(wallet.keySigner)
+      assert.isTrue(secret.every(byte => byte === 0))
+      assert.equal(wallet.walletInfo.xecAddress, xecAddress)
+      assert.equal(wallet.walletInfo.publicKey, publicKey)
+      assert.notInclude(wallet.lockKeystore, mnemonic)
+    })
+
+    it('should need a password the first time', async () => {
+      try {
+        await wallet.lock()
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'A password is required to lock this wallet')
+        assert.isFalse(wallet.isLocked)
+      }
+    })
+
+    it('should use the password the wallet was created with', async () => {
+      const encrypted = wallet.encrypt(mnemonic, password)
+      const protectedWallet = new MinimalXECWallet(encrypted, { password, scrypt })
+      await protectedWallet.walletInfoPromise
+
+      await protectedWallet.lock()
+      await protectedWallet.unlock(password)
+
+      assert.equal(protectedWallet.exportMnemonic(), mnemonic)
+    })
+
+    it('should refuse watch-only wallets', async () => {
+      const watcher = new MinimalXECWallet(['ecash:qpwatched'])
+      await watcher.walletInfoPromise
+
+      try {
+        await watcher.lock(password)
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.instanceOf(err, MinimalXECWallet.WatchOnlyError)
+      }
+    })
+  })
+
+  describe('while locked', () => {
+    beforeEach(() => wallet.lock(password))
+
+    it('should throw a WalletLockedError from signing methods', async () => {
+      for (const action of [
+        () => wallet.sendXec([{ address: 'ecash:qpdest', amountSat: 1000 }]),
+        () => wallet.signMessage('hello'),
+        () => wallet.signTxPackage('package')
+      ]) {
+        try {
+          await action()
+          assert.fail('Unexpected code path')
+        } catch (err) {
+          assert.instanceOf(err, WalletLockedError)
+          assert.instanceOf(err, MinimalXECWallet.WalletLockedError)
+          assert.equal(err.code, 'WALLET_LOCKED')
+        }
+      }
+    })
+
+    it('should not export the keys', () => {
+      assert.throws(() => wallet.exportKeystore(password), WalletLockedError)
+      assert.throws(() => wallet.exportPrivateKeyAsWIF(), WalletLockedError)
+      assert.throws(() => wallet.exportMnemonic(), WalletLockedError)
+    })
+
+    it('should still sign through an external signer', async () => {
+      wallet.signer = { getPublicKey: sandbox.stub(), signSighash: sandbox.stub() }
+      wallet.isInitialized = true
+      wallet.utxos.utxoStore = { xecUtxos: [{ outpoint: { txid: 'a'.repeat(64), outIdx: 0 }, sats: '5000' }] }
+      const stub = sandbox.stub(wallet.sendXecLib, 'sendXec').resolves('txid')
+
+      assert.equal(await wallet.sendXec([{ address: 'ecash:qpdest', amountSat: 1000 }]), 'txid')
+      assert.equal(stub.firstCall.args[1].signer, wallet.signer)
+    })
+  })
+
+  describe('#unlock', () => {
+    it('should restore the keys', async () => {
+      const privateKey = wallet._getPrivateKey()
+      await wallet.lock(password)
+
+      await wallet.unlock(password)
+
+      assert.isFalse(wallet.isLocked)
+      assert.equal(wallet.exportMnemonic(), mnemonic)
+      assert.equal(wallet._getPrivateKey(), privateKey)
+    })
+
+    it('should stay locked with a wrong password', async () => {
+      await wallet.lock(password)
+
+      try {
+        await wallet.unlock('wrong password')
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Wallet unlock failed')
+        assert.isTrue(wallet.isLocked)
+      }
+    })
+
+    it('should restore a hex private key', async () => {
+      const hexWallet = new MinimalXECWallet('a'.repeat(64), { scrypt })
+      await hexWallet.walletInfoPromise
+
+      await hexWallet.lock(password)
+      assert.isNull(hexWallet.keySigner)
+      await hexWallet.unlock(password)
+
+      assert.equal(hexWallet._getPrivateKey(), 'a'.repeat(64))
+    })
+  })
+
+  describe('auto-lock', () => {
+    let clock
+
+    beforeEach(async () => {
+      clock = sandbox.useFakeTimers()
+      wallet = new MinimalXECWallet(mnemonic, { scrypt, autoLockTimeout: 1000 })
+      await wallet.walletInfoPromise
+      await wallet.lock(password)
+      await wallet.unlock(password)
+    })
+
+    it('should lock after the idle timeout', async () => {
+      await clock.tickAsync(999)
+      assert.isFalse(wallet.isLocked)
+
+      await clock.tickAsync(1)
+      assert.isTrue(wallet.isLocked)
+    })
+
+    it('should restart the timer when the keys are used', async () => {
+      await clock.tickAsync(800)
+      wallet.exportPrivateKeyAsWIF()
+
+      await clock.tickAsync(800)
+      assert.isFalse(wallet.isLocked)
+
+      await clock.tickAsync(200)
+      assert.isTrue(wallet.isLocked)
+    })
+  })
+})
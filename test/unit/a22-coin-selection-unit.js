@@ -0,0 +1,158 @@
+/*
+  Unit tests for the coin selection strategies.
+*/
+
+// npm libraries
+const assert = require('chai').assert
+const sinon = require('sinon')
+
+// Mocking data libraries
+const mockWallet = require('./mocks/xec-wallet-mocks')
+const mockUtxos = require('./mocks/xec-utxo-mocks')
+const { utxo } = mockUtxos
+
+// Unit under test
+const CoinSelection = require('../../lib/coin-selection')
+const SendXEC = require('../../lib/send-xec')
+const MinimalXECWallet = require('../../index')
+
+// 100 sats per input plus 50 sats for the rest of the transaction
+const getFee = inputCount => inputCount * 100 + 50
+
+describe('#coin-selection.js - Coin selection strategies', () => {
+  let sandbox, uut, utxos
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    uut = new CoinSelection()
+    utxos = [
+      utxo('a', 3000, { blockHeight: 300 }),
+      utxo('b', 10000, { blockHeight: -1 }),
+      utxo('c', 5000, { blockHeight: 100 }),
+      utxo('d', 7000, { blockHeight: 200 })
+    ]
+  })
+
+  afterEach(() => sandbox.restore())
+
+  const txids = selection => selection.selectedUtxos.map(item => item.outpoint.txid)
+
+  describe('#constructor', () => {
+    it('should default to largest-first', () => {
+      assert.equal(uut.strategy, 'largest-first')
+    })
+
+    it('should reject an unknown strategy', () => {
+      assert.throws(() => new CoinSelection({ strategy: 'random' }), /Unknown coin selection strategy: random/)
+      assert.throws(() => uut.select(utxos, 1000, { strategy: 'random' }), /Unknown coin selection strategy/)
+    })
+  })
+
+  describe('#select', () => {
+    it('should spend the largest UTXOs first', () => {
+      const selection = uut.select(utxos, 12000, { getFee })
+
+      assert.deepEqual(txids(selection), ['b', 'd'])
+      assert.equal(selection.estimatedFee, 250)
+      assert.equal(selection.change, 17000 - 12000 - 250)
+      assert.equal(selection.strategy, 'largest-first')
+    })
+
+    it('should spend the smallest UTXOs first', () => {
+      const selection = uut.select(utxos, 7000, { strategy: 'smallest-first', getFee })
+
+      assert.deepEqual(txids(selection), ['a', 'c'])
+    })
+
+    it('should spend the oldest UTXOs first and unconfirmed ones last', () => {
+      const selection = uut.select(utxos, 14000, { strategy: 'oldest-first', getFee })
+
+      assert.deepEqual(txids(selection), ['c', 'd', 'a'])
+    })
+
+    it('should find a change-less match with branch-and-bound', () => {
+      const selection = uut.select(utxos, 7500, { strategy: 'branch-and-bound', getFee })
+
+      assert.deepEqual(txids(selection), ['c', 'a'])
+      assert.equal(selection.estimatedFee, 250)
+      assert.isBelow(selection.change, uut.dustLimit)
+      assert.equal(selection.strategy, 'branch-and-bound')
+    })
+
+    it('should fall back to largest-first without a change-less match', () => {
+      const selection = uut.select(utxos, 9700, { strategy: 'branch-and-bound', getFee, costOfChange: 0 })
+
+      assert.deepEqual(txids(selection), ['b'])
+      assert.equal(selection.strategy, 'largest-first')
+    })
+
+    it('should search a large UTXO set with branch-and-bound without overflowing the stack', () => {
+      const many = Array.from({ length: 20000 }, (_, i) => utxo(`u${i}`, 700))
+
+      const selection = uut.select(many, 11000000, { strategy: 'branch-and-bound', getFee })
+
+      assert.isNotNull(selection)
+      assert.isAtLeast(selection.totalAmount, 11000000 + selection.estimatedFee)
+    })
+
+    it('should not mix addresses when one can pay', () => {
+      utxos = [
+        utxo('a1', 3000, { address: 'ecash:qpalice' }),
+        utxo('a2', 2000, { address: 'ecash:qpalice' }),
+        utxo('b1', 20000, { address: 'ecash:qpbob' })
+      ]
+
+      assert.deepEqual(txids(uut.select(utxos, 4000, { strategy: 'privacy' })), ['a1', 'a2'])
+      assert.deepEqual(txids(uut.select(utxos, 10000, { strategy: 'privacy' })), ['b1'])
+      assert.deepEqual(txids(uut.select(utxos, 22000, { strategy: 'privacy' })), ['b1', 'a1'])
+    })
+
+    it('should pass whether the spend has change to the fee callback', () => {
+      const spy = sandbox.spy(getFee)
+
+      uut.select([utxo('a', 1200)], 1000, { getFee: spy })
+
+      assert.isTrue(spy.calledWith(1, false))
+    })
+
+    it('should return null when the UTXOs cannot pay', () => {
+      for (const strategy of CoinSelection.STRATEGIES) {
+        assert.isNull(uut.select(utxos, 25000, { strategy, getFee }))
+      }
+    })
+  })
+
+  describe('SendXEC', () => {
+    it('should select with the strategy of the wallet info', async () => {
+      const sendXec = new SendXEC({ chronik: {}, ar: {} })
+      const spy = sandbox.spy(sendXec.coinSelection, 'select')
+      const outputs = [{ address: 'ecash:qpdest', amountSat: 1000 }]
+
+      sendXec._selectUtxos(outputs, mockUtxos.simpleXecUtxos.utxos, 'smallest-first')
+
+      assert.equal(spy.firstCall.args[2].strategy, 'smallest-first')
+    })
+  })
+
+  describe('MinimalXECWallet', () => {
+    it('should apply advancedOptions.coinSelection to the builders', () => {
+      const wallet = new MinimalXECWallet(mockWallet.mockXecWalletInfo.mnemonic, { coinSelection: 'privacy' })
+
+      assert.equal(wallet.sendXecLib.coinSelection.strategy, 'privacy')
+      assert.equal(wallet.opReturn.coinSelection.strategy, 'privacy')
+      assert.equal(wallet.utxos.coinSelection.strategy, 'privacy')
+    })
+
+    it('should take a strategy per send', async () => {
+      const wallet = new MinimalXECWallet(mockWallet.mockXecWalletInfo.mnemonic)
+      await wallet.walletInfoPromise
+      wallet.isInitialized = true
+      wallet.utxos.utxoStore = { xecUtxos: utxos }
+      const stub = sandbox.stub(wallet.sendXecLib, 'sendXec').resolves('txid')
+
+      await wallet.sendXec([{ address: 'ecash:qpdest', amountSat: 1000 }], { coinSelection: 'branch-and-bound' })
+
+      assert.equal(stub.firstCall.args[1].coinSelection, 'branch-and-bound')
+    })
+  })
+})
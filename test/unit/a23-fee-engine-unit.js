@@ -0,0 +1,165 @@
+/*
+  Unit tests for the fee engine and the fee rate of the transaction builders.
+*/
+
+// npm libraries
+const assert = require('chai').assert
+const sinon = require('sinon')
+
+// Mocking data libraries
+const mockWallet = require('./mocks/xec-wallet-mocks')
+
+// Unit under test
+const feeEngine = require('../../lib/fee-engine')
+const CoinSelection = require('../../lib/coin-selection')
+const SendXEC = require('../../lib/send-xec')
+const SLPTokenHandler = require('../../lib/slp-token-handler')
+const MinimalXECWallet = require('../../index')
+
+const utxos = [
+  { outpoint: { txid: 'a'.repeat(64), outIdx: 0 }, sats: '5000', blockHeight: 100 },
+  { outpoint: { txid: 'b'.repeat(64), outIdx: 1 }, sats: '5000', blockHeight: 100 }
+]
+
+describe('#fee-engine.js - Fee engine', () => {
+  let sandbox
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('#getTxSize', () => {
+    it('should size a signed P2PKH spend', () => {
+      // 65 byte Schnorr signature and 33 byte public key in each input
+      assert.equal(feeEngine.getInputSize(), 141)
+      assert.equal(feeEngine.getTxSize(1, 1), 10 + 141 + 34)
+      assert.equal(feeEngine.getTxSize(2, 1, true), 10 + 2 * 141 + 2 * 34)
+    })
+
+    it('should size the scripts of builder outputs', () => {
+      const opReturn = { sats: 0n, script: { bytecode: Buffer.alloc(40) } }
+
+      assert.equal(feeEngine.getTxSize(1, [opReturn]), 10 + 141 + 8 + 1 + 40)
+      assert.equal(feeEngine.getTxSize(1, [{ script: '6a'.repeat(300) }]), 10 + 141 + 8 + 3 + 300)
+    })
+
+    it('should count inputs past the one byte varint', () => {
+      assert.equal(feeEngine.getTxSize(253, 1), 12 + 253 * 141 + 34)
+    })
+  })
+
+  describe('#estimateFee', () => {
+    it('should round up like ecash-lib', () => {
+      assert.equal(feeEngine.estimateFee(1, 1, 1), 185)
+      assert.equal(feeEngine.estimateFee(1, 1, 1.2), 222)
+      assert.equal(feeEngine.estimateFee(1, 1, 0.1), 19)
+      assert.equal(feeEngine.estimateFee(1, 1, 0), 0)
+    })
+
+    it('should hand the same rate to TxBuilder', () => {
+      assert.deepEqual(feeEngine.getSignParams(2.5, 546), { feePerKb: 2500n, dustSats: 546n })
+    })
+  })
+
+  describe('#validateFeeRate', () => {
+    it('should reject rates that are not a non-negative number', () => {
+      for (const rate of [-1, '2', NaN, Infinity]) {
+        assert.throws(() => feeEngine.validateFeeRate(rate), /Invalid fee rate/)
+      }
+      assert.doesNotThrow(() => feeEngine.validateFeeRate(0))
+    })
+  })
+
+  describe('coin selection', () => {
+    it('should only pay for a change output when the change beats dust', () => {
+      const uut = new CoinSelection()
+      const getFee = (inputCount, withChange) => feeEngine.estimateFee(inputCount, 1, 1, withChange)
+
+      // 1185 sats left over pay the fee with change and keep 966
+      const withChange = uut.select([{ sats: '3185' }], 2000, { getFee })
+      assert.equal(withChange.estimatedFee, 219)
+
+      // 700 sats left over would leave dust once the change output is paid
+      const withoutChange = uut.select([{ sats: '2700' }], 2000, { getFee })
+      assert.equal(withoutChange.estimatedFee, 185)
+    })
+  })
+
+  describe('builders', () => {
+    it('should sign XEC sends at the wallet fee rate', async () => {
+      const sendXec = new SendXEC({ chronik: {}, ar: {} })
+      const spy = sandbox.spy(feeEngine, 'getSignParams')
+
+      await sendXec._buildTransaction(utxos, [{ address: 'ecash:qpdest', amountSat: 1000 }], 0, {
+        xecAddress: 'ecash:qpfirst',
+        fee: 2.5,
+        unsigned: true
+      })
+
+      assert.isTrue(spy.calledOnceWith(2.5, 546))
+    })
+
+    it('should select XEC inputs at the wallet fee rate', () => {
+      const sendXec = new SendXEC({ chronik: {}, ar: {}, defaultSatsPerByte: 1 })
+      const spy = sandbox.spy(sendXec, '_calculateFee')
+
+      sendXec._selectUtxos([{ address: 'ecash:qpdest', amountSat: 1000 }], utxos, null, 3)
+
+      assert.equal(spy.firstCall.args[2], 3)
+    })
+
+    it('should price the OP_RETURN of token spends', () => {
+      const handler = new SLPTokenHandler({ chronik: {}, ar: {} })
+      const opReturn = { sats: 0n, script: { bytecode: Buffer.alloc(60) } }
+
+      // Token spends always price an XEC change output
+      assert.equal(handler._estimateTransactionFee(1, [opReturn], 1), 10 + 141 + 69 + 34)
+    })
+  })
+
+  describe('MinimalXECWallet', () => {
+    let wallet
+
+    beforeEach(async () => {
+      wallet = new MinimalXECWallet(mockWallet.mockXecWalletInfo.mnemonic, { fee: 2 })
+      await wallet.walletInfoPromise
+      wallet.isInitialized = true
+      wallet.utxos.utxoStore = { xecUtxos: utxos }
+    })
+
+    it('should configure the builders with advancedOptions.fee', () => {
+      assert.equal(wallet.sendXecLib.defaultSatsPerByte, 2)
+      assert.equal(wallet.opReturn.defaultSatsPerByte, 2)
+      assert.equal(wallet.consolidateUtxos.defaultSatsPerByte, 2)
+    })
+
+    it('should take a fee rate per send', async () => {
+      const stub = sandbox.stub(wallet.sendXecLib, 'sendXec').resolves('txid')
+
+      await wallet.sendXec([{ address: 'ecash:qpdest', amountSat: 1000 }])
+      await wallet.sendXec([{ address: 'ecash:qpdest', amountSat: 1000 }], { satsPerByte: 5 })
+
+      assert.equal(stub.firstCall.args[1].fee, 2)
+      assert.equal(stub.secondCall.args[1].fee, 5)
+    })
+
+    it('should take a fee rate for send-all', async () => {
+      const stub = sandbox.stub(wallet.sendXecLib, 'sendAllXec').resolves('txid')
+
+      await wallet.sendAllXec('ecash:qpdest', { satsPerByte: 1.5 })
+
+      assert.equal(stub.firstCall.args[1].fee, 1.5)
+    })
+
+    it('should reject an invalid fee rate', async () => {
+      try {
+        await wallet.sendXec([{ address: 'ecash:qpdest', amountSat: 1000 }], { satsPerByte: -1 })
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Invalid fee rate')
+      }
+    })
+  })
+})
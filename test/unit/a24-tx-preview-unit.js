@@ -0,0 +1,153 @@
+/*
+  Unit tests for transaction previews.
+*/
+
+// npm libraries
+const assert = require('chai').assert
+const sinon = require('sinon')
+
+// Mocking data libraries
+const mockWallet = require('./mocks/xec-wallet-mocks')
+
+// Unit under test
+const TxPreview = require('../../lib/tx-preview')
+const MinimalXECWallet = require('../../index')
+
+// The mocked Tx.fromHex() spends this UTXO into a single 1000 sat output
+const spentUtxo = { outpoint: { txid: 'a'.repeat(64), outIdx: 0 }, sats: '1500', blockHeight: 100 }
+const signedHex = '00'.repeat(250)
+
+describe('#tx-preview.js - Transaction previews', () => {
+  let sandbox, uut
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    uut = new TxPreview()
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('#describe', () => {
+    it('should report the inputs, outputs and fee', () => {
+      const preview = uut.describe(signedHex, [spentUtxo], { kind: 'xec', outputCount: 1 })
+
+      assert.equal(preview.kind, 'xec')
+      assert.equal(preview.hex, signedHex)
+      assert.equal(preview.size, 250)
+      assert.equal(preview.fee, 500)
+      assert.equal(preview.satsPerByte, 2)
+      assert.deepEqual(preview.inputs, [{ txid: 'a'.repeat(64), outIdx: 0, sats: '1500' }])
+      assert.equal(preview.outputs[0].sats, '1000')
+      assert.isNull(preview.change)
+      assert.isNull(preview.token)
+    })
+
+    it('should report the output after the requested ones as change', () => {
+      const preview = uut.describe(signedHex, [spentUtxo], { outputCount: 0, changeAddress: 'ecash:qpchange' })
+
+      assert.equal(preview.change.sats, '1000')
+      assert.isString(preview.change.address)
+    })
+
+    it('should reject inputs that are not wallet UTXOs', () => {
+      try {
+        uut.describe(signedHex, [], { outputCount: 1 })
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Transaction preview failed: Unknown input')
+      }
+    })
+
+    it('should report the token change', () => {
+      const tokenUtxo = { ...spentUtxo, token: { tokenId: 'token1', atoms: '500' } }
+      const preview = uut.describe(signedHex, [tokenUtxo], {
+        kind: 'etoken',
+        outputCount: 0,
+        changeAddress: 'ecash:qpchange',
+        token: { tokenId: 'token1', decimals: 2, outputs: [{ address: 'ecash:qpdest', amount: 1.5 }] }
+      })
+
+      assert.deepEqual(preview.token.change, { address: 'ecash:qpchange', atoms: '350', amount: 3.5 })
+      // The only output pays the token change, so there is no XEC change
+      assert.isNull(preview.change)
+    })
+
+    it('should not report token change when the whole balance is burned', () => {
+      const tokenUtxo = { ...spentUtxo, token: { tokenId: 'token1', atoms: '7' } }
+      const preview = uut.describe(signedHex, [tokenUtxo], {
+        outputCount: 1,
+        token: { tokenId: 'token1', decimals: 0, burnAmount: 7 }
+      })
+
+      assert.isNull(preview.token.change)
+      assert.equal(preview.token.burnAmount, 7)
+    })
+  })
+
+  describe('MinimalXECWallet', () => {
+    let wallet
+
+    beforeEach(async () => {
+      wallet = new MinimalXECWallet(mockWallet.mockXecWalletInfo.mnemonic)
+      await wallet.walletInfoPromise
+      wallet.isInitialized = true
+      wallet.utxos.utxoStore = { xecUtxos: [spentUtxo] }
+    })
+
+    it('should preview an XEC send without broadcasting it', async () => {
+      const buildStub = sandbox.stub(wallet.sendXecLib, 'createTransaction').resolves(signedHex)
+      const sendStub = sandbox.stub(wallet.ar, 'sendTx').resolves('txid')
+      const outputs = [{ address: 'ecash:qpdest', amountSat: 1000 }]
+
+      const preview = await wallet.previewSendXec(outputs, { satsPerByte: 2 })
+
+      assert.equal(preview.hex, signedHex)
+      assert.equal(preview.fee, 500)
+      assert.equal(buildStub.firstCall.args[1].fee, 2)
+      assert.isTrue(sendStub.notCalled)
+    })
+
+    it('should preview an eToken send with its token metadata', async () => {
+      const token = { tokenId: 'token1', protocol: 'SLP', decimals: 0, outputs: [{ address: 'ecash:qpdest', amount: 1 }] }
+      sandbox.stub(wallet.hybridTokens, 'createSendTransaction').resolves({ hex: signedHex, token })
+
+      const preview = await wallet.previewSendETokens('token1', token.outputs)
+
+      assert.equal(preview.kind, 'etoken')
+      assert.equal(preview.token.protocol, 'SLP')
+    })
+
+    it('should validate a burn like burnETokens()', async () => {
+      try {
+        await wallet.previewBurnETokens('token1', 0)
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Amount is required')
+      }
+    })
+
+    it('should only use the change address once the preview is broadcast', async () => {
+      sandbox.stub(wallet.ar, 'getUtxos').resolves({ success: true, utxos: [] })
+      sandbox.stub(wallet.ar, 'getTransactions').resolves({ transactions: [] })
+      await wallet.discoverAccount()
+      wallet.isInitialized = true
+      sandbox.stub(wallet.sendXecLib, 'createTransaction').resolves(signedHex)
+      sandbox.stub(wallet.ar, 'sendTx').resolves('txid')
+
+      const change = wallet.hdAccount.deriveAddress(mockWallet.mockXecWalletInfo.mnemonic, 1, 0)
+      sandbox.stub(wallet.txPreview, 'describe').returns({ hex: signedHex, change: { address: change.address, sats: '400' }, token: null })
+
+      const preview = await wallet.previewSendXec([{ address: 'ecash:qpdest', amountSat: 600 }])
+
+      assert.equal(preview.change.address, change.address)
+      assert.equal(wallet.hdAccount.nextIndex[1], 0)
+
+      const txid = await wallet.broadcast({ hex: signedHex })
+
+      assert.equal(txid, 'txid')
+      assert.equal(wallet.hdAccount.nextIndex[1], 1)
+      assert.include(wallet.walletInfo.addresses.map(entry => entry.address), change.address)
+      assert.equal(wallet.previewChange.size, 0)
+    })
+  })
+})
@@ -0,0 +1,216 @@
+/*
+  Unit tests for manual coin control: frozen UTXOs and chosen inputs.
+*/
+
+// npm libraries
+const assert = require('chai').assert
+const sinon = require('sinon')
+
+// Mocking data libraries
+const mockWallet = require('./mocks/xec-wallet-mocks')
+const { utxo } = require('./mocks/xec-utxo-mocks')
+
+// Unit under test
+const Utxos = require('../../lib/utxos')
+const CoinSelection = require('../../lib/coin-selection')
+const SendXEC = require('../../lib/send-xec')
+const SLPTokenHandler = require('../../lib/slp-token-handler')
+const { MemoryStorage, validateStorage } = require('../../lib/storage')
+const MinimalXECWallet = require('../../index')
+
+const txidA = 'a'.repeat(64)
+const txidB = 'b'.repeat(64)
+const txidC = 'c'.repeat(64)
+
+describe('#coin control - Frozen and chosen UTXOs', () => {
+  let sandbox, uut, storage
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    storage = new MemoryStorage()
+    uut = new Utxos({ ar: {}, storage })
+    uut.utxoStore.xecUtxos = [
+      utxo(txidA, 5000, { address: 'ecash:qpalice' }),
+      utxo(txidB, 7000),
+      utxo(txidC, 546, { token: { tokenId: 'token1', atoms: '10' } })
+    ]
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('#freezeUtxo', () => {
+    it('should persist frozen outpoints through the storage adapter', async () => {
+      await uut.freezeUtxo({ txid: txidA, outIdx: 0 })
+      await uut.freezeUtxo(`${txidB}:0`)
+
+      const reloaded = new Utxos({ ar: {}, storage })
+      reloaded.utxoStore.xecUtxos = uut.utxoStore.xecUtxos
+
+      assert.deepEqual(await reloaded.listFrozenUtxos(), [
+        { txid: txidA, outIdx: 0, sats: '5000', address: 'ecash:qpalice' },
+        { txid: txidB, outIdx: 0, sats: '7000' }
+      ])
+    })
+
+    it('should accept a UTXO and list outpoints that left the store', async () => {
+      const frozen = await uut.freezeUtxo(uut.utxoStore.xecUtxos[0])
+      uut.utxoStore.xecUtxos = []
+
+      assert.deepEqual(frozen, { txid: txidA, outIdx: 0 })
+      assert.deepEqual(await uut.listFrozenUtxos(), [{ txid: txidA, outIdx: 0 }])
+    })
+
+    it('should reject an invalid outpoint', async () => {
+      try {
+        await uut.freezeUtxo({ txid: 'abc', outIdx: 0 })
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'UTXO freeze failed: Invalid outpoint')
+      }
+    })
+
+    it('should work with an async storage adapter', async () => {
+      const items = {}
+      const asyncStorage = {
+        getItem: async key => items[key] || null,
+        setItem: async (key, value) => { items[key] = value },
+        removeItem: async key => { delete items[key] }
+      }
+      uut = new Utxos({ ar: {}, storage: asyncStorage })
+
+      await uut.freezeUtxo({ txid: txidA, outIdx: 1 })
+
+      assert.deepEqual(JSON.parse(items['minimal-xec-wallet:frozen-utxos']), [`${txidA}:1`])
+    })
+
+    it('should reject a storage adapter without the three methods', () => {
+      assert.throws(() => validateStorage({ getItem: () => null }), /must implement setItem\(\)/)
+    })
+  })
+
+  describe('#unfreezeUtxo', () => {
+    it('should make a UTXO spendable again', async () => {
+      await uut.freezeUtxo({ txid: txidA, outIdx: 0 })
+
+      assert.isTrue(await uut.unfreezeUtxo({ txid: txidA, outIdx: 0 }))
+      assert.isFalse(await uut.unfreezeUtxo({ txid: txidA, outIdx: 0 }))
+      assert.isNull(storage.getItem('minimal-xec-wallet:frozen-utxos'))
+    })
+  })
+
+  describe('selection', () => {
+    it('should leave frozen UTXOs out of every spendable set', async () => {
+      await uut.freezeUtxo({ txid: txidB, outIdx: 0 })
+
+      assert.notInclude(uut.getUnfrozenUtxos().map(item => item.outpoint.txid), txidB)
+      assert.notInclude(uut.getSpendableXecUtxos().map(item => item.outpoint.txid), txidB)
+      assert.deepEqual(uut.selectOptimalUtxos(1000).selectedUtxos.map(item => item.outpoint.txid), [txidA])
+    })
+
+    it('should refuse chosen UTXOs that are frozen, unknown or repeated', async () => {
+      await uut.freezeUtxo({ txid: txidB, outIdx: 0 })
+
+      assert.throws(() => uut.getChosenUtxos([{ txid: txidB, outIdx: 0 }]), /is frozen/)
+      assert.throws(() => uut.getChosenUtxos([{ txid: txidA, outIdx: 3 }]), /is not in the wallet/)
+      assert.throws(() => uut.getChosenUtxos([`${txidA}:0`, `${txidA}:0`]), /is chosen twice/)
+      assert.throws(() => uut.getChosenUtxos([]), /Choose at least one UTXO/)
+    })
+
+    it('should spend every UTXO with the manual strategy', () => {
+      const coinSelection = new CoinSelection()
+      const utxos = [utxo(txidA, 5000), utxo(txidB, 7000)]
+
+      const selection = coinSelection.select(utxos, 1000, { strategy: CoinSelection.MANUAL, getFee: () => 200 })
+
+      assert.lengthOf(selection.selectedUtxos, 2)
+      assert.equal(selection.change, 12000 - 1000 - 200)
+      assert.isNull(coinSelection.select(utxos, 12000, { strategy: CoinSelection.MANUAL, getFee: () => 200 }))
+      assert.throws(() => new CoinSelection({ strategy: CoinSelection.MANUAL }), /Unknown coin selection strategy/)
+    })
+
+    it('should skip automatic selection in the XEC builder', () => {
+      const sendXec = new SendXEC({ chronik: {}, ar: {} })
+      const utxos = [utxo(txidA, 5000), utxo(txidB, 7000)]
+
+      const selection = sendXec._selectUtxos([{ address: 'ecash:qpdest', amountSat: 1000 }], utxos, CoinSelection.MANUAL)
+
+      assert.deepEqual(selection.selectedUtxos, utxos)
+    })
+
+    it('should spend every chosen token UTXO', () => {
+      const handler = new SLPTokenHandler({ chronik: {}, ar: {} })
+      const tokenInfo = { genesisInfo: { tokenTicker: 'TST', decimals: 0 } }
+      const tokenUtxos = [
+        utxo(txidA, 546, { token: { tokenId: 'token1', atoms: '10' } }),
+        utxo(txidB, 546, { token: { tokenId: 'token1', atoms: '5' } })
+      ]
+
+      assert.lengthOf(handler._selectTokenUtxos(tokenUtxos, 3n, tokenInfo).selectedUtxos, 1)
+      assert.lengthOf(handler._selectTokenUtxos(tokenUtxos, 3n, tokenInfo, true).selectedUtxos, 2)
+      assert.lengthOf(handler._selectXecUtxos([utxo(txidC, 9000)], 500, tokenUtxos, true).selectedUtxos, 1)
+    })
+  })
+
+  describe('MinimalXECWallet', () => {
+    let wallet
+
+    beforeEach(async () => {
+      wallet = new MinimalXECWallet(mockWallet.mockXecWalletInfo.mnemonic, { storage })
+      await wallet.walletInfoPromise
+      wallet.isInitialized = true
+      wallet.utxos.utxoStore = { xecUtxos: uut.utxoStore.xecUtxos }
+    })
+
+    it('should keep frozen UTXOs out of sends', async () => {
+      const stub = sandbox.stub(wallet.sendXecLib, 'sendXec').resolves('txid')
+
+      await wallet.freezeUtxo({ txid: txidA, outIdx: 0 })
+      await wallet.sendXec([{ address: 'ecash:qpdest', amountSat: 1000 }])
+
+      assert.deepEqual(stub.firstCall.args[2].map(item => item.outpoint.txid), [txidB])
+      assert.lengthOf(await wallet.listFrozenUtxos(), 1)
+    })
+
+    it('should spend exactly the chosen UTXOs', async () => {
+      const stub = sandbox.stub(wallet.sendXecLib, 'sendXec').resolves('txid')
+
+      await wallet.sendXec([{ address: 'ecash:qpdest', amountSat: 1000 }], { utxos: [{ txid: txidA, outIdx: 0 }] })
+
+      assert.deepEqual(stub.firstCall.args[2].map(item => item.outpoint.txid), [txidA])
+      assert.equal(stub.firstCall.args[1].coinSelection, CoinSelection.MANUAL)
+    })
+
+    it('should not let an XEC send burn a chosen token UTXO', async () => {
+      try {
+        await wallet.sendXec([{ address: 'ecash:qpdest', amountSat: 1000 }], { utxos: [{ txid: txidC, outIdx: 0 }] })
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'holds tokens and would burn them')
+      }
+    })
+
+    it('should not let an XEC sweep burn a chosen token UTXO', async () => {
+      const stub = sandbox.stub(wallet.sendXecLib, 'sendAllXec').resolves('txid')
+
+      for (const method of ['sendAllXec', 'previewSendAllXec']) {
+        try {
+          await wallet[method]('ecash:qpdest', { utxos: [{ txid: txidC, outIdx: 0 }] })
+          assert.fail('Unexpected code path')
+        } catch (err) {
+          assert.include(err.message, 'holds tokens and would burn them')
+        }
+      }
+      assert.isTrue(stub.notCalled)
+    })
+
+    it('should pass chosen UTXOs to eToken sends', async () => {
+      const stub = sandbox.stub(wallet.hybridTokens, 'sendTokens').resolves('txid')
+      const outputs = [{ address: 'ecash:qpdest', amount: 1 }]
+
+      await wallet.sendETokens('token1', outputs, 1.2, { utxos: [`${txidC}:0`, `${txidB}:0`] })
+
+      assert.deepEqual(stub.firstCall.args[3].map(item => item.outpoint.txid), [txidC, txidB])
+      assert.equal(stub.firstCall.args[2].coinSelection, CoinSelection.MANUAL)
+    })
+  })
+})
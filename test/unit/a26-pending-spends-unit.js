@@ -0,0 +1,189 @@
+/*
+  Unit tests for tracking spends the wallet broadcast before Chronik reports
+  them.
+*/
+
+// npm libraries
+const assert = require('chai').assert
+const sinon = require('sinon')
+
+// Mocking data libraries
+const mockWallet = require('./mocks/xec-wallet-mocks')
+const { utxo } = require('./mocks/xec-utxo-mocks')
+
+// Unit under test
+const PendingSpends = require('../../lib/pending-spends')
+const AdapterRouter = require('../../lib/adapters/router')
+const MinimalXECWallet = require('../../index')
+
+// The mocked Tx.fromHex() spends a000...:0 into one 1000 sat P2PKH output
+const txHex = '00'.repeat(200)
+const txid = 'f'.repeat(64)
+const spentKey = `${'a'.repeat(64)}:0`
+
+describe('#pending-spends.js - Pending spends', () => {
+  let sandbox, uut, clock
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    uut = new PendingSpends()
+  })
+
+  afterEach(() => {
+    if (clock) {
+      clock.restore()
+      clock = null
+    }
+    sandbox.restore()
+  })
+
+  describe('#record', () => {
+    it('should record the inputs and the outputs paying the wallet', () => {
+      uut.record(txHex, txid, () => true)
+
+      assert.isTrue(uut.spent.has(spentKey))
+      const created = uut.created.get(`${txid}:0`).utxo
+      assert.deepInclude(created, { blockHeight: -1, sats: '1000', isFinal: false })
+      assert.isString(created.address)
+      assert.isUndefined(created.token)
+    })
+
+    it('should leave out outputs paying other wallets', () => {
+      uut.record(txHex, txid, () => false)
+
+      assert.equal(uut.spent.size, 1)
+      assert.equal(uut.created.size, 0)
+    })
+
+    it('should tag outputs with the tokens they carry', () => {
+      const token = { tokenId: 'token1', tokenType: { protocol: 'SLP', number: 1 }, atoms: '5', isMintBaton: false }
+      sandbox.stub(uut, '_getOutputTokens').returns({ 0: token })
+
+      uut.record(txHex, txid, () => true)
+
+      assert.deepEqual(uut.created.get(`${txid}:0`).utxo.token, token)
+    })
+
+    it('should leave outputs of unreadable token data to Chronik', () => {
+      sandbox.stub(uut, '_getOutputTokens').returns(null)
+
+      uut.record(txHex, txid, () => true)
+
+      assert.equal(uut.spent.size, 1)
+      assert.equal(uut.created.size, 0)
+    })
+  })
+
+  describe('#apply', () => {
+    it('should drop spent UTXOs and add the new ones once', () => {
+      uut.record(txHex, txid, () => true)
+      const other = utxo('b'.repeat(64), 5000, { outIdx: 1 })
+
+      const utxos = uut.apply([utxo('a'.repeat(64), 3000), other])
+
+      assert.deepEqual(utxos.map(item => item.outpoint.txid), ['b'.repeat(64), txid])
+      assert.lengthOf(uut.apply(utxos), 2)
+    })
+  })
+
+  describe('#reconcile', () => {
+    it('should forget records Chronik reflects', () => {
+      uut.record(txHex, txid, () => true)
+
+      // Chronik has seen the transaction
+      const utxos = uut.reconcile([utxo(txid, 1000)])
+
+      assert.equal(uut.size, 0)
+      assert.lengthOf(utxos, 1)
+    })
+
+    it('should keep records while Chronik lags behind', () => {
+      uut.record(txHex, txid, () => true)
+
+      const utxos = uut.reconcile([utxo('a'.repeat(64), 3000)])
+
+      assert.equal(uut.size, 2)
+      assert.deepEqual(utxos.map(item => item.outpoint.txid), [txid])
+    })
+
+    it('should give up on transactions Chronik never reports', () => {
+      clock = sinon.useFakeTimers(Date.now())
+      uut = new PendingSpends({ timeout: 1000 })
+      uut.record(txHex, txid, () => true)
+
+      clock.tick(1001)
+      const utxos = uut.reconcile([utxo('a'.repeat(64), 3000)])
+
+      assert.equal(uut.size, 0)
+      assert.deepEqual(utxos.map(item => item.outpoint.txid), ['a'.repeat(64)])
+    })
+  })
+
+  describe('AdapterRouter', () => {
+    it('should notify listeners and drop cached UTXOs after a broadcast', async () => {
+      const router = new AdapterRouter({ chronik: { broadcastTx: async () => ({ txid }) } })
+      sandbox.stub(router, '_executeWithRobustConnection').callsFake(fn => fn({}))
+      const listener = sinon.spy()
+      sandbox.stub(console, 'warn')
+      router.onBroadcast(() => { throw new Error('listener bug') })
+      router.onBroadcast(listener)
+      router._setCache('utxos_ecash:qpalice', { utxos: [] })
+      router._setCache('tx_abc', {})
+
+      assert.equal(await router.sendTx(txHex), txid)
+
+      assert.isTrue(listener.calledOnceWith(txHex, txid))
+      assert.isNull(router._getFromCache('utxos_ecash:qpalice'))
+      assert.isNotNull(router._getFromCache('tx_abc'))
+    })
+  })
+
+  describe('MinimalXECWallet', () => {
+    let wallet
+
+    beforeEach(async () => {
+      wallet = new MinimalXECWallet(mockWallet.mockXecWalletInfo.mnemonic)
+      await wallet.walletInfoPromise
+      wallet.isInitialized = true
+      wallet.utxos.utxoStore.xecUtxos = [utxo('a'.repeat(64), 3000), utxo('b'.repeat(64), 5000, { outIdx: 1 })]
+      sandbox.stub(wallet.ar, '_executeWithRobustConnection').resolves({ txid })
+    })
+
+    it('should not offer the inputs of a broadcast to the next send', async () => {
+      await wallet.broadcast({ hex: txHex })
+
+      const txids = wallet.utxos.getUnfrozenUtxos().map(item => item.outpoint.txid)
+      assert.deepEqual(txids, ['b'.repeat(64)])
+    })
+
+    it('should add change paying the wallet as an unconfirmed UTXO', async () => {
+      sandbox.stub(wallet, '_isWalletAddress').returns(true)
+
+      await wallet.broadcast({ hex: txHex })
+
+      const change = wallet.utxos.utxoStore.xecUtxos.find(item => item.outpoint.txid === txid)
+      assert.equal(change.blockHeight, -1)
+      assert.equal(change.sats, '1000')
+    })
+
+    it('should keep the pending spend when a cached UTXO list is reloaded', async () => {
+      await wallet.broadcast({ hex: txHex })
+
+      wallet.utxos._processUtxos([{
+        address: wallet.walletInfo.xecAddress,
+        utxosResult: { utxos: [utxo('a'.repeat(64), 3000)] }
+      }], 'key')
+
+      assert.lengthOf(wallet.utxos.utxoStore.xecUtxos, 0)
+    })
+
+    it('should recognize the account and change addresses', () => {
+      const change = wallet.hdAccount.deriveAddress(mockWallet.mockXecWalletInfo.mnemonic, 1, 0)
+      wallet.hdAccount.isDiscovered = true
+
+      assert.isTrue(wallet._isWalletAddress(wallet.walletInfo.xecAddress))
+      assert.isTrue(wallet._isWalletAddress(change.address))
+      assert.isFalse(wallet._isWalletAddress('ecash:qpsomeoneelse'))
+    })
+  })
+})
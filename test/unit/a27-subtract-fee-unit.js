@@ -0,0 +1,110 @@
+/*
+  Unit tests for XEC sends that take the fee out of their outputs.
+*/
+
+// npm libraries
+const assert = require('chai').assert
+const sinon = require('sinon')
+
+// Mocking data libraries
+const mockWallet = require('./mocks/xec-wallet-mocks')
+const { utxo } = require('./mocks/xec-utxo-mocks')
+
+// Unit under test
+const SendXEC = require('../../lib/send-xec')
+const MinimalXECWallet = require('../../index')
+
+describe('#send-xec.js - Subtract fee from outputs', () => {
+  let sandbox, uut
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    uut = new SendXEC({ chronik: {}, ar: {} })
+  })
+
+  afterEach(() => sandbox.restore())
+
+  // Selection for the outputs alone runs at a zero fee rate
+  function stubFee (fee) {
+    sandbox.stub(uut, '_calculateFee').callsFake((inputCount, outputs, feeRate) => feeRate ? fee : 0)
+  }
+
+  describe('#_subtractFee', () => {
+    it('should split the fee across the paying outputs', () => {
+      stubFee(301)
+      const outputs = [
+        { address: 'ecash:qpalice', amountSat: 10000 },
+        { address: 'ecash:qpbob', amountSat: 5000 },
+        { address: 'ecash:qpcarol', amountSat: 2000 }
+      ]
+
+      const result = uut._subtractFee(outputs, [utxo('a'.repeat(64), 50000)], [0, 2], { fee: 1 })
+
+      assert.deepEqual(result.outputs.map(output => output.amountSat), [10000 - 151, 5000, 2000 - 150])
+      assert.equal(result.selection.change, 50000 - 17000)
+      // The caller's outputs are left alone
+      assert.equal(outputs[0].amountSat, 10000)
+    })
+
+    it('should let the leftover of the inputs pay part of the fee', () => {
+      stubFee(250)
+
+      const result = uut._subtractFee([{ address: 'ecash:qpalice', amountSat: 9900 }], [utxo('a'.repeat(64), 10000)], [0], { fee: 1 })
+
+      assert.equal(result.outputs[0].amountSat, 9900 - 150)
+      assert.equal(result.selection.change, 0)
+    })
+
+    it('should fail when an output would drop below dust', () => {
+      stubFee(400)
+      const outputs = [{ address: 'ecash:qpalice', amountSat: 800 }]
+
+      try {
+        uut._subtractFee(outputs, [utxo('a'.repeat(64), 5000)], [0], { fee: 1 })
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Output 0 would fall below the 546 sat dust limit after paying 400 sats of the fee')
+      }
+    })
+  })
+
+  describe('#_getFeePayers', () => {
+    it('should accept true or a list of output indexes', () => {
+      assert.deepEqual(uut._getFeePayers(undefined, 2), [])
+      assert.deepEqual(uut._getFeePayers(true, 3), [0, 1, 2])
+      assert.deepEqual(uut._getFeePayers([1], 2), [1])
+      assert.throws(() => uut._getFeePayers([2], 2), /has no output 2/)
+      assert.throws(() => uut._getFeePayers([0, 0], 2), /lists an output twice/)
+      assert.throws(() => uut._getFeePayers('all', 2), /must be true or a non-empty array/)
+    })
+  })
+
+  describe('#createTransaction', () => {
+    it('should build the transaction with the reduced outputs', async () => {
+      stubFee(200)
+      const buildStub = sandbox.stub(uut, '_buildTransaction').resolves('hex')
+
+      await uut.createTransaction(
+        { address: 'ecash:qp3wjpa3tjlj042z2wv7hahsldgwhwy0rq9sywjpyy', amountSat: 10000 },
+        { fee: 1, subtractFeeFrom: true },
+        [utxo('a'.repeat(64), 10000)]
+      )
+
+      assert.equal(buildStub.firstCall.args[1][0].amountSat, 9800)
+    })
+  })
+
+  describe('MinimalXECWallet', () => {
+    it('should pass subtractFeeFrom to the XEC builder', async () => {
+      const wallet = new MinimalXECWallet(mockWallet.mockXecWalletInfo.mnemonic)
+      await wallet.walletInfoPromise
+      wallet.isInitialized = true
+      wallet.utxos.utxoStore = { xecUtxos: [utxo('a'.repeat(64), 10000)] }
+      const stub = sandbox.stub(wallet.sendXecLib, 'sendXec').resolves('txid')
+
+      await wallet.sendXec([{ address: 'ecash:qpdest', amountSat: 10000 }], { subtractFeeFrom: [0] })
+
+      assert.deepEqual(stub.firstCall.args[1].subtractFeeFrom, [0])
+    })
+  })
+})
@@ -0,0 +1,147 @@
+/*
+  Unit tests for precise XEC amounts.
+*/
+
+// npm libraries
+const assert = require('chai').assert
+const sinon = require('sinon')
+
+// Mocking data libraries
+const mockWallet = require('./mocks/xec-wallet-mocks')
+
+// Unit under test
+const { XecAmount, normalizeOutput } = require('../../lib/amount')
+const SendXEC = require('../../lib/send-xec')
+const TxPreview = require('../../lib/tx-preview')
+const MinimalXECWallet = require('../../index')
+
+describe('#amount.js - XecAmount', () => {
+  let sandbox
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('parsing', () => {
+    it('should parse XEC and satoshi text', () => {
+      assert.equal(XecAmount.parse('1,234.56 XEC').toSats(), 123456n)
+      assert.equal(XecAmount.parse('123456 sats').toSats(), 123456n)
+      assert.equal(XecAmount.parse('12.5').toSats(), 1250n)
+      assert.equal(XecAmount.parse('.07 xec').toSats(), 7n)
+      assert.equal(XecAmount.parse('-3 sat').toSats(), -3n)
+    })
+
+    it('should reject text that is not an exact amount', () => {
+      assert.throws(() => XecAmount.parse('1.234 XEC'), /at most 2 decimals/)
+      assert.throws(() => XecAmount.parse('1.5 sats'), /whole numbers/)
+      assert.throws(() => XecAmount.parse('12,34 XEC'), /Invalid amount/)
+      assert.throws(() => XecAmount.parse('XEC'), /Invalid amount/)
+      assert.throws(() => XecAmount.parse('1 BCH'), /Invalid amount/)
+    })
+
+    it('should take BigInt satoshis and numbers with an explicit unit', () => {
+      assert.equal(XecAmount.from(546n).toSats(), 546n)
+      assert.equal(XecAmount.fromXec(1234.56).toSats(), 123456n)
+      assert.equal(XecAmount.fromXec(0.1 + 0.2).toSats(), 30n)
+      assert.equal(XecAmount.fromSats('42').toSats(), 42n)
+      assert.throws(() => XecAmount.from(5), /Ambiguous amount 5/)
+      assert.throws(() => XecAmount.fromXec(0.001), /at most 2 decimals/)
+      assert.throws(() => XecAmount.fromSats(1.5), /whole numbers/)
+    })
+  })
+
+  describe('values', () => {
+    it('should be immutable and do exact arithmetic', () => {
+      const amount = XecAmount.fromXec(0.1)
+
+      assert.isTrue(Object.isFrozen(amount))
+      assert.equal(amount.plus(XecAmount.fromXec(0.2)).toXecString(), '0.30')
+      assert.equal(amount.minus('1 XEC').toString(), '-0.90 XEC')
+      assert.equal(amount.times(3).toSats(), 30n)
+      assert.equal(amount.compare(5n), 1)
+      assert.isTrue(amount.equals('10 sats'))
+    })
+
+    it('should format with locale options without rounding', () => {
+      const amount = XecAmount.fromSats(123456789n)
+
+      assert.equal(amount.format('en-US'), '1,234,567.89 XEC')
+      assert.equal(amount.format('de-DE'), '1.234.567,89 XEC')
+      assert.equal(amount.format('en-US', { useGrouping: false, showUnit: false }), '1234567.89')
+      assert.equal(amount.format('en-US', { unit: 'sats' }), '123,456,789 sats')
+      assert.equal(XecAmount.fromSats(-5).format('en-US'), '-0.05 XEC')
+    })
+
+    it('should serialize to text it can parse', () => {
+      const amount = XecAmount.parse('1,000.01 XEC')
+
+      assert.isTrue(XecAmount.parse(JSON.parse(JSON.stringify(amount))).equals(amount))
+      assert.equal(amount.toXec(), 1000.01)
+    })
+  })
+
+  describe('outputs', () => {
+    it('should turn XecAmount and BigInt outputs into amountSat numbers', () => {
+      const output = { address: 'ecash:qpalice', amountSat: 1000 }
+
+      assert.strictEqual(normalizeOutput(output), output)
+      assert.deepEqual(normalizeOutput({ address: 'ecash:qpalice', amount: XecAmount.parse('10 XEC') }), { address: 'ecash:qpalice', amountSat: 1000 })
+      assert.deepEqual(normalizeOutput({ address: 'ecash:qpalice', amountSat: 1000n }), { address: 'ecash:qpalice', amountSat: 1000 })
+    })
+
+    it('should build XEC sends from XecAmount outputs', async () => {
+      const uut = new SendXEC({ chronik: {}, ar: {} })
+      const buildStub = sandbox.stub(uut, '_buildTransaction').resolves('hex')
+      const utxos = [{ outpoint: { txid: 'a'.repeat(64), outIdx: 0 }, sats: '50000', blockHeight: 100 }]
+
+      await uut.createTransaction(
+        [{ address: 'ecash:qp3wjpa3tjlj042z2wv7hahsldgwhwy0rq9sywjpyy', amount: XecAmount.parse('100 XEC') }],
+        {},
+        utxos
+      )
+
+      assert.strictEqual(buildStub.firstCall.args[1][0].amountSat, 10000)
+    })
+
+    it('should report preview values as amounts', () => {
+      const preview = new TxPreview().withAmounts({
+        fee: 226,
+        inputs: [{ txid: 'a'.repeat(64), outIdx: 0, sats: '1226' }],
+        outputs: [{ sats: '1000' }],
+        change: null
+      })
+
+      assert.equal(preview.fee.toSats(), 226n)
+      assert.equal(preview.inputs[0].sats.toSats(), 1226n)
+      assert.equal(preview.outputs[0].sats.toXecString(), '10.00')
+    })
+  })
+
+  describe('MinimalXECWallet', () => {
+    let wallet
+
+    beforeEach(async () => {
+      wallet = new MinimalXECWallet(mockWallet.mockXecWalletInfo.mnemonic)
+      await wallet.walletInfoPromise
+      sandbox.stub(wallet, '_getAccountBalance').resolves({ balance: { confirmed: 100010, unconfirmed: 20 } })
+    })
+
+    it('should return balances as amounts on request', async () => {
+      const balance = await wallet.getXecBalance({ asAmount: true })
+      const detailed = await wallet.getDetailedBalance({ asAmount: true })
+
+      assert.instanceOf(balance, MinimalXECWallet.XecAmount)
+      assert.equal(balance.toXecString(), '1000.30')
+      assert.equal(detailed.confirmed.toSats(), 100010n)
+      assert.equal(detailed.total.toSats(), 100030n)
+      assert.equal(detailed.satoshis.total, 100030)
+    })
+
+    it('should keep returning numbers by default', async () => {
+      assert.equal(await wallet.getXecBalance(), 1000.3)
+      assert.equal((await wallet.getDetailedBalance()).confirmed, 1000.1)
+    })
+  })
+})
@@ -0,0 +1,189 @@
+/*
+  Unit tests for time-locked transactions and CLTV/CSV P2SH outputs.
+*/
+
+// npm libraries
+const assert = require('chai').assert
+const sinon = require('sinon')
+
+// Mocking data libraries
+const mockWallet = require('./mocks/xec-wallet-mocks')
+const { utxo } = require('./mocks/xec-utxo-mocks')
+
+// Unit under test
+const Timelock = require('../../lib/timelock')
+const SendXEC = require('../../lib/send-xec')
+const MinimalXECWallet = require('../../index')
+
+const publicKey = `02${'11'.repeat(32)}`
+
+// A 100000 sat UTXO of the timelock, confirmed at blockHeight
+const lockedUtxo = blockHeight => utxo('b'.repeat(64), 100000, { blockHeight })
+
+describe('#timelock.js - Timelocks', () => {
+  let sandbox, uut
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    uut = new Timelock({ ar: {} })
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('#create', () => {
+    it('should build a CLTV redeem script with a minimal lock push', () => {
+      const timelock = uut.create({ publicKey, blockHeight: 900000 })
+
+      assert.equal(timelock.type, 'cltv')
+      assert.equal(timelock.lock, 900000)
+      assert.equal(timelock.redeemScript, `03a0bb0db17521${publicKey}ac`)
+      assert.isString(timelock.address)
+    })
+
+    it('should build CSV locks in blocks or 512 second units', () => {
+      assert.equal(uut.create({ publicKey, blocks: 144 }).redeemScript, `029000b27521${publicKey}ac`)
+      assert.equal(uut.create({ publicKey, blocks: 6 }).redeemScript.slice(0, 2), '56')
+      // One day rounds up to 169 units, with the time flag set
+      assert.equal(uut.create({ publicKey, seconds: 86400 }).lock, (1 << 22) | 169)
+    })
+
+    it('should take a Date for a time lock', () => {
+      const timelock = uut.create({ publicKey, time: new Date('2030-01-01T00:00:00Z') })
+
+      assert.equal(timelock.lock, 1893456000)
+    })
+
+    it('should reject ambiguous or out of range locks', () => {
+      assert.throws(() => uut.create({ publicKey, blockHeight: 10, blocks: 10 }), /exactly one of/)
+      assert.throws(() => uut.create({ publicKey, blockHeight: 600000000 }), /Invalid blockHeight/)
+      assert.throws(() => uut.create({ publicKey, time: 1000 }), /Invalid time/)
+      assert.throws(() => uut.create({ publicKey, blocks: 70000 }), /Invalid blocks/)
+      assert.throws(() => uut.create({ publicKey: 'abcd', blocks: 1 }), /Invalid compressed public key/)
+    })
+  })
+
+  describe('#validate', () => {
+    it('should reject a timelock whose script was changed', () => {
+      const timelock = { ...uut.create({ publicKey, blocks: 10 }), lock: 11 }
+
+      assert.throws(() => uut.validate(timelock), /does not match its lock/)
+    })
+  })
+
+  describe('#isExpired', () => {
+    it('should compare height locks with the tip', () => {
+      const timelock = uut.create({ publicKey, blockHeight: 900000 })
+
+      assert.isFalse(uut.isExpired(timelock, lockedUtxo(1), 899999))
+      assert.isTrue(uut.isExpired(timelock, lockedUtxo(1), 900000))
+    })
+
+    it('should compare time locks with the clock', () => {
+      sandbox.useFakeTimers(new Date('2030-01-01T00:00:00Z'))
+      const timelock = uut.create({ publicKey, time: new Date('2030-01-01T00:00:01Z') })
+
+      assert.isFalse(uut.isExpired(timelock, lockedUtxo(1), 0))
+      sandbox.clock.tick(1000)
+      assert.isTrue(uut.isExpired(timelock, lockedUtxo(1), 0))
+    })
+
+    it('should count relative locks from the confirming block', () => {
+      const timelock = uut.create({ publicKey, blocks: 10 })
+
+      assert.isFalse(uut.isExpired(timelock, lockedUtxo(-1), 1000))
+      assert.isFalse(uut.isExpired(timelock, lockedUtxo(991), 999))
+      assert.isTrue(uut.isExpired(timelock, lockedUtxo(991), 1000))
+    })
+  })
+
+  describe('#createUnlockTransaction', () => {
+    it('should refuse to spend before the lock expires', async () => {
+      const timelock = uut.create({ publicKey, blockHeight: 900000 })
+      uut.ar = {
+        getUtxos: async () => ({ utxos: [lockedUtxo(800000)] }),
+        getBlockHeight: async () => 899000
+      }
+
+      try {
+        await uut.createUnlockTransaction(timelock, {}, 'ecash:qp3wjpa3tjlj042z2wv7hahsldgwhwy0rq9sywjpyy')
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'It unlocks after block 900000, the chain is at block 899000')
+      }
+    })
+
+    it('should sign with the key of the timelock only', async () => {
+      const tx = { inputs: [{}] }
+      const signer = {
+        getPublicKey: async () => Buffer.from(publicKey, 'hex'),
+        signSighash: async () => Buffer.alloc(64, 1)
+      }
+      const redeemScript = Buffer.from(uut.create({ publicKey, blocks: 10 }).redeemScript, 'hex')
+
+      await uut._signInputs(tx, { signer }, publicKey, redeemScript)
+
+      // <65 byte signature> <redeem script>
+      const script = Buffer.from(tx.inputs[0].script.bytecode)
+      assert.equal(script[0], 65)
+      assert.isTrue(script.slice(67).equals(redeemScript))
+
+      try {
+        await uut._signInputs(tx, { signer }, `03${'22'.repeat(32)}`, redeemScript)
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'does not hold the key of this timelock')
+      }
+    })
+  })
+
+  describe('SendXEC', () => {
+    it('should enable nLockTime with a non-final sequence', () => {
+      const sendXec = new SendXEC({ chronik: {}, ar: {} })
+
+      assert.deepEqual(sendXec._getLocktime({}), { locktime: 0, sequence: undefined })
+      assert.deepEqual(sendXec._getLocktime({ locktime: 900000 }), { locktime: 900000, sequence: 0xfffffffe })
+      assert.deepEqual(sendXec._getLocktime({ locktime: 900000, sequence: 0 }), { locktime: 900000, sequence: 0 })
+      assert.equal(sendXec._getLocktime({ locktime: new Date(1893456000000) }).locktime, 1893456000)
+      assert.throws(() => sendXec._getLocktime({ locktime: -1 }), /Invalid locktime/)
+    })
+  })
+
+  describe('MinimalXECWallet', () => {
+    let wallet
+
+    beforeEach(async () => {
+      wallet = new MinimalXECWallet(mockWallet.mockXecWalletInfo.mnemonic)
+      await wallet.walletInfoPromise
+      wallet.isInitialized = true
+      wallet.utxos.utxoStore = { xecUtxos: [lockedUtxo(100)] }
+    })
+
+    it('should lock funds to the wallet key by default', async () => {
+      const stub = sandbox.stub(wallet.sendXecLib, 'sendXec').resolves('txid')
+
+      const timelock = await wallet.createTimelock({ blocks: 10 })
+      await wallet.lockXec(timelock, 5000)
+
+      assert.equal(timelock.publicKey, wallet.walletInfo.publicKey)
+      assert.deepEqual(stub.firstCall.args[0], [{ address: timelock.address, amountSat: 5000 }])
+    })
+
+    it('should pass locktime and sequence to the XEC builder', async () => {
+      const stub = sandbox.stub(wallet.sendXecLib, 'sendXec').resolves('txid')
+
+      await wallet.sendXec([{ address: 'ecash:qpdest', amountSat: 1000 }], { locktime: 900000, sequence: 0 })
+
+      assert.equal(stub.firstCall.args[1].locktime, 900000)
+      assert.equal(stub.firstCall.args[1].sequence, 0)
+    })
+
+    it('should broadcast the unlock spend to the wallet address', async () => {
+      const timelock = await wallet.createTimelock({ blocks: 10 })
+      const unlockStub = sandbox.stub(wallet.timelocks, 'createUnlockTransaction').resolves('hex')
+      sandbox.stub(wallet.ar, 'sendTx').resolves('txid')
+
+      assert.equal(await wallet.unlockXec(timelock), 'txid')
+      assert.equal(unlockStub.firstCall.args[2], wallet.walletInfo.xecAddress)
+    })
+  })
+})
@@ -0,0 +1,231 @@
+/*
+  Unit tests for Avalanche finality status and the finalized balance.
+*/
+
+// npm libraries
+const assert = require('chai').assert
+const sinon = require('sinon')
+
+// Mocking data libraries
+const mockWallet = require('./mocks/xec-wallet-mocks')
+
+// Unit under test
+const AdapterRouter = require('../../lib/adapters/router')
+const MinimalXECWallet = require('../../index')
+const { FinalityTimeoutError, TxConflictedError } = require('../../lib/errors')
+
+const txid = 'c'.repeat(64)
+
+function status (value, isFinal) {
+  return { txid, status: value, isFinal, depth: 0, blockHeight: null }
+}
+
+describe('#finality - Avalanche finality', () => {
+  let sandbox
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('AdapterRouter #getTxStatus', () => {
+    function createRouter (chronik) {
+      const router = new AdapterRouter({ chronik })
+      sandbox.stub(router, '_executeWithRobustConnection').callsFake(fn => fn({}))
+      return router
+    }
+
+    it('should report mempool and finalized transactions', async () => {
+      const router = createRouter({ tx: async () => ({ isFinal: false }) })
+      assert.deepEqual(await router.getTxStatus(txid), status('mempool', false))
+
+      router.chronikPromise = Promise.resolve({ tx: async () => ({ isFinal: true }) })
+      assert.deepEqual(await router.getTxStatus(txid), status('finalized', true))
+    })
+
+    it('should report the depth of confirmed transactions', async () => {
+      const router = createRouter({
+        tx: async () => ({ isFinal: true, block: { height: 99998 } }),
+        blockchainInfo: async () => ({ tipHeight: 100000 })
+      })
+
+      const result = await router.getTxStatus(txid)
+
+      assert.equal(result.status, 'confirmed')
+      assert.equal(result.depth, 3)
+      assert.equal(result.blockHeight, 99998)
+      assert.isTrue(result.isFinal)
+    })
+
+    it('should report transactions Chronik does not know as unknown', async () => {
+      const router = createRouter({ tx: async () => { throw new Error('404: Transaction not found in the index') } })
+
+      assert.deepEqual(await router.getTxStatus(txid), status('unknown', false))
+    })
+
+    it('should report a transaction whose input was spent by another one as conflicted', async () => {
+      const conflictTxid = 'd'.repeat(64)
+      const router = createRouter({
+        tx: async (id) => {
+          if (id === txid) throw new Error('404: Transaction not found in the index')
+          return { outputs: [{ sats: 1000n, spentBy: { txid: conflictTxid, outIdx: 0 } }] }
+        }
+      })
+
+      const result = await router.getTxStatus(txid, { hex: '0100' })
+
+      assert.equal(result.status, 'conflicted')
+      assert.equal(result.conflictTxid, conflictTxid)
+      assert.isFalse(result.isFinal)
+    })
+
+    it('should report unspent inputs as unknown', async () => {
+      const router = createRouter({
+        tx: async (id) => {
+          if (id === txid) throw new Error('404: Transaction not found in the index')
+          return { outputs: [{ sats: 1000n }] }
+        }
+      })
+
+      assert.deepEqual(await router.getTxStatus(txid, { hex: '0100' }), status('unknown', false))
+    })
+
+    it('should wrap other errors', async () => {
+      const router = createRouter({ tx: async () => { throw new Error('connection reset') } })
+
+      try {
+        await router.getTxStatus(txid)
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Transaction status query failed: connection reset')
+      }
+    })
+  })
+
+  describe('MinimalXECWallet', () => {
+    let wallet
+
+    beforeEach(async () => {
+      wallet = new MinimalXECWallet(mockWallet.mockXecWalletInfo.mnemonic)
+      await wallet.walletInfoPromise
+      wallet.isInitialized = true
+    })
+
+    describe('#getTxStatus', () => {
+      it('should reject an invalid txid', async () => {
+        try {
+          await wallet.getTxStatus('abc')
+          assert.fail('Unexpected code path')
+        } catch (err) {
+          assert.include(err.message, 'Invalid txid')
+        }
+      })
+    })
+
+    describe('#waitForFinality', () => {
+      it('should poll until the transaction is finalized', async () => {
+        const getTxStatus = sandbox.stub(wallet.ar, 'getTxStatus')
+        getTxStatus.onFirstCall().resolves(status('mempool', false))
+        getTxStatus.onSecondCall().resolves(status('finalized', true))
+
+        const result = await wallet.waitForFinality(txid, { interval: 1 })
+
+        assert.equal(result.status, 'finalized')
+        assert.equal(getTxStatus.callCount, 2)
+      })
+
+      it('should throw a FinalityTimeoutError past the timeout', async () => {
+        sandbox.stub(wallet.ar, 'getTxStatus').resolves(status('mempool', false))
+
+        try {
+          await wallet.waitForFinality(txid, { timeout: 20, interval: 5 })
+          assert.fail('Unexpected code path')
+        } catch (err) {
+          assert.instanceOf(err, FinalityTimeoutError)
+          assert.equal(err.code, 'FINALITY_TIMEOUT')
+          assert.equal(err.txid, txid)
+        }
+      })
+
+      it('should throw a TxConflictedError when the inputs are spent elsewhere', async () => {
+        const getTxStatus = sandbox.stub(wallet.ar, 'getTxStatus').resolves(status('conflicted', false))
+
+        try {
+          await wallet.waitForFinality(txid, { interval: 1, hex: '0100' })
+          assert.fail('Unexpected code path')
+        } catch (err) {
+          assert.instanceOf(err, TxConflictedError)
+          assert.equal(err.code, 'TX_CONFLICTED')
+          assert.deepEqual(getTxStatus.firstCall.args, [txid, { hex: '0100' }])
+        }
+      })
+
+      it('should keep polling a transaction that is not indexed yet', async () => {
+        const getTxStatus = sandbox.stub(wallet.ar, 'getTxStatus')
+        getTxStatus.onFirstCall().resolves(status('unknown', false))
+        getTxStatus.onSecondCall().resolves(status('mempool', false))
+        getTxStatus.onThirdCall().resolves(status('finalized', true))
+
+        const result = await wallet.waitForFinality(txid, { interval: 1 })
+
+        assert.equal(result.status, 'finalized')
+        assert.equal(getTxStatus.callCount, 3)
+      })
+
+      it('should time out, not conflict, on a transaction never seen', async () => {
+        sandbox.stub(wallet.ar, 'getTxStatus').resolves(status('unknown', false))
+
+        try {
+          await wallet.waitForFinality(txid, { timeout: 20, interval: 5 })
+          assert.fail('Unexpected code path')
+        } catch (err) {
+          assert.instanceOf(err, FinalityTimeoutError)
+        }
+      })
+
+      it('should throw a TxConflictedError when a seen transaction disappears', async () => {
+        const getTxStatus = sandbox.stub(wallet.ar, 'getTxStatus')
+        getTxStatus.onFirstCall().resolves(status('mempool', false))
+        getTxStatus.onSecondCall().resolves(status('unknown', false))
+
+        try {
+          await wallet.waitForFinality(txid, { interval: 1 })
+          assert.fail('Unexpected code path')
+        } catch (err) {
+          assert.instanceOf(err, TxConflictedError)
+        }
+      })
+    })
+
+    describe('#getDetailedBalance', () => {
+      it('should split the balance into finalized and non-final amounts', async () => {
+        sandbox.stub(wallet.ar, 'getBalance').resolves({ balance: { confirmed: 120000, unconfirmed: 5000 } })
+        sandbox.stub(wallet.ar, 'getUtxos').resolves({
+          utxos: [
+            { sats: '100000', isFinal: true },
+            { sats: '20000', isFinal: false },
+            { sats: '5000', isFinal: false }
+          ]
+        })
+
+        const result = await wallet.getDetailedBalance({ xecAddress: wallet.walletInfo.xecAddress })
+
+        assert.equal(result.finalized, 1000)
+        assert.equal(result.nonFinal, 250)
+        assert.equal(result.satoshis.finalized, 100000)
+        assert.equal(result.satoshis.nonFinal, 25000)
+      })
+
+      it('should return XecAmounts when asked', async () => {
+        sandbox.stub(wallet.ar, 'getBalance').resolves({ balance: { confirmed: 120000, unconfirmed: 0 } })
+        sandbox.stub(wallet.ar, 'getUtxos').resolves({ utxos: [{ sats: '120000', isFinal: true }] })
+
+        const result = await wallet.getDetailedBalance({ xecAddress: wallet.walletInfo.xecAddress, asAmount: true })
+
+        assert.equal(result.finalized.toSats(), 120000n)
+        assert.isTrue(result.nonFinal.isZero())
+      })
+    })
+  })
+})
@@ -0,0 +1,243 @@
+/*
+  Unit tests for resumable batch payouts.
+*/
+
+// npm libraries
+const assert = require('chai').assert
+const sinon = require('sinon')
+
+// Mocking data libraries
+const mockWallet = require('./mocks/xec-wallet-mocks')
+
+// Unit under test
+const MinimalXECWallet = require('../../index')
+
+const alice = 'ecash:qrdczda80g7red03zqd02uuxjhfqxrthdywrq8cx3a'
+const bob = 'ecash:qqzrk6z7p8qp29fw5wunw7ak865y2jewjs99gt9chw'
+const tokenId = 'e'.repeat(64)
+
+// Rows of a payroll, each paying a distinct amount of XEC
+function payroll (count) {
+  return Array.from({ length: count }, (_, i) => ({ address: i % 2 ? bob : alice, amount: 10 + i }))
+}
+
+describe('#batch-payout.js - Batch payouts', () => {
+  let sandbox, wallet, uut
+
+  beforeEach(async () => {
+    sandbox = sinon.createSandbox()
+    wallet = new MinimalXECWallet(mockWallet.mockXecWalletInfo.mnemonic)
+    await wallet.walletInfoPromise
+    wallet.isInitialized = true
+    uut = wallet.batchPayouts
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('#parseRows', () => {
+    it('should read CSV with a header and quoted fields', () => {
+      const csv = `Address,Amount,Token_ID,Memo\r\n${alice},12.5,,"rent, March"\r\n${bob},3,${tokenId},\r\n\r\n`
+
+      assert.deepEqual(uut.parseRows(csv), [
+        { address: alice, amount: '12.5', memo: 'rent, March' },
+        { address: bob, amount: '3', tokenId }
+      ])
+    })
+
+    it('should read CSV columns in order without a header', () => {
+      assert.deepEqual(uut.parseRows(`${alice},600 sats,"say ""hi"""`), [
+        { address: alice, amount: '600 sats', memo: 'say "hi"' }
+      ])
+    })
+
+    it('should read JSON rows', () => {
+      assert.deepEqual(uut.parseRows(JSON.stringify([{ address: alice, amount: 10 }])), [{ address: alice, amount: 10 }])
+    })
+  })
+
+  describe('#validateRows', () => {
+    it('should convert XEC amounts to satoshis', () => {
+      const rows = uut.validateRows([{ address: alice, amount: '1,234.56' }, { address: bob, amount: 600n }])
+
+      assert.deepEqual(rows.map(row => row.amountSat), [123456, 600])
+    })
+
+    it('should report every invalid row before sending anything', async () => {
+      const preview = sandbox.stub(wallet, 'previewSendXec')
+      const rows = [
+        { address: alice, amount: 10 },
+        { address: 'ecash:invalid', amount: 10 },
+        { address: alice, amount: 5 },
+        { address: bob, amount: 1, tokenId, memo: 'hi' },
+        { address: bob, amount: 'ten' }
+      ]
+
+      try {
+        await wallet.payBatch(rows)
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Row 2: invalid address')
+        assert.include(err.message, 'Row 3: amount below the 546 sat dust limit')
+        assert.include(err.message, 'Row 4: eToken sends cannot carry a memo')
+        assert.include(err.message, 'Row 5: Invalid amount')
+        assert.notInclude(err.message, 'Row 1')
+      }
+      assert.isTrue(preview.notCalled)
+    })
+  })
+
+  describe('#chunkRows', () => {
+    it('should keep chunks within maxOutputs, counting the change', () => {
+      const chunks = uut.chunkRows(uut.validateRows(payroll(120)))
+
+      assert.deepEqual(chunks.map(chunk => chunk.rows.length), [49, 49, 22])
+      assert.deepEqual(chunks[1].rows.slice(0, 2), [50, 51])
+    })
+
+    it('should give each memo and token its own transactions', () => {
+      const rows = uut.validateRows([
+        ...payroll(2),
+        { address: alice, amount: 10, memo: 'bonus' },
+        ...Array.from({ length: 20 }, () => ({ address: bob, amount: 5, tokenId })),
+        { address: bob, amount: 10 }
+      ])
+
+      const chunks = uut.chunkRows(rows)
+
+      assert.deepEqual(chunks.map(chunk => chunk.rows.length), [3, 1, 19, 1])
+      assert.equal(chunks[1].memo, 'bonus')
+      assert.equal(chunks[2].tokenId, tokenId)
+    })
+  })
+
+  describe('#payBatch', () => {
+    let broadcast
+
+    beforeEach(() => {
+      let count = 0
+      sandbox.stub(wallet, 'previewSendXec').callsFake(async () => ({ hex: `0${count++}` }))
+      sandbox.stub(wallet, 'previewSendOpReturn').resolves({ hex: 'aa' })
+      broadcast = sandbox.stub(wallet, 'broadcast').callsFake(async ({ hex }) => `txid-${hex}`)
+    })
+
+    it('should pay every chunk and report the TXID of each row', async () => {
+      const report = await wallet.payBatch(payroll(60), { id: 'march' })
+
+      assert.isTrue(report.complete)
+      assert.equal(report.summary.transactions, 2)
+      assert.equal(report.rows[0].txid, 'txid-00')
+      assert.equal(report.rows[59].txid, 'txid-01')
+      assert.equal(report.rows[0].amount, 10)
+      assert.isUndefined(report.chunks[0].hex)
+      assert.deepEqual(await wallet.getBatchPayout('march'), report)
+    })
+
+    it('should send a memo in the OP_RETURN of its chunk', async () => {
+      await wallet.payBatch([{ address: alice, amount: 10, memo: 'bonus' }])
+
+      assert.isTrue(wallet.previewSendOpReturn.calledOnceWith('bonus', '6d02', [{ address: alice, amountSat: 1000 }]))
+    })
+
+    it('should not pay a finished batch again', async () => {
+      await wallet.payBatch(payroll(60))
+      const report = await wallet.payBatch(payroll(60))
+
+      assert.isTrue(report.complete)
+      assert.equal(broadcast.callCount, 2)
+    })
+
+    it('should stop at a failed chunk and retry it on the next run', async () => {
+      wallet.previewSendXec.onSecondCall().rejects(new Error('Insufficient funds'))
+
+      const first = await wallet.payBatch(payroll(60))
+
+      assert.isFalse(first.complete)
+      assert.deepEqual(first.chunks.map(chunk => chunk.status), ['sent', 'pending'])
+      assert.include(first.chunks[1].error, 'Insufficient funds')
+
+      const second = await wallet.payBatch(payroll(60))
+
+      assert.isTrue(second.complete)
+      assert.isUndefined(second.chunks[1].error)
+      assert.equal(broadcast.callCount, 2)
+    })
+
+    it('should broadcast the saved hex of a chunk signed before a crash', async () => {
+      broadcast.onFirstCall().rejects(new Error('socket hang up'))
+      sandbox.stub(wallet.ar, 'getTxStatus').resolves({ status: 'unknown' })
+
+      const first = await wallet.payBatch(payroll(10))
+      assert.equal(first.chunks[0].status, 'signed')
+
+      const second = await wallet.payBatch(payroll(10))
+
+      assert.isTrue(second.complete)
+      assert.equal(wallet.previewSendXec.callCount, 1)
+      assert.equal(broadcast.secondCall.args[0].hex, '00')
+    })
+
+    it('should sign a chunk again once its inputs are spent elsewhere', async () => {
+      broadcast.onFirstCall().rejects(new Error('socket hang up'))
+      await wallet.payBatch(payroll(10))
+      const getTxStatus = sandbox.stub(wallet.ar, 'getTxStatus').resolves({ status: 'conflicted' })
+
+      const second = await wallet.payBatch(payroll(10))
+
+      assert.isTrue(second.complete)
+      assert.equal(getTxStatus.firstCall.args[1].hex, '00')
+      assert.equal(wallet.previewSendXec.callCount, 2)
+      assert.equal(broadcast.secondCall.args[0].hex, '01')
+      assert.equal(second.rows[0].txid, 'txid-01')
+    })
+
+    it('should mark the change address of a saved chunk used after a restart', async () => {
+      const changeEntry = { address: 'ecash:qchange', hdPath: "m/44'/899'/0'/1/0", chain: 1, index: 0, used: false }
+      wallet.previewChange.set('00', changeEntry)
+      broadcast.onFirstCall().rejects(new Error('socket hang up'))
+      await wallet.payBatch(payroll(10))
+
+      // A new process has no record of the preview
+      wallet.previewChange.clear()
+      sandbox.stub(wallet.ar, 'getTxStatus').resolves({ status: 'unknown' })
+      const markChangeUsed = sandbox.stub(wallet, '_markChangeUsed')
+
+      const second = await wallet.payBatch(payroll(10))
+
+      assert.isTrue(second.complete)
+      assert.isTrue(markChangeUsed.calledOnceWith(changeEntry))
+    })
+
+    it('should mark a signed chunk sent once Chronik knows its transaction', async () => {
+      broadcast.rejects(new Error('socket hang up'))
+      const first = await wallet.payBatch(payroll(10))
+      const getTxStatus = sandbox.stub(wallet.ar, 'getTxStatus').resolves({ status: 'mempool' })
+
+      const second = await wallet.payBatch(payroll(10))
+
+      assert.isTrue(second.complete)
+      assert.equal(second.rows[0].txid, first.chunks[0].txid)
+      assert.isTrue(getTxStatus.calledOnceWith(first.chunks[0].txid))
+      assert.equal(broadcast.callCount, 1)
+    })
+
+    it('should reject an ID started with different rows', async () => {
+      await wallet.payBatch(payroll(2), { id: 'march' })
+
+      try {
+        await wallet.payBatch(payroll(3), { id: 'march' })
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Batch march was started with different rows')
+      }
+    })
+
+    it('should only plan a dry run', async () => {
+      const report = await wallet.payBatch(payroll(60), { dryRun: true })
+
+      assert.isFalse(report.complete)
+      assert.lengthOf(report.chunks, 2)
+      assert.isTrue(wallet.previewSendXec.notCalled)
+      assert.isNull(await wallet.getBatchPayout(report.id))
+    })
+  })
+})
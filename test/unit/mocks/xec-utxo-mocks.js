@@ -158,7 +158,14 @@ const mockChronikResponses = {
   transactions: mockXecTransactions
 }
 
+// A confirmed XEC UTXO. extra overrides fields, or sets outIdx of the outpoint.
+function utxo (txid, sats, extra = {}) {
+  const { outIdx = 0, ...fields } = extra
+  return { outpoint: { txid, outIdx }, sats: String(sats), blockHeight: 100, ...fields }
+}
+
 module.exports = {
+  utxo,
   simpleXecUtxos,
   mixedXecUtxos,
   largeXecUtxos,